@@ -4,8 +4,14 @@ import { SocketProvider } from './context/SocketContext';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import Login from './components/Login';
 import Signup from './components/Signup';
+import ForgotPassword from './components/ForgotPassword';
+import ResetPassword from './components/ResetPassword';
+import VerifyEmail from './components/VerifyEmail';
+import UnlockAccount from './components/UnlockAccount';
 import Dashboard from './components/Dashboard';
 import WorkspaceDetail from './components/WorkspaceDetail';
+import JoinWorkspace from './components/JoinWorkspace';
+import InviteResponse from './components/InviteResponse';
 import ProtectedRoute from './components/ProtectedRoute';
 import AuthRoute from './components/AuthRoute';
 import './App.css';
@@ -57,6 +63,33 @@ function App() {
                   </AuthRoute>
                 } 
               />
+              <Route 
+                path="/forgot-password" 
+                element={
+                  <AuthRoute>
+                    <ForgotPassword />
+                  </AuthRoute>
+                } 
+              />
+              <Route 
+                path="/reset-password" 
+                element={
+                  <AuthRoute>
+                    <ResetPassword />
+                  </AuthRoute>
+                } 
+              />
+              <Route 
+                path="/unlock-account" 
+                element={
+                  <AuthRoute>
+                    <UnlockAccount />
+                  </AuthRoute>
+                } 
+              />
+
+              {/* Email verification works whether or not the user is signed in */}
+              <Route path="/verify-email" element={<VerifyEmail />} />
               
               {/* Protected routes */}
               <Route 
@@ -75,6 +108,22 @@ function App() {
                   </ProtectedRoute>
                 } 
               />
+              <Route 
+                path="/join/:token" 
+                element={
+                  <ProtectedRoute>
+                    <JoinWorkspace />
+                  </ProtectedRoute>
+                } 
+              />
+              <Route 
+                path="/invites/:inviteId/:action" 
+                element={
+                  <ProtectedRoute>
+                    <InviteResponse />
+                  </ProtectedRoute>
+                } 
+              />
               
               {/* Default redirect */}
               <Route path="/" element={<Navigate to="/dashboard" replace />} />
@@ -0,0 +1,264 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+
+const EXPIRY_OPTIONS = [
+  { label: '7 days', value: 7 },
+  { label: '30 days', value: 30 },
+  { label: '90 days', value: 90 },
+  { label: '1 year', value: 365 },
+  { label: 'No expiry', value: '' }
+];
+
+const AccessTokensModal = ({ isOpen, onClose }) => {
+  const [tokens, setTokens] = useState([]);
+  const [availableScopes, setAvailableScopes] = useState([]);
+  const [formData, setFormData] = useState({ name: '', scopes: [], expiresInDays: 30 });
+  const [newToken, setNewToken] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (isOpen) {
+      fetchTokens();
+    }
+  }, [isOpen]);
+
+  const fetchTokens = async () => {
+    setLoading(true);
+    try {
+      const token = localStorage.getItem('token');
+      const [tokensResponse, scopesResponse] = await Promise.all([
+        axios.get('http://localhost:5000/api/tokens', {
+          headers: { Authorization: `Bearer ${token}` }
+        }),
+        axios.get('http://localhost:5000/api/tokens/scopes', {
+          headers: { Authorization: `Bearer ${token}` }
+        })
+      ]);
+      setTokens(tokensResponse.data.tokens || []);
+      setAvailableScopes(scopesResponse.data.scopes || []);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load access tokens');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleScope = (scope) => {
+    setFormData(prev => ({
+      ...prev,
+      scopes: prev.scopes.includes(scope)
+        ? prev.scopes.filter(s => s !== scope)
+        : [...prev.scopes, scope]
+    }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!formData.name.trim()) {
+      setError('Token name is required');
+      return;
+    }
+
+    if (formData.scopes.length === 0) {
+      setError('Select at least one scope');
+      return;
+    }
+
+    setCreating(true);
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.post(
+        'http://localhost:5000/api/tokens',
+        {
+          name: formData.name.trim(),
+          scopes: formData.scopes,
+          expiresInDays: formData.expiresInDays || null
+        },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      setNewToken(response.data.token);
+      setTokens(prev => [response.data.accessToken, ...prev]);
+      setFormData({ name: '', scopes: [], expiresInDays: 30 });
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to create access token');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRevoke = async (tokenId) => {
+    if (!window.confirm('Revoke this token? Scripts using it will stop working.')) {
+      return;
+    }
+
+    try {
+      const token = localStorage.getItem('token');
+      await axios.delete(`http://localhost:5000/api/tokens/${tokenId}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setTokens(prev => prev.filter(t => t.id !== tokenId));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to revoke access token');
+    }
+  };
+
+  const handleClose = () => {
+    setNewToken('');
+    setError('');
+    onClose();
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl max-w-2xl w-full mx-4 max-h-[90vh] overflow-y-auto">
+        <div className="p-6">
+          {/* Modal Header */}
+          <div className="flex justify-between items-center mb-6">
+            <h3 className="text-lg font-semibold text-gray-900">Personal Access Tokens</h3>
+            <button
+              onClick={handleClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+
+          {/* Error Message */}
+          {error && (
+            <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded-md text-sm">
+              {error}
+            </div>
+          )}
+
+          {/* Newly created token, shown once */}
+          {newToken && (
+            <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-md">
+              <p className="text-sm font-medium text-green-800 mb-2">
+                Copy this token now, it will not be shown again:
+              </p>
+              <div className="flex items-center space-x-2">
+                <code className="flex-1 text-xs bg-white border border-green-200 rounded px-3 py-2 break-all">{newToken}</code>
+                <button
+                  onClick={() => navigator.clipboard.writeText(newToken)}
+                  className="px-3 py-2 text-xs font-medium text-white bg-green-600 hover:bg-green-700 rounded-md"
+                >
+                  Copy
+                </button>
+              </div>
+              <p className="text-xs text-green-700 mt-2">
+                Use it as <code>Authorization: Bearer &lt;token&gt;</code> on API requests.
+              </p>
+            </div>
+          )}
+
+          {/* Create Form */}
+          <form onSubmit={handleCreate} className="space-y-4 mb-8">
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Name</label>
+                <input
+                  type="text"
+                  value={formData.name}
+                  onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                  placeholder="e.g. Nightly task sync"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Expiration</label>
+                <select
+                  value={formData.expiresInDays}
+                  onChange={(e) => setFormData({ ...formData, expiresInDays: e.target.value ? Number(e.target.value) : '' })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                >
+                  {EXPIRY_OPTIONS.map(option => (
+                    <option key={option.label} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Scopes</label>
+              <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
+                {availableScopes.map(scope => (
+                  <label key={scope} className="flex items-center space-x-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={formData.scopes.includes(scope)}
+                      onChange={() => toggleScope(scope)}
+                      className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                    />
+                    <span className="font-mono text-xs">{scope}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            <div className="flex justify-end">
+              <button
+                type="submit"
+                disabled={creating}
+                className="px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md transition-colors disabled:opacity-50"
+              >
+                {creating ? 'Generating...' : 'Generate token'}
+              </button>
+            </div>
+          </form>
+
+          {/* Token List */}
+          <h4 className="text-sm font-semibold text-gray-900 mb-3">Your tokens</h4>
+          {loading ? (
+            <div className="flex justify-center py-6">
+              <div className="animate-spin rounded-full h-8 w-8 border-4 border-blue-600 border-t-transparent"></div>
+            </div>
+          ) : tokens.length === 0 ? (
+            <p className="text-sm text-gray-500">You don't have any access tokens yet.</p>
+          ) : (
+            <div className="space-y-3">
+              {tokens.map(accessToken => (
+                <div key={accessToken.id} className="flex items-start justify-between p-4 border border-gray-200 rounded-lg">
+                  <div className="min-w-0 flex-1">
+                    <div className="flex items-center space-x-2">
+                      <p className="text-sm font-medium text-gray-900">{accessToken.name}</p>
+                      <code className="text-xs text-gray-500">{accessToken.tokenPrefix}…</code>
+                      {accessToken.expired && (
+                        <span className="px-2 py-0.5 text-xs font-semibold rounded-full bg-red-100 text-red-800">Expired</span>
+                      )}
+                    </div>
+                    <p className="text-xs text-gray-500 mt-1 font-mono">{accessToken.scopes.join(', ')}</p>
+                    <p className="text-xs text-gray-400 mt-1">
+                      {accessToken.lastUsedAt
+                        ? `Last used ${new Date(accessToken.lastUsedAt).toLocaleString()}`
+                        : 'Never used'}
+                      {' · '}
+                      {accessToken.expiresAt
+                        ? `Expires ${new Date(accessToken.expiresAt).toLocaleDateString()}`
+                        : 'No expiry'}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => handleRevoke(accessToken.id)}
+                    className="ml-4 text-sm font-medium text-red-600 hover:text-red-800"
+                  >
+                    Revoke
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AccessTokensModal;
@@ -1,8 +1,22 @@
 import React, { useState } from 'react';
 import axios from 'axios';
 
+const CSV_TEMPLATE = 'email,name,role\njane@example.com,Jane Doe,Member\n';
+
+const downloadCsv = (content, filename) => {
+  const url = URL.createObjectURL(new Blob([content], { type: 'text/csv' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
 const AddMembersModal = ({ isOpen, onClose, workspaceId, onMembersAdded }) => {
+  const [mode, setMode] = useState('emails');
   const [emails, setEmails] = useState('');
+  const [csvFile, setCsvFile] = useState(null);
+  const [importResult, setImportResult] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [successMessage, setSuccessMessage] = useState('');
@@ -67,9 +81,50 @@ const AddMembersModal = ({ isOpen, onClose, workspaceId, onMembersAdded }) => {
     }
   };
 
+  const handleImport = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccessMessage('');
+    setImportResult(null);
+
+    if (!csvFile) {
+      setError('Please choose a CSV file');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const csv = await csvFile.text();
+      const token = localStorage.getItem('token');
+      const response = await axios.post(
+        `http://localhost:5000/api/workspaces/${workspaceId}/invite/import`,
+        { csv },
+        {
+          headers: { Authorization: `Bearer ${token}` }
+        }
+      );
+
+      setImportResult(response.data);
+      setSuccessMessage(response.data.message);
+      setCsvFile(null);
+
+      if (response.data.summary.invited > 0 && onMembersAdded) {
+        onMembersAdded();
+      }
+    } catch (err) {
+      console.error('Error importing members:', err);
+      setError(err.response?.data?.message || 'Failed to import members');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleClose = () => {
     if (!loading) {
+      setMode('emails');
       setEmails('');
+      setCsvFile(null);
+      setImportResult(null);
       setError('');
       setSuccessMessage('');
       onClose();
@@ -110,7 +165,97 @@ const AddMembersModal = ({ isOpen, onClose, workspaceId, onMembersAdded }) => {
             </div>
           )}
 
-          {/* Form */}
+          {/* Mode Tabs */}
+          <div className="flex space-x-2 mb-4">
+            {[['emails', 'Email addresses'], ['csv', 'Import CSV']].map(([value, label]) => (
+              <button
+                key={value}
+                type="button"
+                onClick={() => { setMode(value); setError(''); setSuccessMessage(''); }}
+                disabled={loading}
+                className={`px-3 py-1.5 text-sm font-medium rounded-md transition-colors ${
+                  mode === value ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          {mode === 'csv' ? (
+            <form onSubmit={handleImport} className="space-y-4">
+              <div>
+                <label htmlFor="csvFile" className="block text-sm font-medium text-gray-700 mb-2">
+                  CSV File *
+                </label>
+                <input
+                  id="csvFile"
+                  type="file"
+                  accept=".csv,text/csv"
+                  onChange={(e) => setCsvFile(e.target.files[0] || null)}
+                  disabled={loading}
+                  className="w-full text-sm text-gray-700"
+                />
+                <p className="mt-1 text-xs text-gray-500">
+                  Columns: email, name, role (Admin or Member, defaults to Member). Up to 500 rows.{' '}
+                  <button
+                    type="button"
+                    onClick={() => downloadCsv(CSV_TEMPLATE, 'members-template.csv')}
+                    className="text-blue-600 hover:text-blue-800 underline"
+                  >
+                    Download template
+                  </button>
+                </p>
+              </div>
+
+              {/* Import Results */}
+              {importResult && (
+                <div className="border border-gray-200 rounded-md">
+                  <div className="flex justify-between items-center px-3 py-2 bg-gray-50 border-b border-gray-200">
+                    <span className="text-sm text-gray-700">
+                      {importResult.summary.invited} invited · {importResult.summary.failed} failed
+                    </span>
+                    <button
+                      type="button"
+                      onClick={() => downloadCsv(importResult.report, 'member-import-report.csv')}
+                      className="text-sm font-medium text-blue-600 hover:text-blue-800"
+                    >
+                      Download report
+                    </button>
+                  </div>
+                  <ul className="max-h-48 overflow-y-auto divide-y divide-gray-100">
+                    {importResult.rows.map(row => (
+                      <li key={row.row} className="px-3 py-2 text-xs flex justify-between space-x-2">
+                        <span className="text-gray-500">Row {row.row}</span>
+                        <span className="flex-1 truncate text-gray-900">{row.email || '(no email)'}</span>
+                        <span className={row.status === 'invited' ? 'text-green-700' : 'text-red-700'}>
+                          {row.status === 'invited' ? row.role : row.message}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              <div className="flex justify-end space-x-3 pt-4">
+                <button
+                  type="button"
+                  onClick={handleClose}
+                  disabled={loading}
+                  className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  {importResult ? 'Done' : 'Cancel'}
+                </button>
+                <button
+                  type="submit"
+                  disabled={loading || !csvFile}
+                  className="px-4 py-2 text-sm font-medium text-white bg-blue-600 border border-transparent rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  {loading ? 'Importing...' : 'Import Members'}
+                </button>
+              </div>
+            </form>
+          ) : (
           <form onSubmit={handleSubmit} className="space-y-4">
             {/* Email Addresses */}
             <div>
@@ -179,6 +324,7 @@ const AddMembersModal = ({ isOpen, onClose, workspaceId, onMembersAdded }) => {
               </button>
             </div>
           </form>
+          )}
         </div>
       </div>
     </div>
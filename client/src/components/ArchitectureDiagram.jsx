@@ -1,45 +1,94 @@
 import React, { useState, useEffect, useRef } from 'react';
-import mermaid from 'mermaid';
+import mermaid from '../utils/mermaid';
 import axios from 'axios';
+import ArchitectureDiff from './ArchitectureDiff';
+import MermaidEditor from './MermaidEditor';
+import { downloadSvg, downloadPng, downloadMarkdown } from '../utils/diagramExport';
 
-const ArchitectureDiagram = ({ workspaceId }) => {
+const API_URL = 'http://localhost:5000/api/github/workspace';
+const DIAGRAMS_API_URL = 'http://localhost:5000/api/diagrams/workspace';
+
+const shortSha = (sha) => (sha ? sha.substring(0, 7) : 'unknown commit');
+
+// The history list holds versions without their diagrams
+const toHistoryEntry = (diagram) => {
+  const entry = { ...diagram };
+  delete entry.mermaidCode;
+  delete entry.analysis;
+  return entry;
+};
+
+const ArchitectureDiagram = ({ workspaceId, repositoryId, canPin = false, canEdit = false }) => {
   const [diagramData, setDiagramData] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [diagramType, setDiagramType] = useState('flowchart');
+  const [history, setHistory] = useState([]);
+  const [showHistory, setShowHistory] = useState(false);
+  const [compareIds, setCompareIds] = useState([]);
+  const [comparison, setComparison] = useState(null);
+  const [editing, setEditing] = useState(false);
+  const [saving, setSaving] = useState(false);
   const mermaidRef = useRef(null);
 
-  useEffect(() => {
-    mermaid.initialize({
-      startOnLoad: true,
-      theme: 'default',
-      securityLevel: 'loose',
-      flowchart: {
-        useMaxWidth: true,
-        htmlLabels: true
-      }
-    });
-  }, []);
-
   useEffect(() => {
     if (diagramData && mermaidRef.current) {
       renderDiagram();
     }
-  }, [diagramData, diagramType]);
+  }, [diagramData, diagramType, editing]);
+
+  // Saved versions of this diagram type; the pinned one (or else the latest)
+  // is shown until a new one is generated
+  useEffect(() => {
+    const fetchHistory = async () => {
+      setCompareIds([]);
+      setComparison(null);
+      setEditing(false);
+
+      try {
+        const token = localStorage.getItem('token');
+        const headers = { Authorization: `Bearer ${token}` };
+        const response = await axios.get(`${API_URL}/${workspaceId}/architecture/diagrams`, {
+          headers,
+          params: { repo: repositoryId, type: diagramType }
+        });
+
+        const versions = response.data.diagrams;
+        setHistory(versions);
 
-  const generateArchitecture = async () => {
+        const current = versions.find(version => version.pinned) || versions[0];
+        if (current) {
+          const versionResponse = await axios.get(`${API_URL}/${workspaceId}/architecture/diagrams/${current.id}`, { headers });
+          setDiagramData(versionResponse.data);
+        } else {
+          setDiagramData(null);
+        }
+      } catch (error) {
+        console.error('Error fetching diagram history:', error);
+        setHistory([]);
+      }
+    };
+
+    fetchHistory();
+  }, [workspaceId, repositoryId, diagramType]);
+
+  const generateArchitecture = async (regenerate = false) => {
     setLoading(true);
     setError('');
     
     try {
       const token = localStorage.getItem('token');
       const response = await axios.post(
-        `http://localhost:5000/api/github/workspace/${workspaceId}/architecture`,
-        { diagramType },
+        `${API_URL}/${workspaceId}/architecture`,
+        { diagramType, repo: repositoryId, regenerate },
         { headers: { Authorization: `Bearer ${token}` } }
       );
       
       setDiagramData(response.data);
+      setEditing(false);
+      if (!response.data.cached) {
+        setHistory(prev => [toHistoryEntry(response.data), ...prev]);
+      }
     } catch (error) {
       console.error('Error generating architecture:', error);
       const errorMessage = error.response?.data?.message || 'Failed to generate architecture diagram';
@@ -54,6 +103,72 @@ const ArchitectureDiagram = ({ workspaceId }) => {
     }
   };
 
+  const viewVersion = async (diagramId) => {
+    setError('');
+
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.get(`${API_URL}/${workspaceId}/architecture/diagrams/${diagramId}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setDiagramData(response.data);
+      setEditing(false);
+    } catch (error) {
+      console.error('Error loading diagram version:', error);
+      setError(error.response?.data?.message || 'Failed to load diagram version');
+    }
+  };
+
+  const togglePin = async (version) => {
+    setError('');
+
+    try {
+      const token = localStorage.getItem('token');
+      const url = `${API_URL}/${workspaceId}/architecture/diagrams/${version.id}/pin`;
+      const config = { headers: { Authorization: `Bearer ${token}` } };
+      const response = version.pinned ? await axios.delete(url, config) : await axios.put(url, {}, config);
+      const updated = response.data.diagram;
+
+      // Pinning one version unpins the others
+      setHistory(prev => prev.map(item => (
+        item.id === updated.id ? toHistoryEntry(updated) : { ...item, pinned: updated.pinned ? false : item.pinned }
+      )));
+      setDiagramData(prev => (prev?.id === updated.id ? { ...prev, pinned: updated.pinned, pinnedBy: updated.pinnedBy } : prev));
+    } catch (error) {
+      console.error('Error pinning diagram:', error);
+      setError(error.response?.data?.message || 'Failed to update pinned diagram');
+    }
+  };
+
+  const toggleCompare = (diagramId) => {
+    setCompareIds(prev => (
+      prev.includes(diagramId)
+        ? prev.filter(id => id !== diagramId)
+        : [...prev, diagramId].slice(-2)
+    ));
+  };
+
+  const compareVersions = async () => {
+    // Older version as the base
+    const [baseId, headId] = history
+      .filter(version => compareIds.includes(version.id))
+      .sort((a, b) => new Date(a.generatedAt) - new Date(b.generatedAt))
+      .map(version => version.id);
+    setError('');
+
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.get(`${API_URL}/${workspaceId}/architecture/diagrams/compare`, {
+        headers: { Authorization: `Bearer ${token}` },
+        params: { base: baseId, head: headId }
+      });
+      setComparison(response.data);
+    } catch (error) {
+      console.error('Error comparing diagram versions:', error);
+      setError(error.response?.data?.message || 'Failed to compare diagram versions');
+    }
+  };
+
   const renderDiagram = async () => {
     if (!diagramData?.mermaidCode || !mermaidRef.current) return;
 
@@ -67,23 +182,49 @@ const ArchitectureDiagram = ({ workspaceId }) => {
     }
   };
 
-  const downloadDiagram = () => {
-    if (!mermaidRef.current) return;
+  // Edits are saved as a new version on top of the one shown
+  const saveEdit = async (mermaidCode) => {
+    setSaving(true);
+    setError('');
+
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.post(
+        `${DIAGRAMS_API_URL}/${workspaceId}/${diagramData.id}/versions`,
+        { mermaidCode },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+
+      const saved = response.data.diagram;
+      setDiagramData(saved);
+      setHistory(prev => [toHistoryEntry(saved), ...prev]);
+      setEditing(false);
+    } catch (error) {
+      console.error('Error saving diagram version:', error);
+      setError(error.response?.data?.message || 'Failed to save diagram version');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const exportName = `architecture-${diagramType}-${Date.now()}`;
+  const renderedSvg = () => mermaidRef.current?.querySelector('svg');
 
-    const svg = mermaidRef.current.querySelector('svg');
+  const exportPng = async () => {
+    const svg = renderedSvg();
     if (!svg) return;
 
-    const svgData = new XMLSerializer().serializeToString(svg);
-    const svgBlob = new Blob([svgData], { type: 'image/svg+xml;charset=utf-8' });
-    const svgUrl = URL.createObjectURL(svgBlob);
-    
-    const link = document.createElement('a');
-    link.href = svgUrl;
-    link.download = `architecture-${diagramType}-${Date.now()}.svg`;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(svgUrl);
+    try {
+      await downloadPng(svg, exportName);
+    } catch (error) {
+      console.error('Error exporting PNG:', error);
+      setError(error.message);
+    }
+  };
+
+  const exportSvg = () => {
+    const svg = renderedSvg();
+    if (svg) downloadSvg(svg, exportName);
   };
 
   return (
@@ -102,24 +243,48 @@ const ArchitectureDiagram = ({ workspaceId }) => {
               <option value="component">Component Diagram</option>
               <option value="sequence">Sequence Diagram</option>
               <option value="class">Class Diagram</option>
+              <option value="imports">Import Graph (static)</option>
+              <option value="entity">Entity Relationship (data model)</option>
             </select>
           </div>
           
           <div className="flex items-center space-x-2">
-            {diagramData && (
+            {diagramData && !editing && (
+              <div className="flex items-center border border-green-600 rounded-md overflow-hidden text-sm font-medium">
+                <span className="bg-green-600 text-white px-3 py-2 flex items-center">
+                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+                  </svg>
+                </span>
+                <button onClick={exportSvg} className="px-3 py-2 text-green-700 hover:bg-green-50 transition-colors">SVG</button>
+                <button onClick={exportPng} className="px-3 py-2 text-green-700 hover:bg-green-50 transition-colors">PNG</button>
+                <button
+                  onClick={() => downloadMarkdown(diagramData.mermaidCode, exportName, { description: diagramData.description })}
+                  className="px-3 py-2 text-green-700 hover:bg-green-50 transition-colors"
+                >
+                  Markdown
+                </button>
+              </div>
+            )}
+
+            {diagramData && canEdit && (
               <button
-                onClick={downloadDiagram}
-                className="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-md text-sm font-medium transition-colors flex items-center space-x-2"
+                onClick={() => setEditing(prev => !prev)}
+                className="border border-gray-300 text-gray-700 hover:bg-gray-50 px-4 py-2 rounded-md text-sm font-medium transition-colors"
               >
-                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
-                </svg>
-                <span>Download SVG</span>
+                {editing ? 'Close Editor' : 'Edit'}
               </button>
             )}
             
             <button
-              onClick={generateArchitecture}
+              onClick={() => setShowHistory(prev => !prev)}
+              className="border border-gray-300 text-gray-700 hover:bg-gray-50 px-4 py-2 rounded-md text-sm font-medium transition-colors"
+            >
+              History ({history.length})
+            </button>
+
+            <button
+              onClick={() => generateArchitecture()}
               disabled={loading}
               className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md text-sm font-medium transition-colors disabled:opacity-50 flex items-center space-x-2"
             >
@@ -135,6 +300,67 @@ const ArchitectureDiagram = ({ workspaceId }) => {
         </div>
       </div>
 
+      {/* Saved versions */}
+      {showHistory && (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+          <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+            <h4 className="font-semibold text-gray-900">Saved Versions</h4>
+            <button
+              onClick={compareVersions}
+              disabled={compareIds.length !== 2}
+              className="text-sm text-blue-600 hover:text-blue-800 disabled:text-gray-400"
+            >
+              Compare selected ({compareIds.length}/2)
+            </button>
+          </div>
+          {history.length === 0 ? (
+            <p className="px-4 py-6 text-center text-sm text-gray-500">No saved versions of this diagram yet</p>
+          ) : (
+            <ul className="divide-y divide-gray-100 max-h-72 overflow-y-auto">
+              {history.map(version => (
+                <li key={version.id} className={`px-4 py-2 flex items-center space-x-3 text-sm ${diagramData?.id === version.id ? 'bg-blue-50' : ''}`}>
+                  <input
+                    type="checkbox"
+                    checked={compareIds.includes(version.id)}
+                    onChange={() => toggleCompare(version.id)}
+                    title="Select for comparison"
+                    className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                  />
+                  <span className="font-mono text-xs text-gray-700">{shortSha(version.commitSha)}</span>
+                  <span className="text-gray-600 flex-1 truncate">
+                    {new Date(version.generatedAt).toLocaleString()}
+                    {version.generatedBy && ` by ${version.generatedBy.name}`}
+                  </span>
+                  <span className="text-xs text-gray-500">
+                    {version.componentsCount} / {version.connectionsCount}
+                  </span>
+                  {version.source === 'edited' && (
+                    <span className="bg-indigo-100 text-indigo-800 text-xs px-2 py-0.5 rounded">Edited</span>
+                  )}
+                  {version.pinned && (
+                    <span className="bg-yellow-100 text-yellow-800 text-xs px-2 py-0.5 rounded" title={version.pinnedBy ? `Pinned by ${version.pinnedBy.name}` : 'Pinned'}>
+                      Pinned
+                    </span>
+                  )}
+                  <button onClick={() => viewVersion(version.id)} className="text-blue-600 hover:text-blue-800 text-xs">
+                    View
+                  </button>
+                  {canPin && (
+                    <button onClick={() => togglePin(version)} className="text-gray-600 hover:text-gray-900 text-xs">
+                      {version.pinned ? 'Unpin' : 'Pin'}
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {comparison && (
+        <ArchitectureDiff comparison={comparison} onClose={() => setComparison(null)} />
+      )}
+
       {/* Error Display */}
       {error && (
         <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-md">
@@ -165,46 +391,97 @@ const ArchitectureDiagram = ({ workspaceId }) => {
             {/* Diagram Info */}
             <div className="mb-6 p-4 bg-gray-50 rounded-lg">
               <h4 className="font-semibold text-gray-900 mb-2">Diagram Analysis</h4>
+              {diagramData.generatedAt && (
+                <p className="text-xs text-gray-500 mb-2">
+                  {diagramData.pinned && <span className="text-yellow-700 font-medium">Pinned · </span>}
+                  {diagramData.source === 'edited' ? 'Edited' : 'Generated'} from {shortSha(diagramData.commitSha)}
+                  {diagramData.ref && ` on ${diagramData.ref}`} · {new Date(diagramData.generatedAt).toLocaleString()}
+                  {diagramData.cached && (
+                    <>
+                      {' · already generated for this commit. '}
+                      <button onClick={() => generateArchitecture(true)} className="text-blue-600 hover:text-blue-800">
+                        Regenerate
+                      </button>
+                    </>
+                  )}
+                </p>
+              )}
               <p className="text-gray-700 text-sm mb-2">{diagramData.description}</p>
               <div className="flex flex-wrap gap-2 text-xs">
                 <span className="bg-blue-100 text-blue-800 px-2 py-1 rounded">
-                  {diagramData.componentsCount} Components
+                  {diagramData.componentsCount} {diagramData.diagramType === 'entity' ? 'Entities' : 'Components'}
                 </span>
                 <span className="bg-green-100 text-green-800 px-2 py-1 rounded">
-                  {diagramData.connectionsCount} Connections
+                  {diagramData.connectionsCount} {diagramData.diagramType === 'entity' ? 'Relationships' : 'Connections'}
                 </span>
                 <span className="bg-purple-100 text-purple-800 px-2 py-1 rounded">
                   {diagramType.charAt(0).toUpperCase() + diagramType.slice(1)} Diagram
                 </span>
+                {diagramData.analysis?.dataModel?.truncated && (
+                  <span className="bg-yellow-100 text-yellow-800 px-2 py-1 rounded">
+                    Partial: large repository
+                  </span>
+                )}
+                {diagramData.analysis?.imports && (
+                  <>
+                    <span className="bg-gray-200 text-gray-800 px-2 py-1 rounded">
+                      {diagramData.analysis.imports.modules} Modules
+                    </span>
+                    {diagramData.analysis.imports.unresolvedImports > 0 && (
+                      <span className="bg-yellow-100 text-yellow-800 px-2 py-1 rounded">
+                        {diagramData.analysis.imports.unresolvedImports} Unresolved Imports
+                      </span>
+                    )}
+                    {diagramData.analysis.imports.truncated && (
+                      <span className="bg-yellow-100 text-yellow-800 px-2 py-1 rounded">
+                        Partial: large repository
+                      </span>
+                    )}
+                  </>
+                )}
               </div>
             </div>
 
-            {/* Mermaid Diagram */}
-            <div className="border border-gray-200 rounded-lg p-4 overflow-auto">
-              <div 
-                ref={mermaidRef}
-                className="mermaid-diagram text-center"
-                style={{ minHeight: '400px' }}
+            {editing ? (
+              <MermaidEditor
+                key={diagramData.id}
+                initialCode={diagramData.mermaidCode}
+                onSave={saveEdit}
+                onCancel={() => setEditing(false)}
+                saving={saving}
+                exportName={exportName}
+                exportInfo={{ description: diagramData.description }}
               />
-            </div>
+            ) : (
+              <>
+                {/* Mermaid Diagram */}
+                <div className="border border-gray-200 rounded-lg p-4 overflow-auto">
+                  <div 
+                    ref={mermaidRef}
+                    className="mermaid-diagram text-center"
+                    style={{ minHeight: '400px' }}
+                  />
+                </div>
 
-            {/* Diagram Code */}
-            <div className="mt-6">
-              <button
-                onClick={() => {
-                  const codeElement = document.getElementById('diagram-code');
-                  codeElement.style.display = codeElement.style.display === 'none' ? 'block' : 'none';
-                }}
-                className="text-sm text-blue-600 hover:text-blue-800 mb-2"
-              >
-                Toggle Mermaid Code
-              </button>
-              <div id="diagram-code" style={{ display: 'none' }}>
-                <pre className="bg-gray-100 rounded-lg p-4 text-sm overflow-x-auto">
-                  <code>{diagramData.mermaidCode}</code>
-                </pre>
-              </div>
-            </div>
+                {/* Diagram Code */}
+                <div className="mt-6">
+                  <button
+                    onClick={() => {
+                      const codeElement = document.getElementById('diagram-code');
+                      codeElement.style.display = codeElement.style.display === 'none' ? 'block' : 'none';
+                    }}
+                    className="text-sm text-blue-600 hover:text-blue-800 mb-2"
+                  >
+                    Toggle Mermaid Code
+                  </button>
+                  <div id="diagram-code" style={{ display: 'none' }}>
+                    <pre className="bg-gray-100 rounded-lg p-4 text-sm overflow-x-auto">
+                      <code>{diagramData.mermaidCode}</code>
+                    </pre>
+                  </div>
+                </div>
+              </>
+            )}
           </div>
         )}
       </div>
@@ -0,0 +1,107 @@
+import React, { useEffect, useRef } from 'react';
+import mermaid from '../utils/mermaid';
+
+const formatVersion = (diagram) => (
+  `${diagram.commitSha ? diagram.commitSha.substring(0, 7) : 'unknown commit'} · ${new Date(diagram.generatedAt).toLocaleString()}`
+);
+
+const ChangeList = ({ title, items, className, render }) => (
+  <div>
+    <h5 className="text-xs font-semibold text-gray-600 uppercase mb-1">{title} ({items.length})</h5>
+    {items.length === 0 ? (
+      <p className="text-xs text-gray-400">None</p>
+    ) : (
+      <ul className="space-y-0.5 max-h-40 overflow-y-auto">
+        {items.map((item, index) => (
+          <li key={index} className={`text-xs font-mono rounded px-1.5 py-0.5 ${className}`}>
+            {render(item)}
+          </li>
+        ))}
+      </ul>
+    )}
+  </div>
+);
+
+const describeNode = (node) => (node.group ? `${node.group} / ${node.label}` : node.label);
+const describeEdge = (edge) => `${edge.from} → ${edge.to}${edge.label ? ` (${edge.label})` : ''}`;
+
+// Two versions of an architecture diagram side by side, with what was added
+// and removed between them. Flowcharts come back restyled to show the changes
+// in place; other diagram types are drawn as saved.
+const ArchitectureDiff = ({ comparison, onClose }) => {
+  const baseRef = useRef(null);
+  const headRef = useRef(null);
+  const { base, head, diff } = comparison;
+
+  useEffect(() => {
+    const renderVersion = async (element, id, code) => {
+      if (!element) return;
+      try {
+        const { svg } = await mermaid.render(id, code);
+        element.innerHTML = svg;
+      } catch (error) {
+        console.error('Error rendering diagram version:', error);
+        element.innerHTML = '<p class="text-sm text-red-600">Failed to render this version</p>';
+      }
+    };
+
+    renderVersion(baseRef.current, 'architecture-diff-base', diff.highlighted?.base || base.mermaidCode);
+    renderVersion(headRef.current, 'architecture-diff-head', diff.highlighted?.head || head.mermaidCode);
+  }, [base, head, diff]);
+
+  const unchanged = !diff.nodes.added.length && !diff.nodes.removed.length && !diff.nodes.changed.length &&
+    !diff.edges.added.length && !diff.edges.removed.length;
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+      <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+        <h4 className="font-semibold text-gray-900">Compare Versions</h4>
+        <button onClick={onClose} className="text-gray-400 hover:text-gray-600" title="Close comparison">
+          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+      </div>
+
+      <div className="p-4 space-y-4">
+        {!diff.supported && (
+          <div className="p-3 bg-yellow-50 border border-yellow-200 text-yellow-800 rounded-md text-sm">
+            This diagram type can't be compared structurally; the versions are shown side by side.
+          </div>
+        )}
+        {diff.supported && unchanged && (
+          <div className="p-3 bg-gray-50 border border-gray-200 text-gray-700 rounded-md text-sm">
+            No structural changes between these versions.
+          </div>
+        )}
+
+        {diff.supported && !unchanged && (
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-4">
+            <ChangeList title="Added nodes" items={diff.nodes.added} className="bg-green-50 text-green-800" render={describeNode} />
+            <ChangeList title="Removed nodes" items={diff.nodes.removed} className="bg-red-50 text-red-800" render={describeNode} />
+            <ChangeList title="Changed nodes" items={diff.nodes.changed} className="bg-yellow-50 text-yellow-800" render={describeNode} />
+            <ChangeList title="Added edges" items={diff.edges.added} className="bg-green-50 text-green-800" render={describeEdge} />
+            <ChangeList title="Removed edges" items={diff.edges.removed} className="bg-red-50 text-red-800" render={describeEdge} />
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+          <div className="border border-gray-200 rounded-lg">
+            <div className="px-3 py-2 border-b border-gray-200 bg-gray-50 text-xs text-gray-600">
+              <span className="font-medium text-gray-900">Base</span> {formatVersion(base)}
+            </div>
+            <div ref={baseRef} className="p-3 overflow-auto text-center" style={{ minHeight: '300px' }} />
+          </div>
+          <div className="border border-gray-200 rounded-lg">
+            <div className="px-3 py-2 border-b border-gray-200 bg-gray-50 text-xs text-gray-600">
+              <span className="font-medium text-gray-900">Head</span> {formatVersion(head)}
+            </div>
+            <div ref={headRef} className="p-3 overflow-auto text-center" style={{ minHeight: '300px' }} />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ArchitectureDiff;
@@ -0,0 +1,106 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+
+const formatDate = (dateString) => (dateString ? new Date(dateString).toLocaleDateString() : '');
+
+// A file's lines with a gutter naming the commit (and pull request) that last
+// changed each block of lines
+const BlameView = ({ workspaceId, repositoryId, path, gitRef, content }) => {
+  const [ranges, setRanges] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchBlame = async () => {
+      setLoading(true);
+      setError('');
+
+      try {
+        const token = localStorage.getItem('token');
+        const response = await axios.get(`http://localhost:5000/api/github/workspace/${workspaceId}/blame`, {
+          headers: { Authorization: `Bearer ${token}` },
+          params: { path, ref: gitRef, repo: repositoryId }
+        });
+        setRanges(response.data.ranges);
+      } catch (error) {
+        console.error('Error fetching blame:', error);
+        setError(error.response?.data?.message || 'Failed to fetch blame');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchBlame();
+  }, [workspaceId, repositoryId, path, gitRef]);
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-8">
+        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return <div className="text-center py-8 text-red-600 text-sm">{error}</div>;
+  }
+
+  const lines = content.replace(/\n$/, '').split('\n');
+  // Line number -> the range it belongs to
+  const rangeOf = [];
+  ranges.forEach(range => {
+    for (let line = range.startLine; line <= range.endLine; line++) {
+      rangeOf[line] = range;
+    }
+  });
+
+  return (
+    <div className="bg-gray-50 rounded-lg border overflow-auto max-h-96">
+      <table className="w-full text-xs font-mono border-collapse">
+        <tbody>
+          {lines.map((text, index) => {
+            const number = index + 1;
+            const range = rangeOf[number];
+            const first = range?.startLine === number;
+            const commit = range?.commit;
+
+            return (
+              <tr key={number} className={first ? 'border-t border-gray-200' : ''}>
+                <td className="w-64 max-w-xs px-2 align-top bg-white border-r border-gray-200 font-sans">
+                  {first && commit && (
+                    <div className="flex items-center space-x-2 py-0.5 text-gray-600" title={commit.message}>
+                      {commit.url ? (
+                        <a href={commit.url} target="_blank" rel="noopener noreferrer" className="font-mono text-blue-600 hover:text-blue-800">
+                          {commit.shortSha}
+                        </a>
+                      ) : (
+                        <span className="font-mono">{commit.shortSha}</span>
+                      )}
+                      <span className="truncate flex-1">{commit.author.login || commit.author.name}</span>
+                      {commit.pullRequest && (
+                        <a
+                          href={commit.pullRequest.url}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          title={commit.pullRequest.title}
+                          className="text-purple-600 hover:text-purple-800"
+                        >
+                          #{commit.pullRequest.number}
+                        </a>
+                      )}
+                      <span className="text-gray-400 flex-shrink-0">{formatDate(commit.author.date)}</span>
+                    </div>
+                  )}
+                </td>
+                <td className="w-10 px-2 text-right text-gray-400 select-none align-top">{number}</td>
+                <td className="px-2 whitespace-pre-wrap break-all align-top">{text}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default BlameView;
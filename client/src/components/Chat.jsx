@@ -243,6 +243,11 @@ const Chat = ({ workspaceId }) => {
                             {message.sender.name}
                           </span>
                         )}
+                        {message.importedAuthor && (
+                          <span className="text-xs italic text-gray-500 mb-1">
+                            Imported · originally from {message.importedAuthor}
+                          </span>
+                        )}
                         
                         <div className={`px-4 py-2 rounded-lg ${
                           isOwnMessage 
@@ -1,14 +1,24 @@
 import React, { useState, useEffect } from 'react';
 import axios from 'axios';
+import CompareView from './CompareView';
+import BlameView from './BlameView';
+import FileHistory from './FileHistory';
 
-const CodebaseViewer = ({ workspaceId }) => {
+// Browses one connected repository at a time; the parent remounts it (by key)
+// when another repository is picked, so branch and path start fresh
+const CodebaseViewer = ({ workspaceId, repositories = [], repositoryId, onRepositoryChange }) => {
+  const repository = repositories.find(repo => repo.repositoryId === repositoryId);
   const [files, setFiles] = useState([]);
   const [currentPath, setCurrentPath] = useState('');
   const [selectedFile, setSelectedFile] = useState(null);
   const [fileContent, setFileContent] = useState(null);
   const [branches, setBranches] = useState([]);
-  const [selectedBranch, setSelectedBranch] = useState('main');
+  const [selectedBranch, setSelectedBranch] = useState(repository?.defaultBranch || 'main');
   const [pathHistory, setPathHistory] = useState([]);
+  // 'browse' one branch's files or 'compare' two refs
+  const [mode, setMode] = useState('browse');
+  // How the selected file is shown: 'code', 'blame' or 'history'
+  const [fileView, setFileView] = useState('code');
   const [loading, setLoading] = useState({
     files: false,
     content: false,
@@ -30,7 +40,8 @@ const CodebaseViewer = ({ workspaceId }) => {
     try {
       const token = localStorage.getItem('token');
       const response = await axios.get(`http://localhost:5000/api/github/workspace/${workspaceId}/branches`, {
-        headers: { Authorization: `Bearer ${token}` }
+        headers: { Authorization: `Bearer ${token}` },
+        params: { repo: repositoryId }
       });
       setBranches(response.data.branches);
     } catch (error) {
@@ -48,7 +59,7 @@ const CodebaseViewer = ({ workspaceId }) => {
       const token = localStorage.getItem('token');
       const response = await axios.get(`http://localhost:5000/api/github/workspace/${workspaceId}/files`, {
         headers: { Authorization: `Bearer ${token}` },
-        params: { path, ref: selectedBranch }
+        params: { path, ref: selectedBranch, repo: repositoryId }
       });
       
       setFiles(response.data.files);
@@ -69,7 +80,7 @@ const CodebaseViewer = ({ workspaceId }) => {
       const token = localStorage.getItem('token');
       const response = await axios.get(`http://localhost:5000/api/github/workspace/${workspaceId}/file-content`, {
         headers: { Authorization: `Bearer ${token}` },
-        params: { path: filePath, ref: selectedBranch }
+        params: { path: filePath, ref: selectedBranch, repo: repositoryId }
       });
       
       setFileContent(response.data.file);
@@ -223,186 +234,256 @@ const CodebaseViewer = ({ workspaceId }) => {
   };
 
   return (
-    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 h-full">
-      {/* File Explorer */}
-      <div className="bg-white rounded-lg shadow-sm border border-gray-200">
-        <div className="p-4 border-b border-gray-200">
-          <div className="flex items-center justify-between mb-4">
-            <h3 className="text-lg font-semibold text-gray-900">Repository Files</h3>
-            <div className="flex items-center space-x-2">
-              <select
-                value={selectedBranch}
-                onChange={(e) => setSelectedBranch(e.target.value)}
-                disabled={loading.branches}
-                className="text-sm border border-gray-300 rounded-md px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
-              >
-                {branches.map((branch) => (
-                  <option key={branch.name} value={branch.name}>
-                    {branch.name}
-                  </option>
-                ))}
-              </select>
-            </div>
-          </div>
+    <div className="space-y-4 h-full">
+      <div className="flex space-x-2">
+        {[['browse', 'Browse files'], ['compare', 'Compare']].map(([value, label]) => (
+          <button
+            key={value}
+            onClick={() => setMode(value)}
+            className={`px-3 py-1.5 rounded-md text-sm font-medium transition-colors ${
+              mode === value ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {mode === 'compare' ? (
+        <CompareView
+          workspaceId={workspaceId}
+          repositoryId={repositoryId}
+          branches={branches}
+          defaultBranch={repository?.defaultBranch}
+        />
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 h-full">
+          {/* File Explorer */}
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+            <div className="p-4 border-b border-gray-200">
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-semibold text-gray-900">Repository Files</h3>
+                <div className="flex items-center space-x-2">
+                  {repositories.length > 1 && (
+                    <select
+                      value={repositoryId}
+                      onChange={(e) => onRepositoryChange(e.target.value)}
+                      className="text-sm border border-gray-300 rounded-md px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      {repositories.map((repo) => (
+                        <option key={repo.repositoryId} value={repo.repositoryId}>
+                          {repo.label}
+                        </option>
+                      ))}
+                    </select>
+                  )}
+                  <select
+                    value={selectedBranch}
+                    onChange={(e) => setSelectedBranch(e.target.value)}
+                    disabled={loading.branches}
+                    className="text-sm border border-gray-300 rounded-md px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    {branches.map((branch) => (
+                      <option key={branch.name} value={branch.name}>
+                        {branch.name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </div>
           
-          {renderBreadcrumb()}
+              {renderBreadcrumb()}
           
-          {currentPath && (
-            <button
-              onClick={handleBackClick}
-              className="flex items-center text-blue-600 hover:text-blue-800 text-sm mb-2"
-            >
-              <svg className="w-4 h-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
-              </svg>
-              Back
-            </button>
-          )}
-        </div>
-
-        <div className="p-4">
-          {loading.files ? (
-            <div className="flex justify-center py-8">
-              <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
-            </div>
-          ) : error ? (
-            <div className="text-center py-8 text-red-600">
-              {error}
-            </div>
-          ) : files.length === 0 ? (
-            <div className="text-center py-8 text-gray-500">
-              No files found
-            </div>
-          ) : (
-            <div className="space-y-2">
-              {files.map((file) => (
+              {currentPath && (
                 <button
-                  key={file.path}
-                  onClick={() => handleFileClick(file)}
-                  className={`w-full text-left p-3 rounded-lg hover:bg-gray-50 transition-colors border ${
-                    selectedFile === file.path 
-                      ? 'border-blue-200 bg-blue-50' 
-                      : 'border-transparent'
-                  }`}
+                  onClick={handleBackClick}
+                  className="flex items-center text-blue-600 hover:text-blue-800 text-sm mb-2"
                 >
-                  <div className="flex items-center justify-between">
-                    <div className="flex items-center space-x-3 flex-1 min-w-0">
-                      <span className="text-lg flex-shrink-0">
-                        {getFileIcon(file)}
-                      </span>
-                      <div className="flex-1 min-w-0">
-                        <div className="font-medium text-gray-900 truncate">
-                          {file.name}
-                        </div>
-                        {file.type === 'file' && (
-                          <div className="text-xs text-gray-500">
-                            {formatFileSize(file.size)}
+                  <svg className="w-4 h-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+                  </svg>
+                  Back
+                </button>
+              )}
+            </div>
+
+            <div className="p-4">
+              {loading.files ? (
+                <div className="flex justify-center py-8">
+                  <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
+                </div>
+              ) : error ? (
+                <div className="text-center py-8 text-red-600">
+                  {error}
+                </div>
+              ) : files.length === 0 ? (
+                <div className="text-center py-8 text-gray-500">
+                  No files found
+                </div>
+              ) : (
+                <div className="space-y-2">
+                  {files.map((file) => (
+                    <button
+                      key={file.path}
+                      onClick={() => handleFileClick(file)}
+                      className={`w-full text-left p-3 rounded-lg hover:bg-gray-50 transition-colors border ${
+                        selectedFile === file.path 
+                          ? 'border-blue-200 bg-blue-50' 
+                          : 'border-transparent'
+                      }`}
+                    >
+                      <div className="flex items-center justify-between">
+                        <div className="flex items-center space-x-3 flex-1 min-w-0">
+                          <span className="text-lg flex-shrink-0">
+                            {getFileIcon(file)}
+                          </span>
+                          <div className="flex-1 min-w-0">
+                            <div className="font-medium text-gray-900 truncate">
+                              {file.name}
+                            </div>
+                            {file.type === 'file' && (
+                              <div className="text-xs text-gray-500">
+                                {formatFileSize(file.size)}
+                              </div>
+                            )}
                           </div>
+                        </div>
+                        {file.type === 'dir' && (
+                          <svg className="w-4 h-4 text-gray-400 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+                          </svg>
                         )}
                       </div>
-                    </div>
-                    {file.type === 'dir' && (
-                      <svg className="w-4 h-4 text-gray-400 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
-                      </svg>
-                    )}
-                  </div>
-                </button>
-              ))}
+                    </button>
+                  ))}
+                </div>
+              )}
             </div>
-          )}
-        </div>
-      </div>
+          </div>
 
-      {/* File Viewer */}
-      <div className="bg-white rounded-lg shadow-sm border border-gray-200">
-        <div className="p-4 border-b border-gray-200">
-          <h3 className="text-lg font-semibold text-gray-900">
-            {selectedFile ? (
-              <span className="flex items-center">
-                <span className="mr-2">{getFileIcon({ name: selectedFile, type: 'file' })}</span>
-                {selectedFile.split('/').pop()}
-              </span>
-            ) : (
-              'Select a file to view'
-            )}
-          </h3>
-          {fileContent && (
-            <div className="mt-2 text-sm text-gray-500">
-              {formatFileSize(fileContent.size)} • {getLanguageFromExtension(fileContent.extension)}
+          {/* File Viewer */}
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+            <div className="p-4 border-b border-gray-200">
+              <h3 className="text-lg font-semibold text-gray-900">
+                {selectedFile ? (
+                  <span className="flex items-center">
+                    <span className="mr-2">{getFileIcon({ name: selectedFile, type: 'file' })}</span>
+                    {selectedFile.split('/').pop()}
+                  </span>
+                ) : (
+                  'Select a file to view'
+                )}
+              </h3>
+              {fileContent && (
+                <div className="mt-2 text-sm text-gray-500">
+                  {formatFileSize(fileContent.size)} • {getLanguageFromExtension(fileContent.extension)}
+                </div>
+              )}
             </div>
-          )}
-        </div>
 
-        <div className="p-4">
-          {loading.content ? (
-            <div className="flex justify-center py-8">
-              <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
-            </div>
-          ) : !selectedFile ? (
-            <div className="text-center py-8 text-gray-500">
-              <svg className="mx-auto h-12 w-12 text-gray-400 mb-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
-              </svg>
-              <p>Select a file from the explorer to view its contents</p>
-            </div>
-          ) : fileContent?.isBinary ? (
-            <div className="text-center py-8">
-              <svg className="mx-auto h-12 w-12 text-gray-400 mb-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
-              </svg>
-              <p className="text-gray-500 mb-4">Binary file cannot be displayed</p>
-              <a
-                href={fileContent.downloadUrl}
-                target="_blank"
-                rel="noopener noreferrer"
-                className="inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
-              >
-                <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
-                </svg>
-                Download File
-              </a>
-            </div>
-          ) : fileContent ? (
-            <div className="relative">
-              <div className="flex items-center justify-between mb-4">
-                <div className="flex items-center space-x-2">
-                  <span className="text-sm text-gray-500">
-                    {fileContent.content.split('\n').length} lines
-                  </span>
+            <div className="p-4">
+              {loading.content ? (
+                <div className="flex justify-center py-8">
+                  <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
                 </div>
-                <div className="flex items-center space-x-2">
-                  <a
-                    href={fileContent.htmlUrl}
-                    target="_blank"
-                    rel="noopener noreferrer"
-                    className="text-sm text-blue-600 hover:text-blue-800"
-                  >
-                    View on GitHub
-                  </a>
+              ) : !selectedFile ? (
+                <div className="text-center py-8 text-gray-500">
+                  <svg className="mx-auto h-12 w-12 text-gray-400 mb-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+                  </svg>
+                  <p>Select a file from the explorer to view its contents</p>
+                </div>
+              ) : fileContent?.isBinary ? (
+                <div className="text-center py-8">
+                  <svg className="mx-auto h-12 w-12 text-gray-400 mb-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+                  </svg>
+                  <p className="text-gray-500 mb-4">Binary file cannot be displayed</p>
                   <a
                     href={fileContent.downloadUrl}
                     target="_blank"
                     rel="noopener noreferrer"
-                    className="text-sm text-blue-600 hover:text-blue-800"
+                    className="inline-flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
                   >
-                    Download
+                    <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+                    </svg>
+                    Download File
                   </a>
                 </div>
-              </div>
+              ) : fileContent ? (
+                <div className="relative">
+                  <div className="flex items-center justify-between mb-4">
+                    <div className="flex items-center space-x-3">
+                      <span className="text-sm text-gray-500">
+                        {fileContent.content.split('\n').length} lines
+                      </span>
+                      <div className="flex rounded-md border border-gray-300 overflow-hidden">
+                        {[['code', 'Code'], ['blame', 'Blame'], ['history', 'History']].map(([value, label]) => (
+                          <button
+                            key={value}
+                            onClick={() => setFileView(value)}
+                            className={`px-2 py-1 text-xs ${fileView === value ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+                          >
+                            {label}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                    <div className="flex items-center space-x-2">
+                      {fileContent.htmlUrl && (
+                        <a
+                          href={fileContent.htmlUrl}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="text-sm text-blue-600 hover:text-blue-800"
+                        >
+                          View on {repository?.provider === 'gitlab' ? 'GitLab' : 'GitHub'}
+                        </a>
+                      )}
+                      {fileContent.downloadUrl && (
+                        <a
+                          href={fileContent.downloadUrl}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="text-sm text-blue-600 hover:text-blue-800"
+                        >
+                          Download
+                        </a>
+                      )}
+                    </div>
+                  </div>
               
-              <div className="bg-gray-50 rounded-lg border overflow-hidden">
-                <pre className="p-4 text-sm font-mono overflow-x-auto whitespace-pre-wrap max-h-96 overflow-y-auto">
-                  <code className={`language-${getLanguageFromExtension(fileContent.extension)}`}>
-                    {fileContent.content}
-                  </code>
-                </pre>
-              </div>
+                  {fileView === 'blame' ? (
+                    <BlameView
+                      workspaceId={workspaceId}
+                      repositoryId={repositoryId}
+                      path={fileContent.path}
+                      gitRef={selectedBranch}
+                      content={fileContent.content}
+                    />
+                  ) : fileView === 'history' ? (
+                    <FileHistory
+                      workspaceId={workspaceId}
+                      repositoryId={repositoryId}
+                      path={fileContent.path}
+                      gitRef={selectedBranch}
+                    />
+                  ) : (
+                    <div className="bg-gray-50 rounded-lg border overflow-hidden">
+                      <pre className="p-4 text-sm font-mono overflow-x-auto whitespace-pre-wrap max-h-96 overflow-y-auto">
+                        <code className={`language-${getLanguageFromExtension(fileContent.extension)}`}>
+                          {fileContent.content}
+                        </code>
+                      </pre>
+                    </div>
+                  )}
+                </div>
+              ) : null}
             </div>
-          ) : null}
+          </div>
         </div>
-      </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,272 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import DiffViewer from './DiffViewer';
+
+const STATUS_BADGES = {
+  added: { letter: 'A', className: 'bg-green-100 text-green-700' },
+  removed: { letter: 'D', className: 'bg-red-100 text-red-700' },
+  modified: { letter: 'M', className: 'bg-yellow-100 text-yellow-700' },
+  renamed: { letter: 'R', className: 'bg-blue-100 text-blue-700' },
+  copied: { letter: 'C', className: 'bg-blue-100 text-blue-700' },
+  changed: { letter: 'M', className: 'bg-yellow-100 text-yellow-700' },
+  unchanged: { letter: 'U', className: 'bg-gray-100 text-gray-600' }
+};
+
+// "<head> is ... <base>"
+const describeStatus = ({ status, aheadBy, behindBy }) => {
+  if (status === 'diverged') return `${aheadBy} commit(s) ahead of and ${behindBy} behind`;
+  if (status === 'ahead') return `${aheadBy} commit(s) ahead of`;
+  if (status === 'behind') return `${behindBy} commit(s) behind`;
+  return 'identical to';
+};
+
+// What changed between two refs of one repository: the commits on head and a
+// diff per changed file. Refs can be branches, tags or commit SHAs.
+const CompareView = ({ workspaceId, repositoryId, branches = [], defaultBranch }) => {
+  const [base, setBase] = useState(defaultBranch || '');
+  const [head, setHead] = useState(branches.find(branch => branch.name !== defaultBranch)?.name || '');
+  const [comparison, setComparison] = useState(null);
+  const [selectedFile, setSelectedFile] = useState(null);
+  const [viewMode, setViewMode] = useState('unified');
+  const [showCommits, setShowCommits] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleCompare = async (e) => {
+    e.preventDefault();
+    if (!base.trim() || !head.trim()) return;
+
+    setLoading(true);
+    setError('');
+
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.get(`http://localhost:5000/api/github/workspace/${workspaceId}/compare`, {
+        headers: { Authorization: `Bearer ${token}` },
+        params: { base: base.trim(), head: head.trim(), repo: repositoryId }
+      });
+
+      setComparison(response.data.comparison);
+      setSelectedFile(response.data.comparison.files[0]?.filename || null);
+    } catch (error) {
+      console.error('Error comparing refs:', error);
+      setError(error.response?.data?.message || 'Failed to compare refs');
+      setComparison(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSwap = () => {
+    setBase(head);
+    setHead(base);
+  };
+
+  const files = comparison?.files || [];
+  const selectedIndex = files.findIndex(file => file.filename === selectedFile);
+  const file = files[selectedIndex];
+  const totals = files.reduce((sum, item) => ({
+    additions: sum.additions + item.additions,
+    deletions: sum.deletions + item.deletions
+  }), { additions: 0, deletions: 0 });
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+      <div className="p-4 border-b border-gray-200">
+        <form onSubmit={handleCompare} className="flex flex-wrap items-end gap-3">
+          <datalist id="compare-refs">
+            {branches.map((branch) => (
+              <option key={branch.name} value={branch.name} />
+            ))}
+          </datalist>
+          <div>
+            <label htmlFor="compare-base" className="block text-xs font-medium text-gray-600 mb-1">Base</label>
+            <input
+              id="compare-base"
+              list="compare-refs"
+              value={base}
+              onChange={(e) => setBase(e.target.value)}
+              placeholder="branch, tag or SHA"
+              className="text-sm border border-gray-300 rounded-md px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+          <button
+            type="button"
+            onClick={handleSwap}
+            title="Swap base and head"
+            className="text-gray-500 hover:text-gray-700 px-2 py-1"
+          >
+            ⇄
+          </button>
+          <div>
+            <label htmlFor="compare-head" className="block text-xs font-medium text-gray-600 mb-1">Compare</label>
+            <input
+              id="compare-head"
+              list="compare-refs"
+              value={head}
+              onChange={(e) => setHead(e.target.value)}
+              placeholder="branch, tag or SHA"
+              className="text-sm border border-gray-300 rounded-md px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={loading || !base.trim() || !head.trim()}
+            className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-1.5 rounded-md text-sm font-medium transition-colors disabled:opacity-50"
+          >
+            {loading ? 'Comparing...' : 'Compare'}
+          </button>
+        </form>
+
+        {comparison && (
+          <div className="mt-3 flex flex-wrap items-center justify-between gap-2 text-sm text-gray-600">
+            <div>
+              <span className="font-medium text-gray-900">{comparison.head}</span>
+              {` is ${describeStatus(comparison)} `}
+              <span className="font-medium text-gray-900">{comparison.base}</span>
+              <span className="ml-3">{files.length} file(s) changed</span>
+              <span className="ml-2 text-green-600">+{totals.additions}</span>
+              <span className="ml-1 text-red-600">-{totals.deletions}</span>
+            </div>
+            <div className="flex items-center space-x-2">
+              {comparison.url && (
+                <a href={comparison.url} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:text-blue-800">
+                  Open in provider
+                </a>
+              )}
+              <div className="flex rounded-md border border-gray-300 overflow-hidden">
+                {['unified', 'split'].map(mode => (
+                  <button
+                    key={mode}
+                    type="button"
+                    onClick={() => setViewMode(mode)}
+                    className={`px-2 py-1 text-xs capitalize ${viewMode === mode ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+                  >
+                    {mode}
+                  </button>
+                ))}
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {error && (
+        <div className="m-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded-md text-sm">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-8">
+          <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
+        </div>
+      ) : !comparison ? (
+        <div className="text-center py-8 text-gray-500 text-sm">
+          Pick two branches, tags or commits to see what changed between them
+        </div>
+      ) : (
+        <div>
+          {/* Commits */}
+          <div className="px-4 py-2 border-b border-gray-200">
+            <button
+              type="button"
+              onClick={() => setShowCommits(prev => !prev)}
+              className="text-sm font-medium text-gray-700 hover:text-gray-900"
+            >
+              {showCommits ? '▾' : '▸'} {comparison.totalCommits} commit(s)
+              {comparison.commits.length < comparison.totalCommits && ` (${comparison.commits.length} shown)`}
+            </button>
+            {showCommits && (
+              <ul className="mt-2 space-y-1 max-h-48 overflow-y-auto">
+                {comparison.commits.map(commit => (
+                  <li key={commit.sha} className="flex items-center space-x-3 text-sm">
+                    {commit.url ? (
+                      <a href={commit.url} target="_blank" rel="noopener noreferrer" className="font-mono text-xs text-blue-600 hover:text-blue-800">
+                        {commit.shortSha}
+                      </a>
+                    ) : (
+                      <span className="font-mono text-xs text-gray-500">{commit.shortSha}</span>
+                    )}
+                    <span className="text-gray-900 truncate flex-1">{commit.message.split('\n')[0]}</span>
+                    <span className="text-xs text-gray-500 flex-shrink-0">{commit.author.login || commit.author.name}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          {files.length === 0 ? (
+            <div className="text-center py-8 text-gray-500 text-sm">No files changed</div>
+          ) : (
+            <div className="grid grid-cols-1 lg:grid-cols-4">
+              {/* Changed files */}
+              <div className="border-r border-gray-200 max-h-[32rem] overflow-y-auto">
+                {files.map(item => {
+                  const badge = STATUS_BADGES[item.status] || STATUS_BADGES.modified;
+                  return (
+                    <button
+                      key={item.filename}
+                      type="button"
+                      onClick={() => setSelectedFile(item.filename)}
+                      className={`w-full text-left px-3 py-2 text-sm flex items-center space-x-2 hover:bg-gray-50 ${
+                        item.filename === selectedFile ? 'bg-blue-50' : ''
+                      }`}
+                    >
+                      <span className={`w-5 h-5 flex-shrink-0 rounded text-xs font-bold flex items-center justify-center ${badge.className}`}>
+                        {badge.letter}
+                      </span>
+                      <span className="truncate flex-1" title={item.filename}>{item.filename}</span>
+                      <span className="text-xs text-green-600">+{item.additions}</span>
+                      <span className="text-xs text-red-600">-{item.deletions}</span>
+                    </button>
+                  );
+                })}
+              </div>
+
+              {/* Diff */}
+              <div className="lg:col-span-3 min-w-0">
+                {file && (
+                  <>
+                    <div className="flex items-center justify-between px-4 py-2 border-b border-gray-200 bg-gray-50">
+                      <div className="text-sm font-mono text-gray-900 truncate">
+                        {file.previousFilename && (
+                          <span className="text-gray-500">{file.previousFilename} → </span>
+                        )}
+                        {file.filename}
+                      </div>
+                      <div className="flex items-center space-x-2 flex-shrink-0 text-sm">
+                        <button
+                          type="button"
+                          onClick={() => setSelectedFile(files[selectedIndex - 1].filename)}
+                          disabled={selectedIndex === 0}
+                          className="px-2 py-0.5 text-gray-600 hover:text-gray-900 disabled:opacity-30"
+                        >
+                          ← Prev
+                        </button>
+                        <span className="text-xs text-gray-500">{selectedIndex + 1} / {files.length}</span>
+                        <button
+                          type="button"
+                          onClick={() => setSelectedFile(files[selectedIndex + 1].filename)}
+                          disabled={selectedIndex === files.length - 1}
+                          className="px-2 py-0.5 text-gray-600 hover:text-gray-900 disabled:opacity-30"
+                        >
+                          Next →
+                        </button>
+                      </div>
+                    </div>
+                    <div className="max-h-[32rem] overflow-y-auto">
+                      <DiffViewer file={file} mode={viewMode} />
+                    </div>
+                  </>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CompareView;
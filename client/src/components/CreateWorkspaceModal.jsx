@@ -1,16 +1,46 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import axios from 'axios';
 
+const today = () => new Date().toISOString().slice(0, 10);
+
+const emptyForm = () => ({
+  name: '',
+  description: '',
+  inviteEmails: '',
+  startFrom: '',
+  startDate: today()
+});
+
 const CreateWorkspaceModal = ({ isOpen, onClose, onWorkspaceCreated }) => {
-  const [formData, setFormData] = useState({
-    name: '',
-    description: '',
-    inviteEmails: ''
-  });
+  const [formData, setFormData] = useState(emptyForm);
+  const [templates, setTemplates] = useState([]);
+  const [ownedWorkspaces, setOwnedWorkspaces] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
 
-  const { name, description, inviteEmails } = formData;
+  const { name, description, inviteEmails, startFrom, startDate } = formData;
+
+  // Options for "Start from": the user's templates and the workspaces they own
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const fetchStartingPoints = async () => {
+      try {
+        const token = localStorage.getItem('token');
+        const headers = { Authorization: `Bearer ${token}` };
+        const [templatesResponse, workspacesResponse] = await Promise.all([
+          axios.get('http://localhost:5000/api/templates', { headers }),
+          axios.get('http://localhost:5000/api/workspaces', { headers })
+        ]);
+        setTemplates(templatesResponse.data.templates);
+        setOwnedWorkspaces(workspacesResponse.data.workspaces.filter(workspace => workspace.role === 'Creator'));
+      } catch (err) {
+        console.error('Error fetching templates:', err);
+      }
+    };
+
+    fetchStartingPoints();
+  }, [isOpen]);
 
   const onChange = (e) => {
     setFormData({ ...formData, [e.target.name]: e.target.value });
@@ -45,13 +75,19 @@ const CreateWorkspaceModal = ({ isOpen, onClose, onWorkspaceCreated }) => {
         return;
       }
 
+      // startFrom is "template:<id>" or "workspace:<id>"
+      const [sourceType, sourceId] = startFrom.split(':');
+
       const token = localStorage.getItem('token');
       const response = await axios.post(
         'http://localhost:5000/api/workspaces',
         {
           name: name.trim(),
           description: description.trim(),
-          invites
+          invites,
+          templateId: sourceType === 'template' ? sourceId : undefined,
+          cloneFrom: sourceType === 'workspace' ? sourceId : undefined,
+          startDate: startFrom ? startDate : undefined
         },
         {
           headers: { Authorization: `Bearer ${token}` }
@@ -59,7 +95,7 @@ const CreateWorkspaceModal = ({ isOpen, onClose, onWorkspaceCreated }) => {
       );
 
       // Success - close modal and refresh workspace list
-      setFormData({ name: '', description: '', inviteEmails: '' });
+      setFormData(emptyForm());
       onWorkspaceCreated(response.data.workspace);
       onClose();
     } catch (err) {
@@ -71,7 +107,7 @@ const CreateWorkspaceModal = ({ isOpen, onClose, onWorkspaceCreated }) => {
 
   const handleClose = () => {
     if (!loading) {
-      setFormData({ name: '', description: '', inviteEmails: '' });
+      setFormData(emptyForm());
       setError('');
       onClose();
     }
@@ -142,6 +178,63 @@ const CreateWorkspaceModal = ({ isOpen, onClose, onWorkspaceCreated }) => {
               />
             </div>
 
+            {/* Start From */}
+            {(templates.length > 0 || ownedWorkspaces.length > 0) && (
+              <div>
+                <label htmlFor="startFrom" className="block text-sm font-medium text-gray-700 mb-2">
+                  Start From
+                </label>
+                <select
+                  id="startFrom"
+                  name="startFrom"
+                  value={startFrom}
+                  onChange={onChange}
+                  disabled={loading}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-100 disabled:cursor-not-allowed"
+                >
+                  <option value="">Blank workspace</option>
+                  {templates.length > 0 && (
+                    <optgroup label="My templates">
+                      {templates.map(template => (
+                        <option key={template.id} value={`template:${template.id}`}>
+                          {template.name}
+                        </option>
+                      ))}
+                    </optgroup>
+                  )}
+                  {ownedWorkspaces.length > 0 && (
+                    <optgroup label="Clone a workspace">
+                      {ownedWorkspaces.map(workspace => (
+                        <option key={workspace.id} value={`workspace:${workspace.id}`}>
+                          {workspace.name}
+                        </option>
+                      ))}
+                    </optgroup>
+                  )}
+                </select>
+              </div>
+            )}
+
+            {startFrom && (
+              <div>
+                <label htmlFor="startDate" className="block text-sm font-medium text-gray-700 mb-2">
+                  Start Date
+                </label>
+                <input
+                  type="date"
+                  id="startDate"
+                  name="startDate"
+                  value={startDate}
+                  onChange={onChange}
+                  disabled={loading}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-100 disabled:cursor-not-allowed"
+                />
+                <p className="mt-1 text-xs text-gray-500">
+                  Timeline events and task due dates are shifted to start on this day
+                </p>
+              </div>
+            )}
+
             {/* Invite Members */}
             <div>
               <label htmlFor="inviteEmails" className="block text-sm font-medium text-gray-700 mb-2">
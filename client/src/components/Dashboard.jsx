@@ -3,25 +3,39 @@ import { useNavigate } from 'react-router-dom';
 import axios from 'axios';
 import { useAuth } from '../context/AuthContext';
 import CreateWorkspaceModal from './CreateWorkspaceModal';
+import SessionsModal from './SessionsModal';
+import TwoFactorModal from './TwoFactorModal';
+import AccessTokensModal from './AccessTokensModal';
+import DeleteWorkspaceModal from './DeleteWorkspaceModal';
+import ImportWorkspaceModal from './ImportWorkspaceModal';
 
 const Dashboard = () => {
   const navigate = useNavigate();
-  const { logout, user } = useAuth();
+  const { logout, user, securityNotices, dismissSecurityNotices } = useAuth();
   const [workspaces, setWorkspaces] = useState([]);
   const [pendingInvites, setPendingInvites] = useState([]);
   const [loading, setLoading] = useState({ workspaces: true, invites: true });
   const [showCreateModal, setShowCreateModal] = useState(false);
+  const [showSessionsModal, setShowSessionsModal] = useState(false);
+  const [showTwoFactorModal, setShowTwoFactorModal] = useState(false);
+  const [showTokensModal, setShowTokensModal] = useState(false);
+  const [showArchived, setShowArchived] = useState(false);
+  const [deletedWorkspaces, setDeletedWorkspaces] = useState([]);
+  const [workspaceToDelete, setWorkspaceToDelete] = useState(null);
+  const [showImportModal, setShowImportModal] = useState(false);
 
   useEffect(() => {
     fetchWorkspaces();
     fetchPendingInvites();
+    fetchDeletedWorkspaces();
   }, []);
 
-  const fetchWorkspaces = async () => {
+  const fetchWorkspaces = async (includeArchived = false) => {
     try {
       const token = localStorage.getItem('token');
       const response = await axios.get('http://localhost:5000/api/workspaces', {
-        headers: { Authorization: `Bearer ${token}` }
+        headers: { Authorization: `Bearer ${token}` },
+        params: includeArchived ? { includeArchived: true } : {}
       });
       setWorkspaces(response.data.workspaces || []);
     } catch (error) {
@@ -31,6 +45,92 @@ const Dashboard = () => {
     }
   };
 
+  const fetchDeletedWorkspaces = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.get('http://localhost:5000/api/workspaces/trash', {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setDeletedWorkspaces(response.data.workspaces || []);
+    } catch (error) {
+      console.error('Error fetching deleted workspaces:', error);
+    }
+  };
+
+  const toggleShowArchived = () => {
+    const next = !showArchived;
+    setShowArchived(next);
+    fetchWorkspaces(next);
+  };
+
+  const setArchived = async (workspace, archived) => {
+    if (archived && !window.confirm(`Archive "${workspace.name}"? It becomes read-only and is hidden from your dashboard.`)) {
+      return;
+    }
+
+    try {
+      const token = localStorage.getItem('token');
+      await axios.post(
+        `http://localhost:5000/api/workspaces/${workspace.id}/${archived ? 'archive' : 'unarchive'}`,
+        {},
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      await fetchWorkspaces(showArchived);
+    } catch (error) {
+      console.error('Error updating archive state:', error);
+      alert(error.response?.data?.message || 'Failed to update workspace');
+    }
+  };
+
+  const exportWorkspace = async (workspace) => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.get(`http://localhost:5000/api/workspaces/${workspace.id}/export`, {
+        headers: { Authorization: `Bearer ${token}` },
+        params: { format: 'gzip' },
+        responseType: 'blob'
+      });
+
+      const filename = response.headers['content-disposition']?.match(/filename="(.+)"/)?.[1] || 'workspace.echohub.json.gz';
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting workspace:', error);
+      alert('Failed to export workspace');
+    }
+  };
+
+  const handleWorkspaceImported = async (result) => {
+    setShowImportModal(false);
+    await fetchWorkspaces(showArchived);
+    alert(result.message);
+  };
+
+  const handleWorkspaceDeleted = async (result) => {
+    setWorkspaceToDelete(null);
+    await fetchWorkspaces(showArchived);
+    await fetchDeletedWorkspaces();
+    alert(result.message);
+  };
+
+  const restoreWorkspace = async (workspaceId) => {
+    try {
+      const token = localStorage.getItem('token');
+      await axios.post(`http://localhost:5000/api/workspaces/${workspaceId}/restore`, {}, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      await fetchWorkspaces(showArchived);
+      await fetchDeletedWorkspaces();
+    } catch (error) {
+      console.error('Error restoring workspace:', error);
+      alert(error.response?.data?.message || 'Failed to restore workspace');
+    }
+  };
+
   const fetchPendingInvites = async () => {
     try {
       const token = localStorage.getItem('token');
@@ -64,6 +164,19 @@ const Dashboard = () => {
     }
   };
 
+  const resendVerification = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.post('http://localhost:5000/api/auth/resend-verification', {}, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      alert(response.data.message);
+    } catch (error) {
+      console.error('Error resending verification email:', error);
+      alert(error.response?.data?.message || 'Failed to send verification email');
+    }
+  };
+
   const acceptInvite = async (inviteId) => {
     try {
       const token = localStorage.getItem('token');
@@ -74,7 +187,7 @@ const Dashboard = () => {
       console.log('Invite accepted:', response.data);
       
       // Refresh both workspaces and pending invites
-      await fetchWorkspaces();
+      await fetchWorkspaces(showArchived);
       await fetchPendingInvites();
       
       // Show success message
@@ -140,6 +253,33 @@ const Dashboard = () => {
                   <p className="text-xs text-gray-500">{user?.name}</p>
                 </div>
               </div>
+              <button
+                onClick={() => setShowTokensModal(true)}
+                className="text-gray-600 hover:text-gray-900 bg-white/60 hover:bg-white px-4 py-2.5 rounded-xl text-sm font-medium transition-all duration-200 shadow flex items-center space-x-2"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 20l4-16m4 4l4 4-4 4M6 16l-4-4 4-4" />
+                </svg>
+                <span>API Tokens</span>
+              </button>
+              <button
+                onClick={() => setShowTwoFactorModal(true)}
+                className="text-gray-600 hover:text-gray-900 bg-white/60 hover:bg-white px-4 py-2.5 rounded-xl text-sm font-medium transition-all duration-200 shadow flex items-center space-x-2"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.04A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z" />
+                </svg>
+                <span>{user?.twoFactorEnabled ? '2FA On' : 'Enable 2FA'}</span>
+              </button>
+              <button
+                onClick={() => setShowSessionsModal(true)}
+                className="text-gray-600 hover:text-gray-900 bg-white/60 hover:bg-white px-4 py-2.5 rounded-xl text-sm font-medium transition-all duration-200 shadow flex items-center space-x-2"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9.75 17L9 20l-1 1h8l-1-1-.75-3M3 13h18M5 17h14a2 2 0 002-2V5a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" />
+                </svg>
+                <span>Devices</span>
+              </button>
               <button
                 onClick={logout}
                 className="group bg-gradient-to-r from-red-500 to-red-600 hover:from-red-600 hover:to-red-700 text-white px-6 py-2.5 rounded-xl text-sm font-medium transition-all duration-200 transform hover:scale-105 shadow-lg hover:shadow-xl flex items-center space-x-2"
@@ -155,6 +295,47 @@ const Dashboard = () => {
       </header>
 
       <main className="max-w-7xl mx-auto py-8 sm:px-6 lg:px-8">
+        {/* Security Notices (e.g. lockouts since the last login) */}
+        {securityNotices.length > 0 && (
+          <div className="mb-6 bg-red-50 border border-red-200 rounded-2xl px-6 py-4 flex items-start justify-between">
+            <div className="text-red-800 text-sm space-y-1">
+              <p className="font-semibold">Security alert</p>
+              {securityNotices.map((notice, index) => (
+                <p key={index}>
+                  Your account was locked on {new Date(notice.occurredAt).toLocaleString()} after too many failed sign-in attempts
+                  {notice.ipAddress && ` from ${notice.ipAddress}`}. If this wasn't you, change your password.
+                </p>
+              ))}
+            </div>
+            <button
+              onClick={dismissSecurityNotices}
+              className="ml-4 text-sm font-medium text-red-900 bg-red-100 hover:bg-red-200 px-4 py-2 rounded-xl transition-colors"
+            >
+              Dismiss
+            </button>
+          </div>
+        )}
+
+        {/* Email Verification Notice */}
+        {user && !user.emailVerified && (
+          <div className="mb-6 bg-yellow-50 border border-yellow-200 rounded-2xl px-6 py-4 flex items-center justify-between">
+            <div className="flex items-center space-x-3 text-yellow-800">
+              <svg className="w-5 h-5 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 8l7.89 7.89a2 2 0 002.83 0L21 8M5 19h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" />
+              </svg>
+              <span className="text-sm">
+                Please verify <strong>{user.email}</strong> to accept workspace invitations.
+              </span>
+            </div>
+            <button
+              onClick={resendVerification}
+              className="text-sm font-medium text-yellow-900 bg-yellow-100 hover:bg-yellow-200 px-4 py-2 rounded-xl transition-colors"
+            >
+              Resend email
+            </button>
+          </div>
+        )}
+
         {/* Welcome Banner */}
         <div className="mb-10 bg-gradient-to-r from-blue-600 via-purple-600 to-indigo-700 rounded-3xl p-8 shadow-2xl text-white relative overflow-hidden">
           <div className="absolute top-0 right-0 w-40 h-40 bg-white/10 rounded-full -mr-20 -mt-20"></div>
@@ -186,17 +367,34 @@ const Dashboard = () => {
               <h2 className="text-2xl font-bold text-gray-900 mb-2">Your Workspaces</h2>
               <p className="text-gray-600">Organize your projects and collaborate with your team</p>
             </div>
-            <button
-              onClick={() => setShowCreateModal(true)}
-              className="group bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 text-white px-6 py-3 rounded-xl font-medium transition-all duration-200 transform hover:scale-105 shadow-lg hover:shadow-xl flex items-center space-x-3"
-            >
-              <div className="bg-white/20 rounded-lg p-1">
-                <svg className="w-5 h-5 group-hover:rotate-90 transition-transform duration-200" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
-                </svg>
-              </div>
-              <span>Create Workspace</span>
-            </button>
+            <div className="flex items-center space-x-6">
+              <label className="flex items-center space-x-2 text-sm text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={showArchived}
+                  onChange={toggleShowArchived}
+                  className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                />
+                <span>Show archived</span>
+              </label>
+              <button
+                onClick={() => setShowImportModal(true)}
+                className="text-sm font-medium text-gray-600 hover:text-gray-900"
+              >
+                Import
+              </button>
+              <button
+                onClick={() => setShowCreateModal(true)}
+                className="group bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 text-white px-6 py-3 rounded-xl font-medium transition-all duration-200 transform hover:scale-105 shadow-lg hover:shadow-xl flex items-center space-x-3"
+              >
+                <div className="bg-white/20 rounded-lg p-1">
+                  <svg className="w-5 h-5 group-hover:rotate-90 transition-transform duration-200" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+                  </svg>
+                </div>
+                <span>Create Workspace</span>
+              </button>
+            </div>
           </div>
 
           {loading.workspaces ? (
@@ -239,13 +437,20 @@ const Dashboard = () => {
                         </h4>
                       </div>
                     </div>
-                    <span className={`px-3 py-1.5 text-xs font-semibold rounded-full shadow-sm ${
-                      workspace.role === 'Creator' 
-                        ? 'bg-gradient-to-r from-blue-100 to-blue-200 text-blue-800 border border-blue-200' 
-                        : 'bg-gradient-to-r from-green-100 to-green-200 text-green-800 border border-green-200'
-                    }`}>
-                      {workspace.role}
-                    </span>
+                    <div className="flex flex-col items-end space-y-2">
+                      <span className={`px-3 py-1.5 text-xs font-semibold rounded-full shadow-sm ${
+                        workspace.role === 'Creator' 
+                          ? 'bg-gradient-to-r from-blue-100 to-blue-200 text-blue-800 border border-blue-200' 
+                          : 'bg-gradient-to-r from-green-100 to-green-200 text-green-800 border border-green-200'
+                      }`}>
+                        {workspace.role}
+                      </span>
+                      {workspace.archivedAt && (
+                        <span className="px-3 py-1 text-xs font-semibold rounded-full bg-gray-200 text-gray-700">
+                          Archived
+                        </span>
+                      )}
+                    </div>
                   </div>
                   <p className="text-gray-600 text-sm mb-6 line-clamp-3 leading-relaxed">
                     {workspace.description || 'No description provided'}
@@ -259,10 +464,60 @@ const Dashboard = () => {
                       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
                     </svg>
                   </button>
+                  {workspace.role === 'Creator' && (
+                    <div className="flex justify-between mt-4 text-sm">
+                      <button
+                        onClick={() => setArchived(workspace, !workspace.archivedAt)}
+                        className="text-gray-500 hover:text-gray-800 font-medium"
+                      >
+                        {workspace.archivedAt ? 'Unarchive' : 'Archive'}
+                      </button>
+                      <button
+                        onClick={() => exportWorkspace(workspace)}
+                        className="text-gray-500 hover:text-gray-800 font-medium"
+                      >
+                        Export
+                      </button>
+                      <button
+                        onClick={() => setWorkspaceToDelete(workspace)}
+                        className="text-red-500 hover:text-red-700 font-medium"
+                      >
+                        Delete
+                      </button>
+                    </div>
+                  )}
                 </div>
               ))}
             </div>
           )}
+
+          {/* Recently Deleted Workspaces */}
+          {deletedWorkspaces.length > 0 && (
+            <div className="mt-10 bg-white/60 backdrop-blur-sm rounded-2xl border border-white/20 shadow-lg p-6">
+              <h3 className="text-lg font-semibold text-gray-900 mb-1">Recently deleted</h3>
+              <p className="text-sm text-gray-600 mb-4">
+                These workspaces are permanently removed on the date shown unless you restore them.
+              </p>
+              <div className="space-y-3">
+                {deletedWorkspaces.map(workspace => (
+                  <div key={workspace.id} className="flex items-center justify-between p-4 bg-white rounded-xl border border-gray-200">
+                    <div>
+                      <p className="font-medium text-gray-900">{workspace.name}</p>
+                      <p className="text-xs text-gray-500">
+                        Purged on {new Date(workspace.purgeAt).toLocaleString()}
+                      </p>
+                    </div>
+                    <button
+                      onClick={() => restoreWorkspace(workspace.id)}
+                      className="px-4 py-2 text-sm font-medium text-blue-600 bg-blue-50 hover:bg-blue-100 rounded-lg transition-colors"
+                    >
+                      Restore
+                    </button>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
         </div>
 
         {/* Pending Invitations Section */}
@@ -411,6 +666,45 @@ const Dashboard = () => {
           onWorkspaceCreated={handleWorkspaceCreated}
         />
       )}
+
+      {/* Active Sessions Modal */}
+      {showSessionsModal && (
+        <SessionsModal
+          isOpen={showSessionsModal}
+          onClose={() => setShowSessionsModal(false)}
+        />
+      )}
+
+      {/* Two-Factor Authentication Modal */}
+      {showTwoFactorModal && (
+        <TwoFactorModal
+          isOpen={showTwoFactorModal}
+          onClose={() => setShowTwoFactorModal(false)}
+        />
+      )}
+
+      {/* Delete Workspace Confirmation */}
+      <DeleteWorkspaceModal
+        isOpen={!!workspaceToDelete}
+        onClose={() => setWorkspaceToDelete(null)}
+        workspace={workspaceToDelete}
+        onDeleted={handleWorkspaceDeleted}
+      />
+
+      {/* Import Workspace Modal */}
+      <ImportWorkspaceModal
+        isOpen={showImportModal}
+        onClose={() => setShowImportModal(false)}
+        onImported={handleWorkspaceImported}
+      />
+
+      {/* Personal Access Tokens Modal */}
+      {showTokensModal && (
+        <AccessTokensModal
+          isOpen={showTokensModal}
+          onClose={() => setShowTokensModal(false)}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,100 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+
+const DeleteWorkspaceModal = ({ isOpen, onClose, workspace, onDeleted }) => {
+  const [confirmName, setConfirmName] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  if (!isOpen || !workspace) return null;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.delete(`http://localhost:5000/api/workspaces/${workspace.id}`, {
+        headers: { Authorization: `Bearer ${token}` },
+        data: { confirmName }
+      });
+      setConfirmName('');
+      onDeleted(response.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to delete workspace');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleClose = () => {
+    setConfirmName('');
+    setError('');
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl max-w-md w-full mx-4">
+        <form onSubmit={handleSubmit} className="p-6">
+          {/* Modal Header */}
+          <div className="flex justify-between items-center mb-4">
+            <h3 className="text-lg font-semibold text-gray-900">Delete workspace</h3>
+            <button
+              type="button"
+              onClick={handleClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+
+          {error && (
+            <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded-md text-sm">
+              {error}
+            </div>
+          )}
+
+          <p className="text-sm text-gray-600 mb-4">
+            All members lose access immediately. Chat history, tasks, timeline events, meetings,
+            invitations and onboarding paths are permanently removed once the grace period ends;
+            until then you can restore the workspace from "Recently deleted".
+          </p>
+
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Type <span className="font-semibold">{workspace.name}</span> to confirm
+          </label>
+          <input
+            type="text"
+            value={confirmName}
+            onChange={(e) => setConfirmName(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-red-500"
+            autoFocus
+          />
+
+          <div className="flex justify-end space-x-3 mt-6">
+            <button
+              type="button"
+              onClick={handleClose}
+              className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-md transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={loading || confirmName !== workspace.name}
+              className="px-4 py-2 text-sm font-medium text-white bg-red-600 hover:bg-red-700 rounded-md transition-colors disabled:opacity-50"
+            >
+              {loading ? 'Deleting...' : 'Delete workspace'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default DeleteWorkspaceModal;
@@ -0,0 +1,267 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+
+const API_URL = 'http://localhost:5000/api/github/workspace';
+
+const ECOSYSTEM_LABELS = { npm: 'npm', pypi: 'PyPI', go: 'Go' };
+
+const DRIFT_STYLES = {
+  major: 'bg-red-100 text-red-800',
+  minor: 'bg-orange-100 text-orange-800',
+  patch: 'bg-yellow-100 text-yellow-800',
+  current: 'bg-green-100 text-green-800',
+  unknown: 'bg-gray-100 text-gray-600'
+};
+
+const SummaryCard = ({ label, value, className = 'text-gray-900' }) => (
+  <div className="bg-gray-50 rounded-lg p-4">
+    <div className={`text-2xl font-bold ${className}`}>{value}</div>
+    <div className="text-xs text-gray-500 uppercase">{label}</div>
+  </div>
+);
+
+// What a repository depends on and how far behind the latest releases it is,
+// from its package.json, requirements*.txt and go.mod files
+const DependencyReport = ({ workspaceId, repositoryId }) => {
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [outdatedOnly, setOutdatedOnly] = useState(false);
+  const [expanded, setExpanded] = useState({});
+
+  const analyzeDependencies = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.get(`${API_URL}/${workspaceId}/dependencies`, {
+        headers: { Authorization: `Bearer ${token}` },
+        params: { repo: repositoryId }
+      });
+      setReport(response.data);
+      // Small repositories open fully; larger ones start collapsed
+      setExpanded(response.data.projects.length <= 2
+        ? Object.fromEntries(response.data.projects.map(project => [project.manifest, true]))
+        : {});
+    } catch (error) {
+      console.error('Error analyzing dependencies:', error);
+      setError(error.response?.data?.message || 'Failed to analyze dependencies');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleProject = (manifest) => {
+    setExpanded(prev => ({ ...prev, [manifest]: !prev[manifest] }));
+  };
+
+  const registryConfigured = report && (report.registry.snapshot || report.registry.mirrors.length > 0);
+  const outdated = report ? report.totals.drift.major + report.totals.drift.minor + report.totals.drift.patch : 0;
+
+  return (
+    <div className="space-y-6">
+      {/* Controls */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Dependencies</h3>
+            {report && (
+              <p className="text-xs text-gray-500">
+                {report.repository.fullName}{report.ref && ` at ${report.ref}`}
+              </p>
+            )}
+          </div>
+          <div className="flex items-center space-x-4">
+            {report && (
+              <label className="flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={outdatedOnly}
+                  onChange={(e) => setOutdatedOnly(e.target.checked)}
+                  className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                />
+                <span>Outdated only</span>
+              </label>
+            )}
+            <button
+              onClick={analyzeDependencies}
+              disabled={loading}
+              className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md text-sm font-medium transition-colors disabled:opacity-50"
+            >
+              {loading ? 'Analyzing...' : report ? 'Re-analyze' : 'Analyze Dependencies'}
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-md text-sm">{error}</div>
+      )}
+
+      {loading && !report && (
+        <div className="flex justify-center py-16">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+        </div>
+      )}
+
+      {!loading && !report && !error && (
+        <div className="text-center py-16 text-gray-500">
+          Read the repository's package.json, requirements.txt and go.mod files to see what it depends on
+        </div>
+      )}
+
+      {report && (
+        <>
+          {/* Summary */}
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <SummaryCard label="Projects" value={report.totals.projects} />
+            <SummaryCard label="Direct" value={report.totals.direct} />
+            <SummaryCard label="Transitive" value={report.totals.transitive} />
+            <SummaryCard
+              label="Outdated"
+              value={registryConfigured ? outdated : '—'}
+              className={outdated ? 'text-orange-600' : 'text-gray-900'}
+            />
+          </div>
+
+          {registryConfigured ? (
+            <div className="flex flex-wrap gap-2 text-xs">
+              {['major', 'minor', 'patch', 'current', 'unknown'].map(level => (
+                <span key={level} className={`px-2 py-1 rounded ${DRIFT_STYLES[level]}`}>
+                  {report.totals.drift[level]} {level}
+                </span>
+              ))}
+              {report.registry.lookupsSkipped > 0 && (
+                <span className="px-2 py-1 rounded bg-yellow-100 text-yellow-800">
+                  {report.registry.lookupsSkipped} packages not looked up
+                </span>
+              )}
+            </div>
+          ) : (
+            <div className="p-3 bg-yellow-50 border border-yellow-200 text-yellow-800 rounded-md text-sm">
+              No registry mirror or snapshot is configured on the server, so latest versions can't be checked.
+            </div>
+          )}
+
+          {(report.skipped.length > 0 || report.truncated || report.filesTruncated) && (
+            <div className="p-3 bg-yellow-50 border border-yellow-200 text-yellow-800 rounded-md text-sm space-y-1">
+              {report.filesTruncated && (
+                <p>The repository has more files than could be listed; manifests among the rest are missing.</p>
+              )}
+              {report.truncated && <p>Only the first {report.projects.length + report.skipped.length} manifests were analyzed.</p>}
+              {report.skipped.map(item => (
+                <p key={item.path}>{item.reason}</p>
+              ))}
+            </div>
+          )}
+
+          {/* Licenses */}
+          {report.licenses.length > 0 && (
+            <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4">
+              <h4 className="font-semibold text-gray-900 mb-2">Licenses</h4>
+              <div className="flex flex-wrap gap-2 text-xs">
+                {report.licenses.map(({ license, count }) => (
+                  <span
+                    key={license}
+                    className={`px-2 py-1 rounded ${license === 'Unknown' ? 'bg-gray-100 text-gray-600' : 'bg-blue-100 text-blue-800'}`}
+                  >
+                    {license} · {count}
+                  </span>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {report.projects.length === 0 && (
+            <div className="text-center py-8 text-gray-500">No dependency manifests found in this repository</div>
+          )}
+
+          {/* Projects */}
+          {report.projects.map(project => {
+            const dependencies = outdatedOnly
+              ? project.dependencies.filter(dependency => ['major', 'minor', 'patch'].includes(dependency.drift))
+              : project.dependencies;
+
+            return (
+              <div key={project.manifest} className="bg-white rounded-lg shadow-sm border border-gray-200">
+                <button
+                  onClick={() => toggleProject(project.manifest)}
+                  className="w-full flex items-center justify-between px-4 py-3 text-left hover:bg-gray-50"
+                >
+                  <div className="flex items-center space-x-3 min-w-0">
+                    <span className="bg-purple-100 text-purple-800 text-xs px-2 py-0.5 rounded">
+                      {ECOSYSTEM_LABELS[project.ecosystem]}
+                    </span>
+                    <span className="font-mono text-sm text-gray-900 truncate">{project.manifest}</span>
+                    {project.name && <span className="text-sm text-gray-500 truncate">{project.name}</span>}
+                  </div>
+                  <div className="flex items-center space-x-3 text-xs text-gray-600 flex-shrink-0">
+                    <span>{project.directCount} direct</span>
+                    <span>
+                      {project.transitiveCount === null ? 'transitive unknown' : `${project.transitiveCount} transitive`}
+                    </span>
+                    <span>{expanded[project.manifest] ? '▲' : '▼'}</span>
+                  </div>
+                </button>
+
+                {expanded[project.manifest] && (
+                  <div className="border-t border-gray-200">
+                    {!project.lockfile && project.ecosystem === 'npm' && (
+                      <p className="px-4 py-2 text-xs text-gray-500">
+                        No lockfile next to this manifest; installed versions are only known for exact requirements.
+                      </p>
+                    )}
+                    {project.warnings.map(warning => (
+                      <p key={warning} className="px-4 py-2 text-xs text-yellow-800 bg-yellow-50">{warning}</p>
+                    ))}
+                    {dependencies.length === 0 ? (
+                      <p className="px-4 py-6 text-center text-sm text-gray-500">
+                        {outdatedOnly ? 'Nothing outdated' : 'No direct dependencies'}
+                      </p>
+                    ) : (
+                      <div className="overflow-x-auto">
+                        <table className="min-w-full text-sm">
+                          <thead className="bg-gray-50 text-xs text-gray-600 uppercase">
+                            <tr>
+                              <th className="px-4 py-2 text-left">Package</th>
+                              <th className="px-4 py-2 text-left">Scope</th>
+                              <th className="px-4 py-2 text-left">Requested</th>
+                              <th className="px-4 py-2 text-left">Installed</th>
+                              <th className="px-4 py-2 text-left">Latest</th>
+                              <th className="px-4 py-2 text-left">Drift</th>
+                              <th className="px-4 py-2 text-left">License</th>
+                            </tr>
+                          </thead>
+                          <tbody className="divide-y divide-gray-100">
+                            {dependencies.map(dependency => (
+                              <tr key={dependency.name}>
+                                <td className="px-4 py-2 font-mono text-gray-900">{dependency.name}</td>
+                                <td className="px-4 py-2 text-gray-600">{dependency.scope}</td>
+                                <td className="px-4 py-2 font-mono text-gray-600">{dependency.requested}</td>
+                                <td className="px-4 py-2 font-mono text-gray-900">{dependency.version || '—'}</td>
+                                <td className="px-4 py-2 font-mono text-gray-900">{dependency.latest || '—'}</td>
+                                <td className="px-4 py-2">
+                                  <span className={`text-xs px-2 py-0.5 rounded ${DRIFT_STYLES[dependency.drift]}`}>
+                                    {dependency.drift}
+                                  </span>
+                                </td>
+                                <td className="px-4 py-2 text-gray-600">{dependency.license || '—'}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                    )}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DependencyReport;
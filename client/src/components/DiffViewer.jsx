@@ -0,0 +1,142 @@
+import React from 'react';
+
+// Turn a unified diff (hunks only, as the compare endpoint returns them) into
+// hunks of numbered lines
+const parsePatch = (patch) => {
+  const hunks = [];
+  let oldNumber = 0;
+  let newNumber = 0;
+
+  for (const line of patch.split('\n')) {
+    const header = line.match(/^@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+    if (header) {
+      oldNumber = Number(header[1]);
+      newNumber = Number(header[2]);
+      hunks.push({ header: line, lines: [] });
+      continue;
+    }
+
+    const hunk = hunks[hunks.length - 1];
+    if (!hunk) continue;
+
+    if (line.startsWith('+')) {
+      hunk.lines.push({ type: 'add', content: line.slice(1), newNumber: newNumber++ });
+    } else if (line.startsWith('-')) {
+      hunk.lines.push({ type: 'del', content: line.slice(1), oldNumber: oldNumber++ });
+    } else if (line.startsWith('\\')) {
+      // "\ No newline at end of file"
+      hunk.lines.push({ type: 'note', content: line.slice(2) });
+    } else {
+      hunk.lines.push({ type: 'context', content: line.slice(1), oldNumber: oldNumber++, newNumber: newNumber++ });
+    }
+  }
+
+  return hunks;
+};
+
+// Side-by-side rows: removed lines on the left paired with the lines that
+// replaced them on the right
+const toSplitRows = (lines) => {
+  const rows = [];
+  let removed = [];
+  let added = [];
+
+  const flush = () => {
+    for (let i = 0; i < Math.max(removed.length, added.length); i++) {
+      rows.push({ left: removed[i] || null, right: added[i] || null });
+    }
+    removed = [];
+    added = [];
+  };
+
+  for (const line of lines) {
+    if (line.type === 'del') {
+      removed.push(line);
+    } else if (line.type === 'add') {
+      added.push(line);
+    } else {
+      flush();
+      rows.push({ left: line, right: line });
+    }
+  }
+  flush();
+
+  return rows;
+};
+
+const LINE_STYLES = {
+  add: 'bg-green-50',
+  del: 'bg-red-50',
+  context: '',
+  note: 'text-gray-400 italic'
+};
+
+const MARKERS = { add: '+', del: '-', context: ' ', note: '' };
+
+const NumberCell = ({ value }) => (
+  <td className="w-12 px-2 text-right text-gray-400 select-none align-top border-r border-gray-100">
+    {value ?? ''}
+  </td>
+);
+
+const CodeCell = ({ line }) => (
+  <td className={`px-2 whitespace-pre-wrap break-all align-top ${line ? LINE_STYLES[line.type] : 'bg-gray-50'}`}>
+    {line && (
+      <>
+        <span className="select-none text-gray-400">{MARKERS[line.type]}</span>
+        {line.content}
+      </>
+    )}
+  </td>
+);
+
+// One changed file from a comparison, unified or side by side
+const DiffViewer = ({ file, mode = 'unified' }) => {
+  if (!file.patch) {
+    return (
+      <div className="text-center py-8 text-gray-500 text-sm">
+        {file.truncated
+          ? 'This diff is too large to display.'
+          : file.status === 'renamed' && file.changes === 0
+            ? 'File renamed without changes.'
+            : 'No diff to show (binary file or no textual changes).'}
+      </div>
+    );
+  }
+
+  const hunks = parsePatch(file.patch);
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-xs font-mono border-collapse">
+        <tbody>
+          {hunks.map((hunk, hunkIndex) => (
+            <React.Fragment key={hunkIndex}>
+              <tr className="bg-blue-50 text-blue-700">
+                <td colSpan={mode === 'split' ? 4 : 3} className="px-2 py-1">{hunk.header}</td>
+              </tr>
+              {mode === 'split'
+                ? toSplitRows(hunk.lines).map((row, rowIndex) => (
+                    <tr key={rowIndex}>
+                      <NumberCell value={row.left?.oldNumber} />
+                      <CodeCell line={row.left?.type === 'add' ? null : row.left} />
+                      <NumberCell value={row.right?.newNumber} />
+                      <CodeCell line={row.right?.type === 'del' ? null : row.right} />
+                    </tr>
+                  ))
+                : hunk.lines.map((line, lineIndex) => (
+                    <tr key={lineIndex}>
+                      <NumberCell value={line.oldNumber} />
+                      <NumberCell value={line.newNumber} />
+                      <CodeCell line={line} />
+                    </tr>
+                  ))}
+            </React.Fragment>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default DiffViewer;
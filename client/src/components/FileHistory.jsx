@@ -0,0 +1,91 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+
+const formatDate = (dateString) => (dateString ? new Date(dateString).toLocaleString() : '');
+
+// Commits that changed one file, newest first, with the pull request each
+// came in with
+const FileHistory = ({ workspaceId, repositoryId, path, gitRef }) => {
+  const [commits, setCommits] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchHistory = async () => {
+      setLoading(true);
+      setError('');
+
+      try {
+        const token = localStorage.getItem('token');
+        const response = await axios.get(`http://localhost:5000/api/github/workspace/${workspaceId}/file-history`, {
+          headers: { Authorization: `Bearer ${token}` },
+          params: { path, ref: gitRef, repo: repositoryId }
+        });
+        setCommits(response.data.commits);
+      } catch (error) {
+        console.error('Error fetching file history:', error);
+        setError(error.response?.data?.message || 'Failed to fetch file history');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchHistory();
+  }, [workspaceId, repositoryId, path, gitRef]);
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-8">
+        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return <div className="text-center py-8 text-red-600 text-sm">{error}</div>;
+  }
+
+  if (!commits.length) {
+    return <div className="text-center py-8 text-gray-500 text-sm">No commits found for this file</div>;
+  }
+
+  return (
+    <ul className="divide-y divide-gray-100 max-h-96 overflow-y-auto">
+      {commits.map(commit => (
+        <li key={commit.sha} className="py-3 flex items-start space-x-3">
+          {commit.author.avatar && (
+            <img src={commit.author.avatar} alt={commit.author.login} className="w-6 h-6 rounded-full mt-0.5" />
+          )}
+          <div className="flex-1 min-w-0">
+            <div className="text-sm font-medium text-gray-900 truncate" title={commit.message}>
+              {commit.message.split('\n')[0]}
+            </div>
+            <div className="mt-1 flex flex-wrap items-center gap-x-3 text-xs text-gray-500">
+              {commit.url ? (
+                <a href={commit.url} target="_blank" rel="noopener noreferrer" className="font-mono text-blue-600 hover:text-blue-800">
+                  {commit.shortSha}
+                </a>
+              ) : (
+                <span className="font-mono">{commit.shortSha}</span>
+              )}
+              <span>{commit.author.login || commit.author.name}</span>
+              <span>{formatDate(commit.author.date)}</span>
+              {commit.pullRequest && (
+                <a
+                  href={commit.pullRequest.url}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="text-purple-600 hover:text-purple-800 truncate"
+                >
+                  #{commit.pullRequest.number} {commit.pullRequest.title}
+                </a>
+              )}
+            </div>
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default FileHistory;
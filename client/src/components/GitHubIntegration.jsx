@@ -1,15 +1,32 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../context/AuthContext';
+import { useSocket } from '../context/SocketContext';
 import axios from 'axios';
 import CodebaseViewer from './CodebaseViewer';
 import ArchitectureDiagram from './ArchitectureDiagram';
+import DependencyReport from './DependencyReport';
+import GitHubCredentialsModal from './GitHubCredentialsModal';
+import WebhookDeliveriesModal from './WebhookDeliveriesModal';
 
-const GitHubIntegration = ({ workspaceId, workspace, githubData, onDataChange }) => {
+const EMPTY_REPOSITORY = { provider: 'github', owner: '', repo: '', path: '', baseUrl: '', label: '', credentialId: '' };
+
+const PROVIDER_LABELS = { github: 'GitHub', gitlab: 'GitLab', local: 'Local git' };
+
+const GitHubIntegration = ({ workspaceId, workspace, githubData, onDataChange, onLiveUpdate }) => {
   const { user } = useAuth();
+  const { socket, isConnected: socketConnected } = useSocket();
   const [activeTab, setActiveTab] = useState('issues');
-  const [repository, setRepository] = useState({ owner: '', repo: '' });
+  const [repository, setRepository] = useState(EMPTY_REPOSITORY);
+  // '' shows every connected repository together
+  const [selectedRepo, setSelectedRepo] = useState('');
   const [error, setError] = useState('');
   const [showConnectForm, setShowConnectForm] = useState(false);
+  const [credentials, setCredentials] = useState([]);
+  const [showCredentials, setShowCredentials] = useState(false);
+  const [credentialsVersion, setCredentialsVersion] = useState(0);
+  // Repository events received through webhooks, newest first
+  const [activity, setActivity] = useState([]);
+  const [showWebhooks, setShowWebhooks] = useState(false);
   const [loading, setLoading] = useState({
     connect: false,
     disconnect: false
@@ -21,18 +38,118 @@ const GitHubIntegration = ({ workspaceId, workspace, githubData, onDataChange })
   const [showSummary, setShowSummary] = useState(false);
 
   // Use props data instead of local state
-  const { isConnected, repoInfo, data, loading: githubLoading } = githubData;
+  const { isConnected, repositories = [], rateLimits = [], data, loading: githubLoading } = githubData;
+
+  const activeRepo = repositories.find(repo => repo.repositoryId === selectedRepo);
+  // Codebase, architecture and summaries need a single repository
+  const focusRepo = activeRepo || repositories[0];
+  const showingAll = !activeRepo && repositories.length > 1;
+
+  // Lists come back merged across repositories; narrow them to the selected one
+  const visible = (items) => (activeRepo ? items.filter(item => item.repository?.id === activeRepo.repositoryId) : items);
+  const tabItems = {
+    issues: visible(data.issues),
+    pulls: visible(data.pullRequests),
+    commits: visible(data.commits),
+    releases: visible(data.releases),
+    activity: visible(activity)
+  };
 
   const tabs = [
     { id: 'issues', name: 'Issues', icon: '🐛' },
     { id: 'pulls', name: 'Pull Requests', icon: '🔄' },
     { id: 'commits', name: 'Commits', icon: '📝' },
     { id: 'releases', name: 'Releases', icon: '🚀' },
+    { id: 'activity', name: 'Activity', icon: '⚡' },
     { id: 'codebase', name: 'Codebase', icon: '📁' },
-    { id: 'architecture', name: 'Architecture', icon: '🏗️' }
+    { id: 'architecture', name: 'Architecture', icon: '🏗️' },
+    { id: 'dependencies', name: 'Dependencies', icon: '📦' }
   ];
 
-  const isCreator = workspace?.userRole === 'Creator';
+  const canConnectRepo = workspace?.permissions?.includes('repo:connect');
+
+  useEffect(() => {
+    if (!canConnectRepo) return;
+
+    const fetchCredentials = async () => {
+      try {
+        const token = localStorage.getItem('token');
+        const response = await axios.get(
+          `http://localhost:5000/api/github/workspace/${workspaceId}/credentials`,
+          { headers: { Authorization: `Bearer ${token}` } }
+        );
+        setCredentials(response.data.credentials);
+      } catch (error) {
+        console.error('Error fetching GitHub credentials:', error);
+      }
+    };
+
+    fetchCredentials();
+  }, [workspaceId, canConnectRepo, credentialsVersion]);
+
+  useEffect(() => {
+    const fetchActivity = async () => {
+      try {
+        const token = localStorage.getItem('token');
+        const response = await axios.get(
+          `http://localhost:5000/api/github/workspace/${workspaceId}/activity`,
+          { headers: { Authorization: `Bearer ${token}` } }
+        );
+        setActivity(response.data.activity);
+      } catch (error) {
+        console.error('Error fetching GitHub activity:', error);
+      }
+    };
+
+    fetchActivity();
+  }, [workspaceId]);
+
+  // Webhook events arrive in the workspace room as they happen
+  useEffect(() => {
+    if (!socket || !socketConnected) return;
+
+    const handleGitHubEvent = (event) => {
+      if (event.workspaceId !== workspaceId) return;
+
+      setActivity(prev => [event.activity, ...prev.filter(item => item._id !== event.activity._id)]);
+      if (event.update) {
+        onLiveUpdate(event.update);
+      }
+    };
+
+    socket.emit('join-workspace', workspaceId);
+    socket.on('github-event', handleGitHubEvent);
+
+    return () => {
+      socket.off('github-event', handleGitHubEvent);
+      socket.emit('leave-workspace', workspaceId);
+    };
+  }, [socket, socketConnected, workspaceId, onLiveUpdate]);
+
+  const handleCredentialsChanged = () => {
+    setCredentialsVersion(version => version + 1);
+    onDataChange();
+  };
+
+  const handleChangeCredential = async (credentialId) => {
+    setError('');
+
+    try {
+      const token = localStorage.getItem('token');
+      await axios.patch(
+        `http://localhost:5000/api/github/workspace/${workspaceId}/repositories/${focusRepo.repositoryId}`,
+        { credentialId: credentialId || null },
+        {
+          headers: { Authorization: `Bearer ${token}` }
+        }
+      );
+
+      handleCredentialsChanged();
+    } catch (error) {
+      console.error('Error changing repository credential:', error);
+      setError(error.response?.data?.message || 'Failed to change repository credential');
+    }
+  };
 
   // Add summarize function
   const handleSummarizeRepository = async () => {
@@ -43,7 +160,7 @@ const GitHubIntegration = ({ workspaceId, workspace, githubData, onDataChange })
       const token = localStorage.getItem('token');
       const response = await axios.post(
         `http://localhost:5000/api/github/workspace/${workspaceId}/summarize`,
-        {},
+        { repo: focusRepo.repositoryId },
         {
           headers: { Authorization: `Bearer ${token}` }
         }
@@ -78,9 +195,13 @@ const GitHubIntegration = ({ workspaceId, workspace, githubData, onDataChange })
     }
   };
 
+  const repositoryFormComplete = repository.provider === 'local'
+    ? Boolean(repository.path.trim())
+    : Boolean(repository.owner.trim() && repository.repo.trim());
+
   const handleConnectRepository = async (e) => {
     e.preventDefault();
-    if (!repository.owner || !repository.repo) return;
+    if (!repositoryFormComplete) return;
 
     setLoading(prev => ({ ...prev, connect: true }));
     setError('');
@@ -89,19 +210,29 @@ const GitHubIntegration = ({ workspaceId, workspace, githubData, onDataChange })
       const token = localStorage.getItem('token');
       await axios.post(
         `http://localhost:5000/api/github/workspace/${workspaceId}/connect`,
-        {
-          owner: repository.owner.trim(),
-          repo: repository.repo.trim()
-        },
+        repository.provider === 'local'
+          ? {
+              provider: 'local',
+              path: repository.path.trim(),
+              label: repository.label.trim() || undefined
+            }
+          : {
+              provider: repository.provider,
+              owner: repository.owner.trim(),
+              repo: repository.repo.trim(),
+              baseUrl: repository.provider === 'gitlab' ? repository.baseUrl.trim() || undefined : undefined,
+              label: repository.label.trim() || undefined,
+              credentialId: repository.provider === 'github' ? repository.credentialId || undefined : undefined
+            },
         {
           headers: { Authorization: `Bearer ${token}` }
         }
       );
 
       // Notify parent to refresh data
-      onDataChange();
+      handleCredentialsChanged();
       setShowConnectForm(false);
-      setRepository({ owner: '', repo: '' });
+      setRepository(EMPTY_REPOSITORY);
     } catch (error) {
       console.error('Error connecting repository:', error);
       setError(error.response?.data?.message || 'Failed to connect repository');
@@ -111,7 +242,7 @@ const GitHubIntegration = ({ workspaceId, workspace, githubData, onDataChange })
   };
 
   const handleDisconnectRepository = async () => {
-    if (!window.confirm('Are you sure you want to disconnect this repository? All team members will lose access to the GitHub integration.')) {
+    if (!window.confirm(`Are you sure you want to disconnect ${focusRepo.fullName}? All team members will lose access to it in this workspace.`)) {
       return;
     }
 
@@ -121,10 +252,12 @@ const GitHubIntegration = ({ workspaceId, workspace, githubData, onDataChange })
     try {
       const token = localStorage.getItem('token');
       await axios.delete(`http://localhost:5000/api/github/workspace/${workspaceId}/disconnect`, {
-        headers: { Authorization: `Bearer ${token}` }
+        headers: { Authorization: `Bearer ${token}` },
+        params: { repo: focusRepo.repositoryId }
       });
 
       // Notify parent to refresh data
+      setSelectedRepo('');
       onDataChange();
     } catch (error) {
       console.error('Error disconnecting repository:', error);
@@ -174,14 +307,14 @@ const GitHubIntegration = ({ workspaceId, workspace, githubData, onDataChange })
             <svg className="mx-auto h-12 w-12 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
             </svg>
-            <h3 className="mt-4 text-lg font-medium text-gray-900">No GitHub Repository Connected</h3>
+            <h3 className="mt-4 text-lg font-medium text-gray-900">No Repository Connected</h3>
             <p className="mt-2 text-gray-500">
-              {isCreator 
-                ? 'Connect a GitHub repository to enable team collaboration and tracking.'
-                : 'The workspace creator needs to connect a GitHub repository.'
+              {canConnectRepo 
+                ? 'Connect a GitHub or GitLab repository, or a git repository on the server, to enable team collaboration and tracking.'
+                : 'A workspace admin needs to connect a repository.'
               }
             </p>
-            {isCreator && (
+            {canConnectRepo && (
               <button
                 onClick={() => setShowConnectForm(true)}
                 className="mt-4 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md font-medium transition-colors"
@@ -193,59 +326,142 @@ const GitHubIntegration = ({ workspaceId, workspace, githubData, onDataChange })
         </div>
       ) : (
         <>
+          {/* Repository Switcher */}
+          {repositories.length > 1 && (
+            <div className="flex flex-wrap gap-2">
+              {[{ repositoryId: '', label: 'All repositories' }, ...repositories].map((repo) => (
+                <button
+                  key={repo.repositoryId || 'all'}
+                  onClick={() => setSelectedRepo(repo.repositoryId)}
+                  className={`px-3 py-1 rounded-full text-sm font-medium transition-colors ${
+                    selectedRepo === repo.repositoryId
+                      ? 'bg-blue-600 text-white'
+                      : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                  }`}
+                >
+                  {repo.label}
+                </button>
+              ))}
+            </div>
+          )}
+
           {/* Connected Repository Info */}
           <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
             <div className="flex items-start justify-between">
-              <div className="flex items-start space-x-4">
-                <img
-                  src={repoInfo.owner.avatar}
-                  alt={repoInfo.owner.login}
-                  className="w-12 h-12 rounded-full"
-                />
+              {showingAll ? (
                 <div>
-                  <h3 className="text-xl font-bold text-gray-900">
-                    <a href={repoInfo.url} target="_blank" rel="noopener noreferrer" className="hover:text-blue-600">
-                      {repoInfo.fullName}
-                    </a>
-                  </h3>
-                  {repoInfo.description && (
-                    <p className="text-gray-600 mt-1">{repoInfo.description}</p>
+                  <h3 className="text-xl font-bold text-gray-900">{repositories.length} repositories</h3>
+                  <div className="flex flex-wrap gap-3 mt-3">
+                    {repositories.map((repo) => (
+                      <button
+                        key={repo.repositoryId}
+                        onClick={() => setSelectedRepo(repo.repositoryId)}
+                        className="flex items-center space-x-2 border border-gray-200 rounded-lg px-3 py-2 hover:bg-gray-50 text-left"
+                      >
+                        {repo.owner.avatar && (
+                          <img src={repo.owner.avatar} alt={repo.owner.login} className="w-6 h-6 rounded-full" />
+                        )}
+                        <div>
+                          <div className="text-sm font-medium text-gray-900">{repo.label}</div>
+                          <div className={`text-xs ${repo.unavailable ? 'text-red-600' : 'text-gray-500'}`}>
+                            {repo.fullName}{repo.unavailable && ' · unavailable'}
+                          </div>
+                        </div>
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              ) : (
+                <div className="flex items-start space-x-4">
+                  {focusRepo.owner.avatar && (
+                    <img
+                      src={focusRepo.owner.avatar}
+                      alt={focusRepo.owner.login}
+                      className="w-12 h-12 rounded-full"
+                    />
                   )}
-                  <div className="flex items-center space-x-4 mt-3 text-sm text-gray-500">
-                    {repoInfo.language && (
-                      <span className="flex items-center space-x-1">
-                        <div className="w-3 h-3 bg-blue-500 rounded-full"></div>
-                        <span>{repoInfo.language}</span>
-                      </span>
+                  <div>
+                    <h3 className="text-xl font-bold text-gray-900 flex items-center space-x-2">
+                      {focusRepo.url ? (
+                        <a href={focusRepo.url} target="_blank" rel="noopener noreferrer" className="hover:text-blue-600">
+                          {focusRepo.fullName}
+                        </a>
+                      ) : (
+                        <span>{focusRepo.fullName}</span>
+                      )}
+                      {focusRepo.provider !== 'github' && (
+                        <span className="px-2 py-0.5 rounded-full bg-gray-100 text-gray-600 text-xs font-medium">
+                          {PROVIDER_LABELS[focusRepo.provider]}
+                        </span>
+                      )}
+                    </h3>
+                    {focusRepo.description && (
+                      <p className="text-gray-600 mt-1">{focusRepo.description}</p>
+                    )}
+                    {focusRepo.unavailable ? (
+                      <p className="mt-3 text-sm text-red-600">
+                        {PROVIDER_LABELS[focusRepo.provider]} can no longer find this repository. It may have been
+                        deleted, renamed or made private; disconnect it if it is gone.
+                      </p>
+                    ) : (
+                      <div className="flex items-center space-x-4 mt-3 text-sm text-gray-500">
+                        {focusRepo.language && (
+                          <span className="flex items-center space-x-1">
+                            <div className="w-3 h-3 bg-blue-500 rounded-full"></div>
+                            <span>{focusRepo.language}</span>
+                          </span>
+                        )}
+                        <span>⭐ {focusRepo.stars}</span>
+                        <span>🍴 {focusRepo.forks}</span>
+                        <span>👁️ {focusRepo.watchers}</span>
+                        <span>📝 {focusRepo.openIssues} issues</span>
+                      </div>
+                    )}
+                    <div className="mt-2 text-xs text-gray-500">
+                      Connected {formatDate(focusRepo.connectedAt)} by {focusRepo.connectedBy?.name}
+                    </div>
+                    {focusRepo.provider === 'github' && (
+                      <div className="mt-1 flex items-center space-x-2 text-xs text-gray-500">
+                        <span>Read with</span>
+                        {canConnectRepo ? (
+                          <select
+                            value={focusRepo.credential?.id || ''}
+                            onChange={(e) => handleChangeCredential(e.target.value)}
+                            className="border border-gray-300 rounded px-1 py-0.5 text-xs"
+                          >
+                            <option value="">Server token</option>
+                            {credentials.map(credential => (
+                              <option key={credential.id} value={credential.id}>{credential.label}</option>
+                            ))}
+                          </select>
+                        ) : (
+                          <span>{focusRepo.credential?.label || 'server token'}</span>
+                        )}
+                      </div>
                     )}
-                    <span>⭐ {repoInfo.stars}</span>
-                    <span>🍴 {repoInfo.forks}</span>
-                    <span>👁️ {repoInfo.watchers}</span>
-                    <span>📝 {repoInfo.openIssues} issues</span>
-                  </div>
-                  <div className="mt-2 text-xs text-gray-500">
-                    Connected {formatDate(repoInfo.connectedAt)} by {repoInfo.connectedBy?.name}
                   </div>
                 </div>
-              </div>
+              )}
               <div className="flex items-center space-x-2">
                 {/* Add Summarize Button */}
-                <button
-                  onClick={handleSummarizeRepository}
-                  disabled={summaryLoading}
-                  className="bg-purple-100 hover:bg-purple-200 text-purple-700 px-3 py-2 rounded-md text-sm font-medium transition-colors disabled:opacity-50 flex items-center space-x-1"
-                >
-                  {summaryLoading && (
-                    <svg className="animate-spin h-4 w-4" fill="none" viewBox="0 0 24 24">
-                      <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                      <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                    </svg>
+                {!showingAll && (
+                  <button
+                    onClick={handleSummarizeRepository}
+                    disabled={summaryLoading}
+                    className="bg-purple-100 hover:bg-purple-200 text-purple-700 px-3 py-2 rounded-md text-sm font-medium transition-colors disabled:opacity-50 flex items-center space-x-1"
+                  >
+                    {summaryLoading && (
+                      <svg className="animate-spin h-4 w-4" fill="none" viewBox="0 0 24 24">
+                        <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                        <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                      </svg>
                   )}
                   <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
                   </svg>
                   <span>{summaryLoading ? 'Analyzing...' : 'Summarize'}</span>
                 </button>
+                )}
 
                 {activeTab !== 'codebase' && (
                   <button
@@ -259,7 +475,23 @@ const GitHubIntegration = ({ workspaceId, workspace, githubData, onDataChange })
                     <span>Refresh</span>
                   </button>
                 )}
-                {isCreator && (
+                {canConnectRepo && (
+                  <button
+                    onClick={() => setShowCredentials(true)}
+                    className="bg-gray-100 hover:bg-gray-200 text-gray-700 px-3 py-2 rounded-md text-sm font-medium transition-colors"
+                  >
+                    Credentials
+                  </button>
+                )}
+                {canConnectRepo && (
+                  <button
+                    onClick={() => setShowConnectForm(true)}
+                    className="bg-blue-100 hover:bg-blue-200 text-blue-700 px-3 py-2 rounded-md text-sm font-medium transition-colors"
+                  >
+                    Add Repository
+                  </button>
+                )}
+                {canConnectRepo && !showingAll && (
                   <button
                     onClick={handleDisconnectRepository}
                     disabled={loading.disconnect}
@@ -279,6 +511,22 @@ const GitHubIntegration = ({ workspaceId, workspace, githubData, onDataChange })
                 )}
               </div>
             </div>
+
+            {/* GitHub API budget of each identity the repositories are read with */}
+            {rateLimits.some(rateLimit => rateLimit.resources?.core) && (
+              <div className="mt-4 pt-3 border-t border-gray-100 flex flex-wrap gap-x-6 gap-y-1 text-xs text-gray-500">
+                {rateLimits.filter(rateLimit => rateLimit.resources?.core).map(({ credential, repositories: labels, resources: { core } }) => (
+                  <span
+                    key={credential?.id || 'server'}
+                    className={core.remaining < core.limit * 0.1 ? 'text-amber-600 font-medium' : ''}
+                    title={`Used by ${labels.join(', ')}`}
+                  >
+                    {credential?.label || 'Server token'}: {core.remaining.toLocaleString()} / {core.limit.toLocaleString()} API requests left,
+                    resets {new Date(core.resetAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                  </span>
+                ))}
+              </div>
+            )}
           </div>
 
           {/* Summary Modal */}
@@ -398,7 +646,7 @@ const GitHubIntegration = ({ workspaceId, workspace, githubData, onDataChange })
                             <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
                           </svg>
                         ) : (
-                          data[tab.id]?.length || 0
+                          tabItems[tab.id]?.length || 0
                         )}
                       </span>
                     )}
@@ -411,19 +659,42 @@ const GitHubIntegration = ({ workspaceId, workspace, githubData, onDataChange })
               {/* Codebase Tab */}
               {activeTab === 'codebase' && (
                 <div className="p-6">
-                  <CodebaseViewer workspaceId={workspaceId} />
+                  <CodebaseViewer
+                    key={focusRepo.repositoryId}
+                    workspaceId={workspaceId}
+                    repositories={repositories}
+                    repositoryId={focusRepo.repositoryId}
+                    onRepositoryChange={setSelectedRepo}
+                  />
                 </div>
               )}
 
               {/* Architecture Tab */}
               {activeTab === 'architecture' && (
                 <div className="p-6">
-                  <ArchitectureDiagram workspaceId={workspaceId} />
+                  <ArchitectureDiagram
+                    key={focusRepo.repositoryId}
+                    workspaceId={workspaceId}
+                    repositoryId={focusRepo.repositoryId}
+                    canPin={workspace?.permissions?.includes('diagrams:pin')}
+                    canEdit={workspace?.permissions?.includes('diagrams:edit')}
+                  />
+                </div>
+              )}
+
+              {/* Dependencies Tab */}
+              {activeTab === 'dependencies' && (
+                <div className="p-6">
+                  <DependencyReport
+                    key={focusRepo.repositoryId}
+                    workspaceId={workspaceId}
+                    repositoryId={focusRepo.repositoryId}
+                  />
                 </div>
               )}
 
               {/* Other tabs content remains the same... */}
-              {activeTab !== 'codebase' && activeTab !== 'architecture' && (
+              {activeTab !== 'codebase' && activeTab !== 'architecture' && activeTab !== 'dependencies' && (
                 <>
                   {githubLoading[activeTab] ? (
                     <div className="flex justify-center py-8">
@@ -434,12 +705,12 @@ const GitHubIntegration = ({ workspaceId, workspace, githubData, onDataChange })
                       {/* Issues Tab */}
                       {activeTab === 'issues' && (
                         <div className="space-y-4">
-                          {data.issues.length === 0 ? (
+                          {tabItems.issues.length === 0 ? (
                             <div className="text-center py-8">
                               <p className="text-gray-500">No open issues found</p>
                             </div>
                           ) : (
-                            data.issues.map((issue) => (
+                            tabItems.issues.map((issue) => (
                               <div key={issue.id} className="border border-gray-200 rounded-lg p-4 hover:bg-gray-50">
                                 <div className="flex items-start justify-between">
                                   <div className="flex-1">
@@ -452,6 +723,9 @@ const GitHubIntegration = ({ workspaceId, workspace, githubData, onDataChange })
                                       </h4>
                                     </div>
                                     <div className="flex items-center space-x-4 text-sm text-gray-500">
+                                      {showingAll && (
+                                        <span className="px-2 py-0.5 text-xs rounded bg-gray-100 text-gray-600">{issue.repository.label}</span>
+                                      )}
                                       <span>by {issue.author.login}</span>
                                       <span>{formatDate(issue.createdAt)}</span>
                                       {issue.comments > 0 && (
@@ -490,12 +764,12 @@ const GitHubIntegration = ({ workspaceId, workspace, githubData, onDataChange })
                       {/* Pull Requests Tab */}
                       {activeTab === 'pulls' && (
                         <div className="space-y-4">
-                          {data.pullRequests.length === 0 ? (
+                          {tabItems.pulls.length === 0 ? (
                             <div className="text-center py-8">
                               <p className="text-gray-500">No pull requests found</p>
                             </div>
                           ) : (
-                            data.pullRequests.map((pr) => (
+                            tabItems.pulls.map((pr) => (
                               <div key={pr.id} className="border border-gray-200 rounded-lg p-4 hover:bg-gray-50">
                                 <div className="flex items-start justify-between">
                                   <div className="flex-1">
@@ -518,6 +792,9 @@ const GitHubIntegration = ({ workspaceId, workspace, githubData, onDataChange })
                                       )}
                                     </div>
                                     <div className="flex items-center space-x-4 text-sm text-gray-500">
+                                      {showingAll && (
+                                        <span className="px-2 py-0.5 text-xs rounded bg-gray-100 text-gray-600">{pr.repository.label}</span>
+                                      )}
                                       <span>by {pr.author.login}</span>
                                       <span>{formatDate(pr.createdAt)}</span>
                                       <span>{pr.head.ref} → {pr.base.ref}</span>
@@ -554,12 +831,12 @@ const GitHubIntegration = ({ workspaceId, workspace, githubData, onDataChange })
                       {/* Commits Tab */}
                       {activeTab === 'commits' && (
                         <div className="space-y-4">
-                          {data.commits.length === 0 ? (
+                          {tabItems.commits.length === 0 ? (
                             <div className="text-center py-8">
                               <p className="text-gray-500">No commits found</p>
                             </div>
                           ) : (
-                            data.commits.map((commit) => (
+                            tabItems.commits.map((commit) => (
                               <div key={commit.sha} className="border border-gray-200 rounded-lg p-4 hover:bg-gray-50">
                                 <div className="flex items-start justify-between">
                                   <div className="flex-1">
@@ -569,6 +846,9 @@ const GitHubIntegration = ({ workspaceId, workspace, githubData, onDataChange })
                                       </a>
                                     </h4>
                                     <div className="flex items-center space-x-4 text-sm text-gray-500">
+                                      {showingAll && (
+                                        <span className="px-2 py-0.5 text-xs rounded bg-gray-100 text-gray-600">{commit.repository.label}</span>
+                                      )}
                                       <span>by {commit.author.name}</span>
                                       <span>{formatDate(commit.author.date)}</span>
                                       <span className="font-mono text-xs bg-gray-100 px-2 py-1 rounded">
@@ -593,12 +873,12 @@ const GitHubIntegration = ({ workspaceId, workspace, githubData, onDataChange })
                       {/* Releases Tab */}
                       {activeTab === 'releases' && (
                         <div className="space-y-4">
-                          {data.releases.length === 0 ? (
+                          {tabItems.releases.length === 0 ? (
                             <div className="text-center py-8">
                               <p className="text-gray-500">No releases found</p>
                             </div>
                           ) : (
-                            data.releases.map((release) => (
+                            tabItems.releases.map((release) => (
                               <div key={release.id} className="border border-gray-200 rounded-lg p-4 hover:bg-gray-50">
                                 <div className="flex items-start justify-between mb-3">
                                   <div>
@@ -623,15 +903,20 @@ const GitHubIntegration = ({ workspaceId, workspace, githubData, onDataChange })
                                       )}
                                     </div>
                                     <div className="flex items-center space-x-4 text-sm text-gray-500">
+                                      {showingAll && (
+                                        <span className="px-2 py-0.5 text-xs rounded bg-gray-100 text-gray-600">{release.repository.label}</span>
+                                      )}
                                       <span>by {release.author.login}</span>
                                       <span>{formatDate(release.publishedAt)}</span>
                                     </div>
                                   </div>
-                                  <img
-                                    src={release.author.avatar}
-                                    alt={release.author.login}
-                                    className="w-8 h-8 rounded-full"
-                                  />
+                                  {release.author.avatar && (
+                                    <img
+                                      src={release.author.avatar}
+                                      alt={release.author.login}
+                                      className="w-8 h-8 rounded-full"
+                                    />
+                                  )}
                                 </div>
                                 {release.body && (
                                   <div className="text-sm text-gray-600 prose max-w-none">
@@ -661,6 +946,57 @@ const GitHubIntegration = ({ workspaceId, workspace, githubData, onDataChange })
                           )}
                         </div>
                       )}
+
+                      {/* Activity Tab */}
+                      {activeTab === 'activity' && (
+                        <div className="space-y-4">
+                          {canConnectRepo && (
+                            <div className="flex justify-end">
+                              <button
+                                onClick={() => setShowWebhooks(true)}
+                                className="text-sm font-medium text-blue-600 hover:text-blue-800"
+                              >
+                                Webhook setup & deliveries
+                              </button>
+                            </div>
+                          )}
+                          {tabItems.activity.length === 0 ? (
+                            <div className="text-center py-8">
+                              <p className="text-gray-500">No repository events received yet</p>
+                              <p className="text-sm text-gray-400 mt-1">Events appear here live once a GitHub webhook is set up</p>
+                            </div>
+                          ) : (
+                            tabItems.activity.map((item) => (
+                              <div key={item._id} className="border border-gray-200 rounded-lg p-4 hover:bg-gray-50">
+                                <div className="flex items-start justify-between">
+                                  <div className="flex-1">
+                                    <h4 className="font-medium text-gray-900">
+                                      {item.url ? (
+                                        <a href={item.url} target="_blank" rel="noopener noreferrer" className="hover:text-blue-600">
+                                          {item.title}
+                                        </a>
+                                      ) : item.title}
+                                    </h4>
+                                    <div className="flex items-center space-x-4 text-sm text-gray-500 mt-1">
+                                      {showingAll && (
+                                        <span className="px-2 py-0.5 text-xs rounded bg-gray-100 text-gray-600">{item.repository.label}</span>
+                                      )}
+                                      <span>{formatDate(item.occurredAt)}</span>
+                                    </div>
+                                  </div>
+                                  {item.actor?.avatar && (
+                                    <img
+                                      src={item.actor.avatar}
+                                      alt={item.actor.login}
+                                      className="w-8 h-8 rounded-full ml-4"
+                                    />
+                                  )}
+                                </div>
+                              </div>
+                            ))
+                          )}
+                        </div>
+                      )}
                     </>
                   )}
                 </>
@@ -676,11 +1012,11 @@ const GitHubIntegration = ({ workspaceId, workspace, githubData, onDataChange })
           <div className="bg-white rounded-lg shadow-xl max-w-md w-full mx-4">
             <div className="p-6">
               <div className="flex justify-between items-center mb-6">
-                <h3 className="text-lg font-semibold text-gray-900">Connect GitHub Repository</h3>
+                <h3 className="text-lg font-semibold text-gray-900">Connect Repository</h3>
                 <button
                   onClick={() => {
                     setShowConnectForm(false);
-                    setRepository({ owner: '', repo: '' });
+                    setRepository(EMPTY_REPOSITORY);
                     setError('');
                   }}
                   disabled={loading.connect}
@@ -700,42 +1036,143 @@ const GitHubIntegration = ({ workspaceId, workspace, githubData, onDataChange })
 
               <form onSubmit={handleConnectRepository} className="space-y-4">
                 <div>
-                  <label htmlFor="owner" className="block text-sm font-medium text-gray-700 mb-1">
-                    Repository Owner
+                  <label htmlFor="provider" className="block text-sm font-medium text-gray-700 mb-1">
+                    Provider
                   </label>
-                  <input
-                    type="text"
-                    id="owner"
-                    value={repository.owner}
-                    onChange={(e) => setRepository(prev => ({ ...prev, owner: e.target.value }))}
+                  <select
+                    id="provider"
+                    value={repository.provider}
+                    onChange={(e) => setRepository(prev => ({ ...prev, provider: e.target.value }))}
                     className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-                    placeholder="e.g., facebook"
                     disabled={loading.connect}
-                    required
-                  />
+                  >
+                    {Object.entries(PROVIDER_LABELS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
                 </div>
+                {repository.provider === 'local' ? (
+                  <div>
+                    <label htmlFor="path" className="block text-sm font-medium text-gray-700 mb-1">
+                      Repository Path
+                    </label>
+                    <input
+                      type="text"
+                      id="path"
+                      value={repository.path}
+                      onChange={(e) => setRepository(prev => ({ ...prev, path: e.target.value }))}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      placeholder="e.g., platform/api.git"
+                      disabled={loading.connect}
+                      required
+                    />
+                    <p className="mt-1 text-xs text-gray-500">
+                      Relative to the server's local git directory. Bare repositories work too.
+                    </p>
+                  </div>
+                ) : (
+                  <>
+                    {repository.provider === 'gitlab' && (
+                      <div>
+                        <label htmlFor="baseUrl" className="block text-sm font-medium text-gray-700 mb-1">
+                          GitLab URL (Optional)
+                        </label>
+                        <input
+                          type="url"
+                          id="baseUrl"
+                          value={repository.baseUrl}
+                          onChange={(e) => setRepository(prev => ({ ...prev, baseUrl: e.target.value }))}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                          placeholder="https://gitlab.example.com"
+                          disabled={loading.connect}
+                        />
+                        <p className="mt-1 text-xs text-gray-500">
+                          Only instances enabled on the server can be used. Leave empty for the default one.
+                        </p>
+                      </div>
+                    )}
+                    <div>
+                      <label htmlFor="owner" className="block text-sm font-medium text-gray-700 mb-1">
+                        {repository.provider === 'gitlab' ? 'Namespace' : 'Repository Owner'}
+                      </label>
+                      <input
+                        type="text"
+                        id="owner"
+                        value={repository.owner}
+                        onChange={(e) => setRepository(prev => ({ ...prev, owner: e.target.value }))}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                        placeholder={repository.provider === 'gitlab' ? 'e.g., gitlab-org' : 'e.g., facebook'}
+                        disabled={loading.connect}
+                        required
+                      />
+                    </div>
+                    <div>
+                      <label htmlFor="repo" className="block text-sm font-medium text-gray-700 mb-1">
+                        {repository.provider === 'gitlab' ? 'Project' : 'Repository Name'}
+                      </label>
+                      <input
+                        type="text"
+                        id="repo"
+                        value={repository.repo}
+                        onChange={(e) => setRepository(prev => ({ ...prev, repo: e.target.value }))}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                        placeholder={repository.provider === 'gitlab' ? 'e.g., gitlab' : 'e.g., react'}
+                        disabled={loading.connect}
+                        required
+                      />
+                    </div>
+                  </>
+                )}
                 <div>
-                  <label htmlFor="repo" className="block text-sm font-medium text-gray-700 mb-1">
-                    Repository Name
+                  <label htmlFor="label" className="block text-sm font-medium text-gray-700 mb-1">
+                    Label (Optional)
                   </label>
                   <input
                     type="text"
-                    id="repo"
-                    value={repository.repo}
-                    onChange={(e) => setRepository(prev => ({ ...prev, repo: e.target.value }))}
+                    id="label"
+                    value={repository.label}
+                    onChange={(e) => setRepository(prev => ({ ...prev, label: e.target.value }))}
                     className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-                    placeholder="e.g., react"
+                    placeholder="e.g., frontend, backend, infra"
+                    maxLength={50}
                     disabled={loading.connect}
-                    required
                   />
                 </div>
+                {repository.provider === 'github' && (
+                  <div>
+                    <label htmlFor="credentialId" className="block text-sm font-medium text-gray-700 mb-1">
+                      Credential
+                    </label>
+                    <select
+                      id="credentialId"
+                      value={repository.credentialId}
+                      onChange={(e) => setRepository(prev => ({ ...prev, credentialId: e.target.value }))}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      disabled={loading.connect}
+                    >
+                      <option value="">Server token (public repositories only)</option>
+                      {credentials.map(credential => (
+                        <option key={credential.id} value={credential.id}>
+                          {credential.label}{credential.accountLogin ? ` (${credential.accountLogin})` : ''}
+                        </option>
+                      ))}
+                    </select>
+                    <button
+                      type="button"
+                      onClick={() => setShowCredentials(true)}
+                      className="mt-1 text-xs text-blue-600 hover:text-blue-800"
+                    >
+                      Manage credentials
+                    </button>
+                  </div>
+                )}
 
                 <div className="flex justify-end space-x-3 pt-4">
                   <button
                     type="button"
                     onClick={() => {
                       setShowConnectForm(false);
-                      setRepository({ owner: '', repo: '' });
+                      setRepository(EMPTY_REPOSITORY);
                       setError('');
                     }}
                     disabled={loading.connect}
@@ -745,7 +1182,7 @@ const GitHubIntegration = ({ workspaceId, workspace, githubData, onDataChange })
                   </button>
                   <button
                     type="submit"
-                    disabled={loading.connect || !repository.owner || !repository.repo}
+                    disabled={loading.connect || !repositoryFormComplete}
                     className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md font-medium transition-colors disabled:opacity-50 flex items-center space-x-2"
                   >
                     {loading.connect && (
@@ -762,6 +1199,20 @@ const GitHubIntegration = ({ workspaceId, workspace, githubData, onDataChange })
           </div>
         </div>
       )}
+
+      <GitHubCredentialsModal
+        isOpen={showCredentials}
+        onClose={() => setShowCredentials(false)}
+        workspaceId={workspaceId}
+        credentials={credentials}
+        onChanged={handleCredentialsChanged}
+      />
+
+      <WebhookDeliveriesModal
+        isOpen={showWebhooks}
+        onClose={() => setShowWebhooks(false)}
+        workspaceId={workspaceId}
+      />
     </div>
   );
 };
@@ -0,0 +1,194 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+
+const COLLECTION_LABELS = {
+  tasks: 'Tasks',
+  timelineEvents: 'Timeline events',
+  messages: 'Messages',
+  meetings: 'Meetings',
+  meetingCaptions: 'Meeting captions',
+  onboardingPaths: 'Onboarding paths'
+};
+
+// Uploads a workspace export bundle: a dry run first, then the real import
+const ImportWorkspaceModal = ({ isOpen, onClose, onImported }) => {
+  const [file, setFile] = useState(null);
+  const [name, setName] = useState('');
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  if (!isOpen) return null;
+
+  const upload = async (dryRun) => {
+    const token = localStorage.getItem('token');
+    const headers = { Authorization: `Bearer ${token}` };
+
+    // Compressed bundles go up as-is; the server unpacks them
+    if (file.name.endsWith('.gz')) {
+      return axios.post('http://localhost:5000/api/workspaces/import', file, {
+        headers: { ...headers, 'Content-Type': 'application/gzip' },
+        params: { dryRun, name: name.trim() || undefined }
+      });
+    }
+
+    let bundle;
+    try {
+      bundle = JSON.parse(await file.text());
+    } catch {
+      throw new Error('The file is not valid JSON');
+    }
+
+    return axios.post(
+      'http://localhost:5000/api/workspaces/import',
+      { bundle, dryRun, name: name.trim() || undefined },
+      { headers }
+    );
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!file) {
+      setError('Please choose a bundle file');
+      return;
+    }
+
+    // Check first; import once the report has been seen
+    const dryRun = !report;
+    setLoading(true);
+
+    try {
+      const response = await upload(dryRun);
+
+      if (dryRun) {
+        setReport(response.data.report);
+        if (!name) {
+          setName(response.data.report.workspace.name);
+        }
+      } else {
+        handleReset();
+        onImported(response.data);
+      }
+    } catch (err) {
+      const data = err.response?.data;
+      if (data?.report) {
+        setReport(data.report);
+      }
+      setError(data?.errors?.join('. ') || data?.message || err.message || 'Failed to import workspace');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleReset = () => {
+    setFile(null);
+    setName('');
+    setReport(null);
+    setError('');
+  };
+
+  const handleClose = () => {
+    handleReset();
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl max-w-lg w-full mx-4 max-h-[90vh] overflow-y-auto">
+        <form onSubmit={handleSubmit} className="p-6">
+          {/* Modal Header */}
+          <div className="flex justify-between items-center mb-4">
+            <h3 className="text-lg font-semibold text-gray-900">Import workspace</h3>
+            <button
+              type="button"
+              onClick={handleClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+
+          {error && (
+            <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded-md text-sm">
+              {error}
+            </div>
+          )}
+
+          <label className="block text-sm font-medium text-gray-700 mb-2">Bundle file</label>
+          <input
+            type="file"
+            accept=".json,.gz,application/json,application/gzip"
+            onChange={(e) => { setFile(e.target.files[0] || null); setReport(null); setError(''); }}
+            disabled={loading}
+            className="w-full text-sm text-gray-700 mb-1"
+          />
+          <p className="text-xs text-gray-500 mb-4">
+            An export from any EchoHub server. Members are matched to accounts here by email.
+          </p>
+
+          <label className="block text-sm font-medium text-gray-700 mb-2">Workspace name</label>
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => { setName(e.target.value); setReport(null); }}
+            placeholder="Keep the name from the bundle"
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          />
+
+          {/* Dry-run report */}
+          {report && (
+            <div className="mt-4 border border-gray-200 rounded-md p-4 text-sm space-y-3">
+              <p className="text-gray-700">
+                Only you join the new workspace
+                {report.invites.length > 0 && (
+                  <>; <span className="font-medium">{report.invites.length}</span> member(s) are invited by email</>
+                )}
+                .
+              </p>
+              <ul className="grid grid-cols-2 gap-1 text-gray-600">
+                {Object.entries(report.counts).map(([key, count]) => (
+                  <li key={key}>{COLLECTION_LABELS[key] || key}: {count}</li>
+                ))}
+              </ul>
+              {report.conflicts.length > 0 && (
+                <ul className="space-y-1">
+                  {report.conflicts.map((conflict, index) => (
+                    <li
+                      key={index}
+                      className={conflict.blocking ? 'text-red-700' : 'text-yellow-700'}
+                    >
+                      {conflict.message}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+
+          <div className="flex justify-end space-x-3 mt-6">
+            <button
+              type="button"
+              onClick={handleClose}
+              className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-md transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={loading || !file || report?.blocked}
+              className="px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md transition-colors disabled:opacity-50"
+            >
+              {loading ? 'Working...' : report ? 'Import' : 'Check bundle'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ImportWorkspaceModal;
\ No newline at end of file
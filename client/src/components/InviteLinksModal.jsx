@@ -0,0 +1,247 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+
+const EXPIRY_OPTIONS = [
+  { label: '1 day', value: 1 },
+  { label: '7 days', value: 7 },
+  { label: '30 days', value: 30 },
+  { label: '90 days', value: 90 },
+  { label: 'No expiry', value: '' }
+];
+
+const EMPTY_FORM = { role: 'Member', expiresInDays: 7, maxUses: '', allowedDomain: '' };
+
+const InviteLinksModal = ({ isOpen, onClose, workspaceId, canCreateAdminLinks }) => {
+  const [links, setLinks] = useState([]);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [newLink, setNewLink] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const fetchLinks = async () => {
+      setLoading(true);
+      try {
+        const token = localStorage.getItem('token');
+        const response = await axios.get(`http://localhost:5000/api/invites/workspace/${workspaceId}/links`, {
+          headers: { Authorization: `Bearer ${token}` }
+        });
+        setLinks(response.data.links || []);
+      } catch (err) {
+        setError(err.response?.data?.message || 'Failed to load invite links');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchLinks();
+  }, [isOpen, workspaceId]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setError('');
+    setCreating(true);
+
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.post(
+        `http://localhost:5000/api/invites/workspace/${workspaceId}/links`,
+        {
+          role: formData.role,
+          expiresInDays: formData.expiresInDays || null,
+          maxUses: formData.maxUses ? Number(formData.maxUses) : null,
+          allowedDomain: formData.allowedDomain.trim() || null
+        },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      setNewLink(`${window.location.origin}/join/${response.data.token}`);
+      setLinks(prev => [response.data.link, ...prev]);
+      setFormData(EMPTY_FORM);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to create invite link');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRevoke = async (linkId) => {
+    if (!window.confirm('Revoke this link? Nobody else will be able to join with it.')) {
+      return;
+    }
+
+    try {
+      const token = localStorage.getItem('token');
+      await axios.delete(`http://localhost:5000/api/invites/workspace/${workspaceId}/links/${linkId}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setLinks(prev => prev.filter(link => link.id !== linkId));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to revoke invite link');
+    }
+  };
+
+  const handleClose = () => {
+    setNewLink('');
+    setError('');
+    onClose();
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl max-w-2xl w-full mx-4 max-h-[90vh] overflow-y-auto">
+        <div className="p-6">
+          {/* Modal Header */}
+          <div className="flex justify-between items-center mb-6">
+            <h3 className="text-lg font-semibold text-gray-900">Invite Links</h3>
+            <button
+              onClick={handleClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+
+          {/* Error Message */}
+          {error && (
+            <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded-md text-sm">
+              {error}
+            </div>
+          )}
+
+          {/* Newly created link, shown once */}
+          {newLink && (
+            <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-md">
+              <p className="text-sm font-medium text-green-800 mb-2">
+                Copy this link now, it will not be shown again:
+              </p>
+              <div className="flex items-center space-x-2">
+                <code className="flex-1 text-xs bg-white border border-green-200 rounded px-3 py-2 break-all">{newLink}</code>
+                <button
+                  onClick={() => navigator.clipboard.writeText(newLink)}
+                  className="px-3 py-2 text-xs font-medium text-white bg-green-600 hover:bg-green-700 rounded-md"
+                >
+                  Copy
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* Create Form */}
+          <form onSubmit={handleCreate} className="space-y-4 mb-8">
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Role</label>
+                <select
+                  value={formData.role}
+                  onChange={(e) => setFormData({ ...formData, role: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                >
+                  <option value="Member">Member</option>
+                  {canCreateAdminLinks && <option value="Admin">Admin</option>}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Expiration</label>
+                <select
+                  value={formData.expiresInDays}
+                  onChange={(e) => setFormData({ ...formData, expiresInDays: e.target.value ? Number(e.target.value) : '' })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                >
+                  {EXPIRY_OPTIONS.map(option => (
+                    <option key={option.label} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Max uses</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={formData.maxUses}
+                  onChange={(e) => setFormData({ ...formData, maxUses: e.target.value })}
+                  placeholder="Unlimited"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Email domain</label>
+                <input
+                  type="text"
+                  value={formData.allowedDomain}
+                  onChange={(e) => setFormData({ ...formData, allowedDomain: e.target.value })}
+                  placeholder="Any domain, or e.g. example.com"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                />
+              </div>
+            </div>
+
+            <div className="flex justify-end">
+              <button
+                type="submit"
+                disabled={creating}
+                className="px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md transition-colors disabled:opacity-50"
+              >
+                {creating ? 'Generating...' : 'Generate link'}
+              </button>
+            </div>
+          </form>
+
+          {/* Link List */}
+          <h4 className="text-sm font-semibold text-gray-900 mb-3">Active links</h4>
+          {loading ? (
+            <div className="flex justify-center py-6">
+              <div className="animate-spin rounded-full h-8 w-8 border-4 border-blue-600 border-t-transparent"></div>
+            </div>
+          ) : links.length === 0 ? (
+            <p className="text-sm text-gray-500">This workspace doesn't have any invite links yet.</p>
+          ) : (
+            <div className="space-y-3">
+              {links.map(link => (
+                <div key={link.id} className="flex items-start justify-between p-4 border border-gray-200 rounded-lg">
+                  <div className="min-w-0 flex-1">
+                    <div className="flex items-center space-x-2">
+                      <code className="text-xs text-gray-500">{link.tokenPrefix}…</code>
+                      <span className="px-2 py-0.5 text-xs font-semibold rounded-full bg-blue-100 text-blue-800">{link.role}</span>
+                      {link.expired && (
+                        <span className="px-2 py-0.5 text-xs font-semibold rounded-full bg-red-100 text-red-800">Expired</span>
+                      )}
+                      {link.exhausted && (
+                        <span className="px-2 py-0.5 text-xs font-semibold rounded-full bg-gray-100 text-gray-800">Used up</span>
+                      )}
+                    </div>
+                    <p className="text-xs text-gray-500 mt-1">
+                      {link.useCount}{link.maxUses ? ` / ${link.maxUses}` : ''} joined
+                      {link.allowedDomain && ` · @${link.allowedDomain} only`}
+                    </p>
+                    <p className="text-xs text-gray-400 mt-1">
+                      Created by {link.createdBy || 'Unknown'}
+                      {' · '}
+                      {link.expiresAt
+                        ? `Expires ${new Date(link.expiresAt).toLocaleString()}`
+                        : 'No expiry'}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => handleRevoke(link.id)}
+                    className="ml-4 text-sm font-medium text-red-600 hover:text-red-800"
+                  >
+                    Revoke
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default InviteLinksModal;
\ No newline at end of file
@@ -0,0 +1,150 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import axios from 'axios';
+import { useAuth } from '../context/AuthContext';
+
+// Target of the accept/decline links in invitation emails (/invites/:inviteId/:action)
+const InviteResponse = () => {
+  const { inviteId, action } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const [invite, setInvite] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [responding, setResponding] = useState(false);
+  const [result, setResult] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchInvite = async () => {
+      try {
+        const token = localStorage.getItem('token');
+        const response = await axios.get(`http://localhost:5000/api/invites/${inviteId}`, {
+          headers: { Authorization: `Bearer ${token}` }
+        });
+        setInvite(response.data.invite);
+      } catch (err) {
+        setError(err.response?.data?.message || 'Failed to load invitation');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchInvite();
+  }, [inviteId]);
+
+  const respond = async (choice) => {
+    setResponding(true);
+    setError('');
+
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.post(`http://localhost:5000/api/invites/${inviteId}/${choice}`, {}, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+
+      if (choice === 'accept') {
+        navigate(`/workspace/${response.data.workspaceId}`, { replace: true });
+        return;
+      }
+
+      setResult(response.data.message);
+    } catch (err) {
+      setError(err.response?.data?.message || `Failed to ${choice} invitation`);
+    } finally {
+      setResponding(false);
+    }
+  };
+
+  const wantsDecline = action === 'decline';
+  const canRespond = invite?.status === 'pending' && !invite.workspace.archived && !result;
+
+  return (
+    <div className="min-h-screen flex items-center justify-center px-4 bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-100">
+      <div className="w-full max-w-md text-center bg-white/80 rounded-2xl shadow-xl p-8">
+        {loading && (
+          <div className="flex flex-col items-center space-y-4">
+            <div className="animate-spin rounded-full h-10 w-10 border-4 border-blue-600 border-t-transparent"></div>
+            <p className="text-gray-700 font-medium">Loading invitation...</p>
+          </div>
+        )}
+
+        {!loading && invite && (
+          <>
+            <p className="text-sm text-gray-500 mb-2">{invite.invitedBy.name} invited you to join</p>
+            <h2 className="text-2xl font-bold text-gray-900 mb-2">{invite.workspace.name}</h2>
+            {invite.workspace.description && (
+              <p className="text-gray-600 mb-4">{invite.workspace.description}</p>
+            )}
+            {invite.expiresAt && invite.status === 'pending' && (
+              <p className="text-xs text-gray-500 mb-6">
+                Expires {new Date(invite.expiresAt).toLocaleString()}
+              </p>
+            )}
+
+            {error && (
+              <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded-md text-sm">
+                {error}
+              </div>
+            )}
+
+            {result && <p className="text-gray-700 mb-4">{result}</p>}
+
+            {canRespond ? (
+              <div className="flex justify-center space-x-3">
+                <button
+                  onClick={() => respond('decline')}
+                  disabled={responding}
+                  className={`px-6 py-3 rounded-xl text-sm font-medium transition-all duration-200 disabled:opacity-50 ${
+                    wantsDecline
+                      ? 'bg-red-600 hover:bg-red-700 text-white'
+                      : 'bg-gray-100 hover:bg-gray-200 text-gray-700'
+                  }`}
+                >
+                  Decline
+                </button>
+                <button
+                  onClick={() => respond('accept')}
+                  disabled={responding}
+                  className={`px-6 py-3 rounded-xl text-sm font-medium transition-all duration-200 disabled:opacity-50 ${
+                    wantsDecline
+                      ? 'bg-gray-100 hover:bg-gray-200 text-gray-700'
+                      : 'bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 text-white'
+                  }`}
+                >
+                  {responding ? 'Working...' : 'Accept invitation'}
+                </button>
+              </div>
+            ) : !result && (
+              <p className="text-gray-600">
+                {invite.status === 'expired' && 'This invitation has expired. Ask the workspace owner to send a new one.'}
+                {invite.status === 'accepted' && 'You already accepted this invitation.'}
+                {invite.status === 'declined' && 'You declined this invitation.'}
+                {invite.status === 'pending' && invite.workspace.archived && 'This workspace has been archived.'}
+              </p>
+            )}
+          </>
+        )}
+
+        {!loading && !invite && (
+          <>
+            <h2 className="text-2xl font-bold text-gray-900 mb-3">Invitation not available</h2>
+            <p className="text-red-600 mb-2">{error}</p>
+            <p className="text-sm text-gray-600 mb-6">
+              You are signed in as {user?.email}. Invitations can only be opened by the address they were sent to.
+            </p>
+          </>
+        )}
+
+        {!loading && (
+          <div className="mt-6">
+            <Link to="/dashboard" className="text-sm font-medium text-blue-600 hover:text-blue-500">
+              Go to dashboard
+            </Link>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default InviteResponse;
\ No newline at end of file
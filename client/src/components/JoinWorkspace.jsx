@@ -0,0 +1,122 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import axios from 'axios';
+
+// Landing page for shareable invite links (/join/:token)
+const JoinWorkspace = () => {
+  const { token: linkToken } = useParams();
+  const navigate = useNavigate();
+  const [preview, setPreview] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [joining, setJoining] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchPreview = async () => {
+      try {
+        const token = localStorage.getItem('token');
+        const response = await axios.get(`http://localhost:5000/api/invites/links/${linkToken}`, {
+          headers: { Authorization: `Bearer ${token}` }
+        });
+        setPreview(response.data);
+      } catch (err) {
+        setError(err.response?.data?.message || 'Failed to load invite link');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchPreview();
+  }, [linkToken]);
+
+  const handleJoin = async () => {
+    setJoining(true);
+    setError('');
+
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.post(`http://localhost:5000/api/invites/links/${linkToken}/join`, {}, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      navigate(`/workspace/${response.data.workspaceId}`, { replace: true });
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to join workspace');
+      setJoining(false);
+    }
+  };
+
+  const workspace = preview?.workspace;
+  const link = preview?.link;
+
+  return (
+    <div className="min-h-screen flex items-center justify-center px-4 bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-100">
+      <div className="w-full max-w-md text-center bg-white/80 rounded-2xl shadow-xl p-8">
+        {loading && (
+          <div className="flex flex-col items-center space-y-4">
+            <div className="animate-spin rounded-full h-10 w-10 border-4 border-blue-600 border-t-transparent"></div>
+            <p className="text-gray-700 font-medium">Loading invitation...</p>
+          </div>
+        )}
+
+        {!loading && workspace && (
+          <>
+            <p className="text-sm text-gray-500 mb-2">
+              {link.invitedBy ? `${link.invitedBy} invited you to join` : 'You have been invited to join'}
+            </p>
+            <h2 className="text-2xl font-bold text-gray-900 mb-2">{workspace.name}</h2>
+            {workspace.description && (
+              <p className="text-gray-600 mb-4">{workspace.description}</p>
+            )}
+            <p className="text-xs text-gray-500 mb-6">
+              {workspace.memberCount} member{workspace.memberCount === 1 ? '' : 's'}
+              {' · '}You will join as {link.role}
+              {link.allowedDomain && ` · @${link.allowedDomain} addresses only`}
+            </p>
+
+            {error && (
+              <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded-md text-sm">
+                {error}
+              </div>
+            )}
+
+            {preview.alreadyMember ? (
+              <Link
+                to={`/workspace/${workspace.id}`}
+                className="inline-block bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 text-white px-6 py-3 rounded-xl text-sm font-medium transition-all duration-200"
+              >
+                You're already a member, open workspace
+              </Link>
+            ) : link.active ? (
+              <button
+                onClick={handleJoin}
+                disabled={joining}
+                className="bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 text-white px-6 py-3 rounded-xl text-sm font-medium transition-all duration-200 disabled:opacity-50"
+              >
+                {joining ? 'Joining...' : 'Join workspace'}
+              </button>
+            ) : (
+              <p className="text-red-600">{link.reason}</p>
+            )}
+          </>
+        )}
+
+        {!loading && !workspace && (
+          <>
+            <h2 className="text-2xl font-bold text-gray-900 mb-3">Invite link not valid</h2>
+            <p className="text-red-600 mb-6">{error}</p>
+          </>
+        )}
+
+        {!loading && (
+          <div className="mt-6">
+            <Link to="/dashboard" className="text-sm font-medium text-blue-600 hover:text-blue-500">
+              Go to dashboard
+            </Link>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default JoinWorkspace;
\ No newline at end of file
@@ -1,16 +1,22 @@
 import React, { useState } from 'react';
 import { useAuth } from '../context/AuthContext';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
 
 const Login = () => {
   const navigate = useNavigate();
+  const location = useLocation();
+  // Set by ProtectedRoute when sign-in interrupted a visit, e.g. an invite link
+  const redirectTo = location.state?.from?.pathname || '/dashboard';
   const [formData, setFormData] = useState({
     email: '',
     password: '',
   });
   const [error, setError] = useState('');
   const [showPassword, setShowPassword] = useState(false);
-  const { login, loading } = useAuth();
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [verifying, setVerifying] = useState(false);
+  const { login, verifyTwoFactor, cancelTwoFactor, twoFactorChallenge, loading } = useAuth();
 
   const { email, password } = formData;
 
@@ -26,14 +32,43 @@ const Login = () => {
     const result = await login(email, password);
 
     if (result.success) {
-      console.log('Login successful, navigating to dashboard...');
-      navigate('/dashboard');
+      console.log('Login successful, navigating to', redirectTo);
+      navigate(redirectTo);
+    } else if (result.twoFactorRequired) {
+      console.log('Two-factor code required');
     } else {
       console.log('Login failed:', result.message);
       setError(result.message);
     }
   };
 
+  const onSubmitTwoFactor = async (e) => {
+    e.preventDefault();
+    setError('');
+    setVerifying(true);
+
+    const result = await verifyTwoFactor(
+      useRecoveryCode ? { recoveryCode: twoFactorCode } : { code: twoFactorCode }
+    );
+    setVerifying(false);
+
+    if (result.success) {
+      if (useRecoveryCode) {
+        alert(`Recovery code used. ${result.recoveryCodesRemaining} recovery code(s) left.`);
+      }
+      navigate(redirectTo);
+    } else {
+      setError(result.message);
+    }
+  };
+
+  const onCancelTwoFactor = () => {
+    setTwoFactorCode('');
+    setUseRecoveryCode(false);
+    setError('');
+    cancelTwoFactor();
+  };
+
   return (
     <div className="min-h-screen flex">
       {/* Left side - Form */}
@@ -45,13 +80,78 @@ const Login = () => {
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 10V3L4 14h7v7l9-11h-7z" />
               </svg>
             </div>
-            <h2 className="text-3xl font-bold text-gray-900 text-center">Welcome back</h2>
+            <h2 className="text-3xl font-bold text-gray-900 text-center">
+              {twoFactorChallenge ? 'Two-factor authentication' : 'Welcome back'}
+            </h2>
             <p className="mt-2 text-sm text-gray-600 text-center">
-              Sign in to your account to continue
+              {twoFactorChallenge
+                ? useRecoveryCode
+                  ? 'Enter one of your recovery codes'
+                  : 'Enter the 6-digit code from your authenticator app'
+                : 'Sign in to your account to continue'}
             </p>
           </div>
 
           <div className="mt-8">
+            {twoFactorChallenge ? (
+            <form className="space-y-6" onSubmit={onSubmitTwoFactor}>
+              {error && (
+                <div className="bg-red-50 border border-red-200 text-red-600 px-4 py-3 rounded-lg flex items-center">
+                  <svg className="w-5 h-5 mr-2 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
+                  </svg>
+                  <span className="text-sm">{error}</span>
+                </div>
+              )}
+
+              <div>
+                <label htmlFor="twoFactorCode" className="block text-sm font-medium text-gray-700 mb-2">
+                  {useRecoveryCode ? 'Recovery code' : 'Authentication code'}
+                </label>
+                <input
+                  id="twoFactorCode"
+                  name="twoFactorCode"
+                  type="text"
+                  inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                  autoComplete="one-time-code"
+                  autoFocus
+                  required
+                  className="block w-full px-3 py-3 border border-gray-300 rounded-lg placeholder-gray-500 text-gray-900 text-center tracking-widest focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
+                  placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                  value={twoFactorCode}
+                  onChange={(e) => setTwoFactorCode(e.target.value)}
+                />
+              </div>
+
+              <button
+                type="submit"
+                disabled={verifying}
+                className="w-full flex justify-center py-3 px-4 border border-transparent text-sm font-medium rounded-lg text-white bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
+              >
+                {verifying ? 'Verifying...' : 'Verify'}
+              </button>
+
+              <div className="flex items-center justify-between text-sm">
+                <button
+                  type="button"
+                  onClick={() => {
+                    setUseRecoveryCode(!useRecoveryCode);
+                    setTwoFactorCode('');
+                  }}
+                  className="font-medium text-blue-600 hover:text-blue-500 transition-colors"
+                >
+                  {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}
+                </button>
+                <button
+                  type="button"
+                  onClick={onCancelTwoFactor}
+                  className="font-medium text-gray-600 hover:text-gray-800 transition-colors"
+                >
+                  Back to sign in
+                </button>
+              </div>
+            </form>
+            ) : (
             <form className="space-y-6" onSubmit={onSubmit}>
               {error && (
                 <div className="bg-red-50 border border-red-200 text-red-600 px-4 py-3 rounded-lg flex items-center">
@@ -140,9 +240,9 @@ const Login = () => {
                 </div>
 
                 <div className="text-sm">
-                  <a href="#" className="font-medium text-blue-600 hover:text-blue-500 transition-colors">
+                  <Link to="/forgot-password" className="font-medium text-blue-600 hover:text-blue-500 transition-colors">
                     Forgot your password?
-                  </a>
+                  </Link>
                 </div>
               </div>
 
@@ -170,6 +270,7 @@ const Login = () => {
                   Don't have an account?{' '}
                   <Link
                     to="/register"
+                    state={location.state}
                     className="font-medium text-blue-600 hover:text-blue-500 transition-colors"
                   >
                     Sign up for free
@@ -177,6 +278,7 @@ const Login = () => {
                 </span>
               </div>
             </form>
+            )}
           </div>
         </div>
       </div>
@@ -0,0 +1,148 @@
+import React, { useState, useEffect, useRef } from 'react';
+import mermaid from '../utils/mermaid';
+import { downloadSvg, downloadPng, downloadMarkdown } from '../utils/diagramExport';
+
+const PREVIEW_DELAY = 400;
+
+let editorCount = 0;
+
+// Mermaid source next to a live preview. The code is checked with
+// mermaid.parse as it's typed, and can only be saved once it parses (and,
+// unless requireChanges is off, differs from what the editor was opened with).
+const MermaidEditor = ({
+  initialCode = '',
+  onSave,
+  onCancel,
+  saving = false,
+  saveLabel = 'Save as New Version',
+  requireChanges = true,
+  exportName = 'diagram',
+  exportInfo
+}) => {
+  const [code, setCode] = useState(initialCode);
+  const [syntaxError, setSyntaxError] = useState('');
+  const [exportError, setExportError] = useState('');
+  const [previewId] = useState(() => `mermaid-editor-${++editorCount}`);
+  const previewRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const updatePreview = async () => {
+      if (!code.trim()) {
+        setSyntaxError('Diagram code is empty');
+        if (previewRef.current) previewRef.current.innerHTML = '';
+        return;
+      }
+
+      try {
+        await mermaid.parse(code);
+        const { svg } = await mermaid.render(previewId, code);
+        if (cancelled || !previewRef.current) return;
+        previewRef.current.innerHTML = svg;
+        setSyntaxError('');
+      } catch (error) {
+        if (cancelled) return;
+        // The last good render stays in the preview while the code is broken
+        setSyntaxError(error.message || 'Invalid Mermaid syntax');
+      }
+    };
+
+    const timer = setTimeout(updatePreview, PREVIEW_DELAY);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [code, previewId]);
+
+  const previewSvg = () => previewRef.current?.querySelector('svg');
+
+  const exportPng = async () => {
+    setExportError('');
+    try {
+      await downloadPng(previewSvg(), exportName);
+    } catch (error) {
+      console.error('Error exporting PNG:', error);
+      setExportError(error.message);
+    }
+  };
+
+  const unchanged = requireChanges && code === initialCode;
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <div className="flex flex-col">
+          <label className="text-xs font-semibold text-gray-600 uppercase mb-1">Mermaid</label>
+          <textarea
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            spellCheck={false}
+            className={`flex-1 font-mono text-sm border rounded-lg p-3 focus:outline-none focus:ring-2 focus:ring-blue-500 ${syntaxError ? 'border-red-300' : 'border-gray-300'}`}
+            style={{ minHeight: '400px' }}
+          />
+        </div>
+        <div className="flex flex-col">
+          <label className="text-xs font-semibold text-gray-600 uppercase mb-1">Preview</label>
+          <div className="flex-1 border border-gray-200 rounded-lg p-3 overflow-auto">
+            <div ref={previewRef} className="text-center" style={{ minHeight: '400px' }} />
+          </div>
+        </div>
+      </div>
+
+      {syntaxError && (
+        <pre className="bg-red-50 border border-red-200 text-red-700 rounded-md px-3 py-2 text-xs whitespace-pre-wrap">
+          {syntaxError}
+        </pre>
+      )}
+      {exportError && (
+        <div className="bg-red-50 border border-red-200 text-red-700 rounded-md px-3 py-2 text-sm">{exportError}</div>
+      )}
+
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="flex items-center space-x-2 text-sm">
+          <span className="text-gray-500">Export:</span>
+          <button
+            onClick={() => downloadSvg(previewSvg(), exportName)}
+            disabled={!!syntaxError}
+            className="text-blue-600 hover:text-blue-800 disabled:text-gray-400"
+          >
+            SVG
+          </button>
+          <button onClick={exportPng} disabled={!!syntaxError} className="text-blue-600 hover:text-blue-800 disabled:text-gray-400">
+            PNG
+          </button>
+          <button
+            onClick={() => downloadMarkdown(code, exportName, exportInfo)}
+            disabled={!!syntaxError}
+            className="text-blue-600 hover:text-blue-800 disabled:text-gray-400"
+          >
+            Markdown
+          </button>
+        </div>
+
+        <div className="flex items-center space-x-2">
+          {onCancel && (
+            <button
+              onClick={onCancel}
+              className="border border-gray-300 text-gray-700 hover:bg-gray-50 px-4 py-2 rounded-md text-sm font-medium transition-colors"
+            >
+              Cancel
+            </button>
+          )}
+          {onSave && (
+            <button
+              onClick={() => onSave(code)}
+              disabled={saving || !!syntaxError || unchanged}
+              className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md text-sm font-medium transition-colors disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : saveLabel}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MermaidEditor;
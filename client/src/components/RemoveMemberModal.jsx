@@ -0,0 +1,117 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+
+// Confirms removing a member (or leaving, when `isSelf`) and picks who takes over their open tasks
+const RemoveMemberModal = ({ isOpen, onClose, workspaceId, members, member, isSelf, onRemoved }) => {
+  const [reassignTo, setReassignTo] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  if (!isOpen || !member) return null;
+
+  const candidates = members.filter(m => m.user.id !== member.user.id);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const token = localStorage.getItem('token');
+      const url = isSelf
+        ? `http://localhost:5000/api/workspaces/${workspaceId}/leave`
+        : `http://localhost:5000/api/workspaces/${workspaceId}/members/${member.id}`;
+      const data = { reassignTo: reassignTo || undefined };
+      const config = { headers: { Authorization: `Bearer ${token}` } };
+
+      const response = isSelf
+        ? await axios.post(url, data, config)
+        : await axios.delete(url, { ...config, data });
+
+      setReassignTo('');
+      onRemoved(response.data);
+    } catch (err) {
+      setError(err.response?.data?.message || (isSelf ? 'Failed to leave workspace' : 'Failed to remove member'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleClose = () => {
+    setReassignTo('');
+    setError('');
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl max-w-md w-full mx-4">
+        <form onSubmit={handleSubmit} className="p-6">
+          {/* Modal Header */}
+          <div className="flex justify-between items-center mb-4">
+            <h3 className="text-lg font-semibold text-gray-900">
+              {isSelf ? 'Leave workspace' : `Remove ${member.user.name}`}
+            </h3>
+            <button
+              type="button"
+              onClick={handleClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+
+          {error && (
+            <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded-md text-sm">
+              {error}
+            </div>
+          )}
+
+          <p className="text-sm text-gray-600 mb-4">
+            {isSelf
+              ? 'You will lose access to this workspace until someone invites you again.'
+              : `${member.user.name} will lose access to this workspace.`}
+            {' '}Their timeline assignments and onboarding path will be removed.
+          </p>
+
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Reassign open tasks to
+          </label>
+          <select
+            value={reassignTo}
+            onChange={(e) => setReassignTo(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          >
+            <option value="">Workspace owner</option>
+            {candidates.map(candidate => (
+              <option key={candidate.id} value={candidate.user.id}>
+                {candidate.user.name} ({candidate.role})
+              </option>
+            ))}
+          </select>
+
+          <div className="flex justify-end space-x-3 mt-6">
+            <button
+              type="button"
+              onClick={handleClose}
+              className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-md transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={loading}
+              className="px-4 py-2 text-sm font-medium text-white bg-red-600 hover:bg-red-700 rounded-md transition-colors disabled:opacity-50"
+            >
+              {loading ? 'Working...' : isSelf ? 'Leave workspace' : 'Remove member'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default RemoveMemberModal;
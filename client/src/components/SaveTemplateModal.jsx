@@ -0,0 +1,146 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+
+const SaveTemplateModal = ({ isOpen, onClose, workspace }) => {
+  const [name, setName] = useState(null);
+  const [description, setDescription] = useState('');
+  const [checklist, setChecklist] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [successMessage, setSuccessMessage] = useState('');
+
+  if (!isOpen || !workspace) return null;
+
+  // Until edited, the form shows the workspace's own values
+  const checklistText = checklist ?? (workspace.onboardingChecklist || []).join('\n');
+  const templateName = name ?? `${workspace.name} template`;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.post(
+        'http://localhost:5000/api/templates',
+        {
+          workspaceId: workspace.id,
+          name: templateName.trim(),
+          description: description.trim(),
+          onboardingChecklist: checklistText.split('\n').map(step => step.trim()).filter(Boolean)
+        },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      setSuccessMessage(response.data.message);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save template');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleClose = () => {
+    setName(null);
+    setDescription('');
+    setChecklist(null);
+    setError('');
+    setSuccessMessage('');
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl max-w-md w-full mx-4 max-h-[90vh] overflow-y-auto">
+        <form onSubmit={handleSubmit} className="p-6">
+          {/* Modal Header */}
+          <div className="flex justify-between items-center mb-4">
+            <h3 className="text-lg font-semibold text-gray-900">Save as template</h3>
+            <button
+              type="button"
+              onClick={handleClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+
+          {error && (
+            <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded-md text-sm">
+              {error}
+            </div>
+          )}
+
+          {successMessage && (
+            <div className="mb-4 p-3 bg-green-100 border border-green-400 text-green-700 rounded-md text-sm">
+              {successMessage}
+            </div>
+          )}
+
+          <p className="text-sm text-gray-600 mb-4">
+            The template keeps the timeline (with dates relative to its first event), one copy of each task
+            and the workspace settings. Members, chat and meetings are not included.
+          </p>
+
+          <div className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Template name</label>
+              <input
+                type="text"
+                value={templateName}
+                onChange={(e) => setName(e.target.value)}
+                maxLength={100}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Description</label>
+              <input
+                type="text"
+                value={description}
+                onChange={(e) => setDescription(e.target.value)}
+                maxLength={500}
+                placeholder="What kind of project is this for?"
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Onboarding checklist</label>
+              <textarea
+                value={checklistText}
+                onChange={(e) => setChecklist(e.target.value)}
+                rows={5}
+                placeholder="One step per line, e.g. Read the architecture overview"
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 resize-none"
+              />
+              <p className="mt-1 text-xs text-gray-500">
+                Every newcomer's onboarding path starts with these steps
+              </p>
+            </div>
+          </div>
+
+          <div className="flex justify-end space-x-3 mt-6">
+            <button
+              type="button"
+              onClick={handleClose}
+              className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-md transition-colors"
+            >
+              {successMessage ? 'Done' : 'Cancel'}
+            </button>
+            <button
+              type="submit"
+              disabled={loading || !templateName.trim() || !!successMessage}
+              className="px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md transition-colors disabled:opacity-50"
+            >
+              {loading ? 'Saving...' : 'Save template'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default SaveTemplateModal;
\ No newline at end of file
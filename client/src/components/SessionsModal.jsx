@@ -0,0 +1,159 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+
+const SessionsModal = ({ isOpen, onClose }) => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [revoking, setRevoking] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (isOpen) {
+      fetchSessions();
+    }
+  }, [isOpen]);
+
+  const fetchSessions = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.get('http://localhost:5000/api/auth/sessions', {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setSessions(response.data.sessions || []);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load sessions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const revokeSession = async (sessionId) => {
+    setRevoking(sessionId);
+    setError('');
+
+    try {
+      const token = localStorage.getItem('token');
+      await axios.delete(`http://localhost:5000/api/auth/sessions/${sessionId}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setSessions(prev => prev.filter(session => session.id !== sessionId));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to revoke session');
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  const revokeOtherSessions = async () => {
+    if (!window.confirm('Sign out of all other devices?')) {
+      return;
+    }
+
+    setRevoking('all');
+    setError('');
+
+    try {
+      const token = localStorage.getItem('token');
+      await axios.delete('http://localhost:5000/api/auth/sessions', {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setSessions(prev => prev.filter(session => session.current));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to revoke sessions');
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const otherSessions = sessions.filter(session => !session.current);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl max-w-lg w-full mx-4 max-h-[90vh] overflow-y-auto">
+        <div className="p-6">
+          {/* Modal Header */}
+          <div className="flex justify-between items-center mb-6">
+            <h3 className="text-lg font-semibold text-gray-900">Active Sessions</h3>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+
+          {/* Error Message */}
+          {error && (
+            <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded-md text-sm">
+              {error}
+            </div>
+          )}
+
+          {loading ? (
+            <div className="flex justify-center py-8">
+              <div className="animate-spin rounded-full h-8 w-8 border-4 border-blue-600 border-t-transparent"></div>
+            </div>
+          ) : (
+            <div className="space-y-3">
+              {sessions.map((session) => (
+                <div key={session.id} className="flex items-start justify-between p-4 border border-gray-200 rounded-lg">
+                  <div className="min-w-0 flex-1">
+                    <div className="flex items-center space-x-2">
+                      <p className="text-sm font-medium text-gray-900 truncate">{session.userAgent}</p>
+                      {session.current && (
+                        <span className="px-2 py-0.5 text-xs font-semibold rounded-full bg-green-100 text-green-800">
+                          This device
+                        </span>
+                      )}
+                    </div>
+                    <p className="text-xs text-gray-500 mt-1">
+                      {session.ipAddress || 'Unknown IP'} · Last active {new Date(session.lastUsedAt).toLocaleString()}
+                    </p>
+                    <p className="text-xs text-gray-400">
+                      Signed in {new Date(session.createdAt).toLocaleDateString()}
+                    </p>
+                  </div>
+                  {!session.current && (
+                    <button
+                      onClick={() => revokeSession(session.id)}
+                      disabled={revoking !== null}
+                      className="ml-4 text-sm font-medium text-red-600 hover:text-red-800 disabled:opacity-50"
+                    >
+                      {revoking === session.id ? 'Revoking...' : 'Revoke'}
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+
+          {/* Actions */}
+          <div className="flex justify-end space-x-3 pt-6">
+            <button
+              onClick={onClose}
+              className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-md transition-colors"
+            >
+              Close
+            </button>
+            <button
+              onClick={revokeOtherSessions}
+              disabled={loading || revoking !== null || otherSessions.length === 0}
+              className="px-4 py-2 text-sm font-medium text-white bg-red-600 hover:bg-red-700 rounded-md transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {revoking === 'all' ? 'Signing out...' : 'Sign out other devices'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SessionsModal;
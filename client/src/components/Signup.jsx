@@ -1,8 +1,9 @@
 import React, { useState } from 'react';
 import { useAuth } from '../context/AuthContext';
-import { Link } from 'react-router-dom';
+import { Link, useLocation } from 'react-router-dom';
 
 const Signup = () => {
+  const location = useLocation();
   const [formData, setFormData] = useState({
     name: '',
     email: '',
@@ -10,9 +11,11 @@ const Signup = () => {
     confirmPassword: '',
   });
   const [error, setError] = useState('');
+  const [successMessage, setSuccessMessage] = useState('');
+  const [loading, setLoading] = useState(false);
   const [showPassword, setShowPassword] = useState(false);
   const [showConfirmPassword, setShowConfirmPassword] = useState(false);
-  const { signup, loading } = useAuth();
+  const { signup } = useAuth();
 
   const { name, email, password, confirmPassword } = formData;
 
@@ -44,8 +47,14 @@ const Signup = () => {
       return;
     }
 
+    setLoading(true);
     const result = await signup(name, email, password);
-    if (!result.success) {
+    setLoading(false);
+
+    if (result.success) {
+      setSuccessMessage(result.message);
+      setFormData({ name: '', email: '', password: '', confirmPassword: '' });
+    } else {
       setError(result.message);
     }
   };
@@ -137,6 +146,15 @@ const Signup = () => {
                 </div>
               )}
 
+              {successMessage && (
+                <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg text-sm">
+                  {successMessage}.{' '}
+                  <Link to="/login" state={location.state} className="font-medium underline">
+                    Go to sign in
+                  </Link>
+                </div>
+              )}
+
               <div>
                 <label htmlFor="name" className="block text-sm font-medium text-gray-700 mb-2">
                   Full name
@@ -335,6 +353,7 @@ const Signup = () => {
                   Already have an account?{' '}
                   <Link
                     to="/login"
+                    state={location.state}
                     className="font-medium text-purple-600 hover:text-purple-500 transition-colors"
                   >
                     Sign in here
@@ -0,0 +1,266 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import MermaidEditor from './MermaidEditor';
+
+const API_URL = 'http://localhost:5000/api/diagrams/workspace';
+const VERSION_API_URL = 'http://localhost:5000/api/github/workspace';
+
+const STARTER_CODE = `flowchart TD
+    A[Client] --> B[API]
+    B --> C[(Database)]`;
+
+const slugify = (title) => title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'diagram';
+
+// Free-form Mermaid diagrams a team draws by hand, versioned like the
+// generated architecture diagrams but not tied to a repository
+const TeamDiagrams = ({ workspaceId, canEdit = false }) => {
+  const [diagrams, setDiagrams] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [selected, setSelected] = useState(null);
+  const [versions, setVersions] = useState([]);
+  const [creating, setCreating] = useState(false);
+  const [newTitle, setNewTitle] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const fetchDiagrams = async () => {
+      try {
+        const token = localStorage.getItem('token');
+        const response = await axios.get(`${API_URL}/${workspaceId}`, {
+          headers: { Authorization: `Bearer ${token}` }
+        });
+        setDiagrams(response.data.diagrams);
+      } catch (error) {
+        console.error('Error fetching team diagrams:', error);
+        setError(error.response?.data?.message || 'Failed to load team diagrams');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchDiagrams();
+  }, [workspaceId]);
+
+  // The list holds diagrams without their code, so the chosen version is
+  // loaded in full along with its history
+  const openVersion = async (diagramId) => {
+    setError('');
+    setCreating(false);
+
+    try {
+      const token = localStorage.getItem('token');
+      const headers = { Authorization: `Bearer ${token}` };
+      const [diagramResponse, versionsResponse] = await Promise.all([
+        axios.get(`${VERSION_API_URL}/${workspaceId}/architecture/diagrams/${diagramId}`, { headers }),
+        axios.get(`${API_URL}/${workspaceId}/${diagramId}/versions`, { headers })
+      ]);
+      setSelected(diagramResponse.data);
+      setVersions(versionsResponse.data.versions);
+    } catch (error) {
+      console.error('Error loading team diagram:', error);
+      setError(error.response?.data?.message || 'Failed to load diagram');
+    }
+  };
+
+  const createDiagram = async (mermaidCode) => {
+    if (!newTitle.trim()) {
+      setError('Diagram title is required');
+      return;
+    }
+    setSaving(true);
+    setError('');
+
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.post(
+        `${API_URL}/${workspaceId}`,
+        { title: newTitle, mermaidCode },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+
+      const created = response.data.diagram;
+      setDiagrams(prev => [created, ...prev]);
+      setSelected(created);
+      setVersions([created]);
+      setCreating(false);
+      setNewTitle('');
+    } catch (error) {
+      console.error('Error creating team diagram:', error);
+      setError(error.response?.data?.message || 'Failed to create diagram');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const saveVersion = async (mermaidCode) => {
+    setSaving(true);
+    setError('');
+
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.post(
+        `${API_URL}/${workspaceId}/${selected.id}/versions`,
+        { mermaidCode },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+
+      const saved = response.data.diagram;
+      setSelected(saved);
+      setVersions(prev => [saved, ...prev]);
+      // A pinned version stays the one listed; otherwise the newest is
+      setDiagrams(prev => prev.map(diagram => (
+        diagram.series === saved.series
+          ? { ...(diagram.pinned ? diagram : saved), versionCount: diagram.versionCount + 1 }
+          : diagram
+      )));
+    } catch (error) {
+      console.error('Error saving diagram version:', error);
+      setError(error.response?.data?.message || 'Failed to save diagram version');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const startCreating = () => {
+    setSelected(null);
+    setVersions([]);
+    setCreating(true);
+    setError('');
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center py-16">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Team Diagrams</h2>
+          <p className="text-sm text-gray-600">Hand-drawn Mermaid diagrams, versioned for the whole team</p>
+        </div>
+        {canEdit && (
+          <button
+            onClick={startCreating}
+            className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-md text-sm font-medium transition-colors"
+          >
+            New Diagram
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-md text-sm">{error}</div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+        {/* Diagram list */}
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 lg:col-span-1">
+          {diagrams.length === 0 ? (
+            <p className="px-4 py-6 text-center text-sm text-gray-500">No team diagrams yet</p>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {diagrams.map(diagram => (
+                <li key={diagram.series}>
+                  <button
+                    onClick={() => openVersion(diagram.id)}
+                    className={`w-full text-left px-4 py-3 hover:bg-gray-50 ${selected?.series === diagram.series ? 'bg-indigo-50' : ''}`}
+                  >
+                    <div className="font-medium text-gray-900 truncate">{diagram.title}</div>
+                    <div className="text-xs text-gray-500">
+                      {diagram.versionCount} {diagram.versionCount === 1 ? 'version' : 'versions'}
+                      {' · '}{new Date(diagram.generatedAt).toLocaleDateString()}
+                      {diagram.pinned && <span className="text-yellow-700"> · Pinned</span>}
+                    </div>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="lg:col-span-3 space-y-4">
+          {creating && (
+            <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 space-y-4">
+              <input
+                type="text"
+                value={newTitle}
+                onChange={(e) => setNewTitle(e.target.value)}
+                placeholder="Diagram title"
+                maxLength={100}
+                className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+              />
+              <MermaidEditor
+                initialCode={STARTER_CODE}
+                requireChanges={false}
+                onSave={createDiagram}
+                onCancel={() => setCreating(false)}
+                saving={saving}
+                saveLabel="Create Diagram"
+                exportName={slugify(newTitle)}
+                exportInfo={{ title: newTitle }}
+              />
+            </div>
+          )}
+
+          {selected && (
+            <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 space-y-4">
+              <div>
+                <h3 className="text-lg font-semibold text-gray-900">{selected.title}</h3>
+                <p className="text-xs text-gray-500">
+                  {selected.generatedBy ? `Saved by ${selected.generatedBy.name}` : 'Saved'} · {new Date(selected.generatedAt).toLocaleString()}
+                </p>
+              </div>
+              <MermaidEditor
+                key={selected.id}
+                initialCode={selected.mermaidCode}
+                onSave={canEdit ? saveVersion : undefined}
+                saving={saving}
+                exportName={slugify(selected.title)}
+                exportInfo={{ title: selected.title, description: selected.description }}
+              />
+            </div>
+          )}
+
+          {selected && versions.length > 0 && (
+            <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+              <h4 className="font-semibold text-gray-900 px-4 py-3 border-b border-gray-200">Versions</h4>
+              <ul className="divide-y divide-gray-100 max-h-72 overflow-y-auto">
+                {versions.map(version => (
+                  <li key={version.id} className={`px-4 py-2 flex items-center space-x-3 text-sm ${selected.id === version.id ? 'bg-indigo-50' : ''}`}>
+                    <span className="text-gray-600 flex-1 truncate">
+                      {new Date(version.generatedAt).toLocaleString()}
+                      {version.generatedBy && ` by ${version.generatedBy.name}`}
+                    </span>
+                    <span className="text-xs text-gray-500">
+                      {version.componentsCount} / {version.connectionsCount}
+                    </span>
+                    {version.pinned && (
+                      <span className="bg-yellow-100 text-yellow-800 text-xs px-2 py-0.5 rounded">Pinned</span>
+                    )}
+                    <button onClick={() => openVersion(version.id)} className="text-indigo-600 hover:text-indigo-800 text-xs">
+                      View
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {!creating && !selected && (
+            <div className="bg-white rounded-lg shadow-sm border border-gray-200 text-center py-16 text-gray-500">
+              Select a diagram{canEdit && ' or create a new one'}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TeamDiagrams;
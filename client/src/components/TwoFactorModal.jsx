@@ -0,0 +1,307 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { useAuth } from '../context/AuthContext';
+
+const authHeaders = () => ({
+  headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+});
+
+const TwoFactorModal = ({ isOpen, onClose }) => {
+  const { loadUser } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [mode, setMode] = useState('status');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const resetForm = () => {
+    setCode('');
+    setPassword('');
+    setError('');
+  };
+
+  const fetchStatus = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await axios.get('http://localhost:5000/api/auth/2fa', authHeaders());
+      setStatus(response.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load two-factor status');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isOpen) {
+      fetchStatus();
+    }
+  }, [isOpen, fetchStatus]);
+
+  const startSetup = async () => {
+    resetForm();
+    setLoading(true);
+    try {
+      const response = await axios.post('http://localhost:5000/api/auth/2fa/setup', {}, authHeaders());
+      setSetup(response.data);
+      setMode('setup');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to start two-factor setup');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const confirmSetup = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+    try {
+      const response = await axios.post('http://localhost:5000/api/auth/2fa/confirm', { code }, authHeaders());
+      setRecoveryCodes(response.data.recoveryCodes);
+      setSetup(null);
+      setMode('recovery');
+      resetForm();
+      await fetchStatus();
+      loadUser();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to confirm two-factor setup');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const regenerateCodes = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+    try {
+      const response = await axios.post('http://localhost:5000/api/auth/2fa/recovery-codes', { code }, authHeaders());
+      setRecoveryCodes(response.data.recoveryCodes);
+      setMode('recovery');
+      resetForm();
+      await fetchStatus();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to regenerate recovery codes');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const disableTwoFactor = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+    try {
+      await axios.post('http://localhost:5000/api/auth/2fa/disable', { password, code }, authHeaders());
+      setMode('status');
+      resetForm();
+      await fetchStatus();
+      loadUser();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to disable two-factor authentication');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleClose = () => {
+    setMode('status');
+    setSetup(null);
+    setRecoveryCodes([]);
+    resetForm();
+    onClose();
+  };
+
+  if (!isOpen) return null;
+
+  const codeInput = (
+    <input
+      type="text"
+      inputMode="numeric"
+      autoComplete="one-time-code"
+      required
+      value={code}
+      onChange={(e) => setCode(e.target.value)}
+      placeholder="6-digit code"
+      className="w-full px-3 py-2 border border-gray-300 rounded-md text-center tracking-widest focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+    />
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl max-w-md w-full mx-4 max-h-[90vh] overflow-y-auto">
+        <div className="p-6">
+          {/* Modal Header */}
+          <div className="flex justify-between items-center mb-6">
+            <h3 className="text-lg font-semibold text-gray-900">Two-Factor Authentication</h3>
+            <button
+              onClick={handleClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+
+          {/* Error Message */}
+          {error && (
+            <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded-md text-sm">
+              {error}
+            </div>
+          )}
+
+          {loading && !status ? (
+            <div className="flex justify-center py-8">
+              <div className="animate-spin rounded-full h-8 w-8 border-4 border-blue-600 border-t-transparent"></div>
+            </div>
+          ) : mode === 'setup' && setup ? (
+            <form onSubmit={confirmSetup} className="space-y-4">
+              <p className="text-sm text-gray-600">
+                Scan this QR code with your authenticator app, then enter the code it shows.
+              </p>
+              <img src={setup.qrCode} alt="Two-factor QR code" className="mx-auto w-48 h-48" />
+              <div className="text-xs text-gray-500 break-all bg-gray-50 rounded-md p-3">
+                Can't scan? Enter this key manually: <span className="font-mono text-gray-800">{setup.secret}</span>
+              </div>
+              {codeInput}
+              <div className="flex justify-end space-x-3">
+                <button
+                  type="button"
+                  onClick={() => { setMode('status'); resetForm(); }}
+                  className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-md transition-colors"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className="px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md transition-colors disabled:opacity-50"
+                >
+                  {loading ? 'Verifying...' : 'Enable'}
+                </button>
+              </div>
+            </form>
+          ) : mode === 'recovery' ? (
+            <div className="space-y-4">
+              <p className="text-sm text-gray-600">
+                Save these recovery codes somewhere safe. Each code works once if you lose access to your authenticator app. They won't be shown again.
+              </p>
+              <div className="grid grid-cols-2 gap-2 bg-gray-50 rounded-md p-4 font-mono text-sm text-gray-800">
+                {recoveryCodes.map((recoveryCode) => (
+                  <span key={recoveryCode}>{recoveryCode}</span>
+                ))}
+              </div>
+              <div className="flex justify-end">
+                <button
+                  onClick={() => { setRecoveryCodes([]); setMode('status'); }}
+                  className="px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md transition-colors"
+                >
+                  I've saved them
+                </button>
+              </div>
+            </div>
+          ) : mode === 'regenerate' ? (
+            <form onSubmit={regenerateCodes} className="space-y-4">
+              <p className="text-sm text-gray-600">
+                Enter a code from your authenticator app to replace your recovery codes.
+              </p>
+              {codeInput}
+              <div className="flex justify-end space-x-3">
+                <button
+                  type="button"
+                  onClick={() => { setMode('status'); resetForm(); }}
+                  className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-md transition-colors"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className="px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md transition-colors disabled:opacity-50"
+                >
+                  Regenerate
+                </button>
+              </div>
+            </form>
+          ) : mode === 'disable' ? (
+            <form onSubmit={disableTwoFactor} className="space-y-4">
+              <p className="text-sm text-gray-600">
+                Confirm your password and a current code to turn off two-factor authentication.
+              </p>
+              <input
+                type="password"
+                autoComplete="current-password"
+                required
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="Password"
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+              {codeInput}
+              <div className="flex justify-end space-x-3">
+                <button
+                  type="button"
+                  onClick={() => { setMode('status'); resetForm(); }}
+                  className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-md transition-colors"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className="px-4 py-2 text-sm font-medium text-white bg-red-600 hover:bg-red-700 rounded-md transition-colors disabled:opacity-50"
+                >
+                  Disable
+                </button>
+              </div>
+            </form>
+          ) : status?.enabled ? (
+            <div className="space-y-4">
+              <div className="p-4 bg-green-50 border border-green-200 rounded-md text-sm text-green-800">
+                Two-factor authentication is on
+                {status.enabledAt && ` since ${new Date(status.enabledAt).toLocaleDateString()}`}.
+                {' '}{status.recoveryCodesRemaining} recovery code(s) left.
+              </div>
+              <div className="flex justify-end space-x-3">
+                <button
+                  onClick={() => { resetForm(); setMode('regenerate'); }}
+                  className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-md transition-colors"
+                >
+                  New recovery codes
+                </button>
+                <button
+                  onClick={() => { resetForm(); setMode('disable'); }}
+                  className="px-4 py-2 text-sm font-medium text-white bg-red-600 hover:bg-red-700 rounded-md transition-colors"
+                >
+                  Disable
+                </button>
+              </div>
+            </div>
+          ) : (
+            <div className="space-y-4">
+              <p className="text-sm text-gray-600">
+                Protect your account with a code from an authenticator app (Google Authenticator, 1Password, Authy...) in addition to your password.
+              </p>
+              <div className="flex justify-end">
+                <button
+                  onClick={startSetup}
+                  disabled={loading}
+                  className="px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md transition-colors disabled:opacity-50"
+                >
+                  Set up two-factor
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TwoFactorModal;
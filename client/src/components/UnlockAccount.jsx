@@ -0,0 +1,65 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import axios from 'axios';
+
+const UnlockAccount = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState(token ? 'unlocking' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This unlock link is missing its token.');
+  const requested = useRef(false);
+
+  useEffect(() => {
+    // StrictMode runs effects twice; only submit the token once
+    if (!token || requested.current) return;
+    requested.current = true;
+
+    axios.post('http://localhost:5000/api/auth/unlock', { token })
+      .then((response) => {
+        setStatus('success');
+        setMessage(response.data.message);
+      })
+      .catch((err) => {
+        setStatus('error');
+        setMessage(err.response?.data?.message || 'Failed to unlock account');
+      });
+  }, [token]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center px-4 bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-100">
+      <div className="w-full max-w-sm text-center bg-white/80 rounded-2xl shadow-xl p-8">
+        {status === 'unlocking' && (
+          <div className="flex flex-col items-center space-y-4">
+            <div className="animate-spin rounded-full h-10 w-10 border-4 border-blue-600 border-t-transparent"></div>
+            <p className="text-gray-700 font-medium">Unlocking your account...</p>
+          </div>
+        )}
+
+        {status === 'success' && (
+          <>
+            <h2 className="text-2xl font-bold text-gray-900 mb-3">Account unlocked 🔓</h2>
+            <p className="text-gray-600 mb-6">{message}</p>
+          </>
+        )}
+
+        {status === 'error' && (
+          <>
+            <h2 className="text-2xl font-bold text-gray-900 mb-3">Unlock failed</h2>
+            <p className="text-red-600 mb-6">{message}</p>
+          </>
+        )}
+
+        {status !== 'unlocking' && (
+          <Link
+            to="/login"
+            className="inline-block bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 text-white px-6 py-3 rounded-xl text-sm font-medium transition-all duration-200"
+          >
+            Go to sign in
+          </Link>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default UnlockAccount;
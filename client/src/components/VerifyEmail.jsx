@@ -0,0 +1,70 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import axios from 'axios';
+import { useAuth } from '../context/AuthContext';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { isAuthenticated, loadUser } = useAuth();
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This verification link is missing its token.');
+  const requested = useRef(false);
+
+  useEffect(() => {
+    // StrictMode runs effects twice; only submit the token once
+    if (!token || requested.current) return;
+    requested.current = true;
+
+    axios.post('http://localhost:5000/api/auth/verify-email', { token })
+      .then((response) => {
+        setStatus('success');
+        setMessage(response.data.message);
+        if (localStorage.getItem('token')) {
+          loadUser();
+        }
+      })
+      .catch((err) => {
+        setStatus('error');
+        setMessage(err.response?.data?.message || 'Failed to verify email');
+      });
+  }, [token, loadUser]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center px-4 bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-100">
+      <div className="w-full max-w-sm text-center bg-white/80 rounded-2xl shadow-xl p-8">
+        {status === 'verifying' && (
+          <div className="flex flex-col items-center space-y-4">
+            <div className="animate-spin rounded-full h-10 w-10 border-4 border-blue-600 border-t-transparent"></div>
+            <p className="text-gray-700 font-medium">Verifying your email...</p>
+          </div>
+        )}
+
+        {status === 'success' && (
+          <>
+            <h2 className="text-2xl font-bold text-gray-900 mb-3">Email verified 🎉</h2>
+            <p className="text-gray-600 mb-6">{message}</p>
+          </>
+        )}
+
+        {status === 'error' && (
+          <>
+            <h2 className="text-2xl font-bold text-gray-900 mb-3">Verification failed</h2>
+            <p className="text-red-600 mb-6">{message}</p>
+          </>
+        )}
+
+        {status !== 'verifying' && (
+          <Link
+            to={isAuthenticated ? '/dashboard' : '/login'}
+            className="inline-block bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 text-white px-6 py-3 rounded-xl text-sm font-medium transition-all duration-200"
+          >
+            {isAuthenticated ? 'Go to dashboard' : 'Go to sign in'}
+          </Link>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
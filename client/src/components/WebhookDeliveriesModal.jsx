@@ -0,0 +1,157 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+
+const WEBHOOK_URL = 'http://localhost:5000/api/github/webhook';
+
+const STATUS_STYLES = {
+  processed: 'bg-green-100 text-green-800',
+  received: 'bg-blue-100 text-blue-800',
+  unmatched: 'bg-gray-100 text-gray-600',
+  failed: 'bg-red-100 text-red-800'
+};
+
+const WebhookDeliveriesModal = ({ isOpen, onClose, workspaceId }) => {
+  const [deliveries, setDeliveries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [replaying, setReplaying] = useState('');
+  const [version, setVersion] = useState(0);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const fetchDeliveries = async () => {
+      setLoading(true);
+      try {
+        const token = localStorage.getItem('token');
+        const response = await axios.get(
+          `http://localhost:5000/api/github/workspace/${workspaceId}/webhook-deliveries`,
+          { headers: { Authorization: `Bearer ${token}` } }
+        );
+        setDeliveries(response.data.deliveries || []);
+      } catch (err) {
+        setError(err.response?.data?.message || 'Failed to load webhook deliveries');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchDeliveries();
+  }, [isOpen, workspaceId, version]);
+
+  if (!isOpen) return null;
+
+  const handleReplay = async (deliveryId) => {
+    setError('');
+    setReplaying(deliveryId);
+
+    try {
+      const token = localStorage.getItem('token');
+      await axios.post(
+        `http://localhost:5000/api/github/workspace/${workspaceId}/webhook-deliveries/${deliveryId}/replay`,
+        {},
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      setVersion(prev => prev + 1);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to replay delivery');
+    } finally {
+      setReplaying('');
+    }
+  };
+
+  const handleClose = () => {
+    setError('');
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg shadow-xl max-w-3xl w-full mx-4 max-h-[90vh] overflow-y-auto">
+        <div className="p-6">
+          {/* Modal Header */}
+          <div className="flex justify-between items-center mb-6">
+            <h3 className="text-lg font-semibold text-gray-900">GitHub Webhooks</h3>
+            <button
+              onClick={handleClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+
+          {error && (
+            <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded-md text-sm">
+              {error}
+            </div>
+          )}
+
+          {/* Setup */}
+          <div className="mb-6 p-4 bg-gray-50 border border-gray-200 rounded-lg text-sm text-gray-700 space-y-1">
+            <p>In each repository's <span className="font-medium">Settings → Webhooks</span>, add a webhook with:</p>
+            <p>Payload URL: <code className="bg-white px-1 rounded border border-gray-200">{WEBHOOK_URL}</code></p>
+            <p>Content type: <code className="bg-white px-1 rounded border border-gray-200">application/json</code></p>
+            <p>Secret: the server's <code className="bg-white px-1 rounded border border-gray-200">GITHUB_WEBHOOK_SECRET</code></p>
+            <p>Events: pushes, pull requests, issues and releases</p>
+          </div>
+
+          {/* Deliveries */}
+          <div className="flex justify-between items-center mb-3">
+            <h4 className="text-sm font-semibold text-gray-900">Recent deliveries</h4>
+            <button
+              onClick={() => setVersion(prev => prev + 1)}
+              className="text-sm text-blue-600 hover:text-blue-800"
+            >
+              Refresh
+            </button>
+          </div>
+
+          {loading ? (
+            <div className="flex justify-center py-8">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+            </div>
+          ) : deliveries.length === 0 ? (
+            <p className="text-sm text-gray-500">No deliveries received for this workspace's repositories yet.</p>
+          ) : (
+            <div className="space-y-2">
+              {deliveries.map(delivery => (
+                <div key={delivery.deliveryId} className="flex items-center justify-between p-3 border border-gray-200 rounded-lg">
+                  <div className="min-w-0 flex-1">
+                    <div className="flex items-center space-x-2">
+                      <span className="text-sm font-medium text-gray-900">
+                        {delivery.event}{delivery.action ? `.${delivery.action}` : ''}
+                      </span>
+                      <span className={`px-2 py-0.5 text-xs rounded-full ${STATUS_STYLES[delivery.status]}`}>
+                        {delivery.status}
+                      </span>
+                      <span className="text-xs text-gray-500">{delivery.repository}</span>
+                    </div>
+                    <p className="text-xs text-gray-500 mt-1">
+                      Received {new Date(delivery.receivedAt).toLocaleString()}
+                      {delivery.replayCount > 0 && ` · Replayed ${delivery.replayCount}×`}
+                      <span className="font-mono ml-2">{delivery.deliveryId}</span>
+                    </p>
+                    {delivery.error && (
+                      <p className="text-xs text-red-600 mt-1">{delivery.error}</p>
+                    )}
+                  </div>
+                  <button
+                    onClick={() => handleReplay(delivery.deliveryId)}
+                    disabled={replaying === delivery.deliveryId}
+                    className="ml-4 px-3 py-1 text-sm font-medium text-blue-700 bg-blue-100 hover:bg-blue-200 rounded-md transition-colors disabled:opacity-50"
+                  >
+                    {replaying === delivery.deliveryId ? 'Replaying...' : 'Replay'}
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default WebhookDeliveriesModal;
@@ -1,9 +1,12 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import axios from 'axios';
 import SmartOnboarding from './SmartOnboarding';
 import AddMembersModal from './AddMembersModal';
+import InviteLinksModal from './InviteLinksModal';
+import SaveTemplateModal from './SaveTemplateModal';
 import GitHubIntegration from './GitHubIntegration';
+import TeamDiagrams from './TeamDiagrams';
 import NotionIntegration from './NotionIntegration';
 import Timeline from './Timeline';
 import Chat from './Chat';
@@ -13,6 +16,10 @@ import SemanticSearch from './SemanticSearch';
 import TaskAssignmentModal from './TaskAssignmentModal';
 import TaskDisplay from './TaskDisplay';
 import FloatingAIBot from './FloatingAIBot';
+import RemoveMemberModal from './RemoveMemberModal';
+import { useSocket } from '../context/SocketContext';
+
+const ROLE_RANK = { Creator: 0, Admin: 1, Member: 2 };
 
 const WorkspaceDetail = () => {
   const { workspaceId } = useParams();
@@ -23,8 +30,12 @@ const WorkspaceDetail = () => {
   const [user, setUser] = useState(null);
   const [activeTab, setActiveTab] = useState('onboarding');
   const [showAddMembersModal, setShowAddMembersModal] = useState(false);
+  const [showInviteLinksModal, setShowInviteLinksModal] = useState(false);
+  const [showSaveTemplateModal, setShowSaveTemplateModal] = useState(false);
   const [showTaskAssignmentModal, setShowTaskAssignmentModal] = useState(false);
   const [selectedMember, setSelectedMember] = useState(null);
+  const [departingMember, setDepartingMember] = useState(null);
+  const { socket } = useSocket();
 
   // Add state for invites
   const [invites, setInvites] = useState([]);
@@ -33,6 +44,8 @@ const WorkspaceDetail = () => {
   const [githubData, setGitHubData] = useState({
     isConnected: false,
     repoInfo: null,
+    repositories: [],
+    rateLimits: [],
     data: {
       issues: [],
       pullRequests: [],
@@ -60,6 +73,28 @@ const WorkspaceDetail = () => {
     }
   };
 
+  // Apply a live webhook update ({ list, items } or { list, removed }) to one of
+  // the GitHub lists without refetching them. Stable, as GitHubIntegration
+  // subscribes to the socket with it.
+  const handleGitHubLiveUpdate = useCallback(({ list, items = [], removed = [] }) => {
+    const keyOf = (item) => (list === 'commits' ? item.sha : item.id);
+    const updates = new Map(items.map(item => [keyOf(item), item]));
+
+    setGitHubData(prevData => {
+      const current = prevData.data[list].filter(item => !removed.includes(keyOf(item)));
+      // Known items are updated in place, new ones go on top
+      const added = items.filter(item => !current.some(existing => keyOf(existing) === keyOf(item)));
+
+      return {
+        ...prevData,
+        data: {
+          ...prevData.data,
+          [list]: [...added, ...current.map(item => updates.get(keyOf(item)) || item)]
+        }
+      };
+    });
+  }, []);
+
   const fetchGitHubData = async () => {
     if (!workspaceId || workspaceId === 'undefined') return;
 
@@ -78,7 +113,7 @@ const WorkspaceDetail = () => {
         { headers: { Authorization: `Bearer ${token}` } }
       );
 
-      const { connected, repository } = statusResponse.data;
+      const { connected, repository, repositories, rateLimits } = statusResponse.data;
 
       if (connected && repository) {
         const [issuesResponse, pullsResponse, commitsResponse, releasesResponse] = await Promise.all([
@@ -102,6 +137,8 @@ const WorkspaceDetail = () => {
         setGitHubData({
           isConnected: true,
           repoInfo: repository,
+          repositories,
+          rateLimits,
           data: {
             issues: issuesResponse.data.issues || [],
             pullRequests: pullsResponse.data.pullRequests || [],
@@ -120,6 +157,8 @@ const WorkspaceDetail = () => {
         setGitHubData({
           isConnected: false,
           repoInfo: null,
+          repositories: [],
+          rateLimits: [],
           data: {
             issues: [],
             pullRequests: [],
@@ -155,6 +194,21 @@ const WorkspaceDetail = () => {
     fetchUserDetails();
   }, [workspaceId]);
 
+  // Leave the page if we are removed or the workspace is deleted while it is open
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleWorkspaceRemoved = (data) => {
+      if (data.workspaceId === workspaceId) {
+        alert(data.message || 'You no longer have access to this workspace');
+        navigate('/dashboard');
+      }
+    };
+
+    socket.on('workspace-removed', handleWorkspaceRemoved);
+    return () => socket.off('workspace-removed', handleWorkspaceRemoved);
+  }, [socket, workspaceId, navigate]);
+
   useEffect(() => {
     // Fetch GitHub data after workspace details are loaded
     if (workspace && workspaceId) {
@@ -194,23 +248,75 @@ const WorkspaceDetail = () => {
     navigate('/dashboard');
   };
 
+  // The modal closes itself, after showing its result
   const handleMembersAdded = () => {
     fetchWorkspaceDetails(); // Refresh workspace data
-    setShowAddMembersModal(false);
   };
 
-  const resendInvite = async (email) => {
+  const resendInvite = async (invite) => {
     try {
       const token = localStorage.getItem('token');
-      await axios.post(`http://localhost:5000/api/workspaces/${workspaceId}/invite`, 
-        { invites: [email] },
-        { headers: { Authorization: `Bearer ${token}` } }
-      );
+      // Declined invites need a fresh invitation; pending and expired ones are re-sent as-is
+      if (invite.status === 'declined') {
+        await axios.post(`http://localhost:5000/api/workspaces/${workspaceId}/invite`, 
+          { emails: [invite.email] },
+          { headers: { Authorization: `Bearer ${token}` } }
+        );
+      } else {
+        await axios.post(`http://localhost:5000/api/invites/${invite.id}/resend`, {},
+          { headers: { Authorization: `Bearer ${token}` } }
+        );
+      }
       alert('Invitation resent successfully!');
       fetchWorkspaceDetails(); // Refresh data
     } catch (error) {
       console.error('Error resending invite:', error);
-      alert('Failed to resend invitation');
+      alert(error.response?.data?.message || 'Failed to resend invitation');
+    }
+  };
+
+  const handleChangeRole = async (member, role) => {
+    try {
+      const token = localStorage.getItem('token');
+      await axios.patch(
+        `http://localhost:5000/api/workspaces/${workspaceId}/members/${member.id}/role`,
+        { role },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      fetchWorkspaceDetails(); // Refresh data
+    } catch (error) {
+      console.error('Error changing member role:', error);
+      alert(error.response?.data?.message || 'Failed to change member role');
+    }
+  };
+
+  const handleTransferOwnership = async (member) => {
+    if (!window.confirm(`Make ${member.user.name} the owner of this workspace? You will become an Admin.`)) {
+      return;
+    }
+
+    try {
+      const token = localStorage.getItem('token');
+      await axios.post(
+        `http://localhost:5000/api/workspaces/${workspaceId}/transfer-ownership`,
+        { memberId: member.id },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      fetchWorkspaceDetails(); // Refresh data
+    } catch (error) {
+      console.error('Error transferring ownership:', error);
+      alert(error.response?.data?.message || 'Failed to transfer ownership');
+    }
+  };
+
+  const handleMemberRemoved = () => {
+    const wasSelf = departingMember?.user.id === user?.id;
+    setDepartingMember(null);
+
+    if (wasSelf) {
+      navigate('/dashboard');
+    } else {
+      fetchWorkspaceDetails(); // Refresh data
     }
   };
 
@@ -241,12 +347,20 @@ const WorkspaceDetail = () => {
     );
   }
 
-  const canManageMembers = workspace?.userRole === 'Creator' || workspace?.userRole === 'Admin';
-  const isCreator = workspace?.userRole === 'Creator';
+  const permissions = workspace?.permissions || [];
+  const canManageMembers = permissions.includes('invites:view');
+  const canInviteMembers = permissions.includes('members:invite');
+  const canChangeRoles = permissions.includes('members:change-role');
+  const canTransferOwnership = permissions.includes('workspace:transfer');
+  const canSaveTemplate = permissions.includes('workspace:template');
+  const canRemoveMember = (member) => permissions.includes('members:remove') &&
+    member.user.id !== user?.id &&
+    ROLE_RANK[workspace.userRole] < ROLE_RANK[member.role];
+  const currentMembership = workspace?.members?.find(member => member.user.id === user?.id);
 
   const acceptedMembers = workspace?.members || [];
   const pendingInvites = workspace?.invites?.filter(invite => invite.status === 'pending') || [];
-  const declinedInvites = workspace?.invites?.filter(invite => invite.status === 'declined') || [];
+  const declinedInvites = workspace?.invites?.filter(invite => ['declined', 'expired'].includes(invite.status)) || [];
 
   if (loading) {
     return (
@@ -290,6 +404,7 @@ const WorkspaceDetail = () => {
     { id: 'timeline', name: 'Timeline', icon: '📊', color: 'from-blue-500 to-cyan-600' },
     { id: 'chat', name: 'Team Chat', icon: '💬', color: 'from-green-500 to-emerald-600' },
     { id: 'github', name: 'GitHub', icon: '🐙', color: 'from-slate-600 to-slate-800' },
+    { id: 'diagrams', name: 'Diagrams', icon: '🧩', color: 'from-indigo-500 to-violet-600' },
     { id: 'notion', name: 'Notion', icon: '📝', color: 'from-orange-500 to-red-600' },
     { id: 'meet', name: 'Google Meet', icon: '🎥', color: 'from-blue-600 to-purple-600' },
     { id: 'meeting-notes', name: 'Meeting Notes', icon: '📋', color: 'from-teal-500 to-cyan-600' },
@@ -335,6 +450,14 @@ const WorkspaceDetail = () => {
               </div>
             </div>
             <div className="flex items-center space-x-4">
+              {canSaveTemplate && (
+                <button
+                  onClick={() => setShowSaveTemplateModal(true)}
+                  className="text-sm font-medium text-gray-600 hover:text-gray-900 bg-gray-100 hover:bg-gray-200 px-4 py-2 rounded-xl transition-all duration-200"
+                >
+                  Save as template
+                </button>
+              )}
               <div className="flex items-center space-x-3">
                 <div className="flex items-center justify-center w-10 h-10 bg-gradient-to-r from-blue-500 to-purple-500 rounded-full shadow-lg">
                   <span className="text-white font-semibold text-sm">
@@ -375,6 +498,12 @@ const WorkspaceDetail = () => {
 
       {/* Tab Content with Enhanced Styling */}
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {workspace.archivedAt && (
+          <div className="mb-6 p-4 bg-gray-100 border border-gray-300 text-gray-700 rounded-xl text-sm">
+            This workspace was archived on {new Date(workspace.archivedAt).toLocaleDateString()} and is read-only.
+          </div>
+        )}
+
         {/* Semantic Search Tab */}
         {activeTab === 'search' && (
           <div className="bg-white/60 backdrop-blur-sm rounded-3xl p-8 shadow-xl border border-white/20">
@@ -411,10 +540,18 @@ const WorkspaceDetail = () => {
               workspace={workspace}
               githubData={githubData}
               onDataChange={handleGitHubDataChange}
+              onLiveUpdate={handleGitHubLiveUpdate}
             />
           </div>
         )}
 
+        {/* Team Diagrams Tab */}
+        {activeTab === 'diagrams' && (
+          <div className="bg-white/60 backdrop-blur-sm rounded-3xl p-8 shadow-xl border border-white/20">
+            <TeamDiagrams workspaceId={workspaceId} canEdit={permissions.includes('diagrams:edit')} />
+          </div>
+        )}
+
         {/* Notion Integration Tab */}
         {activeTab === 'notion' && (
           <div className="bg-white/60 backdrop-blur-sm rounded-3xl p-8 shadow-xl border border-white/20">
@@ -454,24 +591,45 @@ const WorkspaceDetail = () => {
                       <p className="text-blue-100 text-sm">{acceptedMembers.length} active members</p>
                     </div>
                   </div>
-                  {workspace.userRole === 'Creator' && (
-                    <button
-                      onClick={() => setShowAddMembersModal(true)}
-                      className="bg-white/20 hover:bg-white/30 text-white px-6 py-3 rounded-xl text-sm font-medium transition-all duration-200 flex items-center space-x-2 backdrop-blur-sm"
-                    >
-                      <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
-                      </svg>
-                      <span>Add Members</span>
-                    </button>
-                  )}
+                  <div className="flex items-center space-x-3">
+                    {workspace.userRole !== 'Creator' && currentMembership && (
+                      <button
+                        onClick={() => setDepartingMember(currentMembership)}
+                        className="bg-white/10 hover:bg-white/20 text-white px-6 py-3 rounded-xl text-sm font-medium transition-all duration-200 backdrop-blur-sm"
+                      >
+                        Leave Workspace
+                      </button>
+                    )}
+                    {canInviteMembers && (
+                      <button
+                        onClick={() => setShowInviteLinksModal(true)}
+                        className="bg-white/10 hover:bg-white/20 text-white px-6 py-3 rounded-xl text-sm font-medium transition-all duration-200 flex items-center space-x-2 backdrop-blur-sm"
+                      >
+                        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13.828 10.172a4 4 0 00-5.656 0l-4 4a4 4 0 105.656 5.656l1.102-1.101m-.758-4.899a4 4 0 005.656 0l4-4a4 4 0 00-5.656-5.656l-1.1 1.1" />
+                        </svg>
+                        <span>Invite Links</span>
+                      </button>
+                    )}
+                    {canInviteMembers && (
+                      <button
+                        onClick={() => setShowAddMembersModal(true)}
+                        className="bg-white/20 hover:bg-white/30 text-white px-6 py-3 rounded-xl text-sm font-medium transition-all duration-200 flex items-center space-x-2 backdrop-blur-sm"
+                      >
+                        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
+                        </svg>
+                        <span>Add Members</span>
+                      </button>
+                    )}
+                  </div>
                 </div>
               </div>
 
               <div className="p-8">
                 <div className="space-y-4">
                   {workspace.members?.map((member) => (
-                    <div key={member.user._id} className="flex items-center justify-between p-6 bg-gradient-to-r from-white/60 to-blue-50/60 backdrop-blur-sm border border-white/40 rounded-2xl shadow-md hover:shadow-lg transition-all duration-200">
+                    <div key={member.id} className="flex items-center justify-between p-6 bg-gradient-to-r from-white/60 to-blue-50/60 backdrop-blur-sm border border-white/40 rounded-2xl shadow-md hover:shadow-lg transition-all duration-200">
                       <div className="flex items-center space-x-4">
                         <div className="w-14 h-14 bg-gradient-to-br from-blue-500 to-purple-600 rounded-2xl flex items-center justify-center text-white font-bold text-lg shadow-lg">
                           {member.user.name?.charAt(0).toUpperCase()}
@@ -482,19 +640,46 @@ const WorkspaceDetail = () => {
                         </div>
                       </div>
                       <div className="flex items-center space-x-4">
-                        <span className={`px-4 py-2 text-sm font-semibold rounded-xl ${
-                          member.role === 'Creator' 
-                            ? 'bg-gradient-to-r from-purple-100 to-purple-200 text-purple-800 border border-purple-200'
-                            : member.role === 'Admin'
-                            ? 'bg-gradient-to-r from-blue-100 to-blue-200 text-blue-800 border border-blue-200'
-                            : 'bg-gradient-to-r from-green-100 to-green-200 text-green-800 border border-green-200'
-                        }`}>
-                          {member.role}
-                        </span>
+                        {canChangeRoles && member.role !== 'Creator' ? (
+                          <select
+                            value={member.role}
+                            onChange={(e) => handleChangeRole(member, e.target.value)}
+                            className="px-4 py-2 text-sm font-semibold rounded-xl border border-gray-200 bg-white text-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          >
+                            <option value="Admin">Admin</option>
+                            <option value="Member">Member</option>
+                          </select>
+                        ) : (
+                          <span className={`px-4 py-2 text-sm font-semibold rounded-xl ${
+                            member.role === 'Creator' 
+                              ? 'bg-gradient-to-r from-purple-100 to-purple-200 text-purple-800 border border-purple-200'
+                              : member.role === 'Admin'
+                              ? 'bg-gradient-to-r from-blue-100 to-blue-200 text-blue-800 border border-blue-200'
+                              : 'bg-gradient-to-r from-green-100 to-green-200 text-green-800 border border-green-200'
+                          }`}>
+                            {member.role}
+                          </span>
+                        )}
                         <div className="flex items-center space-x-1 text-xs text-gray-500 bg-gray-100 px-3 py-1.5 rounded-lg">
                           <div className="w-2 h-2 bg-green-500 rounded-full animate-pulse"></div>
                           <span>Active</span>
                         </div>
+                        {canTransferOwnership && member.role !== 'Creator' && (
+                          <button
+                            onClick={() => handleTransferOwnership(member)}
+                            className="text-sm font-medium text-purple-600 hover:text-purple-800"
+                          >
+                            Make Owner
+                          </button>
+                        )}
+                        {canRemoveMember(member) && (
+                          <button
+                            onClick={() => setDepartingMember(member)}
+                            className="text-sm font-medium text-red-600 hover:text-red-800"
+                          >
+                            Remove
+                          </button>
+                        )}
                       </div>
                     </div>
                   ))}
@@ -521,14 +706,17 @@ const WorkspaceDetail = () => {
                 <div className="p-8">
                   <div className="space-y-4">
                     {pendingInvites.map((invite) => (
-                      <div key={invite._id} className="flex items-center justify-between p-6 bg-gradient-to-r from-yellow-50/80 to-orange-50/80 backdrop-blur-sm border border-yellow-200/40 rounded-2xl">
+                      <div key={invite.id} className="flex items-center justify-between p-6 bg-gradient-to-r from-yellow-50/80 to-orange-50/80 backdrop-blur-sm border border-yellow-200/40 rounded-2xl">
                         <div className="flex items-center space-x-4">
                           <div className="w-12 h-12 bg-gradient-to-br from-yellow-400 to-orange-500 rounded-2xl flex items-center justify-center text-white font-bold">
                             {invite.email.charAt(0).toUpperCase()}
                           </div>
                           <div>
                             <h4 className="font-semibold text-gray-900">{invite.email}</h4>
-                            <p className="text-sm text-gray-600">Invitation sent {new Date(invite.sentAt).toLocaleDateString()}</p>
+                            <p className="text-sm text-gray-600">
+                              Invitation sent {new Date(invite.lastSentAt || invite.createdAt).toLocaleDateString()}
+                              {invite.expiresAt && ` · Expires ${new Date(invite.expiresAt).toLocaleDateString()}`}
+                            </p>
                           </div>
                         </div>
                         <div className="flex items-center space-x-3">
@@ -536,7 +724,7 @@ const WorkspaceDetail = () => {
                             Pending
                           </span>
                           <button
-                            onClick={() => resendInvite(invite.email)}
+                            onClick={() => resendInvite(invite)}
                             className="text-blue-600 hover:text-blue-800 text-sm font-medium bg-blue-50 hover:bg-blue-100 px-3 py-1.5 rounded-lg transition-all duration-200"
                           >
                             Resend
@@ -560,30 +748,34 @@ const WorkspaceDetail = () => {
                       </svg>
                     </div>
                     <div>
-                      <h3 className="text-xl font-bold text-white">Declined Invitations</h3>
-                      <p className="text-red-100 text-sm">{declinedInvites.length} declined</p>
+                      <h3 className="text-xl font-bold text-white">Declined & Expired Invitations</h3>
+                      <p className="text-red-100 text-sm">{declinedInvites.length} not accepted</p>
                     </div>
                   </div>
                 </div>
                 <div className="p-8">
                   <div className="space-y-4">
                     {declinedInvites.map((invite) => (
-                      <div key={invite._id} className="flex items-center justify-between p-6 bg-gradient-to-r from-red-50/80 to-red-50/80 backdrop-blur-sm border border-red-200/40 rounded-2xl">
+                      <div key={invite.id} className="flex items-center justify-between p-6 bg-gradient-to-r from-red-50/80 to-red-50/80 backdrop-blur-sm border border-red-200/40 rounded-2xl">
                         <div className="flex items-center space-x-4">
                           <div className="w-12 h-12 bg-gradient-to-br from-red-400 to-red-500 rounded-2xl flex items-center justify-center text-white font-bold">
                             {invite.email.charAt(0).toUpperCase()}
                           </div>
                           <div>
                             <h4 className="font-semibold text-gray-900">{invite.email}</h4>
-                            <p className="text-sm text-gray-600">Declined on {new Date(invite.respondedAt).toLocaleDateString()}</p>
+                            <p className="text-sm text-gray-600">
+                              {invite.status === 'expired'
+                                ? `Expired on ${new Date(invite.expiresAt).toLocaleDateString()}`
+                                : `Declined on ${new Date(invite.respondedAt).toLocaleDateString()}`}
+                            </p>
                           </div>
                         </div>
                         <div className="flex items-center space-x-3">
                           <span className="px-3 py-1.5 text-xs font-semibold rounded-full bg-red-100 text-red-800 border border-red-200">
-                            Declined
+                            {invite.status === 'expired' ? 'Expired' : 'Declined'}
                           </span>
                           <button
-                            onClick={() => resendInvite(invite.email)}
+                            onClick={() => resendInvite(invite)}
                             className="text-blue-600 hover:text-blue-800 text-sm font-medium bg-blue-50 hover:bg-blue-100 px-3 py-1.5 rounded-lg transition-all duration-200"
                           >
                             Invite Again
@@ -609,6 +801,19 @@ const WorkspaceDetail = () => {
         />
       )}
 
+      <InviteLinksModal
+        isOpen={showInviteLinksModal}
+        onClose={() => setShowInviteLinksModal(false)}
+        workspaceId={workspaceId}
+        canCreateAdminLinks={canChangeRoles}
+      />
+
+      <SaveTemplateModal
+        isOpen={showSaveTemplateModal}
+        onClose={() => setShowSaveTemplateModal(false)}
+        workspace={workspace}
+      />
+
       {/* Task Assignment Modal */}
       {showTaskAssignmentModal && selectedMember && (
         <TaskAssignmentModal
@@ -623,6 +828,16 @@ const WorkspaceDetail = () => {
         />
       )}
 
+      <RemoveMemberModal
+        isOpen={!!departingMember}
+        onClose={() => setDepartingMember(null)}
+        workspaceId={workspaceId}
+        members={acceptedMembers}
+        member={departingMember}
+        isSelf={departingMember?.user.id === user?.id}
+        onRemoved={handleMemberRemoved}
+      />
+
       {/* Floating AI Bot */}
       <FloatingAIBot workspaceId={workspaceId} user={user} />
     </div>
@@ -14,6 +14,45 @@ const setAuthToken = (token) => {
   }
 };
 
+// Helper function to set refresh token
+const setRefreshToken = (refreshToken) => {
+  if (refreshToken) {
+    localStorage.setItem('refreshToken', refreshToken);
+  } else {
+    localStorage.removeItem('refreshToken');
+  }
+};
+
+// Shared in-flight refresh so parallel 401s only rotate the token once
+let refreshPromise = null;
+
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = localStorage.getItem('refreshToken');
+      if (!refreshToken) return null;
+
+      try {
+        const res = await axios.post('http://localhost:5000/api/auth/refresh', { refreshToken });
+        setAuthToken(res.data.token);
+        setRefreshToken(res.data.refreshToken);
+        return res.data.token;
+      } catch (err) {
+        console.error('Token refresh error:', err);
+        return null;
+      }
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+
+  return refreshPromise;
+};
+
+// Requests that must never trigger a refresh-and-retry
+const isAuthRequest = (url = '') =>
+  ['/api/auth/refresh', '/api/auth/login', '/api/auth/signup'].some(path => url.includes(path));
+
 const authReducer = (state, action) => {
   switch (action.type) {
     case 'SET_LOADING':
@@ -26,25 +65,36 @@ const authReducer = (state, action) => {
         user: action.payload,
       };
     case 'LOGIN_SUCCESS':
-    case 'SIGNUP_SUCCESS':
       return {
         ...state,
         isAuthenticated: true,
         loading: false,
         user: action.payload.user,
         token: action.payload.token,
+        twoFactorChallenge: null,
+        securityNotices: action.payload.securityNotices || [],
       };
+    case 'SECURITY_NOTICES_DISMISSED':
+      return { ...state, securityNotices: [] };
+    case 'TWO_FACTOR_REQUIRED':
+      return { ...state, loading: false, twoFactorChallenge: action.payload };
+    case 'TWO_FACTOR_CANCELLED':
+      return { ...state, twoFactorChallenge: null };
+    case 'TOKEN_REFRESHED':
+      return { ...state, token: action.payload };
     case 'LOGIN_FAIL':
     case 'LOGOUT':
     case 'AUTH_ERROR':
       localStorage.removeItem('token');
       setAuthToken(null);
+      setRefreshToken(null);
       return {
         ...state,
         token: null,
         isAuthenticated: false,
         loading: false,
         user: null,
+        twoFactorChallenge: null,
       };
     default:
       return state;
@@ -57,6 +107,10 @@ export const AuthProvider = ({ children }) => {
     isAuthenticated: false,
     loading: true,
     user: null,
+    // Challenge token between the password and the 2FA code step
+    twoFactorChallenge: null,
+    // Lockouts etc. that happened since the last login
+    securityNotices: [],
   });
 
   // Load user from token on app start
@@ -92,6 +146,12 @@ export const AuthProvider = ({ children }) => {
         password,
       });
 
+      // Password was right but a second factor is needed
+      if (res.data.success && res.data.twoFactorRequired) {
+        dispatch({ type: 'TWO_FACTOR_REQUIRED', payload: res.data.challengeToken });
+        return { success: false, twoFactorRequired: true };
+      }
+
       if (res.data.success) {
         dispatch({
           type: 'LOGIN_SUCCESS',
@@ -99,6 +159,7 @@ export const AuthProvider = ({ children }) => {
         });
 
         setAuthToken(res.data.token);
+        setRefreshToken(res.data.refreshToken);
         
         return { success: true };
       } else {
@@ -116,27 +177,52 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  // Signup
-  const signup = async (name, email, password) => {
-    dispatch({ type: 'SET_LOADING' });
-    
+  // Second login step: exchange the challenge token and a code for a session
+  const verifyTwoFactor = async ({ code, recoveryCode }) => {
     try {
-      const res = await axios.post('http://localhost:5000/api/auth/signup', {
-        name,
-        email,
-        password,
+      const res = await axios.post('http://localhost:5000/api/auth/login/2fa', {
+        challengeToken: state.twoFactorChallenge,
+        code,
+        recoveryCode,
       });
 
       dispatch({
-        type: 'SIGNUP_SUCCESS',
+        type: 'LOGIN_SUCCESS',
         payload: res.data,
       });
 
       setAuthToken(res.data.token);
-      
-      return { success: true };
+      setRefreshToken(res.data.refreshToken);
+
+      return { success: true, recoveryCodesRemaining: res.data.recoveryCodesRemaining };
+    } catch (err) {
+      return {
+        success: false,
+        message: err.response?.data?.message || 'Verification failed',
+      };
+    }
+  };
+
+  const cancelTwoFactor = () => {
+    dispatch({ type: 'TWO_FACTOR_CANCELLED' });
+  };
+
+  const dismissSecurityNotices = () => {
+    dispatch({ type: 'SECURITY_NOTICES_DISMISSED' });
+  };
+
+  // Signup: creates the account and asks the user to verify their email
+  // before signing in. The response is the same for taken emails.
+  const signup = async (name, email, password) => {
+    try {
+      const res = await axios.post('http://localhost:5000/api/auth/signup', {
+        name,
+        email,
+        password,
+      });
+
+      return { success: true, message: res.data.message };
     } catch (err) {
-      dispatch({ type: 'LOGIN_FAIL' });
       return { 
         success: false, 
         message: err.response?.data?.message || 'Signup failed' 
@@ -145,10 +231,71 @@ export const AuthProvider = ({ children }) => {
   };
 
   // Logout
-  const logout = () => {
+  const logout = async () => {
+    const token = localStorage.getItem('token');
+
+    if (token) {
+      try {
+        // Revoke the session server-side so the refresh token stops working
+        await axios.post('http://localhost:5000/api/auth/logout', {}, {
+          headers: { Authorization: `Bearer ${token}` }
+        });
+      } catch (err) {
+        console.error('Logout error:', err);
+      }
+    }
+
     dispatch({ type: 'LOGOUT' });
   };
 
+  // Refresh the access token, e.g. before reconnecting a socket
+  const refreshToken = async () => {
+    const token = await refreshAccessToken();
+
+    if (token) {
+      dispatch({ type: 'TOKEN_REFRESHED', payload: token });
+    } else {
+      dispatch({ type: 'AUTH_ERROR' });
+    }
+
+    return token;
+  };
+
+  // Silently refresh expired access tokens and replay the failed request
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(
+      (response) => response,
+      async (error) => {
+        const originalRequest = error.config;
+
+        if (
+          error.response?.status !== 401 ||
+          !originalRequest ||
+          originalRequest._retry ||
+          isAuthRequest(originalRequest.url)
+        ) {
+          return Promise.reject(error);
+        }
+
+        originalRequest._retry = true;
+        const token = await refreshAccessToken();
+
+        if (!token) {
+          dispatch({ type: 'AUTH_ERROR' });
+          return Promise.reject(error);
+        }
+
+        dispatch({ type: 'TOKEN_REFRESHED', payload: token });
+        originalRequest.headers['Authorization'] = `Bearer ${token}`;
+        return axios(originalRequest);
+      }
+    );
+
+    return () => {
+      axios.interceptors.response.eject(interceptor);
+    };
+  }, []);
+
   useEffect(() => {
     loadUser();
   }, []);
@@ -160,10 +307,16 @@ export const AuthProvider = ({ children }) => {
         isAuthenticated: state.isAuthenticated,
         loading: state.loading,
         user: state.user,
+        twoFactorChallenge: state.twoFactorChallenge,
+        securityNotices: state.securityNotices,
+        dismissSecurityNotices,
         login,
+        verifyTwoFactor,
+        cancelTwoFactor,
         signup,
         logout,
         loadUser,
+        refreshToken,
       }}
     >
       {children}
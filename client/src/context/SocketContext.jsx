@@ -13,7 +13,7 @@ export const useSocket = () => {
 };
 
 export const SocketProvider = ({ children }) => {
-  const { user, isAuthenticated } = useAuth();
+  const { user, isAuthenticated, refreshToken } = useAuth();
   const [socket, setSocket] = useState(null);
   const [isConnected, setIsConnected] = useState(false);
 
@@ -24,9 +24,8 @@ export const SocketProvider = ({ children }) => {
         console.log('Attempting to connect with token:', token ? 'Token present' : 'No token');
         
         const newSocket = io('http://localhost:5000', {
-          auth: {
-            token
-          },
+          // Read the token on every (re)connect so refreshed tokens are picked up
+          auth: (cb) => cb({ token: localStorage.getItem('token') }),
           withCredentials: true,
           transports: ['websocket', 'polling'],
           timeout: 20000,
@@ -35,6 +34,7 @@ export const SocketProvider = ({ children }) => {
 
         newSocket.on('connect', () => {
           console.log('Successfully connected to server');
+          newSocket.authRetried = false;
           setIsConnected(true);
         });
 
@@ -47,9 +47,15 @@ export const SocketProvider = ({ children }) => {
           console.error('Connection error:', error.message);
           setIsConnected(false);
           
-          // If authentication error, try to refresh the user
-          if (error.message.includes('Authentication error')) {
-            console.log('Authentication error detected, token might be invalid');
+          // If authentication error, refresh the access token and retry once
+          if (error.message.includes('Authentication error') && !newSocket.authRetried) {
+            console.log('Authentication error detected, refreshing token');
+            newSocket.authRetried = true;
+            refreshToken().then((newToken) => {
+              if (newToken) {
+                newSocket.connect();
+              }
+            });
           }
         });
 
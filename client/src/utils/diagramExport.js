@@ -0,0 +1,60 @@
+// Downloads of rendered Mermaid diagrams
+
+const download = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+const serialize = (svg) => new XMLSerializer().serializeToString(svg);
+
+export const downloadSvg = (svg, filename) => {
+  download(new Blob([serialize(svg)], { type: 'image/svg+xml;charset=utf-8' }), `${filename}.svg`);
+};
+
+// Rasterized at twice the drawn size, on white, since the SVG has no background
+export const downloadPng = (svg, filename, scale = 2) => new Promise((resolve, reject) => {
+  const { width, height } = svg.getBoundingClientRect();
+  const image = new Image();
+
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.ceil(width * scale);
+    canvas.height = Math.ceil(height * scale);
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+    canvas.toBlob(blob => {
+      if (!blob) {
+        reject(new Error('Failed to create PNG'));
+        return;
+      }
+      download(blob, `${filename}.png`);
+      resolve();
+    }, 'image/png');
+  };
+  image.onerror = () => reject(new Error('Failed to load diagram for PNG export'));
+
+  // A data URL keeps the canvas untainted, so it can be exported
+  const markup = serialize(svg);
+  image.src = `data:image/svg+xml;base64,${btoa(unescape(encodeURIComponent(markup)))}`;
+});
+
+// A Markdown document with the diagram as a ```mermaid block, which GitHub,
+// GitLab and most wikis render
+export const downloadMarkdown = (mermaidCode, filename, { title, description } = {}) => {
+  const sections = [
+    title && `# ${title}`,
+    description,
+    `\`\`\`mermaid\n${mermaidCode.trim()}\n\`\`\``
+  ].filter(Boolean);
+
+  download(new Blob([`${sections.join('\n\n')}\n`], { type: 'text/markdown;charset=utf-8' }), `${filename}.md`);
+};
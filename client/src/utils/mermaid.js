@@ -0,0 +1,18 @@
+// Mermaid, set up once for the whole app. Its configuration is global, so
+// every component that renders diagrams imports it from here.
+import mermaid from 'mermaid';
+
+// Diagrams come from repositories, the AI and other workspace members;
+// 'strict' sanitizes labels and ignores click directives, which could
+// otherwise run script or open links in whoever views them
+mermaid.initialize({
+  startOnLoad: true,
+  theme: 'default',
+  securityLevel: 'strict',
+  flowchart: {
+    useMaxWidth: true,
+    htmlLabels: true
+  }
+});
+
+export default mermaid;
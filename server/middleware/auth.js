@@ -1,22 +1,54 @@
-const jwt = require('jsonwebtoken');
-const User = require('../models/User');
+const sessionService = require('../services/sessionService');
+const accessTokenService = require('../services/accessTokenService');
+const { getRequiredScope, hasScope } = require('../utils/tokenScopes');
+
+// Personal access tokens only reach routes their scopes cover
+const authorizeAccessToken = (req, accessToken) => {
+  // Scripts may look up who they are, but nothing else under /api/auth
+  if (req.baseUrl === '/api/auth') {
+    return req.method === 'GET' && req.path === '/me'
+      ? null
+      : 'Personal access tokens cannot be used for this endpoint';
+  }
+
+  const requiredScope = getRequiredScope(req.baseUrl, req.method);
+  if (!requiredScope) {
+    return 'Personal access tokens cannot be used for this endpoint';
+  }
+
+  if (!hasScope(accessToken.scopes, requiredScope)) {
+    return `Token is missing the "${requiredScope}" scope`;
+  }
+
+  return null;
+};
 
 const auth = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
-    
+
     if (!token) {
       return res.status(401).json({ message: 'No token, authorization denied' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.id);
+    if (accessTokenService.isAccessToken(token)) {
+      const { user, accessToken } = await accessTokenService.authenticate(token, req.ip);
 
-    if (!user) {
-      return res.status(401).json({ message: 'Token is not valid' });
+      const denied = authorizeAccessToken(req, accessToken);
+      if (denied) {
+        return res.status(403).json({ message: denied });
+      }
+
+      req.user = user;
+      req.accessToken = accessToken;
+      return next();
     }
 
+    // Rejects expired tokens as well as tokens whose session was revoked
+    const { user, session } = await sessionService.authenticateAccessToken(token);
+
     req.user = user;
+    req.authSession = session;
     next();
   } catch (error) {
     res.status(401).json({ message: 'Token is not valid' });
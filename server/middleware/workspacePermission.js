@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const Workspace = require('../models/Workspace');
+const { can, deniedMessage, findMembership } = require('../utils/permissions');
+
+// Default lookup: /:workspaceId, /:id, then a workspaceId in the body
+const defaultWorkspaceId = (req) => req.params.workspaceId || req.params.id || req.body?.workspaceId;
+
+// Load the workspace, check membership and the action's policy.
+// Sets req.workspace and req.membership for the route handler.
+// Workspaces pending deletion look missing, and archived ones only allow
+// viewing, unless the route opts in with allowDeleted / allowArchived.
+const requireWorkspacePermission = (action, {
+  getWorkspaceId = defaultWorkspaceId,
+  allowArchived = false,
+  allowDeleted = false
+} = {}) => async (req, res, next) => {
+  try {
+    const workspaceId = getWorkspaceId(req);
+
+    if (!workspaceId || !mongoose.Types.ObjectId.isValid(workspaceId)) {
+      return res.status(400).json({ message: 'Invalid workspace ID format' });
+    }
+
+    const workspace = await Workspace.findById(workspaceId);
+    if (!workspace || (workspace.deletedAt && !allowDeleted)) {
+      return res.status(404).json({ message: 'Workspace not found' });
+    }
+
+    const membership = findMembership(workspace, req.user.id);
+    if (!membership) {
+      return res.status(403).json({ message: 'Not authorized to access this workspace' });
+    }
+
+    if (!can(membership.role, action)) {
+      return res.status(403).json({ message: deniedMessage(action) });
+    }
+
+    if (workspace.archivedAt && action !== 'workspace:view' && !allowArchived) {
+      return res.status(403).json({
+        message: 'This workspace is archived and read-only',
+        code: 'WORKSPACE_ARCHIVED'
+      });
+    }
+
+    req.workspace = workspace;
+    req.membership = membership;
+    next();
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+module.exports = requireWorkspacePermission;
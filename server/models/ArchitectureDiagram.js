@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+// One version of a workspace diagram: generated from (or edited on top of) a
+// connected repository, or a free-form team diagram with no repository
+const architectureDiagramSchema = new mongoose.Schema({
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  // Id of the connected repository entry in workspace.repositories; null for
+  // team diagrams
+  repository: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  repositoryFullName: {
+    type: String
+  },
+  // Team diagrams are named, and their versions share a series: the id of
+  // the first version
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Diagram title cannot exceed 100 characters']
+  },
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  diagramType: {
+    type: String,
+    required: true
+  },
+  // Commit the diagram was generated from; null when the branch head
+  // couldn't be resolved
+  commitSha: {
+    type: String,
+    default: null
+  },
+  ref: {
+    type: String
+  },
+  mermaidCode: {
+    type: String,
+    required: true
+  },
+  // Generated by analysis, or written by hand in the diagram editor
+  source: {
+    type: String,
+    enum: ['generated', 'edited'],
+    default: 'generated'
+  },
+  // The version an edited one was saved from
+  basedOn: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ArchitectureDiagram',
+    default: null
+  },
+  description: {
+    type: String
+  },
+  componentsCount: {
+    type: Number,
+    default: 0
+  },
+  connectionsCount: {
+    type: Number,
+    default: 0
+  },
+  analysis: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  generatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // The canonical version; at most one per repository and diagram type (or
+  // per series, for team diagrams)
+  pinned: {
+    type: Boolean,
+    default: false
+  },
+  pinnedAt: {
+    type: Date,
+    default: null
+  },
+  pinnedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+architectureDiagramSchema.index({ workspace: 1, repository: 1, diagramType: 1, createdAt: -1 });
+architectureDiagramSchema.index({ workspace: 1, repository: 1, diagramType: 1, commitSha: 1 });
+architectureDiagramSchema.index({ workspace: 1, series: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ArchitectureDiagram', architectureDiagramSchema);
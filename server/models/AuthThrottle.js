@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Failed-attempt counter for one account or one IP address
+const authThrottleSchema = new mongoose.Schema({
+  // e.g. "login:account:jane@example.com" or "login:ip:10.0.0.1"
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailureAt: {
+    type: Date
+  },
+  // Progressive delay: no attempt is evaluated before this time
+  nextAttemptAt: {
+    type: Date
+  },
+  lockedUntil: {
+    type: Date
+  },
+  // Number of lockouts in a row, used to lengthen the next one
+  lockCount: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Forget counters once they have been idle long enough
+authThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthThrottle', authThrottleSchema);
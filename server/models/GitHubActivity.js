@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// A repository event (push, pull request, issue, release) as it appears in a
+// workspace's activity feed
+const githubActivitySchema = new mongoose.Schema({
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  delivery: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GitHubWebhookDelivery',
+    required: true
+  },
+  repository: {
+    id: mongoose.Schema.Types.ObjectId,
+    label: String,
+    fullName: String
+  },
+  event: {
+    type: String,
+    enum: ['push', 'pull_request', 'issues', 'release'],
+    required: true
+  },
+  action: {
+    type: String
+  },
+  title: {
+    type: String,
+    required: true,
+    maxlength: 300
+  },
+  url: {
+    type: String
+  },
+  actor: {
+    login: String,
+    avatar: String
+  },
+  occurredAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+githubActivitySchema.index({ workspace: 1, occurredAt: -1 });
+// A replayed delivery updates its activity instead of adding another
+githubActivitySchema.index({ workspace: 1, delivery: 1 }, { unique: true });
+
+module.exports = mongoose.model('GitHubActivity', githubActivitySchema);
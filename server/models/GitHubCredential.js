@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// A GitHub identity a workspace reads its repositories through: a personal
+// access token, or a GitHub App installation. Secrets are sealed with
+// utils/secretBox and never selected unless asked for.
+const githubCredentialSchema = new mongoose.Schema({
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  label: {
+    type: String,
+    required: [true, 'Credential label is required'],
+    trim: true,
+    maxlength: [50, 'Credential label cannot exceed 50 characters']
+  },
+  type: {
+    type: String,
+    enum: ['token', 'app'],
+    required: true
+  },
+  // Account the token belongs to, or the account the app is installed on
+  accountLogin: {
+    type: String
+  },
+  // Last characters of a token, so admins can tell tokens apart
+  tokenHint: {
+    type: String
+  },
+  encryptedToken: {
+    type: String,
+    select: false
+  },
+  app: {
+    appId: String,
+    installationId: String,
+    encryptedPrivateKey: {
+      type: String,
+      select: false
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+githubCredentialSchema.index({ workspace: 1, createdAt: -1 });
+
+module.exports = mongoose.model('GitHubCredential', githubCredentialSchema);
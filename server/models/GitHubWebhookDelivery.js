@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const DELIVERY_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+// A webhook delivery received from GitHub, kept (with its payload) so it can
+// be inspected and replayed. One delivery may feed several workspaces that
+// connect the same repository.
+const githubWebhookDeliverySchema = new mongoose.Schema({
+  // X-GitHub-Delivery; GitHub reuses it when a delivery is redelivered
+  deliveryId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  action: {
+    type: String
+  },
+  // "owner/repo", lowercased for matching
+  repositoryFullName: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['received', 'processed', 'unmatched', 'failed'],
+    default: 'received'
+  },
+  error: {
+    type: String
+  },
+  workspaces: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace'
+  }],
+  processedAt: {
+    type: Date,
+    default: null
+  },
+  replayCount: {
+    type: Number,
+    default: 0
+  },
+  lastReplayedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  // Payloads are free-form; keep them exactly as GitHub sent them
+  minimize: false
+});
+
+// Index for efficient queries
+githubWebhookDeliverySchema.index({ repositoryFullName: 1, createdAt: -1 });
+githubWebhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: DELIVERY_RETENTION_SECONDS });
+
+module.exports = mongoose.model('GitHubWebhookDelivery', githubWebhookDeliverySchema);
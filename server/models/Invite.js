@@ -11,8 +11,10 @@ const inviteSchema = new mongoose.Schema({
     required: true,
     lowercase: true,
     trim: true,
+    // The rule invitationService checks recipients with, so anything it lets
+    // through can be saved
     match: [
-      /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+      /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
       'Please provide a valid email'
     ]
   },
@@ -21,10 +23,36 @@ const inviteSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Optional, from bulk imports; used to greet the invitee
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  // Role given when the invite is accepted
+  role: {
+    type: String,
+    enum: ['Admin', 'Member'],
+    default: 'Member'
+  },
   status: {
     type: String,
-    enum: ['pending', 'accepted', 'declined'],
+    enum: ['pending', 'accepted', 'declined', 'expired'],
     default: 'pending'
+  },
+  // null for invites created before expiry existed; those never expire
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  // When the invitation (or its last reminder) was emailed
+  lastSentAt: {
+    type: Date,
+    default: null
+  },
+  reminderCount: {
+    type: Number,
+    default: 0
   }
 }, {
   timestamps: true
@@ -33,6 +61,14 @@ const inviteSchema = new mongoose.Schema({
 // Compound index to prevent duplicate invites for same workspace and email
 inviteSchema.index({ workspace: 1, email: 1 }, { unique: true });
 
+// Index for the reminder and expiry sweeps
+inviteSchema.index({ status: 1, expiresAt: 1 });
+
+inviteSchema.methods.isExpired = function() {
+  if (this.status === 'expired') return true;
+  return this.status === 'pending' && !!this.expiresAt && this.expiresAt <= new Date();
+};
+
 // Add a post-save hook for debugging
 inviteSchema.post('save', function(doc) {
   console.log('Invite created/updated:', {
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const inviteLinkSchema = new mongoose.Schema({
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the link token; the token itself is only shown once, at creation
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // First characters of the token, so links can be told apart
+  tokenPrefix: {
+    type: String,
+    required: true
+  },
+  // Role given to everyone who joins through the link
+  role: {
+    type: String,
+    enum: ['Admin', 'Member'],
+    default: 'Member'
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  // null means unlimited
+  maxUses: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  useCount: {
+    type: Number,
+    default: 0
+  },
+  // Only addresses on this domain (e.g. "example.com") may join
+  allowedDomain: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+  usedBy: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+inviteLinkSchema.index({ workspace: 1, revokedAt: 1 });
+
+inviteLinkSchema.methods.isExpired = function() {
+  return !!this.expiresAt && this.expiresAt <= new Date();
+};
+
+inviteLinkSchema.methods.isExhausted = function() {
+  return this.maxUses !== null && this.useCount >= this.maxUses;
+};
+
+inviteLinkSchema.methods.isActive = function() {
+  return !this.revokedAt && !this.isExpired() && !this.isExhausted();
+};
+
+module.exports = mongoose.model('InviteLink', inviteLinkSchema);
\ No newline at end of file
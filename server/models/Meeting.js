@@ -116,7 +116,12 @@ const meetingSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     }
-  }]
+  }],
+  // Original author's name when copied from a workspace bundle; the user
+  // references then point at whoever imported it
+  importedAuthor: {
+    type: String
+  }
 }, {
   timestamps: true
 });
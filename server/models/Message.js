@@ -28,6 +28,11 @@ const messageSchema = new mongoose.Schema({
   },
   editedAt: {
     type: Date
+  },
+  // Original author's name when copied from a workspace bundle; the user
+  // references then point at whoever imported it
+  importedAuthor: {
+    type: String
   }
 }, {
   timestamps: true
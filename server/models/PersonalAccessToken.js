@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const personalAccessTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Token name is required'],
+    trim: true,
+    maxlength: [100, 'Token name cannot exceed 100 characters']
+  },
+  // SHA-256 of the token; the token itself is only shown once, at creation
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // First characters of the token, so users can tell tokens apart
+  tokenPrefix: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [String],
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+personalAccessTokenSchema.index({ user: 1, revokedAt: 1 });
+
+personalAccessTokenSchema.methods.isActive = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+module.exports = mongoose.model('PersonalAccessToken', personalAccessTokenSchema);
@@ -66,6 +66,11 @@ const TaskSchema = new mongoose.Schema({
   updatedAt: {
     type: Date,
     default: Date.now
+  },
+  // Original author's name when copied from a workspace bundle; the user
+  // references then point at whoever imported it
+  importedAuthor: {
+    type: String
   }
 });
 
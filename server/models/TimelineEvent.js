@@ -49,6 +49,11 @@ const timelineEventSchema = new mongoose.Schema({
     type: String,
     enum: ['low', 'medium', 'high', 'critical'],
     default: 'medium'
+  },
+  // Original author's name when copied from a workspace bundle; the user
+  // references then point at whoever imported it
+  importedAuthor: {
+    type: String
   }
 }, {
   timestamps: true
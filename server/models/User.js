@@ -19,6 +19,60 @@ const userSchema = new mongoose.Schema({
     required: true,
     minlength: 6
   },
+  // Set to false at signup. No default: accounts from before email
+  // verification existed have no value and are backfilled as verified
+  // (markLegacyAccountsVerified), rather than having a default false
+  // written back the next time they are saved.
+  emailVerified: {
+    type: Boolean
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  // TOTP two-factor authentication; secrets are only loaded when selected explicitly
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret awaiting confirmation with a first valid code
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of the unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Last accepted time step, so a code can't be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
+  // Security events shown to the user on their next successful login
+  securityNotices: [{
+    type: {
+      type: String,
+      enum: ['lockout'],
+      required: true
+    },
+    occurredAt: {
+      type: Date,
+      default: Date.now
+    },
+    ipAddress: String,
+    lockedUntil: Date
+  }],
   // Add Google tokens field
   googleTokens: {
     access_token: String,
@@ -37,9 +91,20 @@ userSchema.pre('save', async function(next) {
   
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date();
+  }
   next();
 });
 
+// Accounts created before email verification existed count as verified
+userSchema.statics.markLegacyAccountsVerified = function() {
+  return this.updateMany(
+    { emailVerified: { $exists: false } },
+    { $set: { emailVerified: true } }
+  );
+};
+
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
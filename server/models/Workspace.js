@@ -1,5 +1,52 @@
 const mongoose = require('mongoose');
 
+const repositorySchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: [true, 'Repository label is required'],
+    trim: true,
+    maxlength: [50, 'Repository label cannot exceed 50 characters']
+  },
+  // Where the repository lives: github.com, a GitLab instance, or a git
+  // repository on the server's disk (owner "local", repo the path)
+  provider: {
+    type: String,
+    enum: ['github', 'gitlab', 'local'],
+    default: 'github'
+  },
+  // Self-hosted GitLab instance URL, one of GITLAB_INSTANCE_URLS; empty means
+  // GITLAB_URL or gitlab.com
+  baseUrl: {
+    type: String,
+    trim: true
+  },
+  owner: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  repo: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  connectedAt: {
+    type: Date,
+    default: Date.now
+  },
+  connectedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Workspace credential used to read the repository; null means the server's
+  // own token, which is only allowed for public repositories
+  credential: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GitHubCredential',
+    default: null
+  }
+});
+
 const workspaceSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -33,25 +80,76 @@ const workspaceSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
+  // Connected GitHub repositories (e.g. frontend, backend, infra), told apart by label
+  repositories: [repositorySchema],
+  // Single-repository connection from before workspaces could have several;
+  // folded into `repositories` when the workspace is loaded
   githubRepository: {
-    owner: {
-      type: String,
-      trim: true
-    },
-    repo: {
-      type: String,
-      trim: true
-    },
-    connectedAt: {
-      type: Date
-    },
+    owner: String,
+    repo: String,
+    connectedAt: Date,
     connectedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     }
+  },
+  // Steps every newcomer starts with, ahead of their generated onboarding path
+  onboardingChecklist: [{
+    type: String,
+    trim: true,
+    maxlength: 300
+  }],
+  // Archived workspaces are read-only and hidden from the dashboard by default
+  archivedAt: {
+    type: Date,
+    default: null
+  },
+  archivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Deletion is deferred: the workspace can be restored until purgeAt
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  purgeAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
 });
 
+workspaceSchema.index({ purgeAt: 1 });
+
+workspaceSchema.post('init', function (doc) {
+  if (doc.githubRepository?.owner && doc.githubRepository?.repo) {
+    if (!doc.repositories.length) {
+      doc.repositories.push({
+        label: doc.githubRepository.repo,
+        owner: doc.githubRepository.owner,
+        repo: doc.githubRepository.repo,
+        connectedAt: doc.githubRepository.connectedAt,
+        connectedBy: doc.githubRepository.connectedBy
+      });
+    }
+    doc.githubRepository = undefined;
+  }
+});
+
+// Find a connected repository by id, label or "owner/repo"
+workspaceSchema.methods.findRepository = function (selector) {
+  const wanted = String(selector).toLowerCase();
+  return this.repositories.find(repository =>
+    repository._id.toString() === wanted ||
+    repository.label.toLowerCase() === wanted ||
+    `${repository.owner}/${repository.repo}`.toLowerCase() === wanted
+  );
+};
+
 module.exports = mongoose.model('Workspace', workspaceSchema);
\ No newline at end of file
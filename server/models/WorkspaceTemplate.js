@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+// Dates in a template are stored as whole days after the template's start,
+// so they can be re-anchored to any new workspace's start date
+const templateEventSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  type: {
+    type: String,
+    enum: ['milestone', 'task', 'meeting', 'deployment', 'release', 'review'],
+    default: 'milestone'
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'critical'],
+    default: 'medium'
+  },
+  tags: [String],
+  offsetDays: {
+    type: Number,
+    required: true
+  },
+  // Positions of other events in the template's timeline
+  dependsOn: [Number]
+}, { _id: false });
+
+const templateTaskSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 500
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    default: 'medium'
+  },
+  estimatedTime: {
+    type: String,
+    trim: true,
+    maxlength: 50
+  },
+  aiGuidanceEnabled: {
+    type: Boolean,
+    default: true
+  },
+  dueOffsetDays: {
+    type: Number,
+    default: null
+  }
+}, { _id: false });
+
+const workspaceTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: [100, 'Template name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  sourceWorkspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace'
+  },
+  timeline: [templateEventSchema],
+  tasks: [templateTaskSchema],
+  onboardingChecklist: [{
+    type: String,
+    trim: true,
+    maxlength: 300
+  }],
+  // Workspace settings copied to new workspaces
+  settings: {
+    workspaceDescription: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    },
+    repositories: [{
+      _id: false,
+      label: String,
+      provider: String,
+      baseUrl: String,
+      owner: String,
+      repo: String
+    }]
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+workspaceTemplateSchema.index({ createdBy: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WorkspaceTemplate', workspaceTemplateSchema);
\ No newline at end of file
@@ -1,16 +1,99 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+const loginThrottleService = require('../services/loginThrottleService');
+const mailService = require('../services/mailService');
+const {
+  createPasswordResetToken,
+  verifyPasswordResetToken,
+  isResetTokenCurrent,
+  createEmailVerificationToken,
+  verifyEmailVerificationToken,
+  createTwoFactorChallengeToken,
+  verifyTwoFactorChallengeToken,
+  createAccountUnlockToken,
+  verifyAccountUnlockToken
+} = require('../utils/accountTokens');
 const router = express.Router();
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE,
+// Compared against when the email is unknown, to keep login timing uniform
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('not-a-real-password', 10);
+
+const tooManyAttempts = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    message: 'Too many attempts, please try again later',
+    retryAfter
+  });
+};
+
+// Per-account key first, then per-IP key
+const loginKeys = (req, email) => [
+  loginThrottleService.accountKey('login', email),
+  loginThrottleService.ipKey('login', req.ip)
+];
+
+// Count a failed login; if it locks an existing account, tell its owner
+const recordLoginFailure = async (req, email, user) => {
+  const [accountKey, ipKey] = loginKeys(req, email);
+  const [lockedUntil] = await Promise.all([
+    loginThrottleService.recordFailure(accountKey, 'account'),
+    loginThrottleService.recordFailure(ipKey, 'ip')
+  ]);
+
+  if (!lockedUntil || !user) return;
+
+  await User.updateOne(
+    { _id: user._id },
+    { $push: { securityNotices: { type: 'lockout', ipAddress: req.ip, lockedUntil } } }
+  );
+
+  try {
+    await mailService.sendAccountLockedEmail(user, createAccountUnlockToken(user), lockedUntil);
+  } catch (mailError) {
+    console.error('Error sending account locked email:', mailError.message);
+  }
+};
+
+// Return and clear the security notices queued for a user
+const consumeSecurityNotices = async (user) => {
+  const notices = user.securityNotices || [];
+  if (notices.length === 0) return [];
+
+  await User.updateOne({ _id: user._id }, { $set: { securityNotices: [] } });
+
+  return notices.map(notice => ({
+    type: notice.type,
+    occurredAt: notice.occurredAt,
+    ipAddress: notice.ipAddress,
+    lockedUntil: notice.lockedUntil
+  }));
+};
+
+// Disconnect any sockets opened with a session that was just revoked
+const disconnectSessionSockets = (req, sessionIds) => {
+  const io = req.app.get('io');
+  if (!io) return;
+
+  sessionIds.forEach(sessionId => {
+    io.in(`session-${sessionId}`).disconnectSockets(true);
   });
 };
 
+const formatSession = (session, currentSessionId) => ({
+  id: session._id,
+  userAgent: session.userAgent,
+  ipAddress: session.ipAddress,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  current: session._id.toString() === currentSessionId
+});
+
 // @route   POST /api/auth/signup
 // @desc    Register user
 // @access  Public
@@ -18,30 +101,116 @@ router.post('/signup', async (req, res) => {
   try {
     const { name, email, password } = req.body;
 
-    // Check if user exists
-    const existingUser = await User.findOne({ email });
+    if (!name || !email || !password) {
+      return res.status(400).json({ message: 'Name, email and password are required' });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({ message: 'Password must be at least 6 characters' });
+    }
+
+    // Every signup counts toward the per-IP limit
+    const ipKey = loginThrottleService.ipKey('signup', req.ip);
+    const retryAfter = await loginThrottleService.getRetryAfter([ipKey]);
+    if (retryAfter) {
+      return tooManyAttempts(res, retryAfter);
+    }
+    await loginThrottleService.recordFailure(ipKey, 'signup');
+
+    // The response is the same whether or not the email is taken, so it
+    // can't be used to find out who has an account
+    const existingUser = await User.findOne({ email: email.trim().toLowerCase() });
     if (existingUser) {
-      return res.status(400).json({ message: 'User already exists' });
+      try {
+        await mailService.sendExistingAccountEmail(existingUser);
+      } catch (mailError) {
+        console.error('Error sending existing account email:', mailError.message);
+      }
+    } else {
+      // Create user
+      const user = await User.create({
+        name,
+        email,
+        password,
+        emailVerified: false
+      });
+
+      // Ask the user to confirm their address; signup succeeds even if mail fails
+      try {
+        await mailService.sendVerificationEmail(user, createEmailVerificationToken(user));
+      } catch (mailError) {
+        console.error('Error sending verification email:', mailError.message);
+      }
     }
 
-    // Create user
-    const user = await User.create({
-      name,
-      email,
-      password,
+    res.status(201).json({
+      success: true,
+      message: 'Check your email to verify your address, then sign in',
     });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
 
-    // Generate token
-    const token = generateToken(user._id);
+// @route   POST /api/auth/login
+// @desc    Login user
+// @access  Public
+router.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
 
-    res.status(201).json({
+    if (!email || !password) {
+      return res.status(400).json({ message: 'Email and password are required' });
+    }
+
+    const keys = loginKeys(req, email);
+    const retryAfter = await loginThrottleService.getRetryAfter(keys);
+    if (retryAfter) {
+      return tooManyAttempts(res, retryAfter);
+    }
+
+    // Check if user exists and password is provided; compare against a dummy
+    // hash for unknown emails so both cases take the same time
+    const user = await User.findOne({ email: email.trim().toLowerCase() }).select('+password');
+    let passwordMatches = false;
+    if (user) {
+      passwordMatches = await user.comparePassword(password);
+    } else {
+      await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+    }
+
+    if (!passwordMatches) {
+      await recordLoginFailure(req, email, user);
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+
+    // With 2FA on, the password only earns a short-lived challenge token
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: createTwoFactorChallengeToken(user)
+      });
+    }
+
+    await loginThrottleService.clear(keys[0]);
+    const securityNotices = await consumeSecurityNotices(user);
+
+    // Start a device session
+    const { token, refreshToken } = await sessionService.createSession(user, req);
+
+    res.json({
       success: true,
       token,
+      refreshToken,
+      securityNotices,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
         role: user.role,
+        emailVerified: user.emailVerified,
+        twoFactorEnabled: !!user.twoFactor?.enabled,
       },
     });
   } catch (error) {
@@ -49,30 +218,55 @@ router.post('/signup', async (req, res) => {
   }
 });
 
-// @route   POST /api/auth/login
-// @desc    Login user
+// @route   POST /api/auth/login/2fa
+// @desc    Complete login with a challenge token and a TOTP or recovery code
 // @access  Public
-router.post('/login', async (req, res) => {
+router.post('/login/2fa', async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { challengeToken, code, recoveryCode } = req.body;
 
-    // Check if user exists and password is provided
-    const user = await User.findOne({ email }).select('+password');
-    if (!user || !(await user.comparePassword(password))) {
-      return res.status(401).json({ message: 'Invalid credentials' });
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ message: 'Challenge token and code are required' });
+    }
+
+    const decoded = verifyTwoFactorChallengeToken(challengeToken);
+    const account = decoded && await User.findById(decoded.id);
+    if (!account) {
+      return res.status(401).json({ message: 'Login challenge has expired, please sign in again' });
+    }
+
+    // Wrong codes count toward the same lockout as wrong passwords
+    const keys = loginKeys(req, account.email);
+    const retryAfter = await loginThrottleService.getRetryAfter(keys);
+    if (retryAfter) {
+      return tooManyAttempts(res, retryAfter);
+    }
+
+    const user = await twoFactorService.verifyChallenge(decoded.id, { code, recoveryCode });
+    if (!user) {
+      await recordLoginFailure(req, account.email, account);
+      return res.status(401).json({ message: 'Invalid authentication code' });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    await loginThrottleService.clear(keys[0]);
+    const securityNotices = await consumeSecurityNotices(user);
+
+    // Start a device session
+    const { token, refreshToken } = await sessionService.createSession(user, req);
 
     res.json({
       success: true,
       token,
+      refreshToken,
+      securityNotices,
+      recoveryCodesRemaining: user.twoFactor.recoveryCodes.length,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
         role: user.role,
+        emailVerified: user.emailVerified,
+        twoFactorEnabled: true,
       },
     });
   } catch (error) {
@@ -80,6 +274,32 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/unlock
+// @desc    Lift a login lockout using the link emailed when it happened
+// @access  Public
+router.post('/unlock', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ message: 'Unlock token is required' });
+    }
+
+    const decoded = verifyAccountUnlockToken(token);
+    const user = decoded && await User.findById(decoded.id);
+
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({ message: 'Unlock link is invalid or has expired' });
+    }
+
+    await loginThrottleService.clear(loginThrottleService.accountKey('login', user.email));
+
+    res.json({ success: true, message: 'Your account has been unlocked, you can sign in again' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current user
 // @access  Private
@@ -93,6 +313,8 @@ router.get('/me', auth, async (req, res) => {
         name: user.name,
         email: user.email,
         role: user.role,
+        emailVerified: user.emailVerified,
+        twoFactorEnabled: !!user.twoFactor?.enabled,
       },
     });
   } catch (error) {
@@ -100,11 +322,340 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+
+    // Same response whether or not the account exists
+    const user = await User.findOne({ email: email.trim().toLowerCase() });
+    if (user) {
+      // A mail failure must not reveal that the account exists
+      try {
+        await mailService.sendPasswordResetEmail(user, createPasswordResetToken(user));
+      } catch (mailError) {
+        console.error('Error sending password reset email:', mailError.message);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a reset link has been sent'
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a reset token
+// @access  Public
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ message: 'Token and new password are required' });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({ message: 'Password must be at least 6 characters' });
+    }
+
+    const decoded = verifyPasswordResetToken(token);
+    const user = decoded && await User.findById(decoded.id);
+
+    if (!user || !isResetTokenCurrent(decoded, user)) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    user.password = password;
+    // Receiving the link proves the user controls the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    // Sign out every device that used the old password
+    await sessionService.revokeAllSessions(user._id);
+
+    res.json({ success: true, message: 'Password has been reset, please log in' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Mark the user's email as verified using a verification token
+// @access  Public
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ message: 'Verification token is required' });
+    }
+
+    const decoded = verifyEmailVerificationToken(token);
+    const user = decoded && await User.findById(decoded.id);
+
+    // The token is bound to the address it was sent to
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+
+    res.json({ success: true, message: 'Email verified successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new verification email to the current user
+// @access  Private
+router.post('/resend-verification', auth, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    await mailService.sendVerificationEmail(req.user, createEmailVerificationToken(req.user));
+
+    res.json({ success: true, message: 'Verification email sent' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/auth/2fa
+// @desc    Get two-factor authentication status
+// @access  Private
+router.get('/2fa', auth, async (req, res) => {
+  try {
+    const enabled = !!req.user.twoFactor?.enabled;
+
+    res.json({
+      success: true,
+      enabled,
+      enabledAt: req.user.twoFactor?.enabledAt || null,
+      recoveryCodesRemaining: enabled ? await twoFactorService.remainingRecoveryCodes(req.user.id) : 0
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start TOTP enrollment and return the provisioning URI and QR code
+// @access  Private
+router.post('/2fa/setup', auth, async (req, res) => {
+  try {
+    if (req.user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const { secret, otpauthUrl, qrCode } = await twoFactorService.beginEnrollment(req.user.id);
+
+    res.json({ success: true, secret, otpauthUrl, qrCode });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/auth/2fa/confirm
+// @desc    Confirm TOTP enrollment with a first code and return recovery codes
+// @access  Private
+router.post('/2fa/confirm', auth, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ message: 'Authentication code is required' });
+    }
+
+    const recoveryCodes = await twoFactorService.confirmEnrollment(req.user.id, code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace the recovery codes (requires a current TOTP code)
+// @access  Private
+router.post('/2fa/recovery-codes', auth, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!req.user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!(await twoFactorService.verifyChallenge(req.user.id, { code }))) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user.id);
+
+    res.json({ success: true, recoveryCodes });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off two-factor authentication (requires password and a code)
+// @access  Private
+router.post('/2fa/disable', auth, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!req.user.twoFactor?.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!password || !(await req.user.comparePassword(password))) {
+      return res.status(401).json({ message: 'Invalid password' });
+    }
+
+    if (!(await twoFactorService.verifyChallenge(req.user.id, { code, recoveryCode }))) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    await twoFactorService.disable(req.user.id);
+
+    res.json({ success: true, message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @access  Public
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    const result = await sessionService.rotateSession(refreshToken, req);
+    if (!result) {
+      return res.status(401).json({ message: 'Refresh token is not valid' });
+    }
+
+    res.json({
+      success: true,
+      token: result.token,
+      refreshToken: result.refreshToken
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the active sessions (devices) of the current user
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(req.user.id);
+    const currentSessionId = req.authSession._id.toString();
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => formatSession(session, currentSessionId))
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:sessionId
+// @desc    Revoke one session of the current user
+// @access  Private
+router.delete('/sessions/:sessionId', auth, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      return res.status(400).json({ message: 'Invalid session ID format' });
+    }
+
+    const session = await sessionService.revokeSession(req.user.id, sessionId);
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    disconnectSessionSockets(req, [sessionId]);
+
+    res.json({ success: true, message: 'Session revoked successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Revoke all sessions of the current user except the current one
+// @access  Private
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    const currentSessionId = req.authSession._id.toString();
+    const sessions = await sessionService.listSessions(req.user.id);
+    const revoked = await sessionService.revokeAllSessions(req.user.id, currentSessionId);
+
+    disconnectSessionSockets(
+      req,
+      sessions
+        .map(session => session._id.toString())
+        .filter(sessionId => sessionId !== currentSessionId)
+    );
+
+    res.json({
+      success: true,
+      message: `${revoked} session(s) revoked`,
+      revoked
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 // @route   POST /api/auth/logout
-// @desc    Logout user
+// @desc    Logout user and revoke the current session
 // @access  Private
-router.post('/logout', auth, (req, res) => {
-  res.json({ success: true, message: 'Logged out successfully' });
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await sessionService.revokeSession(req.user.id, req.authSession._id, 'logout');
+    disconnectSessionSockets(req, [req.authSession._id.toString()]);
+
+    res.json({ success: true, message: 'Logged out successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
 });
 
 module.exports = router;
@@ -1,31 +1,17 @@
 const express = require('express');
 const auth = require('../middleware/auth');
+const requireWorkspacePermission = require('../middleware/workspacePermission');
 const Message = require('../models/Message');
-const Workspace = require('../models/Workspace');
 const router = express.Router();
 
 // @route   GET /api/chat/:workspaceId/messages
 // @desc    Get chat messages for a workspace
 // @access  Private
-router.get('/:workspaceId/messages', auth, async (req, res) => {
+router.get('/:workspaceId/messages', auth, requireWorkspacePermission('workspace:view'), async (req, res) => {
   try {
     const { workspaceId } = req.params;
     const { page = 1, limit = 50 } = req.query;
 
-    // Check if user has access to workspace
-    const workspace = await Workspace.findById(workspaceId);
-    if (!workspace) {
-      return res.status(404).json({ message: 'Workspace not found' });
-    }
-
-    const userMembership = workspace.members.find(
-      member => member.user.toString() === req.user.id
-    );
-
-    if (!userMembership) {
-      return res.status(403).json({ message: 'Access denied to this workspace' });
-    }
-
     // Get messages with pagination
     const messages = await Message.find({ workspace: workspaceId })
       .populate('sender', 'name email')
@@ -45,7 +31,8 @@ router.get('/:workspaceId/messages', auth, async (req, res) => {
       },
       timestamp: message.createdAt,
       edited: message.edited,
-      editedAt: message.editedAt
+      editedAt: message.editedAt,
+      importedAuthor: message.importedAuthor
     }));
 
     res.json({
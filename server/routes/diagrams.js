@@ -0,0 +1,142 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const requireWorkspacePermission = require('../middleware/workspacePermission');
+const diagramHistoryService = require('../services/diagramHistoryService');
+const router = express.Router();
+
+// Leaves room under the default 100kb JSON body limit
+const MAX_MERMAID_LENGTH = 64 * 1024;
+const MAX_TITLE_LENGTH = 100;
+// Interaction statements (click in flowcharts and Gantt charts, link and
+// callback in class diagrams) bind links or script to nodes
+const INTERACTION = /^\s*(click\s|(link|callback)\s+\S+\s+")/m;
+
+// The Mermaid source of a new version, or why it can't be saved
+const validateMermaid = (mermaidCode) => {
+  if (typeof mermaidCode !== 'string' || !mermaidCode.trim()) {
+    return 'Diagram code is required';
+  }
+  if (mermaidCode.length > MAX_MERMAID_LENGTH) {
+    return 'Diagram code is too long';
+  }
+  if (INTERACTION.test(mermaidCode)) {
+    return 'Click, link and callback statements are not allowed in diagrams';
+  }
+  return null;
+};
+
+// @route   GET /api/diagrams/workspace/:workspaceId
+// @desc    Team diagrams of a workspace (free-form, not tied to a repository)
+// @access  Private
+router.get('/workspace/:workspaceId', auth, requireWorkspacePermission('workspace:view'), async (req, res) => {
+  try {
+    const diagrams = await diagramHistoryService.listTeamDiagrams(req.workspace);
+
+    res.json({
+      success: true,
+      diagrams: diagrams.map(({ diagram, versionCount }) => ({
+        ...diagramHistoryService.format(diagram),
+        versionCount
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching team diagrams:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/diagrams/workspace/:workspaceId
+// @desc    Create a team diagram
+// @access  Private
+router.post('/workspace/:workspaceId', auth, requireWorkspacePermission('diagrams:edit'), async (req, res) => {
+  try {
+    const { title, mermaidCode, description } = req.body;
+
+    if (!title || !title.trim()) {
+      return res.status(400).json({ message: 'Diagram title is required' });
+    }
+    if (title.trim().length > MAX_TITLE_LENGTH) {
+      return res.status(400).json({ message: `Diagram title cannot exceed ${MAX_TITLE_LENGTH} characters` });
+    }
+    const invalid = validateMermaid(mermaidCode);
+    if (invalid) {
+      return res.status(400).json({ message: invalid });
+    }
+
+    const diagram = await diagramHistoryService.createTeamDiagram(req.workspace, {
+      title: title.trim(),
+      mermaidCode,
+      description: description?.trim() || '',
+      userId: req.user.id
+    });
+    await diagram.populate('generatedBy', 'name email');
+
+    res.status(201).json({
+      success: true,
+      message: `Diagram "${diagram.title}" created`,
+      diagram: { ...diagramHistoryService.format(diagram), versionCount: 1 }
+    });
+  } catch (error) {
+    console.error('Error creating team diagram:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/diagrams/workspace/:workspaceId/:diagramId/versions
+// @desc    Every version in the same history as a diagram, newest first
+// @access  Private
+router.get('/workspace/:workspaceId/:diagramId/versions', auth, requireWorkspacePermission('workspace:view'), async (req, res) => {
+  try {
+    const diagram = await diagramHistoryService.find(req.workspace, req.params.diagramId);
+    if (!diagram) {
+      return res.status(404).json({ message: 'Diagram not found' });
+    }
+
+    const versions = await diagramHistoryService.versionsOf(diagram);
+
+    res.json({
+      success: true,
+      versions: versions.map(version => diagramHistoryService.format(version))
+    });
+  } catch (error) {
+    console.error('Error fetching diagram versions:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/diagrams/workspace/:workspaceId/:diagramId/versions
+// @desc    Save edited Mermaid as a new version on top of a diagram (team or repository)
+// @access  Private
+router.post('/workspace/:workspaceId/:diagramId/versions', auth, requireWorkspacePermission('diagrams:edit'), async (req, res) => {
+  try {
+    const { mermaidCode, description } = req.body;
+
+    const invalid = validateMermaid(mermaidCode);
+    if (invalid) {
+      return res.status(400).json({ message: invalid });
+    }
+
+    const base = await diagramHistoryService.find(req.workspace, req.params.diagramId);
+    if (!base) {
+      return res.status(404).json({ message: 'Diagram not found' });
+    }
+
+    const diagram = await diagramHistoryService.saveVersion(base, {
+      mermaidCode,
+      description: typeof description === 'string' ? description.trim() : undefined,
+      userId: req.user.id
+    });
+    await diagram.populate('generatedBy', 'name email');
+
+    res.status(201).json({
+      success: true,
+      message: 'New version saved',
+      diagram: diagramHistoryService.format(diagram)
+    });
+  } catch (error) {
+    console.error('Error saving diagram version:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
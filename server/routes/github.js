@@ -1,117 +1,308 @@
 const express = require('express');
-const axios = require('axios');
+const mongoose = require('mongoose');
 const auth = require('../middleware/auth');
-const Workspace = require('../models/Workspace');
+const requireWorkspacePermission = require('../middleware/workspacePermission');
 const architectureService = require('../services/architectureService');
+const githubCredentialService = require('../services/githubCredentialService');
+const githubWebhookService = require('../services/githubWebhookService');
+const githubClientService = require('../services/githubClientService');
+const diagramHistoryService = require('../services/diagramHistoryService');
+const dependencyService = require('../services/dependencyService');
+const { providerFor, normalizeRepositoryTarget, checkRepositoryAccess } = require('../services/gitProviders');
 const router = express.Router();
 
-// GitHub API base configuration
-const githubAPI = axios.create({
-  baseURL: 'https://api.github.com',
-  headers: {
-    'Authorization': `token ${process.env.GITHUB_TOKEN}`,
-    'Accept': 'application/vnd.github.v3+json',
-    'User-Agent': 'EchoHub-App'
-  }
+// The server's own token: used by the owner/repo routes and by repositories
+// connected without a workspace credential, so public repositories only
+const githubAPI = githubCredentialService.serverClient();
+
+const MAX_REPOSITORIES = 10;
+const MAX_ACTIVITY = 100;
+// Larger per-file patches are left out of compare results
+const MAX_PATCH_LENGTH = 200 * 1024;
+
+const repositoryRef = (repository) => ({
+  id: repository._id,
+  label: repository.label,
+  provider: repository.provider || 'github',
+  fullName: `${repository.owner}/${repository.repo}`
 });
 
-// @route   POST /api/github/workspace/:workspaceId/connect
-// @desc    Connect a GitHub repository to a workspace
-// @access  Private (Creator only)
-router.post('/workspace/:workspaceId/connect', auth, async (req, res) => {
-  try {
-    const { workspaceId } = req.params;
-    const { owner, repo } = req.body;
+// Pick the connected repositories a request works on from ?repo= (id, label or
+// "owner/repo"). Without a selector, list endpoints cover every repository while
+// `single` endpoints fall back to the first one. Sets req.repositories.
+const withRepositories = ({ single = false } = {}) => (req, res, next) => {
+  const { workspace } = req;
 
-    if (!owner || !repo) {
-      return res.status(400).json({ message: 'Owner and repo are required' });
-    }
+  if (!workspace.repositories.length) {
+    return res.status(400).json({ message: 'No repository connected to this workspace' });
+  }
 
-    // Find the workspace
-    const workspace = await Workspace.findById(workspaceId);
-    if (!workspace) {
-      return res.status(404).json({ message: 'Workspace not found' });
+  const selector = req.query.repo || req.body?.repo;
+  if (selector) {
+    const repository = workspace.findRepository(selector);
+    if (!repository) {
+      return res.status(404).json({ message: 'Repository is not connected to this workspace' });
     }
+    req.repositories = [repository];
+  } else {
+    req.repositories = single ? [workspace.repositories[0]] : workspace.repositories;
+  }
 
-    // Check if user is the creator
-    const userMembership = workspace.members.find(
-      member => member.user.toString() === req.user.id
-    );
+  next();
+};
 
-    if (!userMembership || userMembership.role !== 'Creator') {
-      return res.status(403).json({ 
-        message: 'Only workspace creators can connect GitHub repositories' 
-      });
+// Fetch from each selected repository's provider in parallel and merge the
+// results, tagging every item with the repository it came from
+const collectFromRepositories = async (repositories, fetchItems) => {
+  const results = await Promise.all(repositories.map(async (repository) => {
+    let items;
+    try {
+      items = await fetchItems(providerFor(repository), repository);
+    } catch (error) {
+      // A repository its provider can't find any more adds nothing
+      if (error.response?.status === 404 && repositories.length > 1) return [];
+      throw error;
     }
+    return items.map(item => ({ ...item, repository: repositoryRef(repository) }));
+  }));
+  return results.flat();
+};
+
+const newestFirst = (getDate) => (a, b) => new Date(getDate(b)) - new Date(getDate(a));
+
+// Provider data for a connected repository plus its workspace-specific metadata
+const formatRepository = (info, repository, credential) => ({
+  ...info,
+  repositoryId: repository._id,
+  label: repository.label,
+  provider: repository.provider || 'github',
+  baseUrl: repository.baseUrl || null,
+  connectedAt: repository.connectedAt,
+  connectedBy: repository.connectedBy,
+  credential: credential ? { id: credential._id, label: credential.label, type: credential.type } : null
+});
 
-    // Verify the repository exists and is accessible
+// What is known of a repository its provider can't find: it may have been
+// deleted, but also renamed, made private or briefly unreachable
+const unavailableRepository = (repository) => ({
+  name: repository.repo,
+  fullName: `${repository.owner}/${repository.repo}`,
+  url: null,
+  owner: { login: repository.owner, avatar: null },
+  unavailable: true
+});
+
+// Fresh data for every connected repository from its provider. Repositories
+// it can't find stay connected and are marked unavailable; only an explicit
+// disconnect removes them.
+const describeRepositories = async (workspace) => {
+  await workspace.populate('repositories.connectedBy', 'name email');
+  const credentials = await githubCredentialService.listCredentials(workspace._id);
+  const credentialFor = (repository) =>
+    credentials.find(credential => credential._id.equals(repository.credential));
+
+  const repositories = await Promise.all(workspace.repositories.map(async (repository) => {
+    let info;
     try {
-      await githubAPI.get(`/repos/${owner}/${repo}`);
+      info = await providerFor(repository).getRepository();
     } catch (error) {
-      if (error.response?.status === 404) {
-        return res.status(404).json({ message: 'Repository not found or not accessible' });
+      if (error.response?.status !== 404) {
+        throw error;
       }
-      throw error;
+      info = unavailableRepository(repository);
+    }
+    return formatRepository(info, repository, credentialFor(repository));
+  }));
+
+  return {
+    repositories,
+    unavailable: repositories.filter(repository => repository.unavailable).map(repository => repository.fullName)
+  };
+};
+
+// Last known rate-limit budget of each GitHub identity the workspace reads
+// through (the server's token and/or workspace credentials), per resource.
+// Other providers aren't rate limited this way.
+const describeRateLimits = async (workspace, repositories) => {
+  const identities = new Map();
+
+  for (const repository of workspace.repositories) {
+    if ((repository.provider || 'github') !== 'github') continue;
+
+    const described = repositories.find(item => item.repositoryId.equals(repository._id));
+    if (!described) continue;
+
+    const token = await githubCredentialService.tokenForRepository(repository);
+    const identity = githubClientService.identityOf(token);
+    if (!identities.has(identity)) {
+      identities.set(identity, {
+        credential: described.credential,
+        repositories: [],
+        resources: githubClientService.rateLimitFor(token)
+      });
     }
+    identities.get(identity).repositories.push(repository.label);
+  }
+
+  return [...identities.values()];
+};
+
+const sendRepositories = async (workspace, res) => {
+  const { repositories, unavailable } = await describeRepositories(workspace);
+
+  res.json({
+    success: true,
+    connected: repositories.length > 0,
+    repositories,
+    // The first repository, for clients that only show one
+    repository: repositories[0] || null,
+    rateLimits: await describeRateLimits(workspace, repositories),
+    ...(unavailable.length && {
+      message: `${unavailable.join(', ')} can no longer be found; disconnect ${unavailable.length === 1 ? 'it' : 'them'} if deleted`
+    })
+  });
+};
 
-    // Update workspace with GitHub repository info
-    workspace.githubRepository = {
-      owner: owner.trim(),
-      repo: repo.trim(),
+// @route   POST /api/github/workspace/:workspaceId/connect
+// @desc    Connect a GitHub or GitLab repository, or a git repository on the server's disk
+//          (path), to a workspace (alongside any already connected)
+// @access  Private (Creator, Admin)
+router.post('/workspace/:workspaceId/connect', auth, requireWorkspacePermission('repo:connect'), async (req, res) => {
+  try {
+    const { provider = 'github', owner, repo, path, baseUrl, label, credentialId } = req.body;
+
+    const { target, error } = normalizeRepositoryTarget({ provider, owner, repo, path, baseUrl });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const { workspace } = req;
+    const repositoryLabel = label?.trim() || target.repo.split('/').pop();
+
+    const existing = workspace.findRepository(`${target.owner}/${target.repo}`);
+    if (existing && (existing.provider || 'github') === target.provider) {
+      return res.status(409).json({ message: 'This repository is already connected' });
+    }
+    if (workspace.findRepository(repositoryLabel)) {
+      return res.status(409).json({ message: `Another repository is already labelled "${repositoryLabel}"` });
+    }
+    if (workspace.repositories.length >= MAX_REPOSITORIES) {
+      return res.status(400).json({ message: `A workspace can have at most ${MAX_REPOSITORIES} repositories` });
+    }
+
+    // Verify the repository is accessible (through the chosen credential for GitHub)
+    const access = await checkRepositoryAccess(workspace._id, target, credentialId);
+    if (access.status) {
+      return res.status(access.status).json({ message: access.message });
+    }
+
+    workspace.repositories.push({
+      ...target,
+      label: repositoryLabel,
       connectedAt: new Date(),
-      connectedBy: req.user.id
-    };
+      connectedBy: req.user.id,
+      credential: access.credential?._id || null
+    });
 
     await workspace.save();
 
+    const repository = workspace.repositories[workspace.repositories.length - 1];
+
     res.json({
       success: true,
-      message: 'GitHub repository connected successfully',
+      message: 'Repository connected successfully',
       repository: {
-        owner: workspace.githubRepository.owner,
-        repo: workspace.githubRepository.repo,
-        connectedAt: workspace.githubRepository.connectedAt
+        id: repository._id,
+        label: repository.label,
+        provider: repository.provider,
+        baseUrl: repository.baseUrl,
+        owner: repository.owner,
+        repo: repository.repo,
+        connectedAt: repository.connectedAt,
+        credential: repository.credential
       }
     });
   } catch (error) {
-    console.error('Error connecting GitHub repository:', error);
+    console.error('Error connecting repository:', error);
     res.status(500).json({ 
       message: error.response?.data?.message || 'Failed to connect repository' 
     });
   }
 });
 
-// @route   DELETE /api/github/workspace/:workspaceId/disconnect
-// @desc    Disconnect GitHub repository from workspace
-// @access  Private (Creator only)
-router.delete('/workspace/:workspaceId/disconnect', auth, async (req, res) => {
+// @route   PATCH /api/github/workspace/:workspaceId/repositories/:repositoryId
+// @desc    Rename a connected repository or change the credential it is read with
+// @access  Private (Creator, Admin)
+router.patch('/workspace/:workspaceId/repositories/:repositoryId', auth, requireWorkspacePermission('repo:connect'), async (req, res) => {
   try {
-    const { workspaceId } = req.params;
+    const { workspace } = req;
+    const { label, credentialId } = req.body;
 
-    // Find the workspace
-    const workspace = await Workspace.findById(workspaceId);
-    if (!workspace) {
-      return res.status(404).json({ message: 'Workspace not found' });
+    const repository = workspace.findRepository(req.params.repositoryId);
+    if (!repository) {
+      return res.status(404).json({ message: 'Repository is not connected to this workspace' });
     }
 
-    // Check if user is the creator
-    const userMembership = workspace.members.find(
-      member => member.user.toString() === req.user.id
-    );
+    if (label !== undefined) {
+      if (!label.trim()) {
+        return res.status(400).json({ message: 'Repository label is required' });
+      }
 
-    if (!userMembership || userMembership.role !== 'Creator') {
-      return res.status(403).json({ 
-        message: 'Only workspace creators can disconnect GitHub repositories' 
-      });
+      const clash = workspace.findRepository(label.trim());
+      if (clash && !clash._id.equals(repository._id)) {
+        return res.status(409).json({ message: `Another repository is already labelled "${label.trim()}"` });
+      }
+
+      repository.label = label.trim();
+    }
+
+    // null switches back to the server's token
+    if (credentialId !== undefined) {
+      const access = await checkRepositoryAccess(workspace._id, repository, credentialId);
+      if (access.status) {
+        return res.status(access.status).json({ message: access.message });
+      }
+      repository.credential = access.credential?._id || null;
     }
 
-    // Remove GitHub repository connection
-    workspace.githubRepository = undefined;
     await workspace.save();
 
     res.json({
       success: true,
-      message: 'GitHub repository disconnected successfully'
+      message: 'Repository updated',
+      repository: { ...repositoryRef(repository), credential: repository.credential }
+    });
+  } catch (error) {
+    console.error('Error updating repository:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   DELETE /api/github/workspace/:workspaceId/disconnect
+// @desc    Disconnect one repository (?repo=) or all repositories from a workspace
+// @access  Private (Creator, Admin)
+router.delete('/workspace/:workspaceId/disconnect', auth, requireWorkspacePermission('repo:connect'), async (req, res) => {
+  try {
+    const { workspace } = req;
+    const { repo } = req.query;
+
+    if (repo) {
+      const repository = workspace.findRepository(repo);
+      if (!repository) {
+        return res.status(404).json({ message: 'Repository is not connected to this workspace' });
+      }
+      workspace.repositories.pull(repository._id);
+    } else {
+      workspace.repositories = [];
+    }
+
+    await workspace.save();
+
+    res.json({
+      success: true,
+      message: repo
+        ? 'GitHub repository disconnected successfully'
+        : 'All GitHub repositories disconnected successfully'
     });
   } catch (error) {
     console.error('Error disconnecting GitHub repository:', error);
@@ -119,170 +310,260 @@ router.delete('/workspace/:workspaceId/disconnect', auth, async (req, res) => {
   }
 });
 
-// @route   GET /api/github/workspace/:workspaceId/repository
-// @desc    Get connected GitHub repository for a workspace
-// @access  Private
-router.get('/workspace/:workspaceId/repository', auth, async (req, res) => {
+const formatCredential = (credential) => ({
+  id: credential._id,
+  label: credential.label,
+  type: credential.type,
+  accountLogin: credential.accountLogin,
+  tokenHint: credential.tokenHint,
+  appId: credential.app?.appId,
+  installationId: credential.app?.installationId,
+  createdBy: credential.createdBy,
+  lastUsedAt: credential.lastUsedAt,
+  createdAt: credential.createdAt
+});
+
+// @route   GET /api/github/workspace/:workspaceId/credentials
+// @desc    List the workspace's GitHub credentials (never their secrets)
+// @access  Private (Creator, Admin)
+router.get('/workspace/:workspaceId/credentials', auth, requireWorkspacePermission('repo:connect'), async (req, res) => {
   try {
-    const { workspaceId } = req.params;
+    const credentials = await githubCredentialService.listCredentials(req.workspace._id);
 
-    // Find the workspace
-    const workspace = await Workspace.findById(workspaceId)
-      .populate('githubRepository.connectedBy', 'name email');
-    
-    if (!workspace) {
-      return res.status(404).json({ message: 'Workspace not found' });
+    res.json({
+      success: true,
+      credentials: credentials.map(credential => ({
+        ...formatCredential(credential),
+        repositories: req.workspace.repositories
+          .filter(repository => credential._id.equals(repository.credential))
+          .map(repository => repository.label)
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching GitHub credentials:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/github/workspace/:workspaceId/credentials
+// @desc    Add a GitHub personal access token or GitHub App installation; it is
+//          checked with GitHub, then stored encrypted
+// @access  Private (Creator, Admin)
+router.post('/workspace/:workspaceId/credentials', auth, requireWorkspacePermission('repo:connect'), async (req, res) => {
+  try {
+    const { label, type, token, appId, installationId, privateKey } = req.body;
+
+    if (!label || !label.trim()) {
+      return res.status(400).json({ message: 'Credential label is required' });
+    }
+    if (type === 'token') {
+      if (!token || !token.trim()) {
+        return res.status(400).json({ message: 'Token is required' });
+      }
+    } else if (type === 'app') {
+      if (!appId || !installationId || !privateKey) {
+        return res.status(400).json({ message: 'App ID, installation ID and private key are required' });
+      }
+    } else {
+      return res.status(400).json({ message: 'Credential type must be "token" or "app"' });
     }
 
-    // Check if user is a member
-    const userMembership = workspace.members.find(
-      member => member.user.toString() === req.user.id
-    );
+    const { credential, error } = await githubCredentialService.createCredential(req.workspace._id, req.user.id, {
+      label: label.trim(),
+      type,
+      token: token?.trim(),
+      appId: appId && String(appId).trim(),
+      installationId: installationId && String(installationId).trim(),
+      privateKey
+    });
 
-    if (!userMembership) {
-      return res.status(403).json({ message: 'Not authorized to view this workspace' });
+    if (error) {
+      return res.status(400).json({ message: error });
     }
 
-    // Return repository info if connected
-    if (!workspace.githubRepository?.owner || !workspace.githubRepository?.repo) {
-      return res.json({
-        success: true,
-        connected: false,
-        repository: null
-      });
+    res.status(201).json({
+      success: true,
+      message: `GitHub credential "${credential.label}" added`,
+      credential: formatCredential(credential)
+    });
+  } catch (error) {
+    console.error('Error adding GitHub credential:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   DELETE /api/github/workspace/:workspaceId/credentials/:credentialId
+// @desc    Remove a GitHub credential that no repository uses any more
+// @access  Private (Creator, Admin)
+router.delete('/workspace/:workspaceId/credentials/:credentialId', auth, requireWorkspacePermission('repo:connect'), async (req, res) => {
+  try {
+    const { credentialId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(credentialId)) {
+      return res.status(400).json({ message: 'Invalid credential ID format' });
     }
 
-    // Fetch fresh repository data from GitHub
-    try {
-      const response = await githubAPI.get(
-        `/repos/${workspace.githubRepository.owner}/${workspace.githubRepository.repo}`
-      );
-      
-      const repoData = response.data;
-      const repository = {
-        id: repoData.id,
-        name: repoData.name,
-        fullName: repoData.full_name,
-        description: repoData.description,
-        private: repoData.private,
-        url: repoData.html_url,
-        cloneUrl: repoData.clone_url,
-        defaultBranch: repoData.default_branch,
-        language: repoData.language,
-        stars: repoData.stargazers_count,
-        forks: repoData.forks_count,
-        watchers: repoData.watchers_count,
-        openIssues: repoData.open_issues_count,
-        size: repoData.size,
-        createdAt: repoData.created_at,
-        updatedAt: repoData.updated_at,
-        pushedAt: repoData.pushed_at,
-        owner: {
-          login: repoData.owner.login,
-          avatar: repoData.owner.avatar_url,
-          url: repoData.owner.html_url,
-          type: repoData.owner.type
-        },
-        topics: repoData.topics,
-        license: repoData.license ? {
-          name: repoData.license.name,
-          spdxId: repoData.license.spdx_id
-        } : null,
-        // Workspace-specific metadata
-        connectedAt: workspace.githubRepository.connectedAt,
-        connectedBy: workspace.githubRepository.connectedBy
-      };
+    const credential = await githubCredentialService.findCredential(req.workspace._id, credentialId);
+    if (!credential) {
+      return res.status(404).json({ message: 'GitHub credential not found' });
+    }
 
-      res.json({
-        success: true,
-        connected: true,
-        repository
+    const inUse = req.workspace.repositories.filter(repository => credential._id.equals(repository.credential));
+    if (inUse.length) {
+      return res.status(409).json({
+        message: `Still used by ${inUse.map(repository => repository.label).join(', ')}; switch or disconnect those repositories first`
       });
-    } catch (error) {
-      if (error.response?.status === 404) {
-        // Repository no longer exists, remove connection
-        workspace.githubRepository = undefined;
-        await workspace.save();
-        
-        return res.json({
-          success: true,
-          connected: false,
-          repository: null,
-          message: 'Connected repository no longer exists and has been disconnected'
-        });
-      }
-      throw error;
     }
+
+    await githubCredentialService.removeCredential(credential);
+
+    res.json({
+      success: true,
+      message: 'GitHub credential removed'
+    });
   } catch (error) {
-    console.error('Error fetching workspace repository:', error);
-    res.status(500).json({ message: 'Failed to fetch repository information' });
+    console.error('Error removing GitHub credential:', error);
+    res.status(500).json({ message: error.message });
   }
 });
 
-// Update existing routes to use workspace repository
-// @route   GET /api/github/workspace/:workspaceId/issues
-// @desc    Get open issues for workspace repository
-// @access  Private
-router.get('/workspace/:workspaceId/issues', auth, async (req, res) => {
+// @route   POST /api/github/webhook
+// @desc    Receive GitHub webhook deliveries (push, pull_request, issues, release),
+//          record them as workspace activity and push them to workspace rooms
+// @access  Public (signed with GITHUB_WEBHOOK_SECRET)
+router.post('/webhook', async (req, res) => {
   try {
-    const { workspaceId } = req.params;
+    if (!process.env.GITHUB_WEBHOOK_SECRET) {
+      return res.status(503).json({ message: 'GitHub webhooks are not configured on this server' });
+    }
 
-    // Get workspace and verify access
-    const workspace = await Workspace.findById(workspaceId);
-    if (!workspace) {
-      return res.status(404).json({ message: 'Workspace not found' });
+    // server.js hands this route the unparsed body, which is what GitHub signed
+    if (!Buffer.isBuffer(req.body) || !githubWebhookService.verifySignature(req.body, req.get('X-Hub-Signature-256'))) {
+      return res.status(401).json({ message: 'Invalid webhook signature' });
     }
 
-    const userMembership = workspace.members.find(
-      member => member.user.toString() === req.user.id
-    );
+    const event = req.get('X-GitHub-Event');
+    const deliveryId = req.get('X-GitHub-Delivery');
+    if (!event || !deliveryId) {
+      return res.status(400).json({ message: 'Missing GitHub event headers' });
+    }
 
-    if (!userMembership) {
-      return res.status(403).json({ message: 'Not authorized to view this workspace' });
+    if (event === 'ping') {
+      return res.json({ message: 'pong' });
     }
 
-    // Check if repository is connected
-    if (!workspace.githubRepository?.owner || !workspace.githubRepository?.repo) {
-      return res.status(400).json({ message: 'No GitHub repository connected to this workspace' });
+    let payload;
+    try {
+      payload = JSON.parse(req.body.toString('utf8'));
+    } catch (error) {
+      return res.status(400).json({ message: 'Webhook payload must be JSON' });
     }
 
-    const { owner, repo } = workspace.githubRepository;
+    if (!githubWebhookService.supports(event) || !payload.repository) {
+      return res.status(202).json({ message: `Ignored ${event} event` });
+    }
 
-    const response = await githubAPI.get(`/repos/${owner}/${repo}/issues`, {
-      params: {
-        state: 'open',
-        per_page: 50,
-        sort: 'created',
-        direction: 'desc'
-      }
+    const delivery = await githubWebhookService.receive({ deliveryId, event, payload });
+    const activities = await githubWebhookService.process(delivery, req.app.get('io'));
+
+    res.status(202).json({
+      success: true,
+      deliveryId,
+      workspaces: activities.length
     });
+  } catch (error) {
+    console.error('Error handling GitHub webhook:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
 
-    const issues = response.data
-      .filter(issue => !issue.pull_request)
-      .map(issue => ({
-        id: issue.id,
-        number: issue.number,
-        title: issue.title,
-        body: issue.body,
-        state: issue.state,
-        author: {
-          login: issue.user.login,
-          avatar: issue.user.avatar_url,
-          url: issue.user.html_url
-        },
-        createdAt: issue.created_at,
-        updatedAt: issue.updated_at,
-        url: issue.html_url,
-        labels: issue.labels.map(label => ({
-          name: label.name,
-          color: label.color
-        })),
-        assignees: issue.assignees.map(assignee => ({
-          login: assignee.login,
-          avatar: assignee.avatar_url
-        })),
-        comments: issue.comments
-      }));
+// @route   GET /api/github/workspace/:workspaceId/activity
+// @desc    Recent repository events received through webhooks
+// @access  Private
+router.get('/workspace/:workspaceId/activity', auth, requireWorkspacePermission('workspace:view'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 30, MAX_ACTIVITY);
+    const activity = await githubWebhookService.recentActivity(req.workspace._id, limit);
+
+    res.json({ success: true, activity });
+  } catch (error) {
+    console.error('Error fetching GitHub activity:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/github/workspace/:workspaceId/webhook-deliveries
+// @desc    Stored webhook deliveries for the workspace's repositories
+// @access  Private (Creator, Admin)
+router.get('/workspace/:workspaceId/webhook-deliveries', auth, requireWorkspacePermission('repo:connect'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_ACTIVITY);
+    const deliveries = await githubWebhookService.listDeliveries(req.workspace, limit);
+
+    res.json({
+      success: true,
+      deliveries: deliveries.map(delivery => ({
+        deliveryId: delivery.deliveryId,
+        event: delivery.event,
+        action: delivery.action,
+        repository: delivery.repositoryFullName,
+        status: delivery.status,
+        error: delivery.error,
+        receivedAt: delivery.createdAt,
+        processedAt: delivery.processedAt,
+        replayCount: delivery.replayCount,
+        lastReplayedAt: delivery.lastReplayedAt
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/github/workspace/:workspaceId/webhook-deliveries/:deliveryId/replay
+// @desc    Process a stored webhook delivery again for this workspace
+// @access  Private (Creator, Admin)
+router.post('/workspace/:workspaceId/webhook-deliveries/:deliveryId/replay', auth, requireWorkspacePermission('repo:connect'), async (req, res) => {
+  try {
+    const result = await githubWebhookService.replay(req.workspace, req.params.deliveryId, req.app.get('io'));
+    if (result.error) {
+      return res.status(404).json({ message: result.error });
+    }
+
+    res.json({
+      success: true,
+      message: 'Delivery replayed',
+      activity: result.activity,
+      replayCount: result.delivery.replayCount
+    });
+  } catch (error) {
+    console.error('Error replaying webhook delivery:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/github/workspace/:workspaceId/repository
+// @desc    Get the repositories connected to a workspace
+// @access  Private
+router.get('/workspace/:workspaceId/repository', auth, requireWorkspacePermission('workspace:view'), async (req, res) => {
+  try {
+    await sendRepositories(req.workspace, res);
+  } catch (error) {
+    console.error('Error fetching workspace repository:', error);
+    res.status(500).json({ message: 'Failed to fetch repository information' });
+  }
+});
+
+// @route   GET /api/github/workspace/:workspaceId/issues
+// @desc    Get open issues across the workspace's repositories (one with ?repo=)
+// @access  Private
+router.get('/workspace/:workspaceId/issues', auth, requireWorkspacePermission('workspace:view'), withRepositories(), async (req, res) => {
+  try {
+    const issues = await collectFromRepositories(req.repositories, provider =>
+      provider.listIssues({ state: 'open', perPage: 50 })
+    );
+    issues.sort(newestFirst(issue => issue.createdAt));
 
     res.json({
       success: true,
@@ -298,78 +579,14 @@ router.get('/workspace/:workspaceId/issues', auth, async (req, res) => {
 });
 
 // @route   GET /api/github/workspace/:workspaceId/pull-requests
-// @desc    Get pull requests for workspace repository
+// @desc    Get pull requests across the workspace's repositories (one with ?repo=)
 // @access  Private
-router.get('/workspace/:workspaceId/pull-requests', auth, async (req, res) => {
+router.get('/workspace/:workspaceId/pull-requests', auth, requireWorkspacePermission('workspace:view'), withRepositories(), async (req, res) => {
   try {
-    const { workspaceId } = req.params;
-
-    const workspace = await Workspace.findById(workspaceId);
-    if (!workspace) {
-      return res.status(404).json({ message: 'Workspace not found' });
-    }
-
-    const userMembership = workspace.members.find(
-      member => member.user.toString() === req.user.id
+    const pullRequests = await collectFromRepositories(req.repositories, provider =>
+      provider.listPullRequests({ state: 'all', perPage: 50 })
     );
-
-    if (!userMembership) {
-      return res.status(403).json({ message: 'Not authorized to view this workspace' });
-    }
-
-    if (!workspace.githubRepository?.owner || !workspace.githubRepository?.repo) {
-      return res.status(400).json({ message: 'No GitHub repository connected to this workspace' });
-    }
-
-    const { owner, repo } = workspace.githubRepository;
-
-    const response = await githubAPI.get(`/repos/${owner}/${repo}/pulls`, {
-      params: {
-        state: 'all',
-        per_page: 50,
-        sort: 'created',
-        direction: 'desc'
-      }
-    });
-
-    const pullRequests = response.data.map(pr => ({
-      id: pr.id,
-      number: pr.number,
-      title: pr.title,
-      body: pr.body,
-      state: pr.state,
-      merged: pr.merged_at !== null,
-      draft: pr.draft,
-      author: {
-        login: pr.user.login,
-        avatar: pr.user.avatar_url,
-        url: pr.user.html_url
-      },
-      createdAt: pr.created_at,
-      updatedAt: pr.updated_at,
-      mergedAt: pr.merged_at,
-      url: pr.html_url,
-      head: {
-        ref: pr.head.ref,
-        sha: pr.head.sha
-      },
-      base: {
-        ref: pr.base.ref,
-        sha: pr.base.sha
-      },
-      labels: pr.labels.map(label => ({
-        name: label.name,
-        color: label.color
-      })),
-      assignees: pr.assignees.map(assignee => ({
-        login: assignee.login,
-        avatar: assignee.avatar_url
-      })),
-      reviewers: pr.requested_reviewers.map(reviewer => ({
-        login: reviewer.login,
-        avatar: reviewer.avatar_url
-      }))
-    }));
+    pullRequests.sort(newestFirst(pr => pr.createdAt));
 
     res.json({
       success: true,
@@ -385,72 +602,23 @@ router.get('/workspace/:workspaceId/pull-requests', auth, async (req, res) => {
 });
 
 // @route   GET /api/github/workspace/:workspaceId/commits
-// @desc    Get recent commits for workspace repository
+// @desc    Get recent commits across the workspace's repositories (one with ?repo=)
 // @access  Private
-router.get('/workspace/:workspaceId/commits', auth, async (req, res) => {
+router.get('/workspace/:workspaceId/commits', auth, requireWorkspacePermission('workspace:view'), withRepositories(), async (req, res) => {
   try {
-    const { workspaceId } = req.params;
-    const { branch = 'main' } = req.query;
+    // Without a branch, each repository's default branch is used
+    const { branch } = req.query;
 
-    const workspace = await Workspace.findById(workspaceId);
-    if (!workspace) {
-      return res.status(404).json({ message: 'Workspace not found' });
-    }
-
-    const userMembership = workspace.members.find(
-      member => member.user.toString() === req.user.id
+    const commits = await collectFromRepositories(req.repositories, provider =>
+      provider.listCommits({ branch, perPage: 50 })
     );
-
-    if (!userMembership) {
-      return res.status(403).json({ message: 'Not authorized to view this workspace' });
-    }
-
-    if (!workspace.githubRepository?.owner || !workspace.githubRepository?.repo) {
-      return res.status(400).json({ message: 'No GitHub repository connected to this workspace' });
-    }
-
-    const { owner, repo } = workspace.githubRepository;
-
-    const response = await githubAPI.get(`/repos/${owner}/${repo}/commits`, {
-      params: {
-        sha: branch,
-        per_page: 50
-      }
-    });
-
-    const commits = response.data.map(commit => ({
-      sha: commit.sha,
-      shortSha: commit.sha.substring(0, 7),
-      message: commit.commit.message,
-      author: {
-        name: commit.commit.author.name,
-        email: commit.commit.author.email,
-        date: commit.commit.author.date,
-        avatar: commit.author?.avatar_url,
-        login: commit.author?.login,
-        url: commit.author?.html_url
-      },
-      committer: {
-        name: commit.commit.committer.name,
-        email: commit.commit.committer.email,
-        date: commit.commit.committer.date
-      },
-      url: commit.html_url,
-      stats: commit.stats,
-      files: commit.files?.map(file => ({
-        filename: file.filename,
-        status: file.status,
-        additions: file.additions,
-        deletions: file.deletions,
-        changes: file.changes
-      }))
-    }));
+    commits.sort(newestFirst(commit => commit.author.date));
 
     res.json({
       success: true,
       commits,
       total: commits.length,
-      branch
+      branch: branch || null
     });
   } catch (error) {
     console.error('GitHub API Error:', error);
@@ -461,61 +629,14 @@ router.get('/workspace/:workspaceId/commits', auth, async (req, res) => {
 });
 
 // @route   GET /api/github/workspace/:workspaceId/changelog
-// @desc    Get releases/tags for workspace repository
+// @desc    Get releases/tags across the workspace's repositories (one with ?repo=)
 // @access  Private
-router.get('/workspace/:workspaceId/changelog', auth, async (req, res) => {
+router.get('/workspace/:workspaceId/changelog', auth, requireWorkspacePermission('workspace:view'), withRepositories(), async (req, res) => {
   try {
-    const { workspaceId } = req.params;
-
-    const workspace = await Workspace.findById(workspaceId);
-    if (!workspace) {
-      return res.status(404).json({ message: 'Workspace not found' });
-    }
-
-    const userMembership = workspace.members.find(
-      member => member.user.toString() === req.user.id
-    );
-
-    if (!userMembership) {
-      return res.status(403).json({ message: 'Not authorized to view this workspace' });
-    }
-
-    if (!workspace.githubRepository?.owner || !workspace.githubRepository?.repo) {
-      return res.status(400).json({ message: 'No GitHub repository connected to this workspace' });
-    }
-
-    const { owner, repo } = workspace.githubRepository;
-
-    const response = await githubAPI.get(`/repos/${owner}/${repo}/releases`, {
-      params: {
-        per_page: 50
-      }
-    });
-
-    const releases = response.data.map(release => ({
-      id: release.id,
-      tagName: release.tag_name,
-      name: release.name,
-      body: release.body,
-      draft: release.draft,
-      prerelease: release.prerelease,
-      author: {
-        login: release.author.login,
-        avatar: release.author.avatar_url,
-        url: release.author.html_url
-      },
-      createdAt: release.created_at,
-      publishedAt: release.published_at,
-      url: release.html_url,
-      tarballUrl: release.tarball_url,
-      zipballUrl: release.zipball_url,
-      assets: release.assets.map(asset => ({
-        name: asset.name,
-        size: asset.size,
-        downloadCount: asset.download_count,
-        url: asset.browser_download_url
-      }))
-    }));
+    const releases = await collectFromRepositories(req.repositories, provider =>
+      provider.listReleases({ perPage: 50 })
+    );
+    releases.sort(newestFirst(release => release.createdAt));
 
     res.json({
       success: true,
@@ -530,11 +651,34 @@ router.get('/workspace/:workspaceId/changelog', auth, async (req, res) => {
   }
 });
 
+// The owner/repo routes below read through the server's token, so they are
+// limited to public repositories; workspace routes cover private ones
+const publicRepositoryOnly = async (req, res, next) => {
+  const { owner, repo } = req.query;
+  if (!owner || !repo) {
+    return next();
+  }
+
+  try {
+    const response = await githubAPI.get(`/repos/${owner}/${repo}`);
+    if (response.data.private) {
+      return res.status(403).json({ message: 'Private repositories are only available through a workspace' });
+    }
+    next();
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return res.status(404).json({ message: 'Repository not found' });
+    }
+    console.error('GitHub API Error:', error.message);
+    res.status(500).json({ message: 'Failed to fetch repository information' });
+  }
+};
+
 // Keep the original routes for backward compatibility
 // @route   GET /api/github/issues
 // @desc    Get open issues for a repository
 // @access  Private
-router.get('/issues', auth, async (req, res) => {
+router.get('/issues', auth, publicRepositoryOnly, async (req, res) => {
   try {
     const { owner, repo } = req.query;
 
@@ -603,7 +747,7 @@ router.get('/issues', auth, async (req, res) => {
 // @route   GET /api/github/pull-requests
 // @desc    Get pull requests for a repository
 // @access  Private
-router.get('/pull-requests', auth, async (req, res) => {
+router.get('/pull-requests', auth, publicRepositoryOnly, async (req, res) => {
   try {
     const { owner, repo } = req.query;
 
@@ -684,7 +828,7 @@ router.get('/pull-requests', auth, async (req, res) => {
 // @route   GET /api/github/commits
 // @desc    Get recent commits for a repository
 // @access  Private
-router.get('/commits', auth, async (req, res) => {
+router.get('/commits', auth, publicRepositoryOnly, async (req, res) => {
   try {
     const { owner, repo, branch = 'main' } = req.query;
 
@@ -753,7 +897,7 @@ router.get('/commits', auth, async (req, res) => {
 // @route   GET /api/github/changelog
 // @desc    Get releases/tags for changelog
 // @access  Private
-router.get('/changelog', auth, async (req, res) => {
+router.get('/changelog', auth, publicRepositoryOnly, async (req, res) => {
   try {
     const { owner, repo } = req.query;
 
@@ -817,7 +961,7 @@ router.get('/changelog', auth, async (req, res) => {
 // @route   GET /api/github/repository
 // @desc    Get repository information
 // @access  Private
-router.get('/repository', auth, async (req, res) => {
+router.get('/repository', auth, publicRepositoryOnly, async (req, res) => {
   try {
     const { owner, repo } = req.query;
 
@@ -882,49 +1026,15 @@ router.get('/repository', auth, async (req, res) => {
 });
 
 // @route   GET /api/github/workspace/:workspaceId/files
-// @desc    Get repository file tree
+// @desc    Get repository file tree (?repo= picks the repository, default the first)
 // @access  Private
-router.get('/workspace/:workspaceId/files', auth, async (req, res) => {
+router.get('/workspace/:workspaceId/files', auth, requireWorkspacePermission('workspace:view'), withRepositories({ single: true }), async (req, res) => {
   try {
-    const { workspaceId } = req.params;
-    const { path = '', ref = 'main' } = req.query;
-
-    const workspace = await Workspace.findById(workspaceId);
-    if (!workspace) {
-      return res.status(404).json({ message: 'Workspace not found' });
-    }
+    // Without a ref, the provider serves the repository's default branch
+    const { path = '', ref } = req.query;
 
-    const userMembership = workspace.members.find(
-      member => member.user.toString() === req.user.id
-    );
-
-    if (!userMembership) {
-      return res.status(403).json({ message: 'Not authorized to view this workspace' });
-    }
-
-    if (!workspace.githubRepository?.owner || !workspace.githubRepository?.repo) {
-      return res.status(400).json({ message: 'No GitHub repository connected to this workspace' });
-    }
-
-    const { owner, repo } = workspace.githubRepository;
-
-    // Get repository contents
-    const response = await githubAPI.get(`/repos/${owner}/${repo}/contents/${path}`, {
-      params: { ref }
-    });
-
-    const contents = Array.isArray(response.data) ? response.data : [response.data];
-
-    const files = contents.map(item => ({
-      name: item.name,
-      path: item.path,
-      type: item.type, // 'file' or 'dir'
-      size: item.size,
-      sha: item.sha,
-      downloadUrl: item.download_url,
-      htmlUrl: item.html_url,
-      gitUrl: item.git_url
-    }));
+    const [repository] = req.repositories;
+    const files = await providerFor(repository).listContents({ path, ref });
 
     // Sort directories first, then files
     files.sort((a, b) => {
@@ -937,7 +1047,8 @@ router.get('/workspace/:workspaceId/files', auth, async (req, res) => {
       success: true,
       files,
       currentPath: path,
-      ref
+      ref: ref || null,
+      repository: repositoryRef(repository)
     });
   } catch (error) {
     console.error('GitHub API Error:', error);
@@ -953,69 +1064,27 @@ router.get('/workspace/:workspaceId/files', auth, async (req, res) => {
 });
 
 // @route   GET /api/github/workspace/:workspaceId/file-content
-// @desc    Get file content from repository
+// @desc    Get file content from repository (?repo= picks the repository)
 // @access  Private
-router.get('/workspace/:workspaceId/file-content', auth, async (req, res) => {
+router.get('/workspace/:workspaceId/file-content', auth, requireWorkspacePermission('workspace:view'), withRepositories({ single: true }), async (req, res) => {
   try {
-    const { workspaceId } = req.params;
-    const { path, ref = 'main' } = req.query;
+    const { path, ref } = req.query;
 
     if (!path) {
       return res.status(400).json({ message: 'File path is required' });
     }
 
-    const workspace = await Workspace.findById(workspaceId);
-    if (!workspace) {
-      return res.status(404).json({ message: 'Workspace not found' });
-    }
-
-    const userMembership = workspace.members.find(
-      member => member.user.toString() === req.user.id
-    );
-
-    if (!userMembership) {
-      return res.status(403).json({ message: 'Not authorized to view this workspace' });
-    }
-
-    if (!workspace.githubRepository?.owner || !workspace.githubRepository?.repo) {
-      return res.status(400).json({ message: 'No GitHub repository connected to this workspace' });
-    }
-
-    const { owner, repo } = workspace.githubRepository;
-
-    // Get file content
-    const response = await githubAPI.get(`/repos/${owner}/${repo}/contents/${path}`, {
-      params: { ref }
-    });
-
-    const fileData = response.data;
+    const [repository] = req.repositories;
 
-    // Check if it's a file (not directory)
-    if (fileData.type !== 'file') {
+    // Get file content; null when the path is a directory
+    const fileData = await providerFor(repository).getFile({ path, ref });
+    if (!fileData) {
       return res.status(400).json({ message: 'Path is not a file' });
     }
 
-    // Decode base64 content
-    let content = '';
-    let isBinary = false;
-
-    try {
-      if (fileData.encoding === 'base64') {
-        const buffer = Buffer.from(fileData.content, 'base64');
-        
-        // Check if file is binary
-        isBinary = buffer.includes(0);
-        
-        if (!isBinary) {
-          content = buffer.toString('utf8');
-        }
-      } else {
-        content = fileData.content;
-      }
-    } catch (error) {
-      console.error('Error decoding file content:', error);
-      isBinary = true;
-    }
+    // Check if file is binary
+    const isBinary = fileData.content.includes(0);
+    const content = isBinary ? '' : fileData.content.toString('utf8');
 
     // Get file extension for syntax highlighting
     const extension = path.split('.').pop()?.toLowerCase() || '';
@@ -1028,14 +1097,14 @@ router.get('/workspace/:workspaceId/file-content', auth, async (req, res) => {
       content: isBinary ? null : content,
       isBinary,
       extension,
-      downloadUrl: fileData.download_url,
-      htmlUrl: fileData.html_url,
-      encoding: fileData.encoding
+      downloadUrl: fileData.downloadUrl,
+      htmlUrl: fileData.htmlUrl
     };
 
     res.json({
       success: true,
-      file: fileInfo
+      file: fileInfo,
+      repository: repositoryRef(repository)
     });
   } catch (error) {
     console.error('GitHub API Error:', error);
@@ -1051,116 +1120,188 @@ router.get('/workspace/:workspaceId/file-content', auth, async (req, res) => {
 });
 
 // @route   GET /api/github/workspace/:workspaceId/branches
-// @desc    Get repository branches
+// @desc    Get repository branches (?repo= picks the repository)
 // @access  Private
-router.get('/workspace/:workspaceId/branches', auth, async (req, res) => {
+router.get('/workspace/:workspaceId/branches', auth, requireWorkspacePermission('workspace:view'), withRepositories({ single: true }), async (req, res) => {
   try {
-    const { workspaceId } = req.params;
+    const [repository] = req.repositories;
+    const branches = await providerFor(repository).listBranches();
 
-    const workspace = await Workspace.findById(workspaceId);
-    if (!workspace) {
-      return res.status(404).json({ message: 'Workspace not found' });
-    }
+    res.json({
+      success: true,
+      branches,
+      repository: repositoryRef(repository)
+    });
+  } catch (error) {
+    console.error('GitHub API Error:', error);
+    res.status(500).json({ 
+      message: error.response?.data?.message || 'Failed to fetch branches' 
+    });
+  }
+});
 
-    const userMembership = workspace.members.find(
-      member => member.user.toString() === req.user.id
-    );
+// @route   GET /api/github/workspace/:workspaceId/compare
+// @desc    Compare two refs (branches, tags or commits): commits on head since the
+//          merge base and the changed files with unified diffs (?repo= picks the repository)
+// @access  Private
+router.get('/workspace/:workspaceId/compare', auth, requireWorkspacePermission('workspace:view'), withRepositories({ single: true }), async (req, res) => {
+  try {
+    const { base, head } = req.query;
 
-    if (!userMembership) {
-      return res.status(403).json({ message: 'Not authorized to view this workspace' });
+    if (!base || !head) {
+      return res.status(400).json({ message: 'Base and head refs are required' });
     }
 
-    if (!workspace.githubRepository?.owner || !workspace.githubRepository?.repo) {
-      return res.status(400).json({ message: 'No GitHub repository connected to this workspace' });
-    }
+    const [repository] = req.repositories;
+    const comparison = await providerFor(repository).compare({ base, head });
+
+    // Huge patches are left for the provider's own site
+    comparison.files = comparison.files.map(file => (
+      file.patch && file.patch.length > MAX_PATCH_LENGTH
+        ? { ...file, patch: null, truncated: true }
+        : file
+    ));
+
+    res.json({
+      success: true,
+      comparison,
+      repository: repositoryRef(repository)
+    });
+  } catch (error) {
+    console.error('Compare Error:', error.message);
 
-    const { owner, repo } = workspace.githubRepository;
+    if (error.response?.status === 404) {
+      return res.status(404).json({ message: 'Base or head not found in repository' });
+    }
 
-    const response = await githubAPI.get(`/repos/${owner}/${repo}/branches`, {
-      params: { per_page: 100 }
+    res.status(500).json({ 
+      message: error.response?.data?.message || 'Failed to compare refs' 
     });
+  }
+});
 
-    const branches = response.data.map(branch => ({
-      name: branch.name,
-      sha: branch.commit.sha,
-      protected: branch.protected
-    }));
+// History and blame on GitHub go through its GraphQL API, which (unlike REST)
+// refuses anonymous requests. That's reported as a 400: a 401 would read as
+// the user's own session expiring.
+const historyErrorMessage = (error, fallback) => (
+  error.response?.status === 401
+    ? 'GitHub\'s GraphQL API needs a token: read this repository with a workspace credential'
+    : error.response?.data?.message || fallback
+);
+
+// @route   GET /api/github/workspace/:workspaceId/file-history
+// @desc    Commits that changed a file, newest first, each with the pull request that
+//          introduced it (?repo= picks the repository)
+// @access  Private
+router.get('/workspace/:workspaceId/file-history', auth, requireWorkspacePermission('workspace:view'), withRepositories({ single: true }), async (req, res) => {
+  try {
+    const { path, ref } = req.query;
+
+    if (!path) {
+      return res.status(400).json({ message: 'File path is required' });
+    }
+
+    const [repository] = req.repositories;
+    const commits = await providerFor(repository).getFileHistory({ path, ref });
 
     res.json({
       success: true,
-      branches
+      commits,
+      path,
+      ref: ref || null,
+      repository: repositoryRef(repository)
     });
   } catch (error) {
-    console.error('GitHub API Error:', error);
-    res.status(500).json({ 
-      message: error.response?.data?.message || 'Failed to fetch branches' 
+    console.error('File history Error:', error.message);
+
+    if (error.response?.status === 404) {
+      return res.status(404).json({ message: 'File or ref not found in repository' });
+    }
+
+    res.status(error.response?.status === 401 ? 400 : 500).json({
+      message: historyErrorMessage(error, 'Failed to fetch file history')
     });
   }
 });
 
-// @route   POST /api/github/workspace/:workspaceId/summarize
-// @desc    Generate repository summary using Gemini
+// @route   GET /api/github/workspace/:workspaceId/blame
+// @desc    The commit (and pull request) that last changed each line of a file, as
+//          ranges of lines (?repo= picks the repository)
 // @access  Private
-router.post('/workspace/:workspaceId/summarize', auth, async (req, res) => {
+router.get('/workspace/:workspaceId/blame', auth, requireWorkspacePermission('workspace:view'), withRepositories({ single: true }), async (req, res) => {
   try {
-    const { workspaceId } = req.params;
+    const { path, ref } = req.query;
 
-    const workspace = await Workspace.findById(workspaceId);
-    if (!workspace) {
-      return res.status(404).json({ message: 'Workspace not found' });
+    if (!path) {
+      return res.status(400).json({ message: 'File path is required' });
     }
 
-    const userMembership = workspace.members.find(
-      member => member.user.toString() === req.user.id
-    );
+    const [repository] = req.repositories;
+    const ranges = await providerFor(repository).getBlame({ path, ref });
 
-    if (!userMembership) {
-      return res.status(403).json({ message: 'Access denied' });
-    }
+    res.json({
+      success: true,
+      ranges,
+      path,
+      ref: ref || null,
+      repository: repositoryRef(repository)
+    });
+  } catch (error) {
+    console.error('Blame Error:', error.message);
 
-    if (!workspace.githubRepository) {
-      return res.status(400).json({ message: 'No GitHub repository connected' });
+    if (error.response?.status === 404) {
+      return res.status(404).json({ message: 'File or ref not found in repository' });
     }
 
-    const { owner, repo } = workspace.githubRepository;
+    res.status(error.response?.status === 401 ? 400 : 500).json({
+      message: historyErrorMessage(error, 'Failed to fetch blame')
+    });
+  }
+});
+
+// @route   POST /api/github/workspace/:workspaceId/summarize
+// @desc    Generate repository summary using Gemini (repo in the body picks the repository)
+// @access  Private
+router.post('/workspace/:workspaceId/summarize', auth, requireWorkspacePermission('workspace:view'), withRepositories({ single: true }), async (req, res) => {
+  try {
+    const [repository] = req.repositories;
+    const provider = providerFor(repository);
 
     // Fetch repository data
-    const [repoResponse, commitsResponse, issuesResponse, pullRequestsResponse] = await Promise.all([
-      githubAPI.get(`/repos/${owner}/${repo}`),
-      githubAPI.get(`/repos/${owner}/${repo}/commits`, { params: { per_page: 10 } }),
-      githubAPI.get(`/repos/${owner}/${repo}/issues`, { params: { state: 'open', per_page: 10 } }),
-      githubAPI.get(`/repos/${owner}/${repo}/pulls`, { params: { state: 'open', per_page: 10 } })
+    const [info, commits, openIssues, openPullRequests] = await Promise.all([
+      provider.getRepository(),
+      provider.listCommits({ perPage: 10 }),
+      provider.listIssues({ state: 'open', perPage: 10 }),
+      provider.listPullRequests({ state: 'open', perPage: 10 })
     ]);
 
     const repositoryData = {
-      fullName: repoResponse.data.full_name,
-      description: repoResponse.data.description,
-      language: repoResponse.data.language,
-      stars: repoResponse.data.stargazers_count,
-      forks: repoResponse.data.forks_count,
-      openIssues: repoResponse.data.open_issues_count,
-      createdAt: repoResponse.data.created_at,
-      updatedAt: repoResponse.data.updated_at,
-      defaultBranch: repoResponse.data.default_branch
+      fullName: info.fullName,
+      description: info.description,
+      language: info.language,
+      stars: info.stars,
+      forks: info.forks,
+      openIssues: info.openIssues,
+      createdAt: info.createdAt,
+      updatedAt: info.updatedAt,
+      defaultBranch: info.defaultBranch
     };
 
-    const recentCommits = commitsResponse.data.map(commit => ({
-      message: commit.commit.message,
+    const recentCommits = commits.map(commit => ({
+      message: commit.message,
       author: {
-        name: commit.commit.author.name,
-        date: commit.commit.author.date
+        name: commit.author.name,
+        date: commit.author.date
       }
     }));
 
-    const issues = issuesResponse.data
-      .filter(issue => !issue.pull_request)
-      .map(issue => ({
-        number: issue.number,
-        title: issue.title,
-        state: issue.state
-      }));
+    const issues = openIssues.map(issue => ({
+      number: issue.number,
+      title: issue.title,
+      state: issue.state
+    }));
 
-    const pullRequests = pullRequestsResponse.data.map(pr => ({
+    const pullRequests = openPullRequests.map(pr => ({
       number: pr.number,
       title: pr.title,
       state: pr.state
@@ -1224,6 +1365,7 @@ router.post('/workspace/:workspaceId/summarize', auth, async (req, res) => {
     res.json({
       success: true,
       summary,
+      repository: repositoryRef(repository),
       generatedAt: new Date()
     });
 
@@ -1236,43 +1378,21 @@ router.post('/workspace/:workspaceId/summarize', auth, async (req, res) => {
 });
 
 // Add this route after the existing routes
-router.post('/workspace/:workspaceId/architecture', auth, async (req, res) => {
+router.post('/workspace/:workspaceId/architecture', auth, requireWorkspacePermission('diagrams:edit'), withRepositories({ single: true }), async (req, res) => {
   try {
     const { workspaceId } = req.params;
     const { diagramType = 'flowchart' } = req.body;
 
     console.log('🏗️ Architecture request:', { workspaceId, userId: req.user.id, diagramType });
 
-    // Get workspace with GitHub connection
-    const workspace = await Workspace.findById(workspaceId)
-      .populate('members.user', 'name email');
-    
-    if (!workspace) {
-      console.log('❌ Workspace not found:', workspaceId);
-      return res.status(404).json({ message: 'Workspace not found' });
-    }
+    // Get workspace with its repository connection
+    const { workspace } = req;
+    await workspace.populate('members.user', 'name email');
 
     console.log('✅ Workspace found:', workspace.name);
 
-    // Check if user has access to workspace
-    const userMembership = workspace.members.find(
-      member => member.user._id.toString() === req.user.id
-    );
-
-    if (!userMembership) {
-      console.log('❌ Access denied for user:', req.user.id);
-      return res.status(403).json({ message: 'Access denied to this workspace' });
-    }
-
-    console.log('✅ User access verified');
-
-    // Check for GitHub repository connection
-    if (!workspace.githubRepository) {
-      console.log('❌ No GitHub repository connected');
-      return res.status(400).json({ message: 'No GitHub repository connected to this workspace' });
-    }
-
-    const { owner, repo } = workspace.githubRepository;
+    const [repository] = req.repositories;
+    const { owner, repo } = repository;
     console.log('✅ Repository found:', `${owner}/${repo}`);
     
     // Check if required services are available
@@ -1287,59 +1407,44 @@ router.post('/workspace/:workspaceId/architecture', auth, async (req, res) => {
       });
     }
 
-    // Use dynamic import for @octokit/rest (ES Module)
-    let octokit;
-    try {
-      if (!process.env.GITHUB_TOKEN) {
-        throw new Error('GITHUB_TOKEN not configured');
-      }
-      
-      // Dynamic import for ES Module
-      const { Octokit } = await import('@octokit/rest');
-      
-      octokit = new Octokit({
-        auth: process.env.GITHUB_TOKEN,
-      });
-      console.log('✅ GitHub client initialized');
-    } catch (octokitError) {
-      console.error('❌ GitHub client initialization failed:', octokitError.message);
-      return res.status(500).json({ 
-        message: 'GitHub integration not available. Please check server configuration.' 
-      });
-    }
+    const provider = providerFor(repository);
 
     try {
       console.log('📡 Fetching repository data...');
       
       // Get repository information
-      const repoResponse = await octokit.rest.repos.get({
-        owner,
-        repo
-      });
+      const info = await provider.getRepository();
 
       console.log('✅ Repository data fetched');
 
+      // Pin the analysis to the branch head so the saved version names the
+      // commit it describes
+      let commitSha = null;
+      try {
+        const [headCommit] = await provider.listCommits({ branch: info.defaultBranch || undefined, perPage: 1 });
+        commitSha = headCommit?.sha || null;
+      } catch (commitError) {
+        console.warn('⚠️ Could not resolve branch head:', commitError.message);
+      }
+      const ref = commitSha || info.defaultBranch || undefined;
+
+      if (!req.body.regenerate) {
+        const existing = await diagramHistoryService.findForCommit(workspace, repository, diagramType, commitSha);
+        if (existing) {
+          console.log('✅ Architecture diagram already generated for', commitSha);
+          return res.json({
+            success: true,
+            ...diagramHistoryService.format(existing),
+            cached: true,
+            repository: repositoryRef(repository)
+          });
+        }
+      }
+
       // Get repository structure (files) with error handling
       let files = [];
       try {
-        const treeResponse = await octokit.rest.git.getTree({
-          owner,
-          repo,
-          tree_sha: repoResponse.data.default_branch,
-          recursive: true
-        });
-
-        // Filter and process files
-        files = treeResponse.data.tree
-          .filter(item => item.type === 'blob' && item.path)
-          .slice(0, 1000) // Limit to 1000 files to avoid memory issues
-          .map(item => ({
-            path: item.path,
-            name: item.path.split('/').pop(),
-            size: item.size || 0,
-            type: 'file'
-          }));
-
+        ({ files } = await provider.listFiles({ ref }));
         console.log(`✅ Processed ${files.length} files`);
       } catch (treeError) {
         console.warn('⚠️ Could not fetch repository tree, using minimal file list:', treeError.message);
@@ -1350,29 +1455,45 @@ router.post('/workspace/:workspaceId/architecture', auth, async (req, res) => {
       console.log('🎨 Generating architecture diagram...');
       const architectureData = await architectureService.generateArchitecture(
         files, 
-        repoResponse.data, 
-        diagramType
+        info, 
+        diagramType,
+        {
+          // Import graphs read the sources themselves
+          readFile: async (path) => {
+            const file = await provider.getFile({ path, ref });
+            return file ? file.content.toString('utf8') : '';
+          }
+        }
       );
 
       console.log('✅ Architecture diagram generated successfully');
 
+      const diagram = await diagramHistoryService.save(workspace, repository, architectureData, {
+        commitSha,
+        ref: info.defaultBranch,
+        userId: req.user.id
+      });
+      await diagram.populate('generatedBy', 'name email');
+
       res.json({
         success: true,
-        ...architectureData
+        ...diagramHistoryService.format(diagram),
+        cached: false,
+        repository: repositoryRef(repository)
       });
 
-    } catch (githubError) {
-      console.error('❌ GitHub API error:', githubError.message);
+    } catch (providerError) {
+      console.error('❌ Repository provider error:', providerError.message);
       
-      if (githubError.response?.status === 404) {
+      if (providerError.response?.status === 404) {
         return res.status(404).json({ 
           message: 'Repository not found or not accessible' 
         });
       }
       
-      if (githubError.response?.status === 403) {
+      if (providerError.response?.status === 403) {
         return res.status(403).json({ 
-          message: 'GitHub API rate limit exceeded or access denied' 
+          message: 'API rate limit exceeded or access denied' 
         });
       }
       
@@ -1389,162 +1510,191 @@ router.post('/workspace/:workspaceId/architecture', auth, async (req, res) => {
   }
 });
 
-// @route   GET /api/github/workspace/:workspaceId/status
-// @desc    Get GitHub connection status for workspace
+// @route   GET /api/github/workspace/:workspaceId/architecture/diagrams
+// @desc    Saved architecture diagram versions of a repository (?type= narrows to one diagram type)
 // @access  Private
-router.get('/workspace/:workspaceId/status', auth, async (req, res) => {
+router.get('/workspace/:workspaceId/architecture/diagrams', auth, requireWorkspacePermission('workspace:view'), withRepositories({ single: true }), async (req, res) => {
   try {
-    const { workspaceId } = req.params;
+    const [repository] = req.repositories;
+    const diagrams = await diagramHistoryService.list(req.workspace, {
+      repository,
+      diagramType: req.query.type,
+      limit: parseInt(req.query.limit, 10) || undefined
+    });
 
-    // Find the workspace
-    const workspace = await Workspace.findById(workspaceId)
-      .populate('githubRepository.connectedBy', 'name email');
-    
-    if (!workspace) {
-      return res.status(404).json({ message: 'Workspace not found' });
+    res.json({
+      success: true,
+      diagrams: diagrams.map(diagram => diagramHistoryService.format(diagram)),
+      repository: repositoryRef(repository)
+    });
+  } catch (error) {
+    console.error('Error fetching architecture diagrams:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/github/workspace/:workspaceId/architecture/diagrams/compare
+// @desc    Nodes and edges added and removed between two saved versions (?base=&head=)
+// @access  Private
+router.get('/workspace/:workspaceId/architecture/diagrams/compare', auth, requireWorkspacePermission('workspace:view'), async (req, res) => {
+  try {
+    const { base: baseId, head: headId } = req.query;
+    if (!baseId || !headId) {
+      return res.status(400).json({ message: 'Both base and head diagram versions are required' });
     }
 
-    // Check if user is a member
-    const userMembership = workspace.members.find(
-      member => member.user.toString() === req.user.id
-    );
+    const [base, head] = await Promise.all([
+      diagramHistoryService.find(req.workspace, baseId),
+      diagramHistoryService.find(req.workspace, headId)
+    ]);
+    if (!base || !head) {
+      return res.status(404).json({ message: 'Diagram version not found' });
+    }
 
-    if (!userMembership) {
-      return res.status(403).json({ message: 'Not authorized to view this workspace' });
+    const result = diagramHistoryService.compare(base, head);
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
     }
 
-    // Return repository info if connected
-    if (!workspace.githubRepository?.owner || !workspace.githubRepository?.repo) {
-      return res.json({
-        success: true,
-        connected: false,
-        repository: null
-      });
+    res.json({
+      success: true,
+      base: diagramHistoryService.format(base),
+      head: diagramHistoryService.format(head),
+      diff: result.diff
+    });
+  } catch (error) {
+    console.error('Error comparing architecture diagrams:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/github/workspace/:workspaceId/architecture/diagrams/:diagramId
+// @desc    One saved architecture diagram version
+// @access  Private
+router.get('/workspace/:workspaceId/architecture/diagrams/:diagramId', auth, requireWorkspacePermission('workspace:view'), async (req, res) => {
+  try {
+    const diagram = await diagramHistoryService.find(req.workspace, req.params.diagramId);
+    if (!diagram) {
+      return res.status(404).json({ message: 'Diagram version not found' });
     }
 
-    // Fetch fresh repository data from GitHub
-    try {
-      const response = await githubAPI.get(
-        `/repos/${workspace.githubRepository.owner}/${workspace.githubRepository.repo}`
-      );
-      
-      const repoData = response.data;
-      const repository = {
-        id: repoData.id,
-        name: repoData.name,
-        fullName: repoData.full_name,
-        description: repoData.description,
-        private: repoData.private,
-        url: repoData.html_url,
-        cloneUrl: repoData.clone_url,
-        defaultBranch: repoData.default_branch,
-        language: repoData.language,
-        stars: repoData.stargazers_count,
-        forks: repoData.forks_count,
-        watchers: repoData.watchers_count,
-        openIssues: repoData.open_issues_count,
-        size: repoData.size,
-        createdAt: repoData.created_at,
-        updatedAt: repoData.updated_at,
-        pushedAt: repoData.pushed_at,
-        owner: {
-          login: repoData.owner.login,
-          avatar: repoData.owner.avatar_url,
-          url: repoData.owner.html_url,
-          type: repoData.owner.type
-        },
-        topics: repoData.topics,
-        license: repoData.license ? {
-          name: repoData.license.name,
-          spdxId: repoData.license.spdx_id
-        } : null,
-        // Workspace-specific metadata
-        connectedAt: workspace.githubRepository.connectedAt,
-        connectedBy: workspace.githubRepository.connectedBy
-      };
+    res.json({ success: true, ...diagramHistoryService.format(diagram) });
+  } catch (error) {
+    console.error('Error fetching architecture diagram:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
 
-      res.json({
-        success: true,
-        connected: true,
-        repository
-      });
-    } catch (error) {
-      if (error.response?.status === 404) {
-        // Repository no longer exists, remove connection
-        workspace.githubRepository = undefined;
-        await workspace.save();
-        
-        return res.json({
-          success: true,
-          connected: false,
-          repository: null,
-          message: 'Connected repository no longer exists and has been disconnected'
-        });
-      }
-      throw error;
+// @route   PUT /api/github/workspace/:workspaceId/architecture/diagrams/:diagramId/pin
+// @desc    Make a version the canonical diagram for its repository and type
+// @access  Private (Creator, Admin)
+router.put('/workspace/:workspaceId/architecture/diagrams/:diagramId/pin', auth, requireWorkspacePermission('diagrams:pin'), async (req, res) => {
+  try {
+    const diagram = await diagramHistoryService.find(req.workspace, req.params.diagramId);
+    if (!diagram) {
+      return res.status(404).json({ message: 'Diagram version not found' });
     }
+
+    await diagramHistoryService.pin(diagram, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Diagram pinned',
+      diagram: diagramHistoryService.format(diagram)
+    });
   } catch (error) {
-    console.error('Error fetching workspace repository status:', error);
-    res.status(500).json({ message: 'Failed to fetch repository status' });
+    console.error('Error pinning architecture diagram:', error);
+    res.status(500).json({ message: error.message });
   }
 });
 
-// @route   GET /api/github/workspace/:workspaceId/releases
-// @desc    Get releases for workspace repository  
+// @route   DELETE /api/github/workspace/:workspaceId/architecture/diagrams/:diagramId/pin
+// @desc    Unpin a diagram version
+// @access  Private (Creator, Admin)
+router.delete('/workspace/:workspaceId/architecture/diagrams/:diagramId/pin', auth, requireWorkspacePermission('diagrams:pin'), async (req, res) => {
+  try {
+    const diagram = await diagramHistoryService.find(req.workspace, req.params.diagramId);
+    if (!diagram) {
+      return res.status(404).json({ message: 'Diagram version not found' });
+    }
+
+    await diagramHistoryService.unpin(diagram);
+
+    res.json({
+      success: true,
+      message: 'Diagram unpinned',
+      diagram: diagramHistoryService.format(diagram)
+    });
+  } catch (error) {
+    console.error('Error unpinning architecture diagram:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/github/workspace/:workspaceId/dependencies
+// @desc    Dependency inventory of a repository: direct and transitive counts,
+//          licenses and drift from the latest versions (?repo=, ?ref= default
+//          branch)
 // @access  Private
-router.get('/workspace/:workspaceId/releases', auth, async (req, res) => {
+router.get('/workspace/:workspaceId/dependencies', auth, requireWorkspacePermission('workspace:view'), withRepositories({ single: true }), async (req, res) => {
   try {
-    const { workspaceId } = req.params;
+    const [repository] = req.repositories;
+    const provider = providerFor(repository);
 
-    const workspace = await Workspace.findById(workspaceId);
-    if (!workspace) {
-      return res.status(404).json({ message: 'Workspace not found' });
+    let ref = req.query.ref;
+    if (!ref) {
+      const info = await provider.getRepository();
+      ref = info.defaultBranch || undefined;
     }
 
-    const userMembership = workspace.members.find(
-      member => member.user.toString() === req.user.id
-    );
+    const { files, truncated } = await provider.listFiles({ ref });
+    const report = await dependencyService.buildReport(files, async (path) => {
+      const file = await provider.getFile({ path, ref });
+      return file ? file.content.toString('utf8') : '';
+    });
 
-    if (!userMembership) {
-      return res.status(403).json({ message: 'Not authorized to view this workspace' });
-    }
+    res.json({
+      success: true,
+      ...report,
+      // Manifests past the provider's file listing cap aren't in the report
+      filesTruncated: truncated,
+      ref: ref || null,
+      repository: repositoryRef(repository)
+    });
+  } catch (error) {
+    console.error('Error analyzing repository dependencies:', error);
 
-    if (!workspace.githubRepository?.owner || !workspace.githubRepository?.repo) {
-      return res.status(400).json({ message: 'No GitHub repository connected to this workspace' });
+    if (error.response?.status === 404) {
+      return res.status(404).json({ message: 'Repository or ref not found' });
     }
 
-    const { owner, repo } = workspace.githubRepository;
-
-    const response = await githubAPI.get(`/repos/${owner}/${repo}/releases`, {
-      params: {
-        per_page: 50
-      }
+    res.status(500).json({
+      message: error.response?.data?.message || 'Failed to analyze repository dependencies'
     });
+  }
+});
 
-    const releases = response.data.map(release => ({
-      id: release.id,
-      tagName: release.tag_name,
-      name: release.name,
-      body: release.body,
-      draft: release.draft,
-      prerelease: release.prerelease,
-      author: {
-        login: release.author.login,
-        avatar: release.author.avatar_url,
-        url: release.author.html_url
-      },
-      createdAt: release.created_at,
-      publishedAt: release.published_at,
-      url: release.html_url,
-      tarballUrl: release.tarball_url,
-      zipballUrl: release.zipball_url,
-      assets: release.assets.map(asset => ({
-        name: asset.name,
-        size: asset.size,
-        downloadCount: asset.download_count,
-        url: asset.browser_download_url
-      }))
-    }));
+// @route   GET /api/github/workspace/:workspaceId/status
+// @desc    Get GitHub connection status and API rate-limit budget for workspace
+// @access  Private
+router.get('/workspace/:workspaceId/status', auth, requireWorkspacePermission('workspace:view'), async (req, res) => {
+  try {
+    await sendRepositories(req.workspace, res);
+  } catch (error) {
+    console.error('Error fetching workspace repository status:', error);
+    res.status(500).json({ message: 'Failed to fetch repository status' });
+  }
+});
+
+// @route   GET /api/github/workspace/:workspaceId/releases
+// @desc    Get releases across the workspace's repositories (one with ?repo=)
+// @access  Private
+router.get('/workspace/:workspaceId/releases', auth, requireWorkspacePermission('workspace:view'), withRepositories(), async (req, res) => {
+  try {
+    const releases = await collectFromRepositories(req.repositories, provider =>
+      provider.listReleases({ perPage: 50 })
+    );
+    releases.sort(newestFirst(release => release.createdAt));
 
     res.json({
       success: true,
@@ -1,10 +1,41 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const auth = require('../middleware/auth');
+const requireWorkspacePermission = require('../middleware/workspacePermission');
 const Invite = require('../models/Invite');
+const inviteLinkService = require('../services/inviteLinkService');
+const invitationService = require('../services/invitationService');
 const Workspace = require('../models/Workspace');
 const User = require('../models/User');
+const { can, deniedMessage, findMembership } = require('../utils/permissions');
 const router = express.Router();
 
+const MAX_LINK_EXPIRY_DAYS = 90;
+const MAX_LINK_USES = 1000;
+const DOMAIN_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+
+const formatInviteLink = (link) => ({
+  id: link._id,
+  tokenPrefix: link.tokenPrefix,
+  role: link.role,
+  expiresAt: link.expiresAt,
+  maxUses: link.maxUses,
+  useCount: link.useCount,
+  allowedDomain: link.allowedDomain,
+  expired: link.isExpired(),
+  exhausted: link.isExhausted(),
+  createdBy: link.createdBy?.name,
+  createdAt: link.createdAt
+});
+
+// Why a link can't be used right now, or null if it can
+const inactiveLinkMessage = (link) => {
+  if (link.revokedAt) return 'This invite link has been revoked';
+  if (link.isExpired()) return 'This invite link has expired';
+  if (link.isExhausted()) return 'This invite link has reached its usage limit';
+  return null;
+};
+
 // @route   GET /api/invites/pending
 // @desc    Get pending invitations for the authenticated user
 // @access  Private
@@ -16,13 +47,18 @@ router.get('/pending', auth, async (req, res) => {
       email: req.user.email.toLowerCase(),
       status: 'pending'
     })
-    .populate('workspace', 'name description')
+    .populate('workspace', 'name description archivedAt deletedAt')
     .populate('invitedBy', 'name email')
     .sort({ createdAt: -1 });
 
     console.log('Found invites:', invites.length);
 
-    const formattedInvites = invites.map(invite => ({
+    // Skip expired invites and those to workspaces that were archived or deleted since
+    const openInvites = invites.filter(
+      invite => !invite.isExpired() && invite.workspace && !invite.workspace.archivedAt && !invite.workspace.deletedAt
+    );
+
+    const formattedInvites = openInvites.map(invite => ({
       id: invite._id,
       workspace: {
         id: invite.workspace._id,
@@ -34,6 +70,7 @@ router.get('/pending', auth, async (req, res) => {
         email: invite.invitedBy.email
       },
       createdAt: invite.createdAt,
+      expiresAt: invite.expiresAt,
       email: invite.email
     }));
 
@@ -65,17 +102,37 @@ router.post('/:inviteId/accept', auth, async (req, res) => {
       return res.status(403).json({ message: 'Not authorized to accept this invitation' });
     }
 
+    if (invite.isExpired()) {
+      if (invite.status !== 'expired') {
+        invite.status = 'expired';
+        await invite.save();
+      }
+      return res.status(410).json({ message: 'This invitation has expired. Ask for a new one.' });
+    }
+
     // Check if invite is still pending
     if (invite.status !== 'pending') {
       return res.status(400).json({ message: 'Invitation has already been processed' });
     }
 
+    // Only verified addresses can prove they own the invited email
+    if (!req.user.emailVerified) {
+      return res.status(403).json({
+        message: 'Please verify your email address before accepting invitations',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
     // Find the workspace
     const workspace = await Workspace.findById(invite.workspace);
-    if (!workspace) {
+    if (!workspace || workspace.deletedAt) {
       return res.status(404).json({ message: 'Workspace not found' });
     }
 
+    if (workspace.archivedAt) {
+      return res.status(400).json({ message: 'This workspace has been archived' });
+    }
+
     // Check if user is already a member
     const existingMember = workspace.members.find(
       member => member.user.toString() === req.user.id
@@ -87,14 +144,15 @@ router.post('/:inviteId/accept', auth, async (req, res) => {
       await invite.save();
       return res.json({ 
         success: true, 
-        message: 'Already a member of this workspace' 
+        message: 'Already a member of this workspace',
+        workspaceId: workspace._id
       });
     }
 
     // Add user to workspace members
     workspace.members.push({
       user: req.user.id,
-      role: 'Member',
+      role: invite.role || 'Member',
       joinedAt: new Date()
     });
 
@@ -106,7 +164,8 @@ router.post('/:inviteId/accept', auth, async (req, res) => {
 
     res.json({
       success: true,
-      message: 'Invitation accepted successfully'
+      message: 'Invitation accepted successfully',
+      workspaceId: workspace._id
     });
   } catch (error) {
     console.error('Error accepting invite:', error);
@@ -153,26 +212,11 @@ router.post('/:inviteId/decline', auth, async (req, res) => {
 
 // @route   GET /api/invites/workspace/:workspaceId
 // @desc    Get all invitations for a specific workspace (for workspace owners/admins)
-// @access  Private
-router.get('/workspace/:workspaceId', auth, async (req, res) => {
+// @access  Private (Creator, Admin)
+router.get('/workspace/:workspaceId', auth, requireWorkspacePermission('invites:view'), async (req, res) => {
   try {
     const { workspaceId } = req.params;
 
-    // Find the workspace and check if user has permission
-    const workspace = await Workspace.findById(workspaceId);
-    if (!workspace) {
-      return res.status(404).json({ message: 'Workspace not found' });
-    }
-
-    // Check if user is a member with appropriate role
-    const userMembership = workspace.members.find(
-      member => member.user.toString() === req.user.id
-    );
-
-    if (!userMembership || !['Creator', 'Admin'].includes(userMembership.role)) {
-      return res.status(403).json({ message: 'Not authorized to view workspace invitations' });
-    }
-
     // Get all invitations for this workspace
     const invites = await Invite.find({ workspace: workspaceId })
       .populate('invitedBy', 'name email')
@@ -181,9 +225,13 @@ router.get('/workspace/:workspaceId', auth, async (req, res) => {
     const formattedInvites = invites.map(invite => ({
       id: invite._id,
       email: invite.email,
-      status: invite.status,
+      status: invite.isExpired() ? 'expired' : invite.status,
+      name: invite.name,
+      role: invite.role,
       invitedBy: invite.invitedBy.name,
       invitedByEmail: invite.invitedBy.email,
+      expiresAt: invite.expiresAt,
+      lastSentAt: invite.lastSentAt,
       createdAt: invite.createdAt
     }));
 
@@ -197,9 +245,311 @@ router.get('/workspace/:workspaceId', auth, async (req, res) => {
   }
 });
 
-// @route   DELETE /api/invites/:inviteId
-// @desc    Cancel/Delete a workspace invitation (Creator only)
+// @route   POST /api/invites/workspace/:workspaceId/links
+// @desc    Create a shareable invite link for a workspace
+// @access  Private (Creator, Admin)
+router.post('/workspace/:workspaceId/links', auth, requireWorkspacePermission('members:invite'), async (req, res) => {
+  try {
+    const { role = 'Member', expiresInDays, maxUses } = req.body;
+    let { allowedDomain } = req.body;
+
+    if (!['Admin', 'Member'].includes(role)) {
+      return res.status(400).json({ message: 'Role must be Admin or Member' });
+    }
+
+    // Handing out Admin is the same as promoting someone
+    if (role === 'Admin' && !can(req.membership.role, 'members:change-role')) {
+      return res.status(403).json({ message: 'Only the workspace owner can create Admin invite links' });
+    }
+
+    if (expiresInDays !== undefined && expiresInDays !== null && expiresInDays !== '') {
+      const days = Number(expiresInDays);
+      if (!Number.isInteger(days) || days < 1 || days > MAX_LINK_EXPIRY_DAYS) {
+        return res.status(400).json({ message: `Expiry must be between 1 and ${MAX_LINK_EXPIRY_DAYS} days` });
+      }
+    }
+
+    if (maxUses !== undefined && maxUses !== null && maxUses !== '') {
+      const uses = Number(maxUses);
+      if (!Number.isInteger(uses) || uses < 1 || uses > MAX_LINK_USES) {
+        return res.status(400).json({ message: `Max uses must be between 1 and ${MAX_LINK_USES}` });
+      }
+    }
+
+    if (allowedDomain) {
+      allowedDomain = allowedDomain.trim().toLowerCase().replace(/^@/, '');
+      if (!DOMAIN_PATTERN.test(allowedDomain)) {
+        return res.status(400).json({ message: 'Please provide a valid email domain, e.g. example.com' });
+      }
+    }
+
+    const { token, link } = await inviteLinkService.createLink(req.workspace._id, req.user.id, {
+      role,
+      expiresInDays: expiresInDays ? Number(expiresInDays) : null,
+      maxUses: maxUses ? Number(maxUses) : null,
+      allowedDomain: allowedDomain || null
+    });
+    await link.populate('createdBy', 'name');
+
+    res.status(201).json({
+      success: true,
+      message: 'Invite link created. Copy it now, it will not be shown again.',
+      token,
+      link: formatInviteLink(link)
+    });
+  } catch (error) {
+    console.error('Error creating invite link:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/invites/workspace/:workspaceId/links
+// @desc    List a workspace's invite links that haven't been revoked
+// @access  Private (Creator, Admin)
+router.get('/workspace/:workspaceId/links', auth, requireWorkspacePermission('invites:view'), async (req, res) => {
+  try {
+    const links = await inviteLinkService.listLinks(req.workspace._id);
+
+    res.json({
+      success: true,
+      links: links.map(formatInviteLink)
+    });
+  } catch (error) {
+    console.error('Error fetching invite links:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   DELETE /api/invites/workspace/:workspaceId/links/:linkId
+// @desc    Revoke an invite link
+// @access  Private (Creator, Admin)
+router.delete('/workspace/:workspaceId/links/:linkId', auth, requireWorkspacePermission('invites:cancel'), async (req, res) => {
+  try {
+    const { linkId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(linkId)) {
+      return res.status(400).json({ message: 'Invalid invite link ID format' });
+    }
+
+    const link = await inviteLinkService.revokeLink(req.workspace._id, linkId);
+    if (!link) {
+      return res.status(404).json({ message: 'Invite link not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invite link revoked'
+    });
+  } catch (error) {
+    console.error('Error revoking invite link:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/invites/links/:token
+// @desc    Preview the workspace an invite link leads to
+// @access  Private
+router.get('/links/:token', auth, async (req, res) => {
+  try {
+    const link = await inviteLinkService.findByToken(req.params.token);
+    if (!link) {
+      return res.status(404).json({ message: 'Invite link not found' });
+    }
+
+    const workspace = await Workspace.findById(link.workspace).populate('creator', 'name');
+    if (!workspace || workspace.deletedAt) {
+      return res.status(404).json({ message: 'Workspace not found' });
+    }
+
+    await link.populate('createdBy', 'name');
+
+    res.json({
+      success: true,
+      link: {
+        role: link.role,
+        expiresAt: link.expiresAt,
+        allowedDomain: link.allowedDomain,
+        invitedBy: link.createdBy?.name,
+        active: !inactiveLinkMessage(link) && !workspace.archivedAt,
+        reason: inactiveLinkMessage(link) || (workspace.archivedAt ? 'This workspace has been archived' : null)
+      },
+      workspace: {
+        id: workspace._id,
+        name: workspace.name,
+        description: workspace.description,
+        owner: workspace.creator?.name,
+        memberCount: workspace.members.length
+      },
+      alreadyMember: !!findMembership(workspace, req.user.id)
+    });
+  } catch (error) {
+    console.error('Error fetching invite link:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/invites/links/:token/join
+// @desc    Join a workspace through an invite link
+// @access  Private
+router.post('/links/:token/join', auth, async (req, res) => {
+  try {
+    const link = await inviteLinkService.findByToken(req.params.token);
+    if (!link) {
+      return res.status(404).json({ message: 'Invite link not found' });
+    }
+
+    const workspace = await Workspace.findById(link.workspace);
+    if (!workspace || workspace.deletedAt) {
+      return res.status(404).json({ message: 'Workspace not found' });
+    }
+
+    if (findMembership(workspace, req.user.id)) {
+      return res.json({
+        success: true,
+        message: 'Already a member of this workspace',
+        workspaceId: workspace._id
+      });
+    }
+
+    if (workspace.archivedAt) {
+      return res.status(400).json({ message: 'This workspace has been archived' });
+    }
+
+    const inactiveMessage = inactiveLinkMessage(link);
+    if (inactiveMessage) {
+      return res.status(410).json({ message: inactiveMessage });
+    }
+
+    if (link.allowedDomain) {
+      // The domain only means something once the address is proven
+      if (!req.user.emailVerified) {
+        return res.status(403).json({
+          message: 'Please verify your email address before joining with this link',
+          code: 'EMAIL_NOT_VERIFIED'
+        });
+      }
+
+      if (!inviteLinkService.emailMatchesDomain(req.user.email, link.allowedDomain)) {
+        return res.status(403).json({ message: `This invite link is limited to @${link.allowedDomain} addresses` });
+      }
+    }
+
+    const joined = await inviteLinkService.redeem(link, req.user.id);
+    if (!joined) {
+      return res.status(410).json({ message: 'This invite link is no longer valid' });
+    }
+
+    res.json({
+      success: true,
+      message: `Joined ${workspace.name}`,
+      workspaceId: workspace._id
+    });
+  } catch (error) {
+    console.error('Error joining with invite link:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/invites/:inviteId
+// @desc    Get an invitation addressed to the authenticated user (email deep links)
 // @access  Private
+router.get('/:inviteId', auth, async (req, res) => {
+  try {
+    const { inviteId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(inviteId)) {
+      return res.status(400).json({ message: 'Invalid invitation ID format' });
+    }
+
+    const invite = await Invite.findById(inviteId)
+      .populate('workspace', 'name description archivedAt deletedAt')
+      .populate('invitedBy', 'name email');
+
+    // Don't reveal invitations addressed to somebody else
+    if (!invite || invite.email !== req.user.email.toLowerCase()) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    if (!invite.workspace || invite.workspace.deletedAt) {
+      return res.status(404).json({ message: 'Workspace not found' });
+    }
+
+    res.json({
+      success: true,
+      invite: {
+        id: invite._id,
+        status: invite.isExpired() ? 'expired' : invite.status,
+        workspace: {
+          id: invite.workspace._id,
+          name: invite.workspace.name,
+          description: invite.workspace.description,
+          archived: !!invite.workspace.archivedAt
+        },
+        invitedBy: {
+          name: invite.invitedBy.name,
+          email: invite.invitedBy.email
+        },
+        createdAt: invite.createdAt,
+        expiresAt: invite.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching invite:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/invites/:inviteId/resend
+// @desc    Email a pending invitation again and restart its expiry
+// @access  Private (Creator, Admin)
+router.post('/:inviteId/resend', auth, async (req, res) => {
+  try {
+    const { inviteId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(inviteId)) {
+      return res.status(400).json({ message: 'Invalid invitation ID format' });
+    }
+
+    const invite = await Invite.findById(inviteId);
+    if (!invite) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    const workspace = await Workspace.findById(invite.workspace);
+    if (!workspace || workspace.deletedAt) {
+      return res.status(404).json({ message: 'Workspace not found' });
+    }
+
+    const userMembership = findMembership(workspace, req.user.id);
+    if (!userMembership || !can(userMembership.role, 'members:invite')) {
+      return res.status(403).json({ message: deniedMessage('members:invite') });
+    }
+
+    if (workspace.archivedAt) {
+      return res.status(400).json({ message: 'This workspace has been archived' });
+    }
+
+    if (!['pending', 'expired'].includes(invite.status)) {
+      return res.status(400).json({ message: 'Invitation has already been processed' });
+    }
+
+    invite.status = 'pending';
+    await invitationService.resend(invite);
+
+    res.json({
+      success: true,
+      message: `Invitation resent to ${invite.email}`,
+      expiresAt: invite.expiresAt
+    });
+  } catch (error) {
+    console.error('Error resending invite:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   DELETE /api/invites/:inviteId
+// @desc    Cancel/Delete a workspace invitation
+// @access  Private (Creator, Admin)
 router.delete('/:inviteId', auth, async (req, res) => {
   try {
     const { inviteId } = req.params;
@@ -210,19 +560,16 @@ router.delete('/:inviteId', auth, async (req, res) => {
       return res.status(404).json({ message: 'Invitation not found' });
     }
 
-    // Find the workspace and check if user is the creator
+    // Find the workspace and check the user may cancel its invitations
     const workspace = await Workspace.findById(invite.workspace._id);
     if (!workspace) {
       return res.status(404).json({ message: 'Workspace not found' });
     }
 
-    // Check if user is the creator of the workspace
-    const userMembership = workspace.members.find(
-      member => member.user.toString() === req.user.id
-    );
+    const userMembership = findMembership(workspace, req.user.id);
 
-    if (!userMembership || userMembership.role !== 'Creator') {
-      return res.status(403).json({ message: 'Only workspace creators can cancel invitations' });
+    if (!userMembership || !can(userMembership.role, 'invites:cancel')) {
+      return res.status(403).json({ message: deniedMessage('invites:cancel') });
     }
 
     // Delete the invitation
@@ -1,11 +1,12 @@
 const express = require('express');
 const { google } = require('googleapis');
-const mongoose = require('mongoose'); // Add this import
 const auth = require('../middleware/auth');
+const requireWorkspacePermission = require('../middleware/workspacePermission');
 const Meeting = require('../models/Meeting');
 const Workspace = require('../models/Workspace');
 const User = require('../models/User');
 const MeetingCaption = require('../models/MeetingCaption');
+const { can, findMembership } = require('../utils/permissions');
 const { v4: uuidv4 } = require('uuid');
 const router = express.Router();
 
@@ -141,7 +142,7 @@ router.get('/auth/status', auth, async (req, res) => {
 // @route   POST /api/meet/workspace/:workspaceId/create
 // @desc    Create a new meeting
 // @access  Private
-router.post('/workspace/:workspaceId/create', auth, async (req, res) => {
+router.post('/workspace/:workspaceId/create', auth, requireWorkspacePermission('meetings:create'), async (req, res) => {
   try {
     const { workspaceId } = req.params;
     const { 
@@ -159,20 +160,6 @@ router.post('/workspace/:workspaceId/create', auth, async (req, res) => {
       return res.status(400).json({ message: 'Title and scheduled time are required' });
     }
 
-    // Validate workspace access
-    const workspace = await Workspace.findById(workspaceId);
-    if (!workspace) {
-      return res.status(404).json({ message: 'Workspace not found' });
-    }
-
-    const userMembership = workspace.members.find(
-      member => member.user.toString() === req.user.id
-    );
-
-    if (!userMembership) {
-      return res.status(403).json({ message: 'Access denied to this workspace' });
-    }
-
     // Get user's Google tokens
     const user = await User.findById(req.user.id);
     if (!user.googleTokens || !user.googleTokens.access_token) {
@@ -324,33 +311,12 @@ router.post('/workspace/:workspaceId/create', auth, async (req, res) => {
 // @route   GET /api/meet/workspace/:workspaceId/meetings
 // @desc    Get meetings for a workspace
 // @access  Private
-router.get('/workspace/:workspaceId/meetings', auth, async (req, res) => {
+router.get('/workspace/:workspaceId/meetings', auth, requireWorkspacePermission('workspace:view'), async (req, res) => {
   try {
     const { workspaceId } = req.params;
     const { status, upcoming } = req.query;
 
-    // Validate workspaceId format
-    if (!workspaceId || workspaceId === 'undefined' || !mongoose.Types.ObjectId.isValid(workspaceId)) {
-      return res.status(400).json({ 
-        message: 'Invalid workspace ID format',
-        workspaceId: workspaceId 
-      });
-    }
-
-    // Validate workspace access
-    const workspace = await Workspace.findById(workspaceId);
     console.log('Fetching meetings for workspace:', workspaceId, 'User:', req.user.id);
-    if (!workspace) {
-      return res.status(404).json({ message: 'Workspace not found' });
-    }
-
-    const userMembership = workspace.members.find(
-      member => member.user.toString() === req.user.id
-    );
-
-    if (!userMembership) {
-      return res.status(403).json({ message: 'Access denied to this workspace' });
-    }
 
     let query = { workspace: workspaceId };
     
@@ -396,9 +362,14 @@ router.delete('/:meetingId', auth, async (req, res) => {
       return res.status(404).json({ message: 'Meeting not found' });
     }
 
-    // Only organizer can delete meeting
+    // The organizer, or anyone allowed to manage the workspace's meetings
     if (meeting.organizer.toString() !== req.user.id) {
-      return res.status(403).json({ message: 'Only meeting organizer can delete the meeting' });
+      const workspace = await Workspace.findById(meeting.workspace);
+      const userMembership = workspace && findMembership(workspace, req.user.id);
+
+      if (!userMembership || !can(userMembership.role, 'meetings:manage')) {
+        return res.status(403).json({ message: 'Only the meeting organizer or a workspace admin can delete the meeting' });
+      }
     }
 
     // Cancel Google Calendar event if user still has valid tokens
@@ -586,33 +557,11 @@ function generateMeetingNotesFromCaptions(captions, meeting) {
 // @route   GET /api/meet/workspace/:workspaceId/notes
 // @desc    Get meetings with notes for workspace
 // @access  Private
-router.get('/workspace/:workspaceId/notes', auth, async (req, res) => {
+router.get('/workspace/:workspaceId/notes', auth, requireWorkspacePermission('workspace:view'), async (req, res) => {
   try {
     const { workspaceId } = req.params;
     const { filter } = req.query;
 
-    // Validate workspaceId format
-    if (!workspaceId || workspaceId === 'undefined' || !mongoose.Types.ObjectId.isValid(workspaceId)) {
-      return res.status(400).json({ 
-        message: 'Invalid workspace ID format',
-        workspaceId: workspaceId 
-      });
-    }
-
-    // Validate workspace access
-    const workspace = await Workspace.findById(workspaceId);
-    if (!workspace) {
-      return res.status(404).json({ message: 'Workspace not found' });
-    }
-
-    const userMembership = workspace.members.find(
-      member => member.user.toString() === req.user.id
-    );
-
-    if (!userMembership) {
-      return res.status(403).json({ message: 'Access denied to this workspace' });
-    }
-
     let query = { 
       workspace: workspaceId,
       scheduledTime: { $lt: new Date() } // Only past meetings
@@ -1,7 +1,7 @@
 const express = require('express');
 const axios = require('axios');
 const auth = require('../middleware/auth');
-const Workspace = require('../models/Workspace');
+const requireWorkspacePermission = require('../middleware/workspacePermission');
 const router = express.Router();
 
 // Notion API configuration
@@ -74,23 +74,11 @@ router.get('/test-connection', auth, async (req, res) => {
 // @route   GET /api/notion/workspace/:workspaceId/pages
 // @desc    Get Notion pages for workspace
 // @access  Private
-router.get('/workspace/:workspaceId/pages', auth, async (req, res) => {
+router.get('/workspace/:workspaceId/pages', auth, requireWorkspacePermission('workspace:view'), async (req, res) => {
   try {
     const { workspaceId } = req.params;
 
-    // Verify workspace access
-    const workspace = await Workspace.findById(workspaceId);
-    if (!workspace) {
-      return res.status(404).json({ message: 'Workspace not found' });
-    }
-
-    const userMembership = workspace.members.find(
-      member => member.user.toString() === req.user.id
-    );
-
-    if (!userMembership) {
-      return res.status(403).json({ message: 'Not authorized to access this workspace' });
-    }
+    const { workspace } = req;
 
     const databaseId = process.env.NOTION_DATABASE_ID;
     
@@ -217,7 +205,7 @@ router.get('/workspace/:workspaceId/pages', auth, async (req, res) => {
 // @route   POST /api/notion/workspace/:workspaceId/create-page
 // @desc    Create a new Notion page for workspace
 // @access  Private
-router.post('/workspace/:workspaceId/create-page', auth, async (req, res) => {
+router.post('/workspace/:workspaceId/create-page', auth, requireWorkspacePermission('docs:create'), async (req, res) => {
   try {
     const { workspaceId } = req.params;
     const { title, type = 'Meeting Notes', content } = req.body;
@@ -226,19 +214,7 @@ router.post('/workspace/:workspaceId/create-page', auth, async (req, res) => {
       return res.status(400).json({ message: 'Title is required' });
     }
 
-    // Verify workspace access
-    const workspace = await Workspace.findById(workspaceId);
-    if (!workspace) {
-      return res.status(404).json({ message: 'Workspace not found' });
-    }
-
-    const userMembership = workspace.members.find(
-      member => member.user.toString() === req.user.id
-    );
-
-    if (!userMembership) {
-      return res.status(403).json({ message: 'Not authorized to access this workspace' });
-    }
+    const { workspace } = req;
 
     const databaseId = process.env.NOTION_DATABASE_ID;
     
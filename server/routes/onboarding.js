@@ -1,6 +1,6 @@
 const express = require('express');
 const auth = require('../middleware/auth');
-const Workspace = require('../models/Workspace');
+const requireWorkspacePermission = require('../middleware/workspacePermission');
 const OnboardingPath = require('../models/OnboardingPath');
 const User = require('../models/User');
 const geminiService = require('../services/geminiService');
@@ -9,27 +9,16 @@ const router = express.Router();
 // @route   POST /api/onboarding/:workspaceId/generate
 // @desc    Generate personalized onboarding path
 // @access  Private
-router.post('/:workspaceId/generate', auth, async (req, res) => {
+router.post('/:workspaceId/generate', auth, requireWorkspacePermission('workspace:view'), async (req, res) => {
   try {
     const { workspaceId } = req.params;
     const { learningPreferences = {} } = req.body;
 
-    // Validate workspace access
-    const workspace = await Workspace.findById(workspaceId)
-      .populate('members.user', 'name email role')
-      .populate('creator', 'name email');
-
-    if (!workspace) {
-      return res.status(404).json({ message: 'Workspace not found' });
-    }
-
-    const userMembership = workspace.members.find(
-      member => member.user._id.toString() === req.user.id
-    );
-
-    if (!userMembership) {
-      return res.status(403).json({ message: 'Access denied to this workspace' });
-    }
+    const { workspace, membership: userMembership } = req;
+    await workspace.populate([
+      { path: 'members.user', select: 'name email role' },
+      { path: 'creator', select: 'name email' }
+    ]);
 
     // Check if user already has an onboarding path for this workspace
     let existingPath = await OnboardingPath.findOne({
@@ -46,7 +35,7 @@ router.post('/:workspaceId/generate', auth, async (req, res) => {
         name: m.user.name,
         role: m.role
       })),
-      githubRepo: workspace.githubRepository,
+      githubRepos: workspace.repositories.map(({ label, owner, repo }) => ({ label, owner, repo })),
       recentActivity: [], // You can fetch this from timeline events
       keyDocuments: [], // You can fetch this from Notion integration
       githubStats: {}, // You can fetch this from GitHub API
@@ -105,6 +94,11 @@ router.post('/:workspaceId/generate', auth, async (req, res) => {
       };
     }
 
+    // The workspace's own checklist always comes first
+    if (workspace.onboardingChecklist?.length) {
+      parsedPath.gettingStarted = [...workspace.onboardingChecklist, ...parsedPath.gettingStarted];
+    }
+
     let onboardingPath;
 
     if (existingPath) {
@@ -187,15 +181,11 @@ router.get('/:workspaceId/path', auth, async (req, res) => {
 // @route   POST /api/onboarding/:workspaceId/tasks
 // @desc    Generate personalized tasks
 // @access  Private
-router.post('/:workspaceId/tasks', auth, async (req, res) => {
+router.post('/:workspaceId/tasks', auth, requireWorkspacePermission('workspace:view'), async (req, res) => {
   try {
-    const { workspaceId } = req.params;
     const { learningPreferences } = req.body;
 
-    const workspace = await Workspace.findById(workspaceId);
-    if (!workspace) {
-      return res.status(404).json({ message: 'Workspace not found' });
-    }
+    const { workspace } = req;
 
     const workspaceData = {
       name: workspace.name,
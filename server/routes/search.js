@@ -1,94 +1,84 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
-const Workspace = require('../models/Workspace');
+const requireWorkspacePermission = require('../middleware/workspacePermission');
 const axios = require('axios');
+const { providerFor } = require('../services/gitProviders');
 
-// Enhanced helper function to get GitHub data with better semantic matching
-const getGitHubData = async (workspace, token) => {
-  if (!workspace.githubRepository) return [];
-  
+// Enhanced helper function to get repository data with better semantic matching.
+// Reads through the repository's git provider (GitHub, GitLab or local git);
+// results keep the github_* types the ranking below looks for.
+const getRepositoryData = async (repository) => {
   const results = [];
-  const githubToken = process.env.GITHUB_TOKEN;
+  const { repo } = repository;
+  const provider = providerFor(repository);
   
   try {
-    const { owner, repo } = workspace.githubRepository;
-    const githubAPI = axios.create({
-      baseURL: 'https://api.github.com',
-      headers: {
-        'Authorization': `token ${githubToken}`,
-        'Accept': 'application/vnd.github.v3+json'
-      }
-    });
-
     // Search repository with enhanced metadata
-    const repoResponse = await githubAPI.get(`/repos/${owner}/${repo}`);
-    if (repoResponse.data) {
+    const info = await provider.getRepository();
+    if (info) {
       results.push({
         type: 'github_repo',
-        title: repoResponse.data.full_name,
-        description: repoResponse.data.description || 'GitHub repository',
-        url: repoResponse.data.html_url,
+        title: info.fullName,
+        description: info.description || 'Code repository',
+        url: info.url,
         relevanceScore: 0.9,
         metadata: {
-          author: repoResponse.data.owner.login,
-          createdAt: repoResponse.data.created_at,
-          language: repoResponse.data.language,
-          stars: repoResponse.data.stargazers_count,
-          forks: repoResponse.data.forks_count,
-          openIssues: repoResponse.data.open_issues_count,
+          author: info.owner.login,
+          createdAt: info.createdAt,
+          language: info.language,
+          stars: info.stars,
+          forks: info.forks,
+          openIssues: info.openIssues,
           // Add semantic keywords for better matching
           keywords: [
             'repository', 'repo', 'codebase', 'project',
-            repoResponse.data.language?.toLowerCase(),
-            'github', 'code', 'source'
+            info.language?.toLowerCase(),
+            repository.provider || 'github', 'code', 'source'
           ].filter(Boolean)
         }
       });
     }
 
     // Search issues with enhanced semantic context
-    const issuesResponse = await githubAPI.get(`/repos/${owner}/${repo}/issues?state=all&per_page=50`);
-    issuesResponse.data
-      .filter(issue => !issue.pull_request) // Filter out pull requests
-      .forEach(issue => {
-        const isOpen = issue.state === 'open';
-        const keywords = [
-          'issue', 'bug', 'problem', 'error',
-          isOpen ? 'open' : 'closed',
-          isOpen ? 'current' : 'resolved',
-          ...issue.labels.map(label => label.name.toLowerCase()),
-          issue.assignee ? 'assigned' : 'unassigned'
-        ];
+    const issues = await provider.listIssues({ state: 'all', perPage: 50 });
+    issues.forEach(issue => {
+      const isOpen = issue.state === 'open';
+      const keywords = [
+        'issue', 'bug', 'problem', 'error',
+        isOpen ? 'open' : 'closed',
+        isOpen ? 'current' : 'resolved',
+        ...issue.labels.map(label => label.name.toLowerCase()),
+        issue.assignees.length ? 'assigned' : 'unassigned'
+      ];
 
-        results.push({
-          type: 'github_issue',
-          title: `#${issue.number}: ${issue.title}`,
-          description: issue.body || `${issue.state} issue in ${repo}`,
-          url: issue.html_url,
-          relevanceScore: isOpen ? 0.9 : 0.7, // Prioritize open issues
-          metadata: {
-            author: issue.user.login,
-            createdAt: issue.created_at,
-            state: issue.state,
-            number: issue.number,
-            labels: issue.labels.map(l => l.name),
-            assignee: issue.assignee?.login,
-            comments: issue.comments,
-            keywords: keywords
-          }
-        });
+      results.push({
+        type: 'github_issue',
+        title: `#${issue.number}: ${issue.title}`,
+        description: issue.body || `${issue.state} issue in ${repo}`,
+        url: issue.url,
+        relevanceScore: isOpen ? 0.9 : 0.7, // Prioritize open issues
+        metadata: {
+          author: issue.author.login,
+          createdAt: issue.createdAt,
+          state: issue.state,
+          number: issue.number,
+          labels: issue.labels.map(l => l.name),
+          assignee: issue.assignees[0]?.login,
+          comments: issue.comments,
+          keywords: keywords
+        }
       });
+    });
 
     // Search pull requests with enhanced context
-    const prsResponse = await githubAPI.get(`/repos/${owner}/${repo}/pulls?state=all&per_page=30`);
-    prsResponse.data.forEach(pr => {
+    const pullRequests = await provider.listPullRequests({ state: 'all', perPage: 30 });
+    pullRequests.forEach(pr => {
       const isOpen = pr.state === 'open';
-      const isMerged = pr.merged_at !== null;
       const keywords = [
         'pull request', 'pr', 'merge', 'review',
         isOpen ? 'open' : 'closed',
-        isMerged ? 'merged' : 'unmerged',
+        pr.merged ? 'merged' : 'unmerged',
         pr.draft ? 'draft' : 'ready',
         ...pr.labels.map(label => label.name.toLowerCase())
       ];
@@ -97,14 +87,14 @@ const getGitHubData = async (workspace, token) => {
         type: 'github_pr',
         title: `PR #${pr.number}: ${pr.title}`,
         description: pr.body || `${pr.state} pull request in ${repo}`,
-        url: pr.html_url,
+        url: pr.url,
         relevanceScore: isOpen ? 0.85 : 0.65,
         metadata: {
-          author: pr.user.login,
-          createdAt: pr.created_at,
+          author: pr.author.login,
+          createdAt: pr.createdAt,
           state: pr.state,
           number: pr.number,
-          merged: isMerged,
+          merged: pr.merged,
           draft: pr.draft,
           keywords: keywords
         }
@@ -112,9 +102,9 @@ const getGitHubData = async (workspace, token) => {
     });
 
     // Search commits with better context
-    const commitsResponse = await githubAPI.get(`/repos/${owner}/${repo}/commits?per_page=20`);
-    commitsResponse.data.forEach(commit => {
-      const message = commit.commit.message;
+    const commits = await provider.listCommits({ perPage: 20 });
+    commits.forEach(commit => {
+      const { message } = commit;
       const keywords = [
         'commit', 'change', 'update', 'fix', 'add',
         'recent', 'latest', 'new',
@@ -124,13 +114,13 @@ const getGitHubData = async (workspace, token) => {
       results.push({
         type: 'github_commit',
         title: message.split('\n')[0], // First line of commit message
-        description: `Commit by ${commit.commit.author.name}`,
-        url: commit.html_url,
+        description: `Commit by ${commit.author.name}`,
+        url: commit.url,
         relevanceScore: 0.6,
         metadata: {
-          author: commit.commit.author.name,
-          createdAt: commit.commit.author.date,
-          sha: commit.sha.substring(0, 7),
+          author: commit.author.name,
+          createdAt: commit.author.date,
+          sha: commit.shortSha,
           keywords: keywords
         }
       });
@@ -138,8 +128,8 @@ const getGitHubData = async (workspace, token) => {
 
     // Add releases
     try {
-      const releasesResponse = await githubAPI.get(`/repos/${owner}/${repo}/releases?per_page=10`);
-      releasesResponse.data.forEach(release => {
+      const releases = await provider.listReleases({ perPage: 10 });
+      releases.forEach(release => {
         const keywords = [
           'release', 'version', 'tag', 'deployment',
           release.prerelease ? 'prerelease' : 'stable',
@@ -148,14 +138,14 @@ const getGitHubData = async (workspace, token) => {
 
         results.push({
           type: 'github_release',
-          title: `Release ${release.tag_name}: ${release.name || release.tag_name}`,
-          description: release.body || `Release ${release.tag_name}`,
-          url: release.html_url,
+          title: `Release ${release.tagName}: ${release.name || release.tagName}`,
+          description: release.body || `Release ${release.tagName}`,
+          url: release.url,
           relevanceScore: 0.7,
           metadata: {
             author: release.author?.login,
-            createdAt: release.created_at,
-            tagName: release.tag_name,
+            createdAt: release.createdAt,
+            tagName: release.tagName,
             prerelease: release.prerelease,
             keywords: keywords
           }
@@ -166,12 +156,20 @@ const getGitHubData = async (workspace, token) => {
     }
 
   } catch (error) {
-    console.error('Error fetching GitHub data:', error);
+    console.error('Error fetching repository data:', error);
   }
   
   return results;
 };
 
+// GitHub data from every repository connected to the workspace
+const getGitHubData = async (workspace, token) => {
+  const results = await Promise.all(
+    workspace.repositories.map(repository => getRepositoryData(repository))
+  );
+  return results.flat();
+};
+
 // Helper function to get Notion data with proper error handling
 const getNotionData = async (workspace) => {
   const results = [];
@@ -670,7 +668,7 @@ const filterAndRankResults = (results, query, filters) => {
 // @route   POST /api/search/semantic/:workspaceId
 // @desc    Perform semantic search across workspace content
 // @access  Private
-router.post('/semantic/:workspaceId', auth, async (req, res) => {
+router.post('/semantic/:workspaceId', auth, requireWorkspacePermission('workspace:view'), async (req, res) => {
   try {
     const { workspaceId } = req.params;
     const { query, filters = {} } = req.body;
@@ -679,19 +677,7 @@ router.post('/semantic/:workspaceId', auth, async (req, res) => {
       return res.status(400).json({ message: 'Search query is required' });
     }
 
-    // Verify workspace access
-    const workspace = await Workspace.findById(workspaceId);
-    if (!workspace) {
-      return res.status(404).json({ message: 'Workspace not found' });
-    }
-
-    const userMembership = workspace.members.find(
-      member => member.user.toString() === req.user.id
-    );
-
-    if (!userMembership) {
-      return res.status(403).json({ message: 'Not authorized to access this workspace' });
-    }
+    const { workspace } = req;
 
     // Collect all results
     let allResults = [];
@@ -748,24 +734,10 @@ router.post('/semantic/:workspaceId', auth, async (req, res) => {
 // @route   GET /api/search/suggestions/:workspaceId
 // @desc    Get search suggestions based on workspace content
 // @access  Private
-router.get('/suggestions/:workspaceId', auth, async (req, res) => {
+router.get('/suggestions/:workspaceId', auth, requireWorkspacePermission('workspace:view'), async (req, res) => {
   try {
     const { workspaceId } = req.params;
 
-    // Verify workspace access
-    const workspace = await Workspace.findById(workspaceId);
-    if (!workspace) {
-      return res.status(404).json({ message: 'Workspace not found' });
-    }
-
-    const userMembership = workspace.members.find(
-      member => member.user.toString() === req.user.id
-    );
-
-    if (!userMembership) {
-      return res.status(403).json({ message: 'Not authorized to access this workspace' });
-    }
-
     // Enhanced suggestions based on workspace content and common patterns
     const suggestions = [
       // Question-based queries that will generate answers
@@ -1,14 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
+const requireWorkspacePermission = require('../middleware/workspacePermission');
 const Task = require('../models/Task');
 const Workspace = require('../models/Workspace');
 const User = require('../models/User');
+const { can, findMembership } = require('../utils/permissions');
 
 // @route   POST /api/tasks/assign
 // @desc    Assign a task to a member
-// @access  Private (Creator only)
-router.post('/assign', auth, async (req, res) => {
+// @access  Private (Creator, Admin)
+router.post('/assign', auth, requireWorkspacePermission('tasks:assign'), async (req, res) => {
   try {
     const {
       workspaceId,
@@ -26,24 +28,8 @@ router.post('/assign', auth, async (req, res) => {
       return res.status(400).json({ message: 'Missing required fields' });
     }
 
-    // Check if workspace exists and user is creator
-    const workspace = await Workspace.findById(workspaceId);
-    if (!workspace) {
-      return res.status(404).json({ message: 'Workspace not found' });
-    }
-
-    const userMembership = workspace.members.find(
-      member => member.user.toString() === req.user.id
-    );
-
-    if (!userMembership || userMembership.role !== 'Creator') {
-      return res.status(403).json({ message: 'Only workspace creators can assign tasks' });
-    }
-
     // Check if assigned user is a member
-    const assignedMembership = workspace.members.find(
-      member => member.user.toString() === assignedTo
-    );
+    const assignedMembership = findMembership(req.workspace, assignedTo);
 
     if (!assignedMembership) {
       return res.status(400).json({ message: 'User is not a member of this workspace' });
@@ -88,30 +74,16 @@ router.post('/assign', auth, async (req, res) => {
 // @route   GET /api/tasks/workspace/:workspaceId
 // @desc    Get tasks for a workspace
 // @access  Private
-router.get('/workspace/:workspaceId', auth, async (req, res) => {
+router.get('/workspace/:workspaceId', auth, requireWorkspacePermission('workspace:view'), async (req, res) => {
   try {
     const { workspaceId } = req.params;
     const { filter = 'all' } = req.query;
 
-    // Check if user is a member
-    const workspace = await Workspace.findById(workspaceId);
-    if (!workspace) {
-      return res.status(404).json({ message: 'Workspace not found' });
-    }
-
-    const userMembership = workspace.members.find(
-      member => member.user.toString() === req.user.id
-    );
-
-    if (!userMembership) {
-      return res.status(403).json({ message: 'Not authorized to view tasks' });
-    }
-
     // Build query
     let query = { workspace: workspaceId };
     
-    // If not creator, only show tasks assigned to user
-    if (userMembership.role !== 'Creator') {
+    // Members without oversight only see tasks assigned to them
+    if (!can(req.membership.role, 'tasks:view-all')) {
       query.assignedTo = req.user.id;
     }
 
@@ -153,19 +125,23 @@ router.put('/:taskId/status', auth, async (req, res) => {
       return res.status(404).json({ message: 'Task not found' });
     }
 
-    // Check if user is assigned to this task or is the creator
+    // Check if user is assigned to this task or may update anyone's
     const workspace = await Workspace.findById(task.workspace);
-    const userMembership = workspace.members.find(
-      member => member.user.toString() === req.user.id
-    );
+    const userMembership = workspace && findMembership(workspace, req.user.id);
 
-    const canUpdate = task.assignedTo.toString() === req.user.id || 
-                     userMembership.role === 'Creator';
+    const canUpdate = Boolean(userMembership) && (
+      task.assignedTo.toString() === req.user.id ||
+      can(userMembership.role, 'tasks:update-any')
+    );
 
     if (!canUpdate) {
       return res.status(403).json({ message: 'Not authorized to update this task' });
     }
 
+    if (workspace.archivedAt) {
+      return res.status(403).json({ message: 'This workspace is archived and read-only', code: 'WORKSPACE_ARCHIVED' });
+    }
+
     // Update task
     task.status = status;
     if (status === 'completed') {
@@ -205,9 +181,7 @@ router.get('/:taskId', auth, async (req, res) => {
 
     // Check authorization
     const workspace = await Workspace.findById(task.workspace._id);
-    const userMembership = workspace.members.find(
-      member => member.user.toString() === req.user.id
-    );
+    const userMembership = workspace && findMembership(workspace, req.user.id);
 
     if (!userMembership) {
       return res.status(403).json({ message: 'Not authorized to view this task' });
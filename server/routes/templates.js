@@ -0,0 +1,105 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const auth = require('../middleware/auth');
+const requireWorkspacePermission = require('../middleware/workspacePermission');
+const workspaceTemplateService = require('../services/workspaceTemplateService');
+const router = express.Router();
+
+const MAX_CHECKLIST_ITEMS = 50;
+
+const formatTemplate = (template) => ({
+  id: template._id,
+  name: template.name,
+  description: template.description,
+  sourceWorkspace: template.sourceWorkspace,
+  timelineEvents: template.timeline.length,
+  tasks: template.tasks.length,
+  onboardingChecklist: template.onboardingChecklist,
+  createdAt: template.createdAt
+});
+
+// @route   GET /api/templates
+// @desc    List the current user's workspace templates
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const templates = await workspaceTemplateService.listTemplates(req.user.id);
+
+    res.json({
+      success: true,
+      templates: templates.map(formatTemplate)
+    });
+  } catch (error) {
+    console.error('Error fetching templates:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/templates
+// @desc    Save a workspace as a template (timeline, tasks, onboarding checklist, settings)
+// @access  Private (Creator of the workspace)
+router.post('/', auth, requireWorkspacePermission('workspace:template', { allowArchived: true }), async (req, res) => {
+  try {
+    const { name, description, onboardingChecklist } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ message: 'Template name is required' });
+    }
+
+    let checklist;
+    if (onboardingChecklist !== undefined) {
+      if (!Array.isArray(onboardingChecklist) || onboardingChecklist.some(item => typeof item !== 'string')) {
+        return res.status(400).json({ message: 'Onboarding checklist must be a list of steps' });
+      }
+      checklist = onboardingChecklist.map(item => item.trim()).filter(Boolean);
+      if (checklist.length > MAX_CHECKLIST_ITEMS) {
+        return res.status(400).json({ message: `Onboarding checklist cannot have more than ${MAX_CHECKLIST_ITEMS} steps` });
+      }
+    }
+
+    const template = await workspaceTemplateService.createTemplate(req.workspace, req.user.id, {
+      name: name.trim(),
+      description: description?.trim() || '',
+      onboardingChecklist: checklist
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Template "${template.name}" saved`,
+      template: formatTemplate(template)
+    });
+  } catch (error) {
+    console.error('Error creating template:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   DELETE /api/templates/:templateId
+// @desc    Delete one of the current user's templates
+// @access  Private
+router.delete('/:templateId', auth, async (req, res) => {
+  try {
+    const { templateId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(templateId)) {
+      return res.status(400).json({ message: 'Invalid template ID format' });
+    }
+
+    const template = await workspaceTemplateService.findTemplate(req.user.id, templateId);
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    await template.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Template deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting template:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
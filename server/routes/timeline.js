@@ -1,31 +1,17 @@
 const express = require('express');
 const router = express.Router();
 const TimelineEvent = require('../models/TimelineEvent');
-const Workspace = require('../models/Workspace');
 const auth = require('../middleware/auth');
+const requireWorkspacePermission = require('../middleware/workspacePermission');
 const mongoose = require('mongoose');
 
 // @route   GET /api/timeline/:workspaceId
 // @desc    Get all timeline events for a workspace
 // @access  Private
-router.get('/:workspaceId', auth, async (req, res) => {
+router.get('/:workspaceId', auth, requireWorkspacePermission('workspace:view'), async (req, res) => {
   try {
     const { workspaceId } = req.params;
 
-    // Check if user has access to workspace
-    const workspace = await Workspace.findById(workspaceId);
-    if (!workspace) {
-      return res.status(404).json({ message: 'Workspace not found' });
-    }
-
-    const userMembership = workspace.members.find(
-      member => member.user.toString() === req.user.id
-    );
-
-    if (!userMembership) {
-      return res.status(403).json({ message: 'Access denied to this workspace' });
-    }
-
     // Get timeline events
     const events = await TimelineEvent.find({ workspace: workspaceId })
       .populate('createdBy', 'name email')
@@ -45,25 +31,11 @@ router.get('/:workspaceId', auth, async (req, res) => {
 // @route   POST /api/timeline/:workspaceId
 // @desc    Create a new timeline event
 // @access  Private
-router.post('/:workspaceId', auth, async (req, res) => {
+router.post('/:workspaceId', auth, requireWorkspacePermission('timeline:edit'), async (req, res) => {
   try {
     const { workspaceId } = req.params;
     const { title, description, type, status, date, assignedTo, tags, priority } = req.body;
 
-    // Check if user has access to workspace
-    const workspace = await Workspace.findById(workspaceId);
-    if (!workspace) {
-      return res.status(404).json({ message: 'Workspace not found' });
-    }
-
-    const userMembership = workspace.members.find(
-      member => member.user.toString() === req.user.id
-    );
-
-    if (!userMembership) {
-      return res.status(403).json({ message: 'Access denied to this workspace' });
-    }
-
     // Create new timeline event
     const newEvent = new TimelineEvent({
       workspace: workspaceId,
@@ -98,25 +70,11 @@ router.post('/:workspaceId', auth, async (req, res) => {
 // @route   PATCH /api/timeline/:workspaceId/:eventId
 // @desc    Update a timeline event
 // @access  Private
-router.patch('/:workspaceId/:eventId', auth, async (req, res) => {
+router.patch('/:workspaceId/:eventId', auth, requireWorkspacePermission('timeline:edit'), async (req, res) => {
   try {
     const { workspaceId, eventId } = req.params;
     const updates = req.body;
 
-    // Check if user has access to workspace
-    const workspace = await Workspace.findById(workspaceId);
-    if (!workspace) {
-      return res.status(404).json({ message: 'Workspace not found' });
-    }
-
-    const userMembership = workspace.members.find(
-      member => member.user.toString() === req.user.id
-    );
-
-    if (!userMembership) {
-      return res.status(403).json({ message: 'Access denied to this workspace' });
-    }
-
     // Find and update the event
     const event = await TimelineEvent.findOne({ 
       _id: eventId, 
@@ -152,25 +110,11 @@ router.patch('/:workspaceId/:eventId', auth, async (req, res) => {
 
 // @route   DELETE /api/timeline/:workspaceId/:eventId
 // @desc    Delete a timeline event
-// @access  Private
-router.delete('/:workspaceId/:eventId', auth, async (req, res) => {
+// @access  Private (Creator, Admin)
+router.delete('/:workspaceId/:eventId', auth, requireWorkspacePermission('timeline:delete-event'), async (req, res) => {
   try {
     const { workspaceId, eventId } = req.params;
 
-    // Check if user has access to workspace
-    const workspace = await Workspace.findById(workspaceId);
-    if (!workspace) {
-      return res.status(404).json({ message: 'Workspace not found' });
-    }
-
-    const userMembership = workspace.members.find(
-      member => member.user.toString() === req.user.id
-    );
-
-    if (!userMembership || (userMembership.role !== 'Creator' && userMembership.role !== 'Admin')) {
-      return res.status(403).json({ message: 'Insufficient permissions' });
-    }
-
     // Find and delete the event
     const event = await TimelineEvent.findOneAndDelete({ 
       _id: eventId, 
@@ -194,24 +138,10 @@ router.delete('/:workspaceId/:eventId', auth, async (req, res) => {
 // @route   GET /api/timeline/:workspaceId/analytics
 // @desc    Get timeline analytics for a workspace
 // @access  Private
-router.get('/:workspaceId/analytics', auth, async (req, res) => {
+router.get('/:workspaceId/analytics', auth, requireWorkspacePermission('workspace:view'), async (req, res) => {
   try {
     const { workspaceId } = req.params;
 
-    // Check if user has access to workspace
-    const workspace = await Workspace.findById(workspaceId);
-    if (!workspace) {
-      return res.status(404).json({ message: 'Workspace not found' });
-    }
-
-    const userMembership = workspace.members.find(
-      member => member.user.toString() === req.user.id
-    );
-
-    if (!userMembership) {
-      return res.status(403).json({ message: 'Access denied to this workspace' });
-    }
-
     // Get analytics data
     const totalEvents = await TimelineEvent.countDocuments({ workspace: workspaceId });
     
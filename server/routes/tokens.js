@@ -0,0 +1,114 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const auth = require('../middleware/auth');
+const accessTokenService = require('../services/accessTokenService');
+const { SCOPES } = require('../utils/tokenScopes');
+const router = express.Router();
+
+const MAX_EXPIRY_DAYS = 365;
+
+const formatToken = (accessToken) => ({
+  id: accessToken._id,
+  name: accessToken.name,
+  tokenPrefix: accessToken.tokenPrefix,
+  scopes: accessToken.scopes,
+  lastUsedAt: accessToken.lastUsedAt,
+  lastUsedIp: accessToken.lastUsedIp,
+  expiresAt: accessToken.expiresAt,
+  expired: !!accessToken.expiresAt && accessToken.expiresAt <= new Date(),
+  createdAt: accessToken.createdAt
+});
+
+// @route   GET /api/tokens/scopes
+// @desc    List the scopes a personal access token can be granted
+// @access  Private
+router.get('/scopes', auth, (req, res) => {
+  res.json({ success: true, scopes: SCOPES });
+});
+
+// @route   GET /api/tokens
+// @desc    List the current user's personal access tokens
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const tokens = await accessTokenService.listTokens(req.user.id);
+
+    res.json({
+      success: true,
+      tokens: tokens.map(formatToken)
+    });
+  } catch (error) {
+    console.error('Error fetching access tokens:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/tokens
+// @desc    Create a personal access token
+// @access  Private
+router.post('/', auth, async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ message: 'Token name is required' });
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ message: 'At least one scope is required' });
+    }
+
+    const unknownScopes = scopes.filter(scope => !SCOPES.includes(scope));
+    if (unknownScopes.length > 0) {
+      return res.status(400).json({ message: `Unknown scope(s): ${unknownScopes.join(', ')}` });
+    }
+
+    if (expiresInDays !== undefined && expiresInDays !== null) {
+      const days = Number(expiresInDays);
+      if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+        return res.status(400).json({ message: `Expiry must be between 1 and ${MAX_EXPIRY_DAYS} days` });
+      }
+    }
+
+    const { token, accessToken } = await accessTokenService.createToken(req.user.id, {
+      name: name.trim(),
+      scopes: [...new Set(scopes)],
+      expiresInDays: expiresInDays ? Number(expiresInDays) : null
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Copy this token now, it will not be shown again',
+      token,
+      accessToken: formatToken(accessToken)
+    });
+  } catch (error) {
+    console.error('Error creating access token:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   DELETE /api/tokens/:tokenId
+// @desc    Revoke a personal access token
+// @access  Private
+router.delete('/:tokenId', auth, async (req, res) => {
+  try {
+    const { tokenId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(tokenId)) {
+      return res.status(400).json({ message: 'Invalid token ID format' });
+    }
+
+    const accessToken = await accessTokenService.revokeToken(req.user.id, tokenId);
+    if (!accessToken) {
+      return res.status(404).json({ message: 'Access token not found' });
+    }
+
+    res.json({ success: true, message: 'Access token revoked successfully' });
+  } catch (error) {
+    console.error('Error revoking access token:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
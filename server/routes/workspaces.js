@@ -1,79 +1,79 @@
 const express = require('express');
+const zlib = require('zlib');
 const auth = require('../middleware/auth');
+const requireWorkspacePermission = require('../middleware/workspacePermission');
 const Workspace = require('../models/Workspace');
 const Invite = require('../models/Invite');
-const User = require('../models/User');
 const { normalizeArtifacts } = require('../utils/normalizeArtifacts');
+const membershipService = require('../services/membershipService');
+const workspaceLifecycleService = require('../services/workspaceLifecycleService');
+const invitationService = require('../services/invitationService');
+const workspaceBundleService = require('../services/workspaceBundleService');
+const workspaceTemplateService = require('../services/workspaceTemplateService');
+const { providerFor } = require('../services/gitProviders');
+const { parseCsv, toCsv } = require('../utils/csv');
+const { ROLES, can, permissionsFor, outranks, findMembership } = require('../utils/permissions');
 const router = express.Router();
 const mongoose = require('mongoose');
 
+const MAX_IMPORT_ROWS = 500;
+// Decompressed bundles get the same budget as the import body limit in server.js
+const MAX_BUNDLE_BYTES = 50 * 1024 * 1024;
+
+// Drop a departed member's sockets from the workspace room and tell them why
+const detachWorkspaceSockets = (req, workspaceId, userId) => {
+  const io = req.app.get('io');
+  if (!io) return;
+
+  io.in(`user-${userId}`).socketsLeave(`workspace-${workspaceId}`);
+  io.to(`user-${userId}`).emit('workspace-removed', {
+    workspaceId: workspaceId.toString(),
+    message: 'You have been removed from this workspace'
+  });
+};
+
+// Close the workspace room for everyone, e.g. when the workspace is deleted
+const closeWorkspaceRoom = (req, workspaceId, message) => {
+  const io = req.app.get('io');
+  if (!io) return;
+
+  io.to(`workspace-${workspaceId}`).emit('workspace-removed', { workspaceId: workspaceId.toString(), message });
+  io.in(`workspace-${workspaceId}`).socketsLeave(`workspace-${workspaceId}`);
+};
+
+// Validate an optional "reassign open tasks to" target for a departing member
+const resolveSuccessor = (workspace, reassignTo, departingUserId) => {
+  if (!reassignTo) return { successor: null };
+
+  const isValid = mongoose.Types.ObjectId.isValid(reassignTo) &&
+    reassignTo !== departingUserId.toString() &&
+    findMembership(workspace, reassignTo);
+
+  if (!isValid) {
+    return { error: 'Open tasks must be reassigned to another member of this workspace' };
+  }
+
+  return { successor: reassignTo };
+};
+
 // Helper function to fetch GitHub PRs for workspace
 const fetchGitHubPRs = async (workspaceId) => {
   try {
     const workspace = await Workspace.findById(workspaceId);
-    if (!workspace?.githubRepository?.owner || !workspace?.githubRepository?.repo) {
+    if (!workspace?.repositories?.length) {
       return [];
     }
 
-    const { owner, repo } = workspace.githubRepository;
-    const axios = require('axios');
-    
-    const githubAPI = axios.create({
-      baseURL: 'https://api.github.com',
-      headers: {
-        'Authorization': `token ${process.env.GITHUB_TOKEN}`,
-        'Accept': 'application/vnd.github.v3+json',
-        'User-Agent': 'EchoHub-App'
-      }
-    });
+    // Pull requests (merge requests on GitLab) from every connected repository,
+    // each read through its own provider
+    const pullRequests = await Promise.all(workspace.repositories.map(repository =>
+      providerFor(repository).listPullRequests({ state: 'all', perPage: 50 })
+    ));
 
-    const response = await githubAPI.get(`/repos/${owner}/${repo}/pulls`, {
-      params: {
-        state: 'all',
-        per_page: 50,
-        sort: 'created',
-        direction: 'desc'
-      }
-    });
-
-    return response.data.map(pr => ({
-      id: pr.id,
-      number: pr.number,
-      title: pr.title,
-      body: pr.body,
-      state: pr.state,
-      merged: pr.merged_at !== null,
-      draft: pr.draft,
-      author: {
-        login: pr.user.login,
-        avatar: pr.user.avatar_url,
-        url: pr.user.html_url
-      },
-      createdAt: pr.created_at,
-      updatedAt: pr.updated_at,
-      mergedAt: pr.merged_at,
-      url: pr.html_url,
-      head: {
-        ref: pr.head.ref,
-        sha: pr.head.sha
-      },
-      base: {
-        ref: pr.base.ref,
-        sha: pr.base.sha
-      },
-      labels: pr.labels.map(label => ({
-        name: label.name,
-        color: label.color
-      })),
-      assignees: pr.assignees.map(assignee => ({
-        login: assignee.login,
-        avatar: assignee.avatar_url
-      })),
-      reviewers: pr.requested_reviewers.map(reviewer => ({
-        login: reviewer.login,
-        avatar: reviewer.avatar_url
-      }))
-    }));
+    return pullRequests.flatMap((prs, index) => prs.map(pr => ({
+      ...pr,
+      repository: workspace.repositories[index].label
+    })));
   } catch (error) {
     console.error('Error fetching GitHub PRs:', error.message);
     return [];
@@ -169,13 +169,44 @@ const fetchNotionDocs = async (workspaceId) => {
 // @access  Private
 router.post('/', auth, async (req, res) => {
   try {
-    const { name, description, invites = [] } = req.body;
+    const { name, description, invites = [], templateId, cloneFrom, startDate } = req.body;
 
     // Validation
     if (!name || !name.trim()) {
       return res.status(400).json({ message: 'Workspace name is required' });
     }
 
+    // Start from a saved template, or from the structure of another workspace
+    let templateContent = null;
+    if (templateId) {
+      if (!mongoose.Types.ObjectId.isValid(templateId)) {
+        return res.status(400).json({ message: 'Invalid template ID format' });
+      }
+      const template = await workspaceTemplateService.findTemplate(req.user.id, templateId);
+      if (!template) {
+        return res.status(404).json({ message: 'Template not found' });
+      }
+      templateContent = template.toObject();
+    } else if (cloneFrom) {
+      if (!mongoose.Types.ObjectId.isValid(cloneFrom)) {
+        return res.status(400).json({ message: 'Invalid workspace ID format' });
+      }
+      const source = await Workspace.findById(cloneFrom);
+      const sourceMembership = source && !source.deletedAt && findMembership(source, req.user.id);
+      if (!sourceMembership) {
+        return res.status(404).json({ message: 'Workspace to clone not found' });
+      }
+      if (!can(sourceMembership.role, 'workspace:template')) {
+        return res.status(403).json({ message: 'Only the workspace owner can clone it' });
+      }
+      templateContent = await workspaceTemplateService.buildFromWorkspace(source);
+    }
+
+    const start = startDate ? new Date(startDate) : new Date();
+    if (Number.isNaN(start.getTime())) {
+      return res.status(400).json({ message: 'Invalid start date' });
+    }
+
     // Create workspace
     const workspace = await Workspace.create({
       name: name.trim(),
@@ -184,17 +215,19 @@ router.post('/', auth, async (req, res) => {
       members: [{ user: req.user.id, role: 'Creator' }]
     });
 
-    // Process invitations
-    for (const email of invites) {
-      if (email.trim() && email !== req.user.email) {
-        await Invite.create({
-          workspace: workspace._id,
-          email: email.trim().toLowerCase(),
-          invitedBy: req.user.id,
-          status: 'pending'
-        });
+    // Process invitations, skipping addresses that can't be invited
+    const inviteEmails = [];
+    for (const email of new Set(invites.map(email => email.trim().toLowerCase()).filter(Boolean))) {
+      if (!await invitationService.checkRecipient(workspace, email, req.user.email)) {
+        inviteEmails.push(email);
       }
     }
+    const { invites: createdInvites } = await invitationService.createInvites(workspace._id, inviteEmails, req.user.id);
+    await invitationService.sendAll(createdInvites);
+
+    const fromTemplate = templateContent
+      ? await workspaceTemplateService.applyTemplate(templateContent, workspace, req.user.id, start)
+      : null;
 
     // Populate the response
     await workspace.populate('creator', 'name email');
@@ -208,7 +241,8 @@ router.post('/', auth, async (req, res) => {
         role: 'Creator',
         creator: workspace.creator,
         createdAt: workspace.createdAt
-      }
+      },
+      fromTemplate
     });
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -216,13 +250,16 @@ router.post('/', auth, async (req, res) => {
 });
 
 // @route   GET /api/workspaces
-// @desc    Get user's workspaces
+// @desc    Get user's workspaces (archived ones only with ?includeArchived=true)
 // @access  Private
 router.get('/', auth, async (req, res) => {
   try {
-    const workspaces = await Workspace.find({
-      'members.user': req.user.id
-    }).populate('creator', 'name email');
+    const query = { 'members.user': req.user.id, deletedAt: null };
+    if (req.query.includeArchived !== 'true') {
+      query.archivedAt = null;
+    }
+
+    const workspaces = await Workspace.find(query).populate('creator', 'name email');
 
     const workspaceList = workspaces.map(workspace => {
       const userMembership = workspace.members.find(
@@ -235,6 +272,7 @@ router.get('/', auth, async (req, res) => {
         description: workspace.description,
         role: userMembership?.role || 'Member',
         creator: workspace.creator,
+        archivedAt: workspace.archivedAt,
         createdAt: workspace.createdAt
       };
     });
@@ -248,42 +286,117 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
-// @route   GET /api/workspaces/:id
-// @desc    Get workspace details with members, invites, and normalized artifacts
+// @route   POST /api/workspaces/import
+// @desc    Create a workspace from an export bundle (JSON, or gzip with Content-Type application/gzip).
+//          Only the importer joins; the bundle's members are invited by email and their
+//          content is attributed to the importer. ?dryRun=true only reports what would happen.
 // @access  Private
-router.get('/:id', auth, async (req, res) => {
+router.post('/import', auth, async (req, res) => {
   try {
-    const { id } = req.params;
+    let bundle;
+    let options;
+
+    if (Buffer.isBuffer(req.body)) {
+      try {
+        bundle = JSON.parse(zlib.gunzipSync(req.body, { maxOutputLength: MAX_BUNDLE_BYTES }).toString('utf8'));
+      } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+          return res.status(413).json({ message: 'Workspace bundle is too large once decompressed' });
+        }
+        return res.status(400).json({ message: 'Could not read the compressed bundle' });
+      }
+      options = req.query;
+    } else {
+      bundle = req.body?.bundle;
+      options = { ...req.query, ...req.body };
+    }
 
-    // Validate ID format
-    if (!id || id === 'undefined' || !mongoose.Types.ObjectId.isValid(id)) {
-      return res.status(400).json({ 
-        message: 'Invalid workspace ID format',
-        receivedId: id 
-      });
+    const errors = workspaceBundleService.validate(bundle);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid workspace bundle', errors });
     }
 
-    // Find the workspace
-    const workspace = await Workspace.findById(id)
-      .populate('creator', 'name email')
-      .populate('members.user', 'name email');
+    const name = typeof options.name === 'string' && options.name.trim() ? options.name.trim() : undefined;
+    const dryRun = options.dryRun === true || options.dryRun === 'true';
 
-    if (!workspace) {
-      return res.status(404).json({ message: 'Workspace not found' });
+    const { report, workspace } = await workspaceBundleService.importWorkspace(bundle, req.user, { name, dryRun });
+
+    if (dryRun) {
+      return res.json({ success: true, dryRun: true, report });
     }
 
-    // Check if user is a member
-    const userMembership = workspace.members.find(
-      member => member.user._id.toString() === req.user.id
-    );
+    if (report.blocked) {
+      return res.status(409).json({
+        message: report.conflicts.find(conflict => conflict.blocking).message,
+        report
+      });
+    }
 
-    if (!userMembership) {
-      return res.status(403).json({ message: 'Not authorized to view this workspace' });
+    const { invitesFailed } = report;
+    res.status(201).json({
+      success: true,
+      message: invitesFailed.length
+        ? `Imported workspace "${workspace.name}"; could not invite ${invitesFailed.map(item => item.email).join(', ')}`
+        : `Imported workspace "${workspace.name}"`,
+      report,
+      workspace: {
+        id: workspace._id,
+        name: workspace.name,
+        description: workspace.description,
+        role: 'Creator',
+        createdAt: workspace.createdAt
+      }
+    });
+  } catch (error) {
+    console.error('Error importing workspace:', error);
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: `Invalid workspace bundle: ${error.message}` });
     }
+    res.status(500).json({ message: error.message });
+  }
+});
 
-    // Get all invites for this workspace (only if user is Creator or Admin)
+// @route   GET /api/workspaces/trash
+// @desc    Workspaces the user owns that are waiting to be purged
+// @access  Private
+router.get('/trash', auth, async (req, res) => {
+  try {
+    const workspaces = await Workspace.find({
+      deletedAt: { $ne: null },
+      members: { $elemMatch: { user: req.user.id, role: 'Creator' } }
+    }).sort({ purgeAt: 1 });
+
+    res.json({
+      success: true,
+      workspaces: workspaces.map(workspace => ({
+        id: workspace._id,
+        name: workspace.name,
+        description: workspace.description,
+        deletedAt: workspace.deletedAt,
+        purgeAt: workspace.purgeAt
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   GET /api/workspaces/:id
+// @desc    Get workspace details with members, invites, and normalized artifacts
+// @access  Private
+router.get('/:id', auth, requireWorkspacePermission('workspace:view'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { workspace, membership: userMembership } = req;
+    await workspace.populate([
+      { path: 'creator', select: 'name email' },
+      { path: 'members.user', select: 'name email' }
+    ]);
+
+    // Get all invites for this workspace (only if the user may see them)
     let invites = [];
-    if (['Creator', 'Admin'].includes(userMembership.role)) {
+    if (can(userMembership.role, 'invites:view')) {
       invites = await Invite.find({ workspace: id })
         .populate('invitedBy', 'name email')
         .sort({ createdAt: -1 });
@@ -310,8 +423,12 @@ router.get('/:id', auth, async (req, res) => {
       id: workspace._id,
       name: workspace.name,
       description: workspace.description,
+      onboardingChecklist: workspace.onboardingChecklist,
       creator: workspace.creator,
       userRole: userMembership.role,
+      // Archived workspaces are read-only for everyone
+      permissions: workspace.archivedAt ? ['workspace:view'] : permissionsFor(userMembership.role),
+      archivedAt: workspace.archivedAt,
       createdAt: workspace.createdAt,
       members: workspace.members.map(member => ({
         id: member._id,
@@ -326,9 +443,13 @@ router.get('/:id', auth, async (req, res) => {
       invites: invites.map(invite => ({
         id: invite._id,
         email: invite.email,
-        status: invite.status,
+        status: invite.isExpired() ? 'expired' : invite.status,
+        name: invite.name,
+        role: invite.role,
         invitedBy: invite.invitedBy.name,
         invitedByEmail: invite.invitedBy.email,
+        expiresAt: invite.expiresAt,
+        lastSentAt: invite.lastSentAt,
         createdAt: invite.createdAt
       }))
     };
@@ -347,10 +468,40 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/workspaces/:id/export
+// @desc    Download the workspace with its members, tasks, timeline, chat, meetings and
+//          onboarding paths as a versioned bundle (?format=gzip for a compressed file)
+// @access  Private (Creator)
+router.get('/:id/export', auth, requireWorkspacePermission('workspace:export', { allowArchived: true }), async (req, res) => {
+  try {
+    const bundle = await workspaceBundleService.exportWorkspace(req.workspace);
+    const json = JSON.stringify(bundle, null, 2);
+    const slug = req.workspace.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'workspace';
+    const filename = `${slug}-${new Date().toISOString().slice(0, 10)}.echohub.json`;
+
+    if (req.query.format === 'gzip') {
+      res.set({
+        'Content-Type': 'application/gzip',
+        'Content-Disposition': `attachment; filename="${filename}.gz"`
+      });
+      return res.send(zlib.gzipSync(json));
+    }
+
+    res.set({
+      'Content-Type': 'application/json',
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+    res.send(json);
+  } catch (error) {
+    console.error('Error exporting workspace:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
 // @route   POST /api/workspaces/:id/invite
 // @desc    Invite users to an existing workspace
-// @access  Private (Creator only)
-router.post('/:id/invite', auth, async (req, res) => {
+// @access  Private (Creator, Admin)
+router.post('/:id/invite', auth, requireWorkspacePermission('members:invite'), async (req, res) => {
   try {
     const { id } = req.params;
     const { emails } = req.body;
@@ -359,25 +510,9 @@ router.post('/:id/invite', auth, async (req, res) => {
       return res.status(400).json({ message: 'Email addresses are required' });
     }
 
-    // Find the workspace
-    const workspace = await Workspace.findById(id);
-    if (!workspace) {
-      return res.status(404).json({ message: 'Workspace not found' });
-    }
-
-    // Check if user is the creator
-    const userMembership = workspace.members.find(
-      member => member.user.toString() === req.user.id
-    );
-
-    if (!userMembership || userMembership.role !== 'Creator') {
-      return res.status(403).json({ 
-        message: 'Only workspace creators can invite new members' 
-      });
-    }
+    const { workspace } = req;
 
     // Validate emails
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
     const validEmails = [];
     const invalidEmails = [];
     const duplicateEmails = [];
@@ -387,72 +522,36 @@ router.post('/:id/invite', auth, async (req, res) => {
       const trimmedEmail = email.trim().toLowerCase();
       
       if (!trimmedEmail) continue;
-      
-      if (!emailRegex.test(trimmedEmail)) {
-        invalidEmails.push(email);
-        continue;
-      }
-
-      if (trimmedEmail === req.user.email.toLowerCase()) {
-        continue; // Skip inviting yourself
-      }
-
-      // Check if user is already a member
-      const existingUser = await User.findOne({ email: trimmedEmail });
-      if (existingUser) {
-        const isMember = workspace.members.some(
-          member => member.user.toString() === existingUser._id.toString()
-        );
-        if (isMember) {
-          existingMembers.push(trimmedEmail);
-          continue;
-        }
-      }
 
-      // Check if invite already exists and is pending
-      const existingInvite = await Invite.findOne({
-        workspace: id,
-        email: trimmedEmail,
-        status: 'pending'
-      });
-
-      if (existingInvite) {
+      if (validEmails.includes(trimmedEmail)) {
         duplicateEmails.push(trimmedEmail);
         continue;
       }
 
-      // If there's a declined invite, delete it to allow re-invitation
-      await Invite.deleteOne({
-        workspace: id,
-        email: trimmedEmail,
-        status: 'declined'
-      });
-
-      validEmails.push(trimmedEmail);
+      const problem = await invitationService.checkRecipient(workspace, trimmedEmail, req.user.email);
+      if (problem === 'invalid_email') {
+        invalidEmails.push(email);
+      } else if (problem === 'already_member') {
+        existingMembers.push(trimmedEmail);
+      } else if (problem === 'pending_invite') {
+        duplicateEmails.push(trimmedEmail);
+      } else if (!problem) {
+        validEmails.push(trimmedEmail);
+      }
+      // Inviting yourself is silently skipped
     }
 
-    // Create invitations for valid emails
-    const invitePromises = validEmails.map(email => 
-      Invite.create({
-        workspace: id,
-        email,
-        invitedBy: req.user.id,
-        status: 'pending'
-      })
-    );
-
-    await Promise.all(invitePromises);
-
-    // TODO: Send email notifications to invited users
-    // await sendInvitationEmails(validEmails, workspace, req.user);
+    // Create invitations for valid emails and email them
+    const { invites: createdInvites, failed } = await invitationService.createInvites(id, validEmails, req.user.id);
+    const emailed = await invitationService.sendAll(createdInvites);
 
     // Prepare response message
     let message = '';
-    if (validEmails.length > 0) {
-      message += `${validEmails.length} invitation(s) sent successfully. `;
+    if (createdInvites.length > 0) {
+      message += `${createdInvites.length} invitation(s) sent successfully. `;
     }
-    if (invalidEmails.length > 0) {
-      message += `${invalidEmails.length} invalid email(s) skipped. `;
+    if (invalidEmails.length + failed.length > 0) {
+      message += `${invalidEmails.length + failed.length} invalid email(s) skipped. `;
     }
     if (duplicateEmails.length > 0) {
       message += `${duplicateEmails.length} already invited. `;
@@ -461,13 +560,18 @@ router.post('/:id/invite', auth, async (req, res) => {
       message += `${existingMembers.length} already member(s). `;
     }
 
+    if (emailed < createdInvites.length) {
+      message += `${createdInvites.length - emailed} invitation email(s) could not be delivered. `;
+    }
+
     res.json({
       success: true,
       message: message.trim(),
-      invited: validEmails.length,
+      invited: createdInvites.length,
+      emailed,
       details: {
-        validEmails,
-        invalidEmails,
+        validEmails: createdInvites.map(invite => invite.email),
+        invalidEmails: [...invalidEmails, ...failed.map(item => item.email)],
         duplicateEmails,
         existingMembers
       }
@@ -478,4 +582,363 @@ router.post('/:id/invite', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/workspaces/:id/invite/import
+// @desc    Invite members in bulk from CSV text (email, name, role), with a per-row report
+// @access  Private (Creator, Admin)
+router.post('/:id/invite/import', auth, requireWorkspacePermission('members:invite'), async (req, res) => {
+  try {
+    const { csv } = req.body;
+
+    if (!csv || typeof csv !== 'string') {
+      return res.status(400).json({ message: 'CSV content is required' });
+    }
+
+    const { workspace } = req;
+    const lines = parseCsv(csv);
+
+    // A header row is optional; without one columns are email, name, role
+    const header = lines[0]?.map(cell => cell.trim().toLowerCase()) || [];
+    const hasHeader = header.includes('email');
+    const column = (name, position) => (hasHeader ? header.indexOf(name) : position);
+    const columns = { email: column('email', 0), name: column('name', 1), role: column('role', 2) };
+    const dataLines = hasHeader ? lines.slice(1) : lines;
+
+    if (dataLines.length === 0) {
+      return res.status(400).json({ message: 'The CSV file has no rows' });
+    }
+
+    if (dataLines.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ message: `Import at most ${MAX_IMPORT_ROWS} rows at a time` });
+    }
+
+    const canInviteAdmins = can(req.membership.role, 'members:change-role');
+    const firstRow = hasHeader ? 2 : 1;
+    const seen = new Map();
+    const results = [];
+    const recipients = [];
+
+    for (const [index, cells] of dataLines.entries()) {
+      const cell = (position) => (position >= 0 ? (cells[position] || '').trim() : '');
+      const email = cell(columns.email).toLowerCase();
+      const name = cell(columns.name);
+      const roleInput = cell(columns.role);
+      const role = ROLES.find(r => r !== 'Creator' && r.toLowerCase() === (roleInput || 'member').toLowerCase());
+      const result = { row: firstRow + index, email, name, role: role || roleInput };
+
+      let error = null;
+      if (!email) {
+        error = 'Email is required';
+      } else if (seen.has(email)) {
+        error = `Duplicate of row ${seen.get(email)}`;
+      } else if (!role) {
+        error = `Unknown role "${roleInput}" (use Admin or Member)`;
+      } else if (role === 'Admin' && !canInviteAdmins) {
+        error = 'Only the workspace owner can invite Admins';
+      } else if (name.length > 100) {
+        error = 'Name cannot exceed 100 characters';
+      } else {
+        const problem = await invitationService.checkRecipient(workspace, email, req.user.email);
+        error = problem && invitationService.describeProblem(problem);
+      }
+
+      if (email && !seen.has(email)) {
+        seen.set(email, result.row);
+      }
+
+      if (error) {
+        results.push({ ...result, status: 'failed', message: error });
+      } else {
+        results.push({ ...result, status: 'invited', message: 'Invitation created' });
+        recipients.push({ email, name: name || undefined, role });
+      }
+    }
+
+    // Create the invitations, then email them; a row whose invite can't be
+    // saved fails on its own
+    const { invites: createdInvites, failed: notCreated } = await invitationService.createInvites(
+      workspace._id, recipients, req.user.id
+    );
+    for (const { email, message } of notCreated) {
+      const result = results.find(r => r.email === email && r.status === 'invited');
+      Object.assign(result, { status: 'failed', message });
+    }
+    const emailed = await invitationService.sendAll(createdInvites);
+
+    const report = toCsv([
+      ['row', 'email', 'name', 'role', 'status', 'message'],
+      ...results.map(r => [r.row, r.email, r.name, r.role, r.status, r.message])
+    ]);
+    const failed = results.length - createdInvites.length;
+
+    res.json({
+      success: true,
+      message: `${createdInvites.length} invitation(s) created, ${failed} row(s) failed.`,
+      summary: {
+        total: results.length,
+        invited: createdInvites.length,
+        failed,
+        emailed
+      },
+      rows: results,
+      report
+    });
+  } catch (error) {
+    console.error('Error importing members:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   PATCH /api/workspaces/:id/members/:memberId/role
+// @desc    Promote or demote a member (Admin <-> Member)
+// @access  Private (Creator only)
+router.patch('/:id/members/:memberId/role', auth, requireWorkspacePermission('members:change-role'), async (req, res) => {
+  try {
+    const { memberId } = req.params;
+    const { role } = req.body;
+    const { workspace } = req;
+
+    // Ownership changes hands through a dedicated transfer, not a role change
+    const assignableRoles = ROLES.filter(r => r !== 'Creator');
+    if (!assignableRoles.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${assignableRoles.join(', ')}` });
+    }
+
+    const member = mongoose.Types.ObjectId.isValid(memberId) && workspace.members.id(memberId);
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+
+    if (member.role === 'Creator') {
+      return res.status(400).json({ message: "The workspace creator's role cannot be changed" });
+    }
+
+    member.role = role;
+    await workspace.save();
+
+    res.json({
+      success: true,
+      message: `Member role updated to ${role}`,
+      member: {
+        id: member._id,
+        user: member.user,
+        role: member.role,
+        joinedAt: member.joinedAt
+      }
+    });
+  } catch (error) {
+    console.error('Error updating member role:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   DELETE /api/workspaces/:id/members/:memberId
+// @desc    Remove a member; their open tasks are reassigned
+// @access  Private (Creator, Admin)
+router.delete('/:id/members/:memberId', auth, requireWorkspacePermission('members:remove'), async (req, res) => {
+  try {
+    const { id, memberId } = req.params;
+    const { reassignTo } = req.body || {};
+    const { workspace, membership } = req;
+
+    const member = mongoose.Types.ObjectId.isValid(memberId) && workspace.members.id(memberId);
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+
+    if (member.user.toString() === req.user.id) {
+      return res.status(400).json({ message: 'Use leave to remove yourself from the workspace' });
+    }
+
+    if (!outranks(membership.role, member.role)) {
+      return res.status(403).json({ message: 'You can only remove members with a lower role than yours' });
+    }
+
+    const { successor, error } = resolveSuccessor(workspace, reassignTo, member.user);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const removedUserId = member.user;
+    const cleanup = await membershipService.removeMember(workspace, removedUserId, { reassignTo: successor });
+    detachWorkspaceSockets(req, id, removedUserId);
+
+    res.json({
+      success: true,
+      message: 'Member removed from workspace',
+      cleanup
+    });
+  } catch (error) {
+    console.error('Error removing member:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/workspaces/:id/leave
+// @desc    Leave a workspace; open tasks are reassigned
+// @access  Private
+router.post('/:id/leave', auth, requireWorkspacePermission('workspace:view'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reassignTo } = req.body || {};
+    const { workspace, membership } = req;
+
+    if (membership.role === 'Creator') {
+      return res.status(400).json({ message: 'Transfer ownership to another member before leaving' });
+    }
+
+    const { successor, error } = resolveSuccessor(workspace, reassignTo, req.user.id);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const cleanup = await membershipService.removeMember(workspace, req.user.id, { reassignTo: successor });
+    detachWorkspaceSockets(req, id, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'You have left the workspace',
+      cleanup
+    });
+  } catch (error) {
+    console.error('Error leaving workspace:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/workspaces/:id/transfer-ownership
+// @desc    Make another member the workspace owner
+// @access  Private (Creator only)
+router.post('/:id/transfer-ownership', auth, requireWorkspacePermission('workspace:transfer'), async (req, res) => {
+  try {
+    const { memberId } = req.body;
+    const { workspace } = req;
+
+    const member = mongoose.Types.ObjectId.isValid(memberId) && workspace.members.id(memberId);
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+
+    if (member.user.toString() === req.user.id) {
+      return res.status(400).json({ message: 'You already own this workspace' });
+    }
+
+    const newOwner = await membershipService.transferOwnership(workspace, member.user);
+
+    res.json({
+      success: true,
+      message: 'Ownership transferred successfully',
+      member: {
+        id: newOwner._id,
+        user: newOwner.user,
+        role: newOwner.role,
+        joinedAt: newOwner.joinedAt
+      }
+    });
+  } catch (error) {
+    console.error('Error transferring ownership:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/workspaces/:id/archive
+// @desc    Archive a workspace (read-only, hidden from the dashboard)
+// @access  Private (Creator only)
+router.post('/:id/archive', auth, requireWorkspacePermission('workspace:archive', { allowArchived: true }), async (req, res) => {
+  try {
+    const { workspace } = req;
+
+    if (workspace.archivedAt) {
+      return res.status(400).json({ message: 'Workspace is already archived' });
+    }
+
+    await workspaceLifecycleService.archive(workspace, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Workspace archived',
+      archivedAt: workspace.archivedAt
+    });
+  } catch (error) {
+    console.error('Error archiving workspace:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/workspaces/:id/unarchive
+// @desc    Make an archived workspace writable again
+// @access  Private (Creator only)
+router.post('/:id/unarchive', auth, requireWorkspacePermission('workspace:archive', { allowArchived: true }), async (req, res) => {
+  try {
+    const { workspace } = req;
+
+    if (!workspace.archivedAt) {
+      return res.status(400).json({ message: 'Workspace is not archived' });
+    }
+
+    await workspaceLifecycleService.unarchive(workspace);
+
+    res.json({
+      success: true,
+      message: 'Workspace restored from archive'
+    });
+  } catch (error) {
+    console.error('Error unarchiving workspace:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   DELETE /api/workspaces/:id
+// @desc    Delete a workspace; it is purged with all its data after a grace period
+// @access  Private (Creator only)
+router.delete('/:id', auth, requireWorkspacePermission('workspace:delete', { allowArchived: true }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { confirmName } = req.body || {};
+    const { workspace } = req;
+
+    // Guard against deleting the wrong workspace
+    if (confirmName !== workspace.name) {
+      return res.status(400).json({ message: 'Type the workspace name to confirm deletion' });
+    }
+
+    const { purged, purgeAt } = await workspaceLifecycleService.scheduleDeletion(workspace, req.user.id);
+    closeWorkspaceRoom(req, id, 'This workspace has been deleted');
+
+    res.json({
+      success: true,
+      message: purged
+        ? 'Workspace deleted permanently'
+        : `Workspace deleted. It can be restored until ${purgeAt.toISOString()}`,
+      purged,
+      purgeAt
+    });
+  } catch (error) {
+    console.error('Error deleting workspace:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// @route   POST /api/workspaces/:id/restore
+// @desc    Restore a deleted workspace before it is purged
+// @access  Private (Creator only)
+router.post('/:id/restore', auth, requireWorkspacePermission('workspace:delete', { allowArchived: true, allowDeleted: true }), async (req, res) => {
+  try {
+    const { workspace } = req;
+
+    if (!workspace.deletedAt) {
+      return res.status(400).json({ message: 'Workspace is not deleted' });
+    }
+
+    await workspaceLifecycleService.restore(workspace);
+
+    res.json({
+      success: true,
+      message: 'Workspace restored'
+    });
+  } catch (error) {
+    console.error('Error restoring workspace:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -3,7 +3,6 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const http = require('http');
 const socketIo = require('socket.io');
-const jwt = require('jsonwebtoken');
 require('dotenv').config();
 
 const app = express();
@@ -18,18 +17,40 @@ const io = socketIo(server, {
 
 const PORT = process.env.PORT || 5000;
 
+// Expose io to routers (e.g. to drop sockets of a revoked session)
+app.set('io', io);
+
 // Middleware
 // app.use(cors({
 //   origin: ["http://localhost:3000", "http://localhost:5173"],
 //   credentials: true
 // }));
 app.use(cors());
+// Workspace import bundles are far larger than any other request body
+const BUNDLE_SIZE_LIMIT = '50mb';
+app.use('/api/workspaces/import',
+  express.json({ limit: BUNDLE_SIZE_LIMIT }),
+  express.raw({ type: 'application/gzip', limit: BUNDLE_SIZE_LIMIT })
+);
+// GitHub signs the exact bytes it sends, so webhook bodies stay unparsed
+// (payloads can reach 25 MB)
+app.use('/api/github/webhook', express.raw({ type: 'application/json', limit: '25mb' }));
 app.use(express.json());
 
 // MongoDB connection
 const MONGODB_URI = process.env.MONGODB_URI;
 mongoose.connect(MONGODB_URI)
-.then(() => console.log('MongoDB connected'))
+.then(async () => {
+  console.log('MongoDB connected');
+  try {
+    const { modifiedCount } = await require('./models/User').markLegacyAccountsVerified();
+    if (modifiedCount) {
+      console.log(`Marked ${modifiedCount} existing accounts as email-verified`);
+    }
+  } catch (error) {
+    console.error('Error marking existing accounts as verified:', error);
+  }
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
 // Socket.io middleware for authentication
@@ -40,16 +61,11 @@ io.use(async (socket, next) => {
       return next(new Error('Authentication error: No token provided'));
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const User = require('./models/User');
-    
-    // Fix: Use decoded.id instead of decoded.user.id
-    const user = await User.findById(decoded.id).select('-password');
-    
-    if (!user) {
-      return next(new Error('User not found'));
-    }
+    // Same check as the REST middleware, so revoked sessions can't open sockets
+    const sessionService = require('./services/sessionService');
+    const { user, session } = await sessionService.authenticateAccessToken(token);
 
+    socket.sessionId = session._id.toString();
     socket.userId = user._id.toString();
     socket.userInfo = {
       id: user._id,
@@ -68,10 +84,30 @@ io.use(async (socket, next) => {
 io.on('connection', (socket) => {
   console.log(`User ${socket.userInfo.name} connected`);
 
-  // Join workspace room
-  socket.on('join-workspace', (workspaceId) => {
-    socket.join(`workspace-${workspaceId}`);
-    console.log(`User ${socket.userInfo.name} joined workspace ${workspaceId}`);
+  // Per-session room so revoking a session can disconnect its sockets
+  socket.join(`session-${socket.sessionId}`);
+  // Per-user room so membership changes can reach every device
+  socket.join(`user-${socket.userId}`);
+
+  // Join workspace room (members only)
+  socket.on('join-workspace', async (workspaceId) => {
+    try {
+      const Workspace = require('./models/Workspace');
+      const isMember = mongoose.Types.ObjectId.isValid(workspaceId) && await Workspace.exists({
+        _id: workspaceId,
+        'members.user': socket.userId,
+        deletedAt: null
+      });
+
+      if (!isMember) {
+        return socket.emit('workspace-error', { workspaceId, error: 'Not a member of this workspace' });
+      }
+
+      socket.join(`workspace-${workspaceId}`);
+      console.log(`User ${socket.userInfo.name} joined workspace ${workspaceId}`);
+    } catch (error) {
+      console.error('Error joining workspace:', error);
+    }
   });
 
   // Leave workspace room
@@ -84,6 +120,16 @@ io.on('connection', (socket) => {
   socket.on('send-message', async (data) => {
     try {
       const { workspaceId, message, type = 'text' } = data;
+
+      // Only sockets admitted to the room (i.e. current members) may post
+      if (!socket.rooms.has(`workspace-${workspaceId}`)) {
+        return socket.emit('message-error', { error: 'Not a member of this workspace' });
+      }
+
+      const Workspace = require('./models/Workspace');
+      if (await Workspace.exists({ _id: workspaceId, archivedAt: { $ne: null } })) {
+        return socket.emit('message-error', { error: 'This workspace is archived and read-only' });
+      }
       
       // Save message to database
       const Message = require('./models/Message');
@@ -138,9 +184,12 @@ io.on('connection', (socket) => {
 
 // Routes
 app.use('/api/auth', require('./routes/auth'));
+app.use('/api/tokens', require('./routes/tokens'));
 app.use('/api/workspaces', require('./routes/workspaces'));
+app.use('/api/templates', require('./routes/templates'));
 app.use('/api/invites', require('./routes/invites'));
 app.use('/api/github', require('./routes/github'));
+app.use('/api/diagrams', require('./routes/diagrams'));
 app.use('/api/notion', require('./routes/notion'));
 app.use('/api/search', require('./routes/search')); // Add this line
 app.use('/api/timeline', require('./routes/timeline'));
@@ -155,6 +204,22 @@ app.get('/', (req, res) => {
 });
 
 // Start server
+// Purge deleted workspaces whose grace period has run out
+const workspaceLifecycleService = require('./services/workspaceLifecycleService');
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+setInterval(() => {
+  workspaceLifecycleService.purgeExpired()
+    .catch(err => console.error('Workspace purge failed:', err));
+}, PURGE_INTERVAL_MS).unref();
+
+// Expire stale invitations and remind invitees who haven't responded
+const invitationService = require('./services/invitationService');
+const INVITE_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+setInterval(() => {
+  invitationService.runMaintenance()
+    .catch(err => console.error('Invite maintenance failed:', err));
+}, INVITE_SWEEP_INTERVAL_MS).unref();
+
 server.listen(PORT, () => {
   console.log(`Server running on the  port ${PORT}`);
 });
\ No newline at end of file
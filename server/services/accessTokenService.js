@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const User = require('../models/User');
+
+const TOKEN_PREFIX = 'ehp_';
+// Don't write lastUsedAt on every request
+const LAST_USED_GRANULARITY_MS = 60 * 1000;
+
+class AccessTokenService {
+  isAccessToken(token) {
+    return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  // Create a token; the plaintext value is returned only here
+  async createToken(userId, { name, scopes, expiresInDays }) {
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(30).toString('base64url')}`;
+    const accessToken = await PersonalAccessToken.create({
+      user: userId,
+      name,
+      scopes,
+      tokenHash: this.hashToken(token),
+      tokenPrefix: token.slice(0, TOKEN_PREFIX.length + 6),
+      expiresAt: expiresInDays
+        ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+        : null
+    });
+
+    return { token, accessToken };
+  }
+
+  // Resolve a token to its user, or throw
+  async authenticate(token, ipAddress) {
+    const accessToken = await PersonalAccessToken.findOne({ tokenHash: this.hashToken(token) });
+    if (!accessToken || !accessToken.isActive()) {
+      throw new Error('Access token is not valid');
+    }
+
+    const user = await User.findById(accessToken.user);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (!accessToken.lastUsedAt || Date.now() - accessToken.lastUsedAt.getTime() > LAST_USED_GRANULARITY_MS) {
+      await PersonalAccessToken.updateOne(
+        { _id: accessToken._id },
+        { lastUsedAt: new Date(), lastUsedIp: ipAddress }
+      );
+    }
+
+    return { user, accessToken };
+  }
+
+  async listTokens(userId) {
+    return PersonalAccessToken.find({ user: userId, revokedAt: null }).sort({ createdAt: -1 });
+  }
+
+  async revokeToken(userId, tokenId) {
+    return PersonalAccessToken.findOneAndUpdate(
+      { _id: tokenId, user: userId, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+  }
+}
+
+module.exports = new AccessTokenService();
@@ -1,3 +1,6 @@
+const importGraphService = require('./importGraphService');
+const dataModelService = require('./dataModelService');
+
 class ArchitectureService {
   constructor() {
     try {
@@ -68,7 +71,7 @@ class ArchitectureService {
       return this.getFallbackFlowchart(repositoryData);
     }
 
-    const prompt = `Create a simple Mermaid.js flowchart for ${repositoryData.full_name || repositoryData.name}.
+    const prompt = `Create a simple Mermaid.js flowchart for ${repositoryData.fullName || repositoryData.name}.
     
 Frontend files: ${analysis.structure.frontend.length}
 Backend files: ${analysis.structure.backend.length}
@@ -104,7 +107,7 @@ C[Data Base]`;
   }
 
   async generateComponentDiagram(analysis, repositoryData) {
-    const prompt = `Create a Mermaid.js flowchart for ${repositoryData.full_name || repositoryData.name}.
+    const prompt = `Create a Mermaid.js flowchart for ${repositoryData.fullName || repositoryData.name}.
     
 STRICT RULES:
 - Generate ONLY valid Mermaid flowchart syntax starting with "flowchart TD"
@@ -132,7 +135,7 @@ flowchart TD
   async generateSequenceDiagram(analysis, repositoryData) {
     try {
       if (!this.isAvailable) throw new Error('AI not available');
-      const prompt = `Create a Mermaid.js sequence diagram for ${repositoryData.full_name || repositoryData.name}.
+      const prompt = `Create a Mermaid.js sequence diagram for ${repositoryData.fullName || repositoryData.name}.
 
 STRICT RULES:
 - Generate ONLY valid sequenceDiagram syntax
@@ -165,7 +168,7 @@ sequenceDiagram
   async generateClassDiagram(analysis, repositoryData) {
     try {
       if (!this.isAvailable) throw new Error('AI not available');
-      const prompt = `Create a Mermaid.js class diagram for ${repositoryData.full_name || repositoryData.name}.
+      const prompt = `Create a Mermaid.js class diagram for ${repositoryData.fullName || repositoryData.name}.
 
 STRICT RULES:
 - Generate ONLY valid classDiagram syntax
@@ -196,9 +199,90 @@ classDiagram
     }
   }
 
-  async generateArchitecture(files, repositoryData, diagramType = 'flowchart') {
+  // Module dependency graph from the sources' import/require statements.
+  // Static analysis only: no AI involved, and the same tree always gives the
+  // same diagram. readFile(path) resolves to a file's source text.
+  async generateImportGraph(files, repositoryData, readFile) {
+    console.log(`🏗️ Building import graph for ${repositoryData.fullName || repositoryData.name}`);
+
+    const graph = await importGraphService.build(files, readFile);
+    const { mermaidCode, nodes, connections, level } = importGraphService.toMermaid(graph);
+
+    return {
+      mermaidCode,
+      description: level === 'folders'
+        ? 'Import graph between folders, grouped by package (edge labels count imports)'
+        : 'Import graph between modules, grouped by folder',
+      diagramType: 'imports',
+      componentsCount: nodes,
+      connectionsCount: connections,
+      analysis: {
+        ...(await this.structureSummary(files, repositoryData)),
+        imports: {
+          modules: graph.modules.length,
+          internalImports: graph.edges.length,
+          externalPackages: graph.externals.size,
+          unresolvedImports: graph.unresolved,
+          truncated: graph.truncated,
+          level
+        }
+      },
+      generatedAt: new Date()
+    };
+  }
+
+  // Entity-relationship diagram of the Mongoose schemas, Prisma models and
+  // SQL tables defined in the repository, read statically like import graphs
+  async generateDataModel(files, repositoryData, readFile) {
+    console.log(`🏗️ Reading data models of ${repositoryData.fullName || repositoryData.name}`);
+
+    const model = await dataModelService.build(files, readFile);
+    const { mermaidCode, entities, relationships } = dataModelService.toMermaid(model);
+
+    return {
+      mermaidCode,
+      description: 'Entity-relationship diagram of the data models defined in the repository',
+      diagramType: 'entity',
+      componentsCount: entities,
+      connectionsCount: relationships,
+      analysis: {
+        ...(await this.structureSummary(files, repositoryData)),
+        dataModel: {
+          entities,
+          relationships,
+          sources: model.sources,
+          filesScanned: model.filesScanned,
+          truncated: model.truncated
+        }
+      },
+      generatedAt: new Date()
+    };
+  }
+
+  async structureSummary(files, repositoryData) {
+    const analysis = await this.analyzeCodebaseStructure(files, repositoryData);
+    return {
+      totalFiles: analysis.totalFiles,
+      languages: analysis.languages,
+      structure: {
+        frontend: analysis.structure.frontend.length,
+        backend: analysis.structure.backend.length,
+        tests: analysis.structure.tests.length,
+        config: analysis.structure.config.length
+      }
+    };
+  }
+
+  async generateArchitecture(files, repositoryData, diagramType = 'flowchart', { readFile } = {}) {
+    if (diagramType === 'imports') {
+      return this.generateImportGraph(files, repositoryData, readFile);
+    }
+    if (diagramType === 'entity') {
+      return this.generateDataModel(files, repositoryData, readFile);
+    }
+
     try {
-      console.log(`🏗️ Generating ${diagramType} diagram for ${repositoryData.full_name || repositoryData.name}`);
+      console.log(`🏗️ Generating ${diagramType} diagram for ${repositoryData.fullName || repositoryData.name}`);
       
       const analysis = await this.analyzeCodebaseStructure(files, repositoryData);
       
@@ -357,7 +441,7 @@ classDiagram
   }
 
   getFallbackFlowchart(repositoryData) {
-    const repoName = repositoryData.name || repositoryData.full_name || 'Repository';
+    const repoName = repositoryData.name || repositoryData.fullName || 'Repository';
     // Clean the repo name to avoid issues
     const cleanRepoName = repoName.replace(/[^a-zA-Z0-9\s]/g, '').trim() || 'Repository';
     
@@ -379,7 +463,7 @@ classDiagram
   }
 
   getFallbackComponent(repositoryData) {
-    const repoName = repositoryData.name || repositoryData.full_name || 'Repository';
+    const repoName = repositoryData.name || repositoryData.fullName || 'Repository';
     const cleanRepoName = repoName.replace(/[^a-zA-Z0-9\s]/g, '').trim() || 'Repository';
     
     return `flowchart TD
@@ -0,0 +1,584 @@
+const { SOURCE_EXTENSIONS, isIgnoredPath, readSources, byName } = require('../utils/sourceFiles');
+
+// Files fetched per analysis
+const MAX_SCHEMA_FILES = 120;
+
+// Where schema definitions usually live; other sources aren't fetched
+const SCHEMA_PATH = /(^|\/)[^/]*(model|schema|entit)[^/]*(\/|$)/i;
+const TEST_PATH = /(^|\/)(__tests__|tests?|spec)\/|\.(test|spec)\.[^/]+$/i;
+
+// `new mongoose.Schema(` / `new Schema<IUser>(`
+const SCHEMA_CALL = /new\s+(?:mongoose\.)?Schema\s*(?:<[^>(]*>)?\s*\(/g;
+// `mongoose.model('User', userSchema)` / `model<IUser>('User', userSchema)`
+const MODEL_CALL = /\bmodel\s*(?:<[^>(]*>)?\s*\(\s*['"`]([^'"`]+)['"`]\s*,\s*([\w$]+)/g;
+const SCHEMA_ASSIGNMENT = /(?:([\w$]+)|exports\.([\w$]+))\s*=\s*$/;
+
+const PRISMA_MODEL = /^\s*model\s+(\w+)\s*\{([\s\S]*?)^\s*\}/gm;
+const SQL_TABLE = /create\s+table\s+(?:if\s+not\s+exists\s+)?([`"[\]\w.]+)\s*\(/gi;
+
+const REGEX_PRECEDERS = '(,=:[!&|?{};';
+
+// ---------------------------------------------------------------------------
+// A reader for the JavaScript object and array literals that schemas are
+// written in. Objects, arrays and strings come back as nodes; anything else
+// (identifiers, calls, functions) as its source text.
+
+const skipSpace = (source, index) => {
+  let i = index;
+  while (i < source.length) {
+    if (/\s/.test(source[i])) {
+      i++;
+    } else if (source.startsWith('//', i)) {
+      const end = source.indexOf('\n', i);
+      i = end === -1 ? source.length : end + 1;
+    } else if (source.startsWith('/*', i)) {
+      const end = source.indexOf('*/', i + 2);
+      i = end === -1 ? source.length : end + 2;
+    } else {
+      break;
+    }
+  }
+  return i;
+};
+
+// Index just past the string or template literal opening at `index`
+const skipString = (source, index) => {
+  const quote = source[index];
+  let i = index + 1;
+  while (i < source.length && source[i] !== quote) {
+    i += source[i] === '\\' ? 2 : 1;
+  }
+  return i + 1;
+};
+
+// Index just past the regex literal opening at `index`
+const skipRegex = (source, index) => {
+  let i = index + 1;
+  let inClass = false;
+  while (i < source.length && source[i] !== '\n') {
+    const char = source[i];
+    if (char === '\\') {
+      i += 2;
+      continue;
+    }
+    if (char === '[') inClass = true;
+    else if (char === ']') inClass = false;
+    else if (char === '/' && !inClass) break;
+    i++;
+  }
+  return i + 1;
+};
+
+// Source text up to the next `,` or closing bracket at this nesting level
+const readExpression = (source, index) => {
+  let depth = 0;
+  let i = index;
+  let previous = '(';
+
+  while (i < source.length) {
+    const char = source[i];
+    if (char === '"' || char === "'" || char === '`') {
+      i = skipString(source, i);
+    } else if (source.startsWith('//', i) || source.startsWith('/*', i)) {
+      i = skipSpace(source, i);
+      continue;
+    } else if (char === '/' && REGEX_PRECEDERS.includes(previous)) {
+      i = skipRegex(source, i);
+    } else if ('([{'.includes(char)) {
+      depth++;
+      i++;
+    } else if (')]}'.includes(char)) {
+      if (depth === 0) break;
+      depth--;
+      i++;
+    } else if (char === ',' && depth === 0) {
+      break;
+    } else {
+      i++;
+    }
+    if (!/\s/.test(char)) previous = char;
+  }
+
+  return { node: { kind: 'expression', text: source.slice(index, i).trim() }, end: i };
+};
+
+const readValue = (source, index) => {
+  const start = skipSpace(source, index);
+  const char = source[start];
+
+  if (char === '{') return readObject(source, start);
+  if (char === '[') return readArray(source, start);
+  if (char === '"' || char === "'") {
+    const end = skipString(source, start);
+    const next = source[skipSpace(source, end)];
+    // A lone string; anything like 'a' + b is an expression
+    if (next === undefined || ',}])'.includes(next)) {
+      return { node: { kind: 'string', value: source.slice(start + 1, end - 1) }, end };
+    }
+  }
+  return readExpression(source, start);
+};
+
+const readObject = (source, index) => {
+  const entries = [];
+  let i = index + 1;
+
+  while (i < source.length) {
+    i = skipSpace(source, i);
+    if (source[i] === '}') return { node: { kind: 'object', entries }, end: i + 1 };
+
+    let key = null;
+    if (source[i] === '"' || source[i] === "'") {
+      const end = skipString(source, i);
+      key = source.slice(i + 1, end - 1);
+      i = end;
+    } else {
+      const match = /^[\w$]+/.exec(source.slice(i, i + 200));
+      if (match) {
+        key = match[0];
+        i += key.length;
+      }
+    }
+
+    i = skipSpace(source, i);
+    if (key !== null && source[i] === ':') {
+      const { node, end } = readValue(source, i + 1);
+      entries.push([key, node]);
+      i = end;
+    } else {
+      // Spreads, methods, shorthand and computed keys say nothing about fields
+      i = readExpression(source, i).end;
+    }
+
+    i = skipSpace(source, i);
+    if (source[i] === ',') {
+      i++;
+    } else if (source[i] !== '}') {
+      break;
+    }
+  }
+
+  return { node: { kind: 'object', entries }, end: i + 1 };
+};
+
+const readArray = (source, index) => {
+  const items = [];
+  let i = index + 1;
+
+  while (i < source.length) {
+    i = skipSpace(source, i);
+    if (source[i] === ']') return { node: { kind: 'array', items }, end: i + 1 };
+
+    const { node, end } = readValue(source, i);
+    items.push(node);
+    i = skipSpace(source, end);
+    if (source[i] === ',') {
+      i++;
+    } else if (source[i] !== ']') {
+      break;
+    }
+  }
+
+  return { node: { kind: 'array', items }, end: i + 1 };
+};
+
+// Arguments of the call whose `(` is at index: a schema's fields and options
+const readArguments = (source, index) => {
+  const args = [];
+  let i = index + 1;
+
+  while (i < source.length && args.length < 2) {
+    const { node, end } = readValue(source, i);
+    args.push(node);
+    i = skipSpace(source, end);
+    if (source[i] !== ',') break;
+    i++;
+  }
+  return args;
+};
+
+const entry = (node, key) =>
+  (node?.kind === 'object' ? node.entries.find(([name]) => name === key)?.[1] : undefined);
+
+const isTruthy = (node) => Boolean(node) && !(node.kind === 'expression' && /^(false|null|undefined)$/.test(node.text));
+
+// ---------------------------------------------------------------------------
+
+const identifier = (text) => text.replace(/[^\w-]/g, '_').replace(/^([^A-Za-z_])/, '_$1');
+const pascalCase = (text) => text.replace(/(^|[_-])(\w)/g, (match, separator, char) => char.toUpperCase());
+const unquote = (name) => name.replace(/[`"[\]]/g, '').split('.').pop();
+
+// Entities and relationships gathered from the schema files of one analysis
+class ModelCollector {
+  constructor() {
+    this.entities = new Map();
+    this.relationships = [];
+  }
+
+  entity(name) {
+    if (!this.entities.has(name)) {
+      this.entities.set(name, { name, attributes: [], source: null });
+    }
+    return this.entities.get(name);
+  }
+
+  relate(from, to, cardinality, label) {
+    this.relationships.push({ from, to, cardinality, label });
+  }
+
+  // ---- Mongoose -----------------------------------------------------------
+
+  // Schemas defined in one file, by variable name, and the models registered
+  // from them. Schemas neither registered nor embedded are drawn under their
+  // variable name, since their model is likely created elsewhere.
+  parseMongoose(source, filePath) {
+    const schemas = new Map();
+    const inline = [];
+
+    for (const match of source.matchAll(SCHEMA_CALL)) {
+      const open = match.index + match[0].length - 1;
+      const [fields, options] = readArguments(source, open);
+      if (fields?.kind !== 'object') continue;
+
+      const assignment = SCHEMA_ASSIGNMENT.exec(source.slice(Math.max(0, match.index - 120), match.index));
+      const name = assignment && (assignment[1] || assignment[2]);
+      if (name && !['const', 'let', 'var'].includes(name)) {
+        schemas.set(name, { fields, options });
+      } else {
+        inline.push({ fields, options });
+      }
+    }
+    if (!schemas.size && !inline.length) return 0;
+
+    const context = { schemas, filePath, embedded: new Set() };
+    const registered = new Set();
+
+    for (const [, modelName, schemaName] of source.matchAll(MODEL_CALL)) {
+      const schema = schemas.get(schemaName);
+      if (!schema) continue;
+      registered.add(schemaName);
+      this.mongooseEntity(modelName, schema, context, true);
+    }
+
+    // Schemas other schemas embed are drawn inside those
+    schemas.forEach(schema => this.collectEmbedded(schema.fields, context));
+    for (const name of schemas.keys()) {
+      if (!registered.has(name) && !context.embedded.has(name)) {
+        this.mongooseEntity(pascalCase(name.replace(/Schema$/i, '')) || name, schemas.get(name), context, true);
+      }
+    }
+
+    return schemas.size + inline.length;
+  }
+
+  collectEmbedded(node, context) {
+    if (!node) return;
+    if (node.kind === 'expression' && context.schemas.has(node.text)) {
+      context.embedded.add(node.text);
+    } else if (node.kind === 'object') {
+      node.entries.forEach(([, value]) => this.collectEmbedded(value, context));
+    } else if (node.kind === 'array') {
+      node.items.forEach(item => this.collectEmbedded(item, context));
+    }
+  }
+
+  mongooseEntity(name, { fields, options }, context, isModel) {
+    const entity = this.entity(identifier(name));
+    entity.source = context.filePath;
+
+    if (isModel && !entry(fields, '_id')) {
+      entity.attributes.push({ type: 'ObjectId', name: '_id', keys: ['PK'] });
+    }
+    for (const [key, value] of fields.entries) {
+      // `_id: false` turns the subdocument id off rather than declaring a field
+      if (key === '_id' && !isTruthy(value)) continue;
+      this.mongooseField(entity, key, value, context);
+    }
+    if (isTruthy(entry(options, 'timestamps'))) {
+      ['createdAt', 'updatedAt']
+        .filter(key => !entry(fields, key))
+        .forEach(key => entity.attributes.push({ type: 'Date', name: key, keys: [] }));
+    }
+  }
+
+  // The type a field definition names: a scalar, or a schema (by variable,
+  // inline `new Schema(...)` or plain nested object) it embeds
+  mongooseType(node, context) {
+    if (!node) return { scalar: 'Mixed' };
+
+    if (node.kind === 'string') return { scalar: node.value };
+    if (node.kind === 'object') {
+      return node.entries.length ? { schema: { fields: node } } : { scalar: 'Mixed' };
+    }
+    if (node.kind === 'array') return { scalar: 'Array' };
+
+    const text = node.text;
+    if (context.schemas.has(text)) return { schema: context.schemas.get(text) };
+
+    const call = /^new\s+(?:mongoose\.)?Schema\s*(?:<[^>(]*>)?\s*\(/.exec(text);
+    if (call) {
+      const [fields, options] = readArguments(text, call[0].length - 1);
+      if (fields?.kind === 'object') return { schema: { fields, options } };
+    }
+
+    const name = text.split('.').pop();
+    return { scalar: /^[A-Za-z_]\w*$/.test(name) ? name : 'Mixed' };
+  }
+
+  mongooseField(entity, key, node, context) {
+    let definition = node;
+    let many = false;
+
+    if (node.kind === 'array') {
+      many = true;
+      definition = node.items[0];
+    }
+
+    // `{ type: X, ref, required }`; otherwise the value is the type itself
+    // (and a plain object a nested path, which is drawn as an embedded entity)
+    const isOptions = definition?.kind === 'object' &&
+      entry(definition, 'type') &&
+      entry(definition, 'type').kind !== 'object';
+    const typeNode = isOptions ? entry(definition, 'type') : definition;
+    const ref = isOptions ? entry(definition, 'ref') : undefined;
+
+    let type = this.mongooseType(typeNode, context);
+    if (isOptions && typeNode.kind === 'array') {
+      many = true;
+      type = this.mongooseType(typeNode.items[0], context);
+    }
+
+    if (type.schema) {
+      const child = `${entity.name}_${identifier(key)}`;
+      this.mongooseEntity(child, type.schema, context, false);
+      this.relate(entity.name, child, many ? '||--o{' : '||--||', key);
+      return;
+    }
+
+    const keys = [];
+    if (ref?.kind === 'string') {
+      keys.push('FK');
+      const target = identifier(ref.value);
+      this.entity(target);
+      const required = isTruthy(entry(definition, 'required'));
+      this.relate(entity.name, target, many ? '}o--o{' : required ? '}o--||' : '}o--o|', key);
+    }
+    if (isOptions && isTruthy(entry(definition, 'unique'))) keys.push('UK');
+
+    entity.attributes.push({
+      type: `${identifier(type.scalar)}${many ? '[]' : ''}`,
+      name: key,
+      keys,
+      required: isOptions && isTruthy(entry(definition, 'required'))
+    });
+  }
+
+  // ---- Prisma -------------------------------------------------------------
+
+  parsePrisma(source, filePath) {
+    const models = [...source.matchAll(PRISMA_MODEL)];
+    const modelNames = new Set(models.map(([, name]) => name));
+
+    for (const [, name, body] of models) {
+      const entity = this.entity(identifier(name));
+      entity.source = filePath;
+
+      const lines = body.split('\n')
+        .map(line => line.replace(/\/\/.*$/, '').trim())
+        .filter(line => line && !line.startsWith('@@'));
+      const foreignKeys = new Set();
+      const fields = [];
+
+      for (const line of lines) {
+        const [fieldName, rawType = '', ...rest] = line.split(/\s+/);
+        const attributes = rest.join(' ');
+        const type = rawType.replace(/[?[\]]/g, '');
+        const optional = rawType.endsWith('?');
+
+        if (modelNames.has(type)) {
+          // The side holding `@relation(fields: [...])` owns the foreign key;
+          // list and back-reference fields mirror it
+          const relation = /@relation\([^)]*fields:\s*\[([^\]]*)\]/.exec(attributes);
+          if (relation) {
+            relation[1].split(',').map(field => field.trim()).forEach(field => foreignKeys.add(field));
+            this.relate(entity.name, identifier(type), optional ? '}o--o|' : '}o--||', fieldName);
+          }
+          continue;
+        }
+        fields.push({ fieldName, type, rawType, attributes, optional });
+      }
+
+      for (const { fieldName, type, rawType, attributes, optional } of fields) {
+        const keys = [];
+        if (/@id\b/.test(attributes)) keys.push('PK');
+        if (foreignKeys.has(fieldName)) keys.push('FK');
+        if (/@unique\b/.test(attributes)) keys.push('UK');
+        entity.attributes.push({
+          type: `${identifier(type)}${rawType.endsWith('[]') ? '[]' : ''}`,
+          name: fieldName,
+          keys,
+          required: !optional
+        });
+      }
+    }
+
+    return models.length;
+  }
+
+  // ---- SQL ----------------------------------------------------------------
+
+  // Column and constraint definitions of a CREATE TABLE body
+  splitDefinitions(source, open) {
+    const parts = [];
+    let i = open + 1;
+
+    while (i < source.length) {
+      const { node, end } = readExpression(source, i);
+      if (node.text) parts.push(node.text);
+      i = end;
+      if (source[i] !== ',') break;
+      i++;
+    }
+    return parts;
+  }
+
+  parseSql(source, filePath) {
+    // SQL comments start with --
+    const code = source.replace(/--[^\n]*/g, '');
+    let tables = 0;
+
+    for (const match of code.matchAll(SQL_TABLE)) {
+      const entity = this.entity(identifier(unquote(match[1])));
+      entity.source = filePath;
+      tables++;
+
+      const columns = [];
+      const primaryKeys = new Set();
+      const uniqueKeys = new Set();
+      const foreignKeys = new Map();
+      const columnList = (text) => text.split(',').map(column => unquote(column.trim()));
+
+      for (const part of this.splitDefinitions(code, match.index + match[0].length - 1)) {
+        const primary = /^(?:constraint\s+\S+\s+)?primary\s+key\s*\(([^)]*)\)/i.exec(part);
+        const foreign = /^(?:constraint\s+\S+\s+)?foreign\s+key\s*\(([^)]*)\)\s*references\s+([`"[\]\w.]+)/i.exec(part);
+        const unique = /^(?:constraint\s+\S+\s+)?unique(?:\s+key)?\s*(?:\w+\s*)?\(([^)]*)\)/i.exec(part);
+
+        if (primary) {
+          columnList(primary[1]).forEach(column => primaryKeys.add(column));
+        } else if (foreign) {
+          columnList(foreign[1]).forEach(column => foreignKeys.set(column, unquote(foreign[2])));
+        } else if (unique) {
+          columnList(unique[1]).forEach(column => uniqueKeys.add(column));
+        } else if (!/^(constraint|key|index|check|fulltext|spatial)\b/i.test(part)) {
+          const [name, type = 'unknown'] = part.split(/\s+/);
+          const column = { name: unquote(name), type: type.replace(/\(.*$/, ''), definition: part };
+          if (/\bprimary\s+key\b/i.test(part)) primaryKeys.add(column.name);
+          if (/\bunique\b/i.test(part)) uniqueKeys.add(column.name);
+          const references = /\breferences\s+([`"[\]\w.]+)/i.exec(part);
+          if (references) foreignKeys.set(column.name, unquote(references[1]));
+          columns.push(column);
+        }
+      }
+
+      for (const column of columns) {
+        const keys = [];
+        if (primaryKeys.has(column.name)) keys.push('PK');
+        if (foreignKeys.has(column.name)) keys.push('FK');
+        if (uniqueKeys.has(column.name)) keys.push('UK');
+        const required = /\bnot\s+null\b/i.test(column.definition) || primaryKeys.has(column.name);
+        entity.attributes.push({ type: identifier(column.type), name: column.name, keys, required });
+
+        if (foreignKeys.has(column.name)) {
+          const target = identifier(foreignKeys.get(column.name));
+          this.entity(target);
+          this.relate(entity.name, target, required ? '}o--||' : '}o--o|', column.name);
+        }
+      }
+    }
+
+    return tables;
+  }
+
+}
+
+// Reads data models out of a repository's Mongoose schemas, Prisma schema and
+// SQL DDL, and draws them as a Mermaid entity-relationship diagram. Nothing is
+// guessed: entities, fields and relationships come from the definitions.
+class DataModelService {
+  // files: the repository tree ({ path }); readFile(path) resolves to source text
+  async build(files, readFile) {
+    const paths = files
+      .map(file => file.path)
+      .filter(filePath => !isIgnoredPath(filePath) && !TEST_PATH.test(filePath))
+      .filter(filePath => {
+        const extension = filePath.slice(filePath.lastIndexOf('.'));
+        if (extension === '.prisma' || extension === '.sql') return true;
+        return SOURCE_EXTENSIONS.includes(extension) && !filePath.endsWith('.d.ts') && SCHEMA_PATH.test(filePath);
+      })
+      .sort(byName);
+    const candidates = paths.slice(0, MAX_SCHEMA_FILES);
+    const sources = await readSources(candidates, readFile);
+
+    const collector = new ModelCollector();
+    const counts = { mongoose: 0, prisma: 0, sql: 0 };
+
+    for (const filePath of candidates) {
+      const source = sources.get(filePath);
+      if (filePath.endsWith('.prisma')) {
+        counts.prisma += collector.parsePrisma(source, filePath);
+      } else if (filePath.endsWith('.sql')) {
+        counts.sql += collector.parseSql(source, filePath);
+      } else {
+        counts.mongoose += collector.parseMongoose(source, filePath);
+      }
+    }
+
+    return {
+      entities: [...collector.entities.values()].sort((a, b) => byName(a.name, b.name)),
+      relationships: collector.relationships,
+      sources: counts,
+      filesScanned: candidates.length,
+      truncated: paths.length > candidates.length
+    };
+  }
+
+  toMermaid(model) {
+    if (!model.entities.length) {
+      return {
+        mermaidCode: 'erDiagram\n    NO_DATA_MODELS_FOUND {\n        string hint "No Mongoose, Prisma or SQL schemas found"\n    }',
+        entities: 0,
+        relationships: 0
+      };
+    }
+
+    const lines = ['erDiagram'];
+
+    for (const entity of model.entities) {
+      if (!entity.attributes.length) {
+        // Referenced but not defined in this repository
+        lines.push(`    ${entity.name}`);
+        continue;
+      }
+      lines.push(`    ${entity.name} {`);
+      for (const attribute of entity.attributes) {
+        const keys = attribute.keys.length ? ` ${attribute.keys.join(', ')}` : '';
+        const comment = attribute.required ? ' "required"' : '';
+        lines.push(`        ${attribute.type} ${identifier(attribute.name)}${keys}${comment}`);
+      }
+      lines.push('    }');
+    }
+
+    const relationships = [...new Set(model.relationships
+      .map(({ from, to, cardinality, label }) => `    ${from} ${cardinality} ${to} : "${label.replace(/"/g, "'")}"`))]
+      .sort(byName);
+    lines.push(...relationships);
+
+    return {
+      mermaidCode: lines.join('\n'),
+      entities: model.entities.length,
+      relationships: relationships.length
+    };
+  }
+}
+
+module.exports = new DataModelService();
@@ -0,0 +1,418 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { isIgnoredPath, readSources, byName } = require('../utils/sourceFiles');
+const {
+  manifestKind,
+  normalizePythonName,
+  licenseName,
+  exactVersion,
+  parsePackageJson,
+  parsePackageLock,
+  parseYarnLock,
+  parseRequirements,
+  parseGoMod,
+  versionDrift
+} = require('../utils/dependencyManifests');
+
+const MAX_PROJECTS = 25;
+// Lockfiles of large projects run to several megabytes
+const MAX_MANIFEST_BYTES = 8 * 1024 * 1024;
+const MAX_MIRROR_LOOKUPS = 300;
+const LOOKUP_CONCURRENCY = 8;
+const LOOKUP_TIMEOUT_MS = 5000;
+const LOOKUP_TTL_MS = 60 * 60 * 1000;
+const MAX_CACHED_LOOKUPS = 5000;
+// Which lockfile a package.json is read with, when a directory has several
+const NPM_LOCKFILES = ['package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock'];
+const DRIFT_LEVELS = ['major', 'minor', 'patch', 'current', 'unknown'];
+
+const trimUrl = (url) => (url ? url.trim().replace(/\/+$/, '') : null);
+
+// Module paths in the Go module proxy protocol spell capitals as !lowercase
+const escapeGoModule = (modulePath) => modulePath.replace(/[A-Z]/g, letter => `!${letter.toLowerCase()}`);
+
+// PyPI metadata has an SPDX expression (newer packages), a free-text license
+// or only trove classifiers
+const pythonLicense = (info) => {
+  if (info.license_expression) return info.license_expression;
+  if (info.license && info.license.length <= 60 && !info.license.includes('\n')) return info.license;
+
+  const classifier = (info.classifiers || []).find(item => item.startsWith('License :: '));
+  return classifier ? classifier.split(' :: ').pop() : null;
+};
+
+// Run fn over items a few at a time
+const mapWithConcurrency = async (items, concurrency, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
+
+  await Promise.all(Array.from({ length: concurrency }, worker));
+  return results;
+};
+
+// What a repository depends on: every package.json, requirements*.txt and
+// go.mod with their lockfiles, how many packages they pull in, under which
+// licenses, and how far behind the latest releases the direct ones are.
+// Latest versions come from a local registry mirror or a snapshot file, never
+// the public registries:
+//   DEPENDENCY_SNAPSHOT      JSON file: { "npm": { "<name>": "<latest>" or
+//                            { "latest", "license" } }, "pypi": {...}, "go": {...} }
+//   DEPENDENCY_NPM_REGISTRY  npm registry mirror (e.g. Verdaccio)
+//   DEPENDENCY_PYPI_INDEX    PyPI mirror serving the JSON API (/pypi/<name>/json)
+//   DEPENDENCY_GO_PROXY      Go module proxy (GOPROXY protocol)
+class DependencyService {
+  constructor() {
+    this.snapshotPath = process.env.DEPENDENCY_SNAPSHOT ? path.resolve(process.env.DEPENDENCY_SNAPSHOT) : null;
+    this.mirrors = {
+      npm: trimUrl(process.env.DEPENDENCY_NPM_REGISTRY),
+      pypi: trimUrl(process.env.DEPENDENCY_PYPI_INDEX),
+      go: trimUrl(process.env.DEPENDENCY_GO_PROXY)
+    };
+    this.snapshot = null;
+    this.snapshotModified = 0;
+    this.lookups = new Map();
+  }
+
+  // Where latest versions come from, for the report
+  registrySources() {
+    return {
+      snapshot: Boolean(this.snapshotPath),
+      mirrors: Object.keys(this.mirrors).filter(ecosystem => this.mirrors[ecosystem])
+    };
+  }
+
+  // The snapshot file, re-read when it changes. Python names are normalized
+  // so they match however the requirements spell them.
+  async loadSnapshot() {
+    if (!this.snapshotPath) return null;
+
+    try {
+      const stats = await fs.promises.stat(this.snapshotPath);
+      if (this.snapshot && stats.mtimeMs === this.snapshotModified) {
+        return this.snapshot;
+      }
+
+      const data = JSON.parse(await fs.promises.readFile(this.snapshotPath, 'utf8'));
+      const snapshot = {};
+      for (const ecosystem of ['npm', 'pypi', 'go']) {
+        snapshot[ecosystem] = new Map();
+        for (const [name, entry] of Object.entries(data[ecosystem] || {})) {
+          const info = typeof entry === 'string' ? { latest: entry } : entry;
+          snapshot[ecosystem].set(ecosystem === 'pypi' ? normalizePythonName(name) : name, {
+            latest: info?.latest || null,
+            license: licenseName(info?.license)
+          });
+        }
+      }
+
+      this.snapshot = snapshot;
+      this.snapshotModified = stats.mtimeMs;
+      return snapshot;
+    } catch (error) {
+      console.warn('⚠️ Could not load dependency snapshot:', error.message);
+      return null;
+    }
+  }
+
+  // Latest version and license of a package from the ecosystem's mirror;
+  // null when it isn't there
+  async fetchFromMirror(ecosystem, name) {
+    const base = this.mirrors[ecosystem];
+    const options = { timeout: LOOKUP_TIMEOUT_MS };
+
+    try {
+      if (ecosystem === 'npm') {
+        const packagePath = encodeURIComponent(name).replace(/^%40/, '@');
+        const response = await axios.get(`${base}/${packagePath}/latest`, options);
+        return { latest: response.data.version || null, license: licenseName(response.data.license) };
+      }
+      if (ecosystem === 'pypi') {
+        const response = await axios.get(`${base}/pypi/${name}/json`, options);
+        return { latest: response.data.info.version || null, license: pythonLicense(response.data.info) };
+      }
+      const response = await axios.get(`${base}/${escapeGoModule(name)}/@latest`, options);
+      return { latest: response.data.Version || null, license: null };
+    } catch (error) {
+      if (error.response?.status === 404 || error.response?.status === 410) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Cached mirror lookups; failures are remembered too, so one unreachable
+  // mirror doesn't slow every report down
+  async lookupMirror(ecosystem, name) {
+    const key = `${ecosystem}:${name}`;
+    const cached = this.lookups.get(key);
+    if (cached && cached.expires > Date.now()) {
+      return cached.info;
+    }
+
+    let info = null;
+    try {
+      info = await this.fetchFromMirror(ecosystem, name);
+    } catch (error) {
+      console.warn(`⚠️ Registry lookup failed for ${key}:`, error.message);
+    }
+
+    if (this.lookups.size >= MAX_CACHED_LOOKUPS) {
+      this.lookups.delete(this.lookups.keys().next().value);
+    }
+    this.lookups.set(key, { info, expires: Date.now() + LOOKUP_TTL_MS });
+    return info;
+  }
+
+  // Latest versions and licenses for packages ({ ecosystem, name }, direct
+  // dependencies first), keyed "ecosystem:name". Snapshot entries win; the
+  // mirrors are asked for the rest, up to MAX_MIRROR_LOOKUPS per report.
+  async lookupAll(packages) {
+    const snapshot = await this.loadSnapshot();
+    const results = new Map();
+    const pending = [];
+
+    for (const { ecosystem, name } of packages) {
+      const key = `${ecosystem}:${name}`;
+      if (results.has(key)) continue;
+
+      const entry = snapshot?.[ecosystem].get(name);
+      if (entry) {
+        results.set(key, entry);
+      } else {
+        results.set(key, null);
+        if (this.mirrors[ecosystem]) pending.push({ key, ecosystem, name });
+      }
+    }
+
+    const lookedUp = pending.slice(0, MAX_MIRROR_LOOKUPS);
+    await mapWithConcurrency(lookedUp, LOOKUP_CONCURRENCY, async ({ key, ecosystem, name }) => {
+      results.set(key, await this.lookupMirror(ecosystem, name));
+    });
+
+    return { results, skipped: pending.length - lookedUp.length };
+  }
+
+  // The manifests to read, grouped into projects: a package.json with the
+  // lockfile next to it, or a single requirements*.txt or go.mod
+  findProjects(files) {
+    const manifests = files
+      .map(file => file.path)
+      .filter(filePath => !isIgnoredPath(filePath) && manifestKind(filePath))
+      .sort(byName);
+    const present = new Set(manifests);
+
+    const projects = manifests
+      .filter(filePath => manifestKind(filePath).role === 'manifest')
+      .map(filePath => {
+        const { ecosystem } = manifestKind(filePath);
+        const directory = path.posix.dirname(filePath);
+        const lockfile = ecosystem === 'npm'
+          ? NPM_LOCKFILES.map(name => (directory === '.' ? name : `${directory}/${name}`)).find(name => present.has(name)) || null
+          : null;
+
+        return { ecosystem, manifest: filePath, lockfile, directory: directory === '.' ? '' : directory };
+      });
+
+    return {
+      projects: projects.slice(0, MAX_PROJECTS),
+      truncated: projects.length > MAX_PROJECTS
+    };
+  }
+
+  // Direct dependencies and installed packages of an npm project. Returns
+  // { name, direct, installed, warnings }.
+  readNpmProject(project, sources) {
+    const warnings = [];
+    const { name, dependencies } = parsePackageJson(sources.get(project.manifest));
+
+    let installed = null;
+    let resolve = () => null;
+    const lockText = project.lockfile && sources.get(project.lockfile);
+
+    if (project.lockfile && !lockText) {
+      warnings.push(`${project.lockfile} is empty or too large to read`);
+    } else if (lockText) {
+      try {
+        if (project.lockfile.endsWith('yarn.lock')) {
+          const lock = parseYarnLock(lockText);
+          installed = lock.installed;
+          resolve = (dependency) => lock.resolved.get(`${dependency.name}@${dependency.requested}`) || null;
+        } else {
+          const packages = parsePackageLock(lockText);
+          const topLevel = new Map(packages.filter(item => item.topLevel).map(item => [item.name, item]));
+          installed = packages;
+          resolve = (dependency) => topLevel.get(dependency.name)?.version || null;
+        }
+      } catch (error) {
+        warnings.push(`${project.lockfile} could not be parsed: ${error.message}`);
+      }
+    }
+
+    const licenses = new Map((installed || [])
+      .filter(item => item.license)
+      .map(item => [`${item.name}@${item.version}`, item.license]));
+
+    const direct = dependencies.map(dependency => {
+      const version = resolve(dependency) || exactVersion(dependency.requested);
+      return { ...dependency, version, license: licenses.get(`${dependency.name}@${version}`) || null };
+    });
+
+    return { name, direct, installed, warnings };
+  }
+
+  // Direct dependencies and, when the manifest says, transitive ones of a
+  // project. Returns { name, direct, transitive (null when unknown), warnings }.
+  readProject(project, sources) {
+    if (!sources.get(project.manifest)) {
+      return { error: `${project.manifest} is empty or too large to read` };
+    }
+
+    try {
+      if (project.ecosystem === 'npm') {
+        const { name, direct, installed, warnings } = this.readNpmProject(project, sources);
+        if (!installed) {
+          return { name, direct, transitive: null, warnings };
+        }
+
+        // Every installed name@version that isn't one of the direct ones
+        const directKeys = new Set(direct.map(item => `${item.name}@${item.version}`));
+        const transitive = new Map();
+        for (const item of installed) {
+          const key = `${item.name}@${item.version}`;
+          if (!directKeys.has(key) && !transitive.has(key)) {
+            transitive.set(key, { name: item.name, version: item.version, license: item.license });
+          }
+        }
+        return { name, direct, transitive: [...transitive.values()], warnings };
+      }
+
+      if (project.ecosystem === 'pypi') {
+        const requirements = parseRequirements(sources.get(project.manifest));
+        const annotated = requirements.some(item => !item.direct);
+        const toDependency = ({ name, requested, version }) => ({
+          name,
+          requested,
+          version,
+          scope: /dev|test/i.test(path.posix.basename(project.manifest)) ? 'dev' : 'runtime',
+          license: null
+        });
+        return {
+          name: null,
+          direct: requirements.filter(item => item.direct).map(toDependency),
+          transitive: annotated ? requirements.filter(item => !item.direct).map(toDependency) : null,
+          warnings: []
+        };
+      }
+
+      const { name, dependencies } = parseGoMod(sources.get(project.manifest));
+      const toDependency = ({ name: moduleName, version }) => ({
+        name: moduleName,
+        requested: version,
+        version,
+        scope: 'runtime',
+        license: null
+      });
+      return {
+        name,
+        direct: dependencies.filter(item => item.direct).map(toDependency),
+        transitive: dependencies.filter(item => !item.direct).map(toDependency),
+        warnings: []
+      };
+    } catch (error) {
+      return { error: `${project.manifest} could not be parsed: ${error.message}` };
+    }
+  }
+
+  async buildReport(files, readFile) {
+    const { projects, truncated } = this.findProjects(files);
+    const paths = [...new Set(projects.flatMap(project => [project.manifest, project.lockfile].filter(Boolean)))];
+    const sources = await readSources(paths, readFile, { maxBytes: MAX_MANIFEST_BYTES });
+
+    const read = projects.map(project => ({ project, ...this.readProject(project, sources) }));
+    const skipped = read.filter(item => item.error).map(item => ({ path: item.project.manifest, reason: item.error }));
+    const parsed = read.filter(item => !item.error);
+
+    const { results, skipped: lookupsSkipped } = await this.lookupAll([
+      ...parsed.flatMap(({ project, direct }) => direct.map(item => ({ ecosystem: project.ecosystem, name: item.name }))),
+      ...parsed.flatMap(({ project, transitive }) => (transitive || []).map(item => ({ ecosystem: project.ecosystem, name: item.name })))
+    ]);
+    const registryInfo = (ecosystem, name) => results.get(`${ecosystem}:${name}`);
+
+    // Each package once across the repository, for the license summary
+    const packages = new Map();
+    const countPackage = (ecosystem, item) => {
+      const key = `${ecosystem}:${item.name}@${item.version || '?'}`;
+      if (!packages.has(key)) {
+        packages.set(key, item.license || registryInfo(ecosystem, item.name)?.license || 'Unknown');
+      }
+    };
+
+    const drift = Object.fromEntries(DRIFT_LEVELS.map(level => [level, 0]));
+    const inventory = parsed.map(({ project, name, direct, transitive, warnings }) => {
+      const dependencies = direct
+        .map(item => {
+          const info = registryInfo(project.ecosystem, item.name);
+          const latest = info?.latest || null;
+          const itemDrift = item.version && latest ? versionDrift(item.version, latest) : 'unknown';
+          drift[itemDrift]++;
+          countPackage(project.ecosystem, item);
+
+          return {
+            name: item.name,
+            scope: item.scope,
+            requested: item.requested,
+            version: item.version,
+            latest,
+            drift: itemDrift,
+            license: item.license || info?.license || null
+          };
+        })
+        .sort((a, b) => byName(a.name, b.name));
+
+      (transitive || []).forEach(item => countPackage(project.ecosystem, item));
+
+      return {
+        ecosystem: project.ecosystem,
+        name,
+        directory: project.directory,
+        manifest: project.manifest,
+        lockfile: project.lockfile,
+        directCount: dependencies.length,
+        transitiveCount: transitive ? transitive.length : null,
+        dependencies,
+        warnings
+      };
+    });
+
+    const licenseCounts = new Map();
+    for (const license of packages.values()) {
+      licenseCounts.set(license, (licenseCounts.get(license) || 0) + 1);
+    }
+
+    return {
+      projects: inventory,
+      totals: {
+        projects: inventory.length,
+        direct: inventory.reduce((sum, project) => sum + project.directCount, 0),
+        transitive: inventory.reduce((sum, project) => sum + (project.transitiveCount || 0), 0),
+        drift
+      },
+      licenses: [...licenseCounts.entries()]
+        .map(([license, count]) => ({ license, count }))
+        .sort((a, b) => b.count - a.count || byName(a.license, b.license)),
+      registry: { ...this.registrySources(), lookupsSkipped },
+      skipped,
+      truncated
+    };
+  }
+}
+
+module.exports = new DependencyService();
@@ -0,0 +1,214 @@
+const mongoose = require('mongoose');
+const ArchitectureDiagram = require('../models/ArchitectureDiagram');
+const { parseMermaid, diffMermaid } = require('../utils/mermaidStructure');
+
+const MAX_HISTORY = 50;
+const MAX_TEAM_VERSIONS = 500;
+
+const formatUser = (user) => (user?._id ? { id: user._id, name: user.name, email: user.email } : null);
+
+// Versions that replace each other: a team diagram's series, or a repository's
+// diagrams of one type
+const lineageOf = (diagram) => (diagram.series
+  ? { workspace: diagram.workspace, series: diagram.series }
+  : { workspace: diagram.workspace, repository: diagram.repository, diagramType: diagram.diagramType });
+
+// Generated architecture diagrams, kept per workspace repository, diagram
+// type and commit so they can be revisited, pinned and compared; hand-edited
+// versions of them; and free-form team diagrams
+class DiagramHistoryService {
+  // A version for API responses; list entries come without their diagram
+  format(diagram) {
+    return {
+      id: diagram._id,
+      repositoryId: diagram.repository,
+      repositoryFullName: diagram.repositoryFullName,
+      title: diagram.title,
+      series: diagram.series,
+      diagramType: diagram.diagramType,
+      source: diagram.source,
+      basedOn: diagram.basedOn,
+      commitSha: diagram.commitSha,
+      ref: diagram.ref,
+      mermaidCode: diagram.mermaidCode,
+      description: diagram.description,
+      componentsCount: diagram.componentsCount,
+      connectionsCount: diagram.connectionsCount,
+      analysis: diagram.analysis,
+      generatedBy: formatUser(diagram.generatedBy),
+      generatedAt: diagram.createdAt,
+      pinned: diagram.pinned,
+      pinnedAt: diagram.pinnedAt,
+      pinnedBy: formatUser(diagram.pinnedBy)
+    };
+  }
+
+  // Node and edge counts of hand-written Mermaid
+  countStructure(mermaidCode) {
+    const structure = parseMermaid(mermaidCode);
+    return { componentsCount: structure.nodes.size, connectionsCount: structure.edges.length };
+  }
+
+  async save(workspace, repository, diagram, { commitSha, ref, userId }) {
+    return ArchitectureDiagram.create({
+      workspace: workspace._id,
+      repository: repository._id,
+      repositoryFullName: `${repository.owner}/${repository.repo}`,
+      diagramType: diagram.diagramType,
+      commitSha: commitSha || null,
+      ref,
+      mermaidCode: diagram.mermaidCode,
+      description: diagram.description,
+      componentsCount: diagram.componentsCount,
+      connectionsCount: diagram.connectionsCount,
+      analysis: diagram.analysis,
+      generatedBy: userId
+    });
+  }
+
+  // The latest version already generated from this commit, if any
+  async findForCommit(workspace, repository, diagramType, commitSha) {
+    if (!commitSha) return null;
+
+    return ArchitectureDiagram.findOne({
+      workspace: workspace._id,
+      repository: repository._id,
+      diagramType,
+      commitSha,
+      source: { $ne: 'edited' }
+    })
+      .sort({ createdAt: -1 })
+      .populate('generatedBy', 'name email')
+      .populate('pinnedBy', 'name email');
+  }
+
+  // A hand-edited version saved on top of another, in the same history
+  async saveVersion(base, { mermaidCode, description, userId }) {
+    return ArchitectureDiagram.create({
+      workspace: base.workspace,
+      repository: base.repository,
+      repositoryFullName: base.repositoryFullName,
+      title: base.title,
+      series: base.series,
+      diagramType: base.diagramType,
+      commitSha: base.commitSha,
+      ref: base.ref,
+      mermaidCode,
+      description: description ?? base.description,
+      ...this.countStructure(mermaidCode),
+      source: 'edited',
+      basedOn: base._id,
+      generatedBy: userId
+    });
+  }
+
+  async createTeamDiagram(workspace, { title, mermaidCode, description, userId }) {
+    const _id = new mongoose.Types.ObjectId();
+
+    return ArchitectureDiagram.create({
+      _id,
+      workspace: workspace._id,
+      title,
+      series: _id,
+      diagramType: 'custom',
+      mermaidCode,
+      description,
+      ...this.countStructure(mermaidCode),
+      source: 'edited',
+      generatedBy: userId
+    });
+  }
+
+  // Each team diagram once: its pinned version, or else its latest, with how
+  // many versions it has
+  async listTeamDiagrams(workspace) {
+    const versions = await ArchitectureDiagram.find({ workspace: workspace._id, repository: null })
+      .select('-mermaidCode -analysis')
+      .sort({ createdAt: -1 })
+      .limit(MAX_TEAM_VERSIONS)
+      .populate('generatedBy', 'name email')
+      .populate('pinnedBy', 'name email');
+
+    const diagrams = new Map();
+    for (const version of versions) {
+      const key = version.series.toString();
+      const current = diagrams.get(key);
+      if (!current) {
+        diagrams.set(key, { diagram: version, versionCount: 1 });
+      } else {
+        current.versionCount++;
+        if (version.pinned) current.diagram = version;
+      }
+    }
+    return [...diagrams.values()];
+  }
+
+  // Versions newest first, without their diagrams
+  async list(workspace, { repository, diagramType, limit = MAX_HISTORY } = {}) {
+    const query = { workspace: workspace._id };
+    if (repository) query.repository = repository._id;
+    if (diagramType) query.diagramType = diagramType;
+
+    return ArchitectureDiagram.find(query)
+      .select('-mermaidCode -analysis')
+      .sort({ createdAt: -1 })
+      .limit(Math.min(limit, MAX_HISTORY))
+      .populate('generatedBy', 'name email')
+      .populate('pinnedBy', 'name email');
+  }
+
+  async find(workspace, diagramId) {
+    if (!mongoose.Types.ObjectId.isValid(diagramId)) return null;
+
+    return ArchitectureDiagram.findOne({ _id: diagramId, workspace: workspace._id })
+      .populate('generatedBy', 'name email')
+      .populate('pinnedBy', 'name email');
+  }
+
+  // Every version in the same history as this one
+  async versionsOf(diagram) {
+    return ArchitectureDiagram.find(lineageOf(diagram))
+      .select('-mermaidCode -analysis')
+      .sort({ createdAt: -1 })
+      .limit(MAX_HISTORY)
+      .populate('generatedBy', 'name email')
+      .populate('pinnedBy', 'name email');
+  }
+
+  // Make a version the canonical one for its repository and diagram type
+  async pin(diagram, userId) {
+    await ArchitectureDiagram.updateMany({
+      ...lineageOf(diagram),
+      pinned: true,
+      _id: { $ne: diagram._id }
+    }, {
+      pinned: false,
+      pinnedAt: null,
+      pinnedBy: null
+    });
+
+    diagram.pinned = true;
+    diagram.pinnedAt = new Date();
+    diagram.pinnedBy = userId;
+    await diagram.save();
+    return diagram.populate('pinnedBy', 'name email');
+  }
+
+  async unpin(diagram) {
+    diagram.pinned = false;
+    diagram.pinnedAt = null;
+    diagram.pinnedBy = null;
+    await diagram.save();
+    return diagram;
+  }
+
+  // Structural differences between two versions of the same diagram type
+  compare(base, head) {
+    if (base.diagramType !== head.diagramType) {
+      return { error: 'Only versions of the same diagram type can be compared' };
+    }
+    return { diff: diffMermaid(base.mermaidCode, head.mermaidCode) };
+  }
+}
+
+module.exports = new DiagramHistoryService();
@@ -36,7 +36,7 @@ USER BACKGROUND: ${userProfile.background || 'General'}
 
 WORKSPACE CONTEXT:
 - Team Members: ${workspaceData.members?.map(m => `${m.name} (${m.role})`).join(', ') || 'No members listed'}
-- GitHub Repository: ${workspaceData.githubRepo ? `${workspaceData.githubRepo.owner}/${workspaceData.githubRepo.repo}` : 'Not connected'}
+- GitHub Repositories: ${workspaceData.githubRepos?.length ? workspaceData.githubRepos.map(r => `${r.label} (${r.owner}/${r.repo})`).join(', ') : 'Not connected'}
 
 Create a structured onboarding path in valid JSON format with these exact sections:
 
@@ -0,0 +1,296 @@
+const githubCredentialService = require('../githubCredentialService');
+const {
+  formatRepository,
+  formatIssue,
+  formatPullRequest,
+  formatCommit,
+  formatRelease
+} = require('../../utils/githubFormatters');
+
+// Files per architecture analysis; larger trees are truncated
+const MAX_TREE_FILES = 1000;
+
+// Commit fields for history and blame, with the pull request that brought
+// the commit in
+const COMMIT_FIELDS = `
+  oid
+  abbreviatedOid
+  message
+  url
+  author { name email date user { login avatarUrl } }
+  associatedPullRequests(first: 1) { nodes { number title url } }
+`;
+
+const FILE_HISTORY_QUERY = `
+  query ($owner: String!, $name: String!, $expression: String!, $path: String!, $first: Int!) {
+    repository(owner: $owner, name: $name) {
+      object(expression: $expression) {
+        ... on Commit {
+          history(first: $first, path: $path) { nodes { ${COMMIT_FIELDS} } }
+        }
+      }
+    }
+  }
+`;
+
+const BLAME_QUERY = `
+  query ($owner: String!, $name: String!, $expression: String!, $path: String!) {
+    repository(owner: $owner, name: $name) {
+      object(expression: $expression) {
+        ... on Commit {
+          blame(path: $path) {
+            ranges { startingLine endingLine commit { ${COMMIT_FIELDS} } }
+          }
+        }
+      }
+    }
+  }
+`;
+
+const formatGraphQLCommit = (commit) => ({
+  sha: commit.oid,
+  shortSha: commit.abbreviatedOid,
+  message: commit.message,
+  author: {
+    name: commit.author?.name,
+    email: commit.author?.email,
+    date: commit.author?.date,
+    login: commit.author?.user?.login,
+    avatar: commit.author?.user?.avatarUrl
+  },
+  url: commit.url,
+  pullRequest: commit.associatedPullRequests.nodes[0] || null
+});
+
+// A repository on github.com, read with the workspace credential it is
+// connected with (or the server's token)
+class GitHubProvider {
+  constructor(repository) {
+    this.repository = repository;
+    this.basePath = `/repos/${repository.owner}/${repository.repo}`;
+  }
+
+  async api() {
+    return githubCredentialService.clientFor(this.repository);
+  }
+
+  // GraphQL answers errors with a 200; surface them like REST errors so
+  // routes can tell a missing ref or path (404) from anything else
+  async graphql(query, variables) {
+    const api = await this.api();
+    const response = await api.post('/graphql', { query, variables });
+    const { data, errors } = response.data;
+
+    if (errors?.length) {
+      const error = new Error(errors.map(item => item.message).join('; '));
+      error.response = {
+        status: errors.some(item => item.type === 'NOT_FOUND') ? 404 : 502,
+        data: { message: error.message }
+      };
+      throw error;
+    }
+
+    // An expression naming a tree or blob matches no fragment and comes back empty
+    const object = data.repository?.object;
+    if (!object || !Object.keys(object).length) {
+      const error = new Error('Repository or revision not found');
+      error.response = { status: 404, data: { message: error.message } };
+      throw error;
+    }
+    return object;
+  }
+
+  async getRepository() {
+    const api = await this.api();
+    const response = await api.get(this.basePath);
+    return formatRepository(response.data);
+  }
+
+  async listIssues({ state = 'open', perPage = 50 } = {}) {
+    const api = await this.api();
+    const response = await api.get(`${this.basePath}/issues`, {
+      params: { state, per_page: perPage, sort: 'created', direction: 'desc' }
+    });
+
+    // The issues endpoint includes pull requests
+    return response.data
+      .filter(issue => !issue.pull_request)
+      .map(formatIssue);
+  }
+
+  async listPullRequests({ state = 'all', perPage = 50 } = {}) {
+    const api = await this.api();
+    const response = await api.get(`${this.basePath}/pulls`, {
+      params: { state, per_page: perPage, sort: 'created', direction: 'desc' }
+    });
+    return response.data.map(formatPullRequest);
+  }
+
+  async listCommits({ branch, perPage = 50 } = {}) {
+    const api = await this.api();
+    const response = await api.get(`${this.basePath}/commits`, {
+      params: { sha: branch, per_page: perPage }
+    });
+    return response.data.map(formatCommit);
+  }
+
+  async listReleases({ perPage = 50 } = {}) {
+    const api = await this.api();
+    const response = await api.get(`${this.basePath}/releases`, {
+      params: { per_page: perPage }
+    });
+    return response.data.map(formatRelease);
+  }
+
+  async listBranches() {
+    const api = await this.api();
+    const response = await api.get(`${this.basePath}/branches`, {
+      params: { per_page: 100 }
+    });
+
+    return response.data.map(branch => ({
+      name: branch.name,
+      sha: branch.commit.sha,
+      protected: branch.protected
+    }));
+  }
+
+  // Entries of a directory (or the single entry of a file path)
+  async listContents({ path = '', ref } = {}) {
+    const api = await this.api();
+    const response = await api.get(`${this.basePath}/contents/${path}`, {
+      params: { ref }
+    });
+
+    const contents = Array.isArray(response.data) ? response.data : [response.data];
+    return contents.map(item => ({
+      name: item.name,
+      path: item.path,
+      type: item.type, // 'file' or 'dir'
+      size: item.size,
+      sha: item.sha,
+      downloadUrl: item.download_url,
+      htmlUrl: item.html_url,
+      gitUrl: item.git_url
+    }));
+  }
+
+  // A file's metadata and raw content, or null when the path is a directory
+  async getFile({ path, ref } = {}) {
+    const api = await this.api();
+    const response = await api.get(`${this.basePath}/contents/${path}`, {
+      params: { ref }
+    });
+
+    const fileData = response.data;
+    if (Array.isArray(fileData) || fileData.type !== 'file') {
+      return null;
+    }
+
+    // Over 1 MB the contents API leaves the content out (encoding "none");
+    // the blobs API still has it, raw
+    let content;
+    if (fileData.encoding === 'none') {
+      const blob = await api.get(`${this.basePath}/git/blobs/${fileData.sha}`, {
+        headers: { Accept: 'application/vnd.github.raw+json' },
+        responseType: 'arraybuffer',
+        cache: false
+      });
+      content = Buffer.from(blob.data);
+    } else {
+      content = fileData.encoding === 'base64'
+        ? Buffer.from(fileData.content, 'base64')
+        : Buffer.from(fileData.content || '');
+    }
+
+    return {
+      name: fileData.name,
+      path: fileData.path,
+      size: fileData.size,
+      sha: fileData.sha,
+      content,
+      downloadUrl: fileData.download_url,
+      htmlUrl: fileData.html_url
+    };
+  }
+
+  // Commits and changed files between two refs (from their merge base, like
+  // GitHub's three-dot compare). GitHub caps the lists at 250 commits and
+  // 300 files and leaves patches out for binary and very large files.
+  async compare({ base, head }) {
+    const api = await this.api();
+    const ref = (value) => encodeURIComponent(value).replace(/%2F/g, '/');
+    const response = await api.get(`${this.basePath}/compare/${ref(base)}...${ref(head)}`);
+    const comparison = response.data;
+
+    return {
+      base,
+      head,
+      status: comparison.status,
+      aheadBy: comparison.ahead_by,
+      behindBy: comparison.behind_by,
+      totalCommits: comparison.total_commits,
+      commits: comparison.commits.map(formatCommit),
+      files: (comparison.files || []).map(file => ({
+        filename: file.filename,
+        previousFilename: file.previous_filename || null,
+        status: file.status,
+        additions: file.additions,
+        deletions: file.deletions,
+        changes: file.changes,
+        patch: file.patch ?? null
+      })),
+      url: comparison.html_url
+    };
+  }
+
+  // Commits that touched a file, newest first
+  async getFileHistory({ path, ref, perPage = 30 }) {
+    const object = await this.graphql(FILE_HISTORY_QUERY, {
+      owner: this.repository.owner,
+      name: this.repository.repo,
+      expression: ref || 'HEAD',
+      path,
+      first: perPage
+    });
+    return object.history.nodes.map(formatGraphQLCommit);
+  }
+
+  // The commit that last changed each line of a file, as ranges of lines
+  async getBlame({ path, ref }) {
+    const object = await this.graphql(BLAME_QUERY, {
+      owner: this.repository.owner,
+      name: this.repository.repo,
+      expression: ref || 'HEAD',
+      path
+    });
+    return object.blame.ranges.map(range => ({
+      startLine: range.startingLine,
+      endLine: range.endingLine,
+      commit: formatGraphQLCommit(range.commit)
+    }));
+  }
+
+  // Files of the tree at ref, up to MAX_TREE_FILES. truncated says some were
+  // left out, by that cap or because GitHub cut the listing short itself.
+  async listFiles({ ref } = {}) {
+    const api = await this.api();
+    const response = await api.get(`${this.basePath}/git/trees/${ref}`, {
+      params: { recursive: true },
+      cache: false
+    });
+
+    const blobs = response.data.tree.filter(item => item.type === 'blob' && item.path);
+    return {
+      files: blobs.slice(0, MAX_TREE_FILES).map(item => ({
+        path: item.path,
+        name: item.path.split('/').pop(),
+        size: item.size || 0,
+        type: 'file'
+      })),
+      truncated: Boolean(response.data.truncated) || blobs.length > MAX_TREE_FILES
+    };
+  }
+}
+
+module.exports = GitHubProvider;
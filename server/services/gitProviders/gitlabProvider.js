@@ -0,0 +1,460 @@
+const axios = require('axios');
+const { countChanges, compareStatus } = require('./patch');
+
+const DEFAULT_GITLAB_URL = 'https://gitlab.com';
+// Tree listings are paged; stop after this many pages
+const MAX_TREE_PAGES = 10;
+const TREE_PAGE_SIZE = 100;
+// GitLab needs a request per commit to find its merge request; commits past
+// this many go without
+const MAX_MERGE_REQUEST_LOOKUPS = 30;
+
+// GitLab's states, in the GitHub vocabulary the GitHub tab uses
+const ISSUE_STATES = { open: 'opened', closed: 'closed', all: 'all' };
+
+const formatUser = (user) => ({
+  login: user?.username,
+  avatar: user?.avatar_url,
+  url: user?.web_url
+});
+
+const formatAssignees = (users = []) => users.map(user => ({
+  login: user.username,
+  avatar: user.avatar_url
+}));
+
+// Labels come back with details (with_labels_details=true); colors carry a '#'
+const formatLabels = (labels = []) => labels.map(label => ({
+  name: label.name,
+  color: (label.color || '').replace(/^#/, '')
+}));
+
+const formatCommit = (commit) => ({
+  sha: commit.id,
+  shortSha: commit.short_id,
+  message: commit.message,
+  author: {
+    name: commit.author_name,
+    email: commit.author_email,
+    date: commit.authored_date
+  },
+  committer: {
+    name: commit.committer_name,
+    email: commit.committer_email,
+    date: commit.committed_date
+  },
+  url: commit.web_url
+});
+
+const diffStatus = (diff) => {
+  if (diff.new_file) return 'added';
+  if (diff.deleted_file) return 'removed';
+  if (diff.renamed_file) return 'renamed';
+  return 'modified';
+};
+
+// An instance URL without trailing slashes, query or fragment, or null when
+// it isn't http(s)
+const instanceUrl = (input) => {
+  try {
+    const url = new URL(input.trim());
+    return /^https?:$/.test(url.protocol) ? `${url.origin}${url.pathname.replace(/\/+$/, '')}` : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// The instance GITLAB_TOKEN belongs to
+const configuredUrl = () => instanceUrl(process.env.GITLAB_URL || DEFAULT_GITLAB_URL);
+
+// Check an instance URL given for a GitLab repository. Only the configured
+// instance and those listed in GITLAB_INSTANCE_URLS (comma-separated) can be
+// used, so the server can't be pointed at arbitrary hosts. Returns { baseUrl }
+// (normalized, undefined for the configured instance) or { error }.
+const normalizeInstanceUrl = (input) => {
+  if (!input || !input.trim()) {
+    return { baseUrl: undefined };
+  }
+
+  const url = instanceUrl(input);
+  if (!url) {
+    return { error: 'The GitLab instance URL must be an http or https URL' };
+  }
+  if (url === configuredUrl()) {
+    return { baseUrl: undefined };
+  }
+
+  const allowed = (process.env.GITLAB_INSTANCE_URLS || '').split(',').filter(item => item.trim()).map(instanceUrl);
+  if (!allowed.includes(url)) {
+    return { error: 'This GitLab instance is not enabled on this server' };
+  }
+  return { baseUrl: url };
+};
+
+// A project on gitlab.com or a self-hosted GitLab. Owner is the namespace
+// (groups may nest: "group/subgroup"), repo the project path. Read with the
+// server's GITLAB_TOKEN on the instance it belongs to, anonymously elsewhere.
+class GitLabProvider {
+  constructor(repository) {
+    this.repository = repository;
+    this.instance = normalizeInstanceUrl(repository.baseUrl);
+    this.baseUrl = this.instance.baseUrl || configuredUrl();
+    this.projectPath = `/projects/${encodeURIComponent(`${repository.owner}/${repository.repo}`)}`;
+  }
+
+  api() {
+    if (this.instance.error) {
+      throw new Error(this.instance.error);
+    }
+    const token = this.instance.baseUrl ? null : process.env.GITLAB_TOKEN;
+    return axios.create({
+      baseURL: `${this.baseUrl}/api/v4`,
+      headers: {
+        ...(token && { 'PRIVATE-TOKEN': token }),
+        'User-Agent': 'EchoHub-App'
+      }
+    });
+  }
+
+  async getRepository() {
+    const api = this.api();
+    const [projectResponse, languagesResponse] = await Promise.all([
+      api.get(this.projectPath, { params: { license: true } }),
+      api.get(`${this.projectPath}/languages`).catch(() => ({ data: {} }))
+    ]);
+
+    const project = projectResponse.data;
+    // Languages come as { name: percentage }; report the largest like GitHub does
+    const [language] = Object.entries(languagesResponse.data).sort(([, a], [, b]) => b - a)[0] || [];
+
+    return {
+      id: project.id,
+      name: project.path,
+      fullName: project.path_with_namespace,
+      description: project.description,
+      private: project.visibility !== 'public',
+      url: project.web_url,
+      cloneUrl: project.http_url_to_repo,
+      defaultBranch: project.default_branch,
+      language: language || null,
+      stars: project.star_count,
+      forks: project.forks_count,
+      watchers: project.star_count,
+      openIssues: project.open_issues_count || 0,
+      size: project.statistics?.repository_size,
+      createdAt: project.created_at,
+      updatedAt: project.last_activity_at,
+      pushedAt: project.last_activity_at,
+      owner: {
+        login: project.namespace.full_path,
+        avatar: project.namespace.avatar_url
+          ? new URL(project.namespace.avatar_url, this.baseUrl).toString()
+          : project.avatar_url,
+        url: project.namespace.web_url,
+        type: project.namespace.kind === 'user' ? 'User' : 'Organization'
+      },
+      topics: project.topics || project.tag_list || [],
+      license: project.license ? {
+        name: project.license.name,
+        spdxId: project.license.key
+      } : null
+    };
+  }
+
+  async listIssues({ state = 'open', perPage = 50 } = {}) {
+    const response = await this.api().get(`${this.projectPath}/issues`, {
+      params: {
+        state: ISSUE_STATES[state],
+        per_page: perPage,
+        order_by: 'created_at',
+        sort: 'desc',
+        with_labels_details: true
+      }
+    });
+
+    return response.data.map(issue => ({
+      id: issue.id,
+      number: issue.iid,
+      title: issue.title,
+      body: issue.description,
+      state: issue.state === 'opened' ? 'open' : 'closed',
+      author: formatUser(issue.author),
+      createdAt: issue.created_at,
+      updatedAt: issue.updated_at,
+      url: issue.web_url,
+      labels: formatLabels(issue.labels),
+      assignees: formatAssignees(issue.assignees),
+      comments: issue.user_notes_count
+    }));
+  }
+
+  // Merge requests, shaped like pull requests
+  async listPullRequests({ state = 'all', perPage = 50 } = {}) {
+    const response = await this.api().get(`${this.projectPath}/merge_requests`, {
+      params: {
+        state: ISSUE_STATES[state],
+        per_page: perPage,
+        order_by: 'created_at',
+        sort: 'desc',
+        with_labels_details: true
+      }
+    });
+
+    return response.data.map(mr => ({
+      id: mr.id,
+      number: mr.iid,
+      title: mr.title,
+      body: mr.description,
+      state: mr.state === 'opened' ? 'open' : 'closed',
+      merged: mr.state === 'merged',
+      draft: Boolean(mr.draft ?? mr.work_in_progress),
+      author: formatUser(mr.author),
+      createdAt: mr.created_at,
+      updatedAt: mr.updated_at,
+      mergedAt: mr.merged_at,
+      url: mr.web_url,
+      head: {
+        ref: mr.source_branch,
+        sha: mr.sha
+      },
+      base: {
+        ref: mr.target_branch,
+        sha: mr.diff_refs?.base_sha
+      },
+      labels: formatLabels(mr.labels),
+      assignees: formatAssignees(mr.assignees),
+      reviewers: formatAssignees(mr.reviewers)
+    }));
+  }
+
+  async listCommits({ branch, perPage = 50 } = {}) {
+    const response = await this.api().get(`${this.projectPath}/repository/commits`, {
+      params: { ref_name: branch, per_page: perPage }
+    });
+
+    return response.data.map(formatCommit);
+  }
+
+  async listReleases({ perPage = 50 } = {}) {
+    const response = await this.api().get(`${this.projectPath}/releases`, {
+      params: { per_page: perPage }
+    });
+
+    return response.data.map(release => ({
+      // Releases are identified by their tag
+      id: release.tag_name,
+      tagName: release.tag_name,
+      name: release.name,
+      body: release.description,
+      draft: false,
+      prerelease: Boolean(release.upcoming_release),
+      author: formatUser(release.author),
+      createdAt: release.created_at,
+      publishedAt: release.released_at,
+      url: release._links?.self,
+      tarballUrl: release.assets?.sources?.find(source => source.format === 'tar.gz')?.url,
+      zipballUrl: release.assets?.sources?.find(source => source.format === 'zip')?.url,
+      assets: (release.assets?.links || []).map(link => ({
+        name: link.name,
+        size: null,
+        downloadCount: null,
+        url: link.url
+      }))
+    }));
+  }
+
+  async listBranches() {
+    const response = await this.api().get(`${this.projectPath}/repository/branches`, {
+      params: { per_page: 100 }
+    });
+
+    return response.data.map(branch => ({
+      name: branch.name,
+      sha: branch.commit.id,
+      protected: branch.protected
+    }));
+  }
+
+  // Tree entries, up to MAX_TREE_PAGES pages of them; truncated says whether
+  // more were left
+  async listTree(params) {
+    const api = this.api();
+    const entries = [];
+    let truncated = false;
+
+    for (let page = 1; page <= MAX_TREE_PAGES; page++) {
+      const response = await api.get(`${this.projectPath}/repository/tree`, {
+        params: { ...params, per_page: TREE_PAGE_SIZE, page }
+      });
+      entries.push(...response.data);
+      if (response.data.length < TREE_PAGE_SIZE) break;
+      truncated = page === MAX_TREE_PAGES;
+    }
+
+    return { entries, truncated };
+  }
+
+  rawUrl(path, ref) {
+    return `${this.baseUrl}/${this.repository.owner}/${this.repository.repo}/-/raw/${ref || 'HEAD'}/${path}`;
+  }
+
+  blobUrl(path, ref) {
+    return `${this.baseUrl}/${this.repository.owner}/${this.repository.repo}/-/blob/${ref || 'HEAD'}/${path}`;
+  }
+
+  async listContents({ path = '', ref } = {}) {
+    const { entries } = await this.listTree({ path: path || undefined, ref });
+
+    // GitLab answers a file path with an empty listing; look the file up instead
+    if (!entries.length && path) {
+      const file = await this.getFile({ path, ref });
+      return [{
+        name: file.name,
+        path: file.path,
+        type: 'file',
+        size: file.size,
+        sha: file.sha,
+        downloadUrl: file.downloadUrl,
+        htmlUrl: file.htmlUrl
+      }];
+    }
+
+    return entries.map(entry => ({
+      name: entry.name,
+      path: entry.path,
+      type: entry.type === 'tree' ? 'dir' : 'file',
+      size: null,
+      sha: entry.id,
+      downloadUrl: entry.type === 'blob' ? this.rawUrl(entry.path, ref) : null,
+      htmlUrl: this.blobUrl(entry.path, ref)
+    }));
+  }
+
+  // GitLab's files API only knows files; directories come back as 404
+  async getFile({ path, ref } = {}) {
+    const response = await this.api().get(
+      `${this.projectPath}/repository/files/${encodeURIComponent(path)}`,
+      { params: { ref: ref || 'HEAD' } }
+    );
+
+    const fileData = response.data;
+    return {
+      name: fileData.file_name,
+      path: fileData.file_path,
+      size: fileData.size,
+      sha: fileData.blob_id,
+      content: Buffer.from(fileData.content, fileData.encoding === 'base64' ? 'base64' : 'utf8'),
+      downloadUrl: this.rawUrl(fileData.file_path, ref),
+      htmlUrl: this.blobUrl(fileData.file_path, ref)
+    };
+  }
+
+  // Commits and changed files from the merge base of base to head. GitLab
+  // doesn't say how far head is behind, so that takes a second comparison.
+  async compare({ base, head }) {
+    const api = this.api();
+    const [forward, backward] = await Promise.all([
+      api.get(`${this.projectPath}/repository/compare`, { params: { from: base, to: head } }),
+      api.get(`${this.projectPath}/repository/compare`, { params: { from: head, to: base } })
+    ]);
+
+    const commits = forward.data.commits || [];
+    const behindBy = (backward.data.commits || []).length;
+
+    return {
+      base,
+      head,
+      status: compareStatus(commits.length, behindBy),
+      aheadBy: commits.length,
+      behindBy,
+      totalCommits: commits.length,
+      // GitLab lists commits newest first; GitHub (and the diff view) oldest first
+      commits: commits.map(formatCommit).reverse(),
+      files: (forward.data.diffs || []).map(diff => ({
+        filename: diff.new_path,
+        previousFilename: diff.renamed_file ? diff.old_path : null,
+        status: diffStatus(diff),
+        ...countChanges(diff.diff),
+        patch: diff.diff || null
+      })),
+      url: forward.data.web_url
+        || `${this.baseUrl}/${this.repository.owner}/${this.repository.repo}/-/compare/${base}...${head}`
+    };
+  }
+
+  // The merge request that brought in each commit (sha -> { number, title, url })
+  async mergeRequestsFor(shas) {
+    const api = this.api();
+    const unique = [...new Set(shas)].slice(0, MAX_MERGE_REQUEST_LOOKUPS);
+
+    const entries = await Promise.all(unique.map(async (sha) => {
+      try {
+        const response = await api.get(`${this.projectPath}/repository/commits/${sha}/merge_requests`);
+        const [mr] = response.data;
+        return [sha, mr ? { number: mr.iid, title: mr.title, url: mr.web_url } : null];
+      } catch (error) {
+        return [sha, null];
+      }
+    }));
+
+    return new Map(entries);
+  }
+
+  // Commits that touched a file, newest first
+  async getFileHistory({ path, ref, perPage = 30 }) {
+    const response = await this.api().get(`${this.projectPath}/repository/commits`, {
+      params: { path, ref_name: ref, per_page: perPage }
+    });
+
+    const commits = response.data.map(formatCommit);
+    const mergeRequests = await this.mergeRequestsFor(commits.map(commit => commit.sha));
+    return commits.map(commit => ({ ...commit, pullRequest: mergeRequests.get(commit.sha) || null }));
+  }
+
+  // The commit that last changed each line of a file, as ranges of lines.
+  // GitLab returns consecutive groups of lines, each with its commit.
+  async getBlame({ path, ref }) {
+    const response = await this.api().get(
+      `${this.projectPath}/repository/files/${encodeURIComponent(path)}/blame`,
+      { params: { ref: ref || 'HEAD' } }
+    );
+
+    const mergeRequests = await this.mergeRequestsFor(response.data.map(group => group.commit.id));
+    let line = 1;
+    return response.data.map(group => {
+      const range = {
+        startLine: line,
+        endLine: line + group.lines.length - 1,
+        commit: {
+          ...formatCommit(group.commit),
+          // Blame commits are abbreviated: no short id or web URL
+          shortSha: group.commit.id.substring(0, 7),
+          url: `${this.baseUrl}/${this.repository.owner}/${this.repository.repo}/-/commit/${group.commit.id}`,
+          pullRequest: mergeRequests.get(group.commit.id) || null
+        }
+      };
+      line += group.lines.length;
+      return range;
+    });
+  }
+
+  async listFiles({ ref } = {}) {
+    const { entries, truncated } = await this.listTree({ ref, recursive: true });
+
+    return {
+      files: entries
+        .filter(entry => entry.type === 'blob')
+        .map(entry => ({
+          path: entry.path,
+          name: entry.name,
+          size: 0,
+          type: 'file'
+        })),
+      truncated
+    };
+  }
+}
+
+GitLabProvider.normalizeInstanceUrl = normalizeInstanceUrl;
+
+module.exports = GitLabProvider;
@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+const githubCredentialService = require('../githubCredentialService');
+const GitHubProvider = require('./githubProvider');
+const GitLabProvider = require('./gitlabProvider');
+const LocalGitProvider = require('./localGitProvider');
+
+// Where a connected repository can live. Every provider offers the same
+// methods (getRepository, listIssues, listPullRequests, listCommits,
+// listReleases, listBranches, listContents, getFile, listFiles, compare,
+// getFileHistory, getBlame) and returns the shapes the GitHub tab already uses.
+// listFiles is capped and returns { files, truncated }.
+const PROVIDERS = {
+  github: GitHubProvider,
+  gitlab: GitLabProvider,
+  local: LocalGitProvider
+};
+
+const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+const providerFor = (repository) => {
+  const Provider = PROVIDERS[repository.provider || 'github'];
+  if (!Provider) {
+    throw new Error(`Unknown git provider: ${repository.provider}`);
+  }
+  return new Provider(repository);
+};
+
+// Check where a repository to connect lives: a known provider, owner and
+// repo, a path under LOCAL_GIT_ROOT for local repositories (path, or repo as
+// stored) and an enabled instance URL for GitLab ones. Returns { target }
+// ({ provider, owner, repo, baseUrl }, normalized) or { error }.
+const normalizeRepositoryTarget = ({ provider = 'github', owner, repo, path, baseUrl }) => {
+  if (!PROVIDER_NAMES.includes(provider)) {
+    return { error: `Provider must be one of: ${PROVIDER_NAMES.join(', ')}` };
+  }
+  if (baseUrl !== undefined && baseUrl !== null && typeof baseUrl !== 'string') {
+    return { error: 'The instance URL must be a string' };
+  }
+
+  if (provider === 'local') {
+    const local = LocalGitProvider.normalizeLocalPath(typeof (path ?? repo) === 'string' ? path ?? repo : '');
+    if (local.error) {
+      return { error: local.error };
+    }
+    return { target: { provider, owner: 'local', repo: local.path, baseUrl: undefined } };
+  }
+
+  if (typeof owner !== 'string' || typeof repo !== 'string' || !owner.trim() || !repo.trim()) {
+    return { error: 'Owner and repo are required' };
+  }
+  if (baseUrl?.trim() && provider !== 'gitlab') {
+    return { error: 'An instance URL can only be given for GitLab repositories' };
+  }
+
+  const instance = provider === 'gitlab' ? GitLabProvider.normalizeInstanceUrl(baseUrl) : {};
+  if (instance.error) {
+    return { error: instance.error };
+  }
+  return { target: { provider, owner: owner.trim(), repo: repo.trim(), baseUrl: instance.baseUrl } };
+};
+
+// Check that a repository can be read. GitHub repositories are read with the
+// given workspace credential, or with the server's token when there is none
+// (public repositories only); other providers use the server's configuration,
+// which for GitLab is a shared token too, so public projects only.
+// Returns { credential } or { status, message }.
+const checkRepositoryAccess = async (workspaceId, target, credentialId) => {
+  const provider = target.provider || 'github';
+  const { owner, repo, baseUrl } = target;
+  if (provider !== 'github') {
+    if (credentialId) {
+      return { status: 400, message: 'Workspace credentials can only be used with GitHub repositories' };
+    }
+
+    try {
+      const info = await providerFor({ provider, owner, repo, baseUrl }).getRepository();
+      if (provider === 'gitlab' && info.private) {
+        return { status: 400, message: 'Only public GitLab projects can be connected' };
+      }
+    } catch (error) {
+      if (error.response?.status === 404 || error.response?.status === 401) {
+        return { status: 404, message: 'Repository not found or not accessible' };
+      }
+      throw error;
+    }
+    return { credential: null };
+  }
+
+  let credential = null;
+  if (credentialId) {
+    if (!mongoose.Types.ObjectId.isValid(credentialId)) {
+      return { status: 400, message: 'Invalid credential ID format' };
+    }
+    credential = await githubCredentialService.findCredential(workspaceId, credentialId);
+    if (!credential) {
+      return { status: 404, message: 'GitHub credential not found' };
+    }
+  }
+
+  try {
+    const info = await providerFor({ owner, repo, credential: credential?._id }).getRepository();
+    if (!credential && info.private) {
+      return { status: 400, message: 'Private repositories need one of this workspace\'s GitHub credentials' };
+    }
+  } catch (error) {
+    if (error.response?.status === 404 || error.response?.status === 401) {
+      return {
+        status: 404,
+        message: credential
+          ? `Repository not found or not accessible with the "${credential.label}" credential`
+          : 'Repository not found or not accessible'
+      };
+    }
+    throw error;
+  }
+
+  return { credential };
+};
+
+// The repositories of a bundle or template that pass the same checks as a
+// repository connected by hand, without a credential (a copy doesn't carry
+// the source workspace's credentials). Returns { accessible, skipped }.
+const filterAccessibleRepositories = async (repositories) => {
+  const results = await Promise.all(repositories.map(async ({ label, ...repository }) => {
+    const { target, error } = normalizeRepositoryTarget(repository);
+    if (error) {
+      return { repository, message: error };
+    }
+
+    try {
+      const access = await checkRepositoryAccess(null, target);
+      return { repository: { label, ...target }, message: access.message };
+    } catch (error) {
+      return { repository: target, message: 'Repository could not be reached' };
+    }
+  }));
+
+  return {
+    accessible: results.filter(result => !result.message).map(result => result.repository),
+    skipped: results
+      .filter(result => result.message)
+      .map(({ repository, message }) => ({ ...repository, reason: message }))
+  };
+};
+
+module.exports = {
+  PROVIDER_NAMES,
+  providerFor,
+  normalizeRepositoryTarget,
+  checkRepositoryAccess,
+  filterAccessibleRepositories,
+  normalizeLocalPath: LocalGitProvider.normalizeLocalPath
+};
@@ -0,0 +1,390 @@
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { countChanges, compareStatus } = require('./patch');
+
+const GIT_TIMEOUT_MS = 15 * 1000;
+const GIT_MAX_BUFFER = 20 * 1024 * 1024;
+const MAX_TREE_FILES = 1000;
+// The same caps GitHub's compare API has
+const MAX_COMPARE_COMMITS = 250;
+const MAX_COMPARE_FILES = 300;
+const DEFAULT_DESCRIPTION = /^Unnamed repository;/;
+// Field and record separators for git --format output
+const FS = '\x1f';
+const RS = '\x1e';
+
+const notFound = (message) => {
+  const error = new Error(message);
+  error.response = { status: 404, data: { message } };
+  return error;
+};
+
+// The directory local repositories must live in, or null when local
+// repositories are disabled on this server
+const localRoot = () => (process.env.LOCAL_GIT_ROOT ? path.resolve(process.env.LOCAL_GIT_ROOT) : null);
+
+// Check a path given when connecting a local repository. Returns { path }
+// (normalized, relative to LOCAL_GIT_ROOT) or { error }.
+const normalizeLocalPath = (input) => {
+  const root = localRoot();
+  if (!root) {
+    return { error: 'Local git repositories are not enabled on this server' };
+  }
+  if (!input || !input.trim()) {
+    return { error: 'Repository path is required' };
+  }
+
+  const absolute = path.resolve(root, input.trim());
+  if (!absolute.startsWith(root + path.sep)) {
+    return { error: 'Repository path must be inside the server\'s local git directory' };
+  }
+
+  return { path: path.relative(root, absolute).split(path.sep).join('/') };
+};
+
+// Refs end up as git arguments; keep them from being read as options
+const checkRef = (ref) => {
+  if (ref && (ref.startsWith('-') || !/^[\w./@{}^~-]+$/.test(ref))) {
+    throw notFound(`Unknown revision ${ref}`);
+  }
+  return ref || 'HEAD';
+};
+
+// A git repository (bare or not) in a directory under LOCAL_GIT_ROOT, read
+// with the git command line. It has no issues or pull requests; tags stand in
+// for releases. owner is always "local" and repo the path under the root.
+class LocalGitProvider {
+  constructor(repository) {
+    this.repository = repository;
+  }
+
+  directory() {
+    const { path: relative, error } = normalizeLocalPath(this.repository.repo);
+    if (error) {
+      throw new Error(error);
+    }
+    return path.join(localRoot(), relative);
+  }
+
+  git(args, { encoding = 'utf8' } = {}) {
+    return new Promise((resolve, reject) => {
+      execFile('git', ['-c', 'core.quotePath=false', '-C', this.directory(), ...args], {
+        encoding,
+        timeout: GIT_TIMEOUT_MS,
+        maxBuffer: GIT_MAX_BUFFER
+      }, (error, stdout, stderr) => {
+        if (error) {
+          const message = String(stderr).trim() || error.message;
+          return reject(/not a git repository|cannot change to|does not exist|no such path|not a valid|unknown revision|bad revision|invalid object name|ambiguous argument/i.test(message)
+            ? notFound(message)
+            : new Error(message));
+        }
+        resolve(stdout);
+      });
+    });
+  }
+
+  records(output) {
+    return output.split(RS).map(record => record.trim()).filter(Boolean).map(record => record.split(FS));
+  }
+
+  async getRepository() {
+    const directory = this.directory();
+    const [head, lastCommit, firstCommit] = await Promise.all([
+      this.git(['symbolic-ref', '--short', 'HEAD']).catch(() => ''),
+      this.git(['log', '-1', '--format=%cI']).catch(() => ''),
+      this.git(['log', '--max-parents=0', '--format=%cI']).catch(() => '')
+    ]);
+
+    // Bare repositories keep a description file; git's placeholder means "none"
+    let description = null;
+    for (const candidate of ['description', '.git/description']) {
+      try {
+        const text = fs.readFileSync(path.join(directory, candidate), 'utf8').trim();
+        if (text && !DEFAULT_DESCRIPTION.test(text)) {
+          description = text;
+        }
+        break;
+      } catch (error) {
+        // Not there; try the next location
+      }
+    }
+
+    const name = path.basename(directory).replace(/\.git$/, '');
+    const roots = firstCommit.trim().split('\n').filter(Boolean).sort();
+
+    return {
+      id: this.repository.repo,
+      name,
+      fullName: `local/${this.repository.repo}`,
+      description,
+      private: true,
+      url: null,
+      cloneUrl: null,
+      defaultBranch: head.trim() || null,
+      language: null,
+      stars: 0,
+      forks: 0,
+      watchers: 0,
+      openIssues: 0,
+      size: null,
+      createdAt: roots[0] || null,
+      updatedAt: lastCommit.trim() || null,
+      pushedAt: lastCommit.trim() || null,
+      owner: {
+        login: 'local',
+        avatar: null,
+        url: null,
+        type: 'Organization'
+      },
+      topics: [],
+      license: null
+    };
+  }
+
+  async listIssues() {
+    return [];
+  }
+
+  async listPullRequests() {
+    return [];
+  }
+
+  async listCommits({ branch, perPage = 50 } = {}) {
+    return this.log(['-n', String(perPage), checkRef(branch)]);
+  }
+
+  async log(args, paths = []) {
+    const format = ['%H', '%an', '%ae', '%aI', '%cn', '%ce', '%cI', '%B'].join(FS) + RS;
+    const output = await this.git(['log', `--format=${format}`, ...args, '--', ...paths]);
+
+    return this.records(output).map(([sha, authorName, authorEmail, authorDate, committerName, committerEmail, committerDate, message]) => ({
+      sha,
+      shortSha: sha.substring(0, 7),
+      message: message.trim(),
+      author: { name: authorName, email: authorEmail, date: authorDate },
+      committer: { name: committerName, email: committerEmail, date: committerDate },
+      url: null
+    }));
+  }
+
+  // Tags, newest first, as releases
+  async listReleases({ perPage = 50 } = {}) {
+    const format = ['%(refname:short)', '%(creatordate:iso-strict)', '%(taggername)', '%(contents:subject)'].join(FS) + RS;
+    const output = await this.git(['for-each-ref', '--sort=-creatordate', `--count=${perPage}`, `--format=${format}`, 'refs/tags']);
+
+    return this.records(output).map(([tag, date, tagger, subject]) => ({
+      id: tag,
+      tagName: tag,
+      name: tag,
+      body: subject || null,
+      draft: false,
+      prerelease: false,
+      author: { login: tagger || null },
+      createdAt: date,
+      publishedAt: date,
+      url: null,
+      assets: []
+    }));
+  }
+
+  async listBranches() {
+    const output = await this.git(['for-each-ref', `--format=%(refname:short)${FS}%(objectname)${RS}`, 'refs/heads']);
+    return this.records(output).map(([name, sha]) => ({ name, sha, protected: false }));
+  }
+
+  // ls-tree -l lines: "<mode> <type> <object> <size>\t<path>"
+  parseTree(output) {
+    return output.split('\n').filter(Boolean).map(line => {
+      const [meta, entryPath] = line.split('\t');
+      const [, type, sha, size] = meta.split(/\s+/);
+      return { type, sha, size: size === '-' ? null : Number(size), path: entryPath };
+    });
+  }
+
+  async listContents({ path: dirPath = '', ref } = {}) {
+    const revision = checkRef(ref);
+    const trimmed = dirPath.replace(/^\/+|\/+$/g, '');
+
+    // With a trailing slash ls-tree lists a directory's entries; without, a
+    // file path lists the file itself
+    let entries = this.parseTree(await this.git(['ls-tree', '-l', revision, ...(trimmed ? ['--', `${trimmed}/`] : [])]));
+    if (!entries.length && trimmed) {
+      entries = this.parseTree(await this.git(['ls-tree', '-l', revision, '--', trimmed]));
+    }
+    if (!entries.length && trimmed) {
+      throw notFound(`Path ${trimmed} not found`);
+    }
+
+    return entries.map(entry => ({
+      name: entry.path.split('/').pop(),
+      path: entry.path,
+      type: entry.type === 'tree' ? 'dir' : 'file',
+      size: entry.size,
+      sha: entry.sha,
+      downloadUrl: null,
+      htmlUrl: null
+    }));
+  }
+
+  async getFile({ path: filePath, ref } = {}) {
+    const object = `${checkRef(ref)}:${filePath.replace(/^\/+/, '')}`;
+    const type = (await this.git(['cat-file', '-t', object])).trim();
+    if (type !== 'blob') {
+      return null;
+    }
+
+    const [sha, content] = await Promise.all([
+      this.git(['rev-parse', object]),
+      this.git(['cat-file', 'blob', object], { encoding: 'buffer' })
+    ]);
+
+    return {
+      name: filePath.split('/').pop(),
+      path: filePath,
+      size: content.length,
+      sha: sha.trim(),
+      content,
+      downloadUrl: null,
+      htmlUrl: null
+    };
+  }
+
+  // Commits and changed files from the merge base of base to head, like
+  // GitHub's three-dot compare
+  async compare({ base, head }) {
+    const from = checkRef(base);
+    const to = checkRef(head);
+
+    const [ahead, behind] = await Promise.all([
+      this.git(['rev-list', '--count', `${from}..${to}`, '--']),
+      this.git(['rev-list', '--count', `${to}..${from}`, '--'])
+    ]);
+    const [commits, diff] = await Promise.all([
+      this.log(['--reverse', `${from}..${to}`]),
+      this.git(['diff', '--no-color', '--no-ext-diff', '--find-renames', `${from}...${to}`, '--'])
+    ]);
+    const aheadBy = Number(ahead.trim());
+    const behindBy = Number(behind.trim());
+
+    return {
+      base,
+      head,
+      status: compareStatus(aheadBy, behindBy),
+      aheadBy,
+      behindBy,
+      totalCommits: aheadBy,
+      commits: commits.slice(-MAX_COMPARE_COMMITS),
+      files: this.parseDiff(diff).slice(0, MAX_COMPARE_FILES),
+      url: null
+    };
+  }
+
+  // Split `git diff` output into files: the extended header lines say what
+  // happened to the file, everything from the first hunk on is its patch
+  parseDiff(output) {
+    return output.split(/^diff --git /m).filter(Boolean).map(section => {
+      const lines = section.replace(/\n$/, '').split('\n');
+      const hunkStart = lines.findIndex(line => line.startsWith('@@'));
+      const header = hunkStart === -1 ? lines : lines.slice(0, hunkStart);
+      const patch = hunkStart === -1 ? null : lines.slice(hunkStart).join('\n');
+
+      // "a/old b/new" on the first line; the +++ and rename lines are more
+      // reliable when they're there
+      const [, newPath] = header[0].match(/^a\/.* b\/(.*)$/) || [];
+      const file = { filename: newPath, previousFilename: null, status: 'modified' };
+      for (const line of header.slice(1)) {
+        if (line.startsWith('new file mode')) file.status = 'added';
+        else if (line.startsWith('deleted file mode')) file.status = 'removed';
+        else if (line.startsWith('rename from ')) {
+          file.status = 'renamed';
+          file.previousFilename = line.slice('rename from '.length);
+        } else if (line.startsWith('rename to ')) file.filename = line.slice('rename to '.length);
+        // git ends the name with a tab when it contains spaces
+        else if (line.startsWith('+++ b/')) file.filename = line.slice('+++ b/'.length).replace(/\t$/, '');
+      }
+
+      return { ...file, ...countChanges(patch), patch };
+    });
+  }
+
+  // Commits that touched a file (following renames), newest first. There
+  // are no pull requests to link.
+  async getFileHistory({ path: filePath, ref, perPage = 30 }) {
+    const commits = await this.log(['-n', String(perPage), '--follow', checkRef(ref)], [filePath]);
+    if (!commits.length) {
+      throw notFound(`Path ${filePath} not found`);
+    }
+    return commits.map(commit => ({ ...commit, pullRequest: null }));
+  }
+
+  // The commit that last changed each line of a file, as ranges of lines.
+  // Porcelain output gives every line's commit; a commit's details follow
+  // its first appearance only.
+  async getBlame({ path: filePath, ref }) {
+    const output = await this.git(['blame', '--porcelain', checkRef(ref), '--', filePath]);
+
+    const commits = new Map();
+    const lineCommits = [];
+    let current = null;
+    for (const line of output.split('\n')) {
+      const header = line.match(/^([0-9a-f]{40}) \d+ \d+/);
+      if (header) {
+        const sha = header[1];
+        if (!commits.has(sha)) {
+          commits.set(sha, {
+            sha,
+            shortSha: sha.substring(0, 7),
+            message: '',
+            author: {},
+            url: null,
+            pullRequest: null
+          });
+        }
+        current = commits.get(sha);
+      } else if (line.startsWith('\t')) {
+        lineCommits.push(current);
+      } else if (line.startsWith('author ')) {
+        current.author.name = line.slice('author '.length);
+      } else if (line.startsWith('author-mail ')) {
+        current.author.email = line.slice('author-mail '.length).replace(/^<|>$/g, '');
+      } else if (line.startsWith('author-time ')) {
+        current.author.date = new Date(Number(line.slice('author-time '.length)) * 1000).toISOString();
+      } else if (line.startsWith('summary ')) {
+        current.message = line.slice('summary '.length);
+      }
+    }
+
+    // Consecutive lines from the same commit make one range
+    const ranges = [];
+    lineCommits.forEach((commit, index) => {
+      const last = ranges[ranges.length - 1];
+      if (last && last.commit === commit) {
+        last.endLine = index + 1;
+      } else {
+        ranges.push({ startLine: index + 1, endLine: index + 1, commit });
+      }
+    });
+    return ranges;
+  }
+
+  async listFiles({ ref } = {}) {
+    const output = await this.git(['ls-tree', '-r', '-l', '--full-tree', checkRef(ref)]);
+
+    const blobs = this.parseTree(output).filter(entry => entry.type === 'blob');
+    return {
+      files: blobs.slice(0, MAX_TREE_FILES).map(entry => ({
+        path: entry.path,
+        name: entry.path.split('/').pop(),
+        size: entry.size || 0,
+        type: 'file'
+      })),
+      truncated: blobs.length > MAX_TREE_FILES
+    };
+  }
+}
+
+LocalGitProvider.normalizeLocalPath = normalizeLocalPath;
+
+module.exports = LocalGitProvider;
@@ -0,0 +1,28 @@
+// Helpers for providers that hand back raw unified diffs rather than
+// GitHub's per-file counts
+
+// Added and removed lines in a patch (hunks only, without file headers)
+const countChanges = (patch) => {
+  let additions = 0;
+  let deletions = 0;
+
+  for (const line of (patch || '').split('\n')) {
+    if (line.startsWith('+')) additions++;
+    else if (line.startsWith('-')) deletions++;
+  }
+
+  return { additions, deletions, changes: additions + deletions };
+};
+
+// GitHub's vocabulary for how head relates to base
+const compareStatus = (aheadBy, behindBy) => {
+  if (aheadBy && behindBy) return 'diverged';
+  if (aheadBy) return 'ahead';
+  if (behindBy) return 'behind';
+  return 'identical';
+};
+
+module.exports = {
+  countChanges,
+  compareStatus
+};
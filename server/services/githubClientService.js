@@ -0,0 +1,242 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+const GITHUB_API_URL = 'https://api.github.com';
+// Within the TTL a cached GET is answered without asking GitHub; after it,
+// GitHub is asked with If-None-Match, and a 304 costs no rate limit
+const DEFAULT_CACHE_TTL_MS = 60 * 1000;
+const MAX_CACHE_ENTRIES = 1000;
+// Trees and file contents can be megabytes each; the entry count alone
+// doesn't bound memory. Larger responses aren't cached at all.
+const MAX_CACHE_BYTES = 50 * 1024 * 1024;
+const MAX_CACHE_ENTRY_BYTES = 5 * 1024 * 1024;
+// Retries for secondary rate limits and GitHub server errors
+const MAX_RETRIES = 2;
+const BASE_BACKOFF_MS = 500;
+// Don't hold a request open for longer than this waiting out a Retry-After
+const MAX_RETRY_AFTER_MS = 10 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Roughly what a response body takes up, by its size on the wire
+const sizeOf = (data) => {
+  if (Buffer.isBuffer(data) || typeof data === 'string') return Buffer.byteLength(data);
+  return Buffer.byteLength(JSON.stringify(data) || '');
+};
+
+class GitHubClientService {
+  constructor() {
+    // cache key -> { etag, data, status, headers, storedAt, size }; Map order doubles as LRU order
+    this.cache = new Map();
+    this.cacheBytes = 0;
+    // identity -> { [resource]: { limit, remaining, used, resetAt, updatedAt } }
+    this.rateLimits = new Map();
+  }
+
+  // Tokens are never kept as keys; a short hash tells identities apart
+  identityOf(token) {
+    return token
+      ? crypto.createHash('sha256').update(token).digest('hex').slice(0, 16)
+      : 'anonymous';
+  }
+
+  cacheKey(identity, config) {
+    const params = new URLSearchParams(
+      Object.entries(config.params || {})
+        .filter(([, value]) => value !== undefined && value !== null)
+        .sort(([a], [b]) => a.localeCompare(b))
+    );
+    return `${identity} ${config.url}?${params}`;
+  }
+
+  forget(key) {
+    const entry = this.cache.get(key);
+    if (entry) {
+      this.cacheBytes -= entry.size;
+      this.cache.delete(key);
+    }
+  }
+
+  remember(key, response) {
+    this.forget(key);
+
+    const size = sizeOf(response.data);
+    if (size > MAX_CACHE_ENTRY_BYTES) return;
+
+    this.cache.set(key, {
+      etag: response.headers.etag,
+      data: response.data,
+      status: response.status,
+      headers: { etag: response.headers.etag, link: response.headers.link },
+      storedAt: Date.now(),
+      size
+    });
+    this.cacheBytes += size;
+
+    while (this.cache.size > MAX_CACHE_ENTRIES || this.cacheBytes > MAX_CACHE_BYTES) {
+      this.forget(this.cache.keys().next().value);
+    }
+  }
+
+  cachedResponse(entry, config) {
+    return {
+      data: entry.data,
+      status: entry.status,
+      statusText: 'OK',
+      headers: { ...entry.headers, 'x-echohub-cache': 'hit' },
+      config,
+      request: null
+    };
+  }
+
+  recordRateLimit(identity, headers) {
+    if (!headers || headers['x-ratelimit-limit'] === undefined) return;
+
+    const resource = headers['x-ratelimit-resource'] || 'core';
+    const limits = this.rateLimits.get(identity) || {};
+    limits[resource] = {
+      limit: Number(headers['x-ratelimit-limit']),
+      remaining: Number(headers['x-ratelimit-remaining']),
+      used: Number(headers['x-ratelimit-used']),
+      resetAt: new Date(Number(headers['x-ratelimit-reset']) * 1000),
+      updatedAt: new Date()
+    };
+    this.rateLimits.set(identity, limits);
+  }
+
+  // Last known rate-limit budget per resource for a token, or null before
+  // any request was made with it
+  rateLimitFor(token) {
+    return this.rateLimits.get(this.identityOf(token)) || null;
+  }
+
+  // True when the token's core budget is spent and hasn't reset yet
+  isExhausted(identity) {
+    const core = this.rateLimits.get(identity)?.core;
+    return Boolean(core && core.remaining === 0 && core.resetAt.getTime() > Date.now());
+  }
+
+  // How long to wait before retrying a failed request, or null to give up
+  retryDelay(error, attempt) {
+    const { response } = error;
+    if (!response || attempt >= MAX_RETRIES) return null;
+
+    if (response.status >= 500) {
+      return BASE_BACKOFF_MS * 2 ** attempt;
+    }
+
+    // Secondary rate limits say how long to back off; primary ones (remaining
+    // 0) last until the reset and aren't worth waiting for
+    const retryAfter = Number(response.headers['retry-after']);
+    if ((response.status === 403 || response.status === 429) && retryAfter) {
+      const delay = retryAfter * 1000;
+      return delay <= MAX_RETRY_AFTER_MS ? delay : null;
+    }
+
+    return null;
+  }
+
+  // An axios instance for the GitHub REST API. GET requests are cached per
+  // token; pass `cache: false` in a request's config to skip the cache or
+  // `cacheTtl` (ms) to change how long a response is served without asking.
+  createClient(token) {
+    const identity = this.identityOf(token);
+    const client = axios.create({
+      baseURL: GITHUB_API_URL,
+      headers: {
+        ...(token && { 'Authorization': `token ${token}` }),
+        'Accept': 'application/vnd.github.v3+json',
+        'User-Agent': 'EchoHub-App'
+      },
+      // 304 Not Modified is answered from the cache below
+      validateStatus: (status) => (status >= 200 && status < 300) || status === 304
+    });
+
+    client.interceptors.request.use((config) => {
+      if (config.method !== 'get' || config.cache === false) {
+        return config;
+      }
+
+      const key = this.cacheKey(identity, config);
+      const entry = this.cache.get(key);
+      const ttl = config.cacheTtl ?? DEFAULT_CACHE_TTL_MS;
+      config.cacheKey = key;
+      if (entry) {
+        // Keep recently used entries at the back of the eviction order
+        this.cache.delete(key);
+        this.cache.set(key, entry);
+      }
+
+      // Fresh enough, or GitHub would refuse us anyway: answer from the cache
+      if (entry && (Date.now() - entry.storedAt < ttl || this.isExhausted(identity))) {
+        config.adapter = () => Promise.resolve(this.cachedResponse(entry, config));
+        return config;
+      }
+
+      if (this.isExhausted(identity)) {
+        const { resetAt } = this.rateLimits.get(identity).core;
+        const error = new Error(`GitHub rate limit exceeded; it resets at ${resetAt.toISOString()}`);
+        error.response = { status: 429, data: { message: error.message }, headers: {} };
+        throw error;
+      }
+
+      if (entry?.etag) {
+        config.headers.set('If-None-Match', entry.etag);
+      }
+      return config;
+    });
+
+    client.interceptors.response.use(
+      (response) => {
+        const { config } = response;
+        this.recordRateLimit(identity, response.headers);
+
+        if (!config.cacheKey || response.headers['x-echohub-cache']) {
+          return response;
+        }
+
+        if (response.status === 304) {
+          const entry = this.cache.get(config.cacheKey);
+          if (entry) {
+            entry.storedAt = Date.now();
+            return this.cachedResponse(entry, config);
+          }
+          // Evicted since the request went out; ask again without the ETag
+          config.headers.delete('If-None-Match');
+          config.cache = false;
+          return client.request(config);
+        }
+
+        if (response.headers.etag) {
+          this.remember(config.cacheKey, response);
+        }
+        return response;
+      },
+      async (error) => {
+        const { config } = error;
+        this.recordRateLimit(identity, error.response?.headers);
+        if (!config) throw error;
+
+        config.retryAttempt = config.retryAttempt || 0;
+        const delay = this.retryDelay(error, config.retryAttempt);
+        if (delay !== null) {
+          config.retryAttempt += 1;
+          await sleep(delay);
+          return client.request(config);
+        }
+
+        // Better stale data than none while GitHub is failing or rate limiting us
+        const entry = config.cacheKey && this.cache.get(config.cacheKey);
+        if (entry && (!error.response || error.response.status >= 500 || this.isExhausted(identity))) {
+          return this.cachedResponse(entry, config);
+        }
+
+        throw error;
+      }
+    );
+
+    return client;
+  }
+}
+
+module.exports = new GitHubClientService();
@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const GitHubCredential = require('../models/GitHubCredential');
+const githubClientService = require('./githubClientService');
+const { seal, open } = require('../utils/secretBox');
+
+const GITHUB_API_URL = 'https://api.github.com';
+const SECRET_FIELDS = '+encryptedToken +app.encryptedPrivateKey';
+// Renew installation tokens a little before GitHub expires them
+const INSTALLATION_TOKEN_MARGIN_MS = 5 * 60 * 1000;
+// Don't write lastUsedAt on every request
+const LAST_USED_GRANULARITY_MS = 60 * 1000;
+
+class GitHubCredentialService {
+  constructor() {
+    // credential id -> { token, expiresAt }
+    this.installationTokens = new Map();
+  }
+
+  createClient(token) {
+    return githubClientService.createClient(token);
+  }
+
+  // The server's own GITHUB_TOKEN. Workspaces without a credential of their
+  // own may only connect public repositories through it.
+  serverClient() {
+    return this.createClient(process.env.GITHUB_TOKEN);
+  }
+
+  appJwt(appId, privateKey) {
+    const now = Math.floor(Date.now() / 1000);
+    // Backdated a minute for clock drift; GitHub allows at most ten minutes
+    return jwt.sign({ iat: now - 60, exp: now + 9 * 60, iss: appId }, privateKey, { algorithm: 'RS256' });
+  }
+
+  async requestInstallationToken(appId, installationId, privateKey) {
+    const response = await axios.post(
+      `${GITHUB_API_URL}/app/installations/${installationId}/access_tokens`,
+      {},
+      {
+        headers: {
+          'Authorization': `Bearer ${this.appJwt(appId, privateKey)}`,
+          'Accept': 'application/vnd.github.v3+json',
+          'User-Agent': 'EchoHub-App'
+        }
+      }
+    );
+
+    return { token: response.data.token, expiresAt: new Date(response.data.expires_at) };
+  }
+
+  // Check a credential against GitHub before storing it.
+  // Returns { accountLogin } or { error }.
+  async verify({ type, token, appId, installationId, privateKey }) {
+    if (type === 'app') {
+      try {
+        crypto.createPrivateKey(privateKey);
+      } catch (error) {
+        return { error: 'The GitHub App private key is not a valid PEM key' };
+      }
+    }
+
+    try {
+      if (type === 'token') {
+        const response = await this.createClient(token).get('/user', { cache: false });
+        return { accountLogin: response.data.login };
+      }
+
+      const { token: installationToken } = await this.requestInstallationToken(appId, installationId, privateKey);
+      const response = await this.createClient(installationToken).get('/installation/repositories', {
+        params: { per_page: 1 },
+        cache: false
+      });
+      const [repository] = response.data.repositories;
+      return { accountLogin: repository?.owner.login || null };
+    } catch (error) {
+      if (error.response?.status === 401 || error.response?.status === 404) {
+        return { error: 'GitHub did not accept this credential' };
+      }
+      throw error;
+    }
+  }
+
+  // Verify and store a credential. Returns { credential } or { error }.
+  async createCredential(workspaceId, userId, { label, type, token, appId, installationId, privateKey }) {
+    const { accountLogin, error } = await this.verify({ type, token, appId, installationId, privateKey });
+    if (error) {
+      return { error };
+    }
+
+    const credential = await GitHubCredential.create({
+      workspace: workspaceId,
+      label,
+      type,
+      accountLogin,
+      createdBy: userId,
+      ...(type === 'token'
+        ? { encryptedToken: seal(token), tokenHint: token.slice(-4) }
+        : { app: { appId, installationId, encryptedPrivateKey: seal(privateKey) } })
+    });
+
+    return { credential };
+  }
+
+  async listCredentials(workspaceId) {
+    return GitHubCredential.find({ workspace: workspaceId })
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 });
+  }
+
+  async findCredential(workspaceId, credentialId) {
+    return GitHubCredential.findOne({ _id: credentialId, workspace: workspaceId });
+  }
+
+  async removeCredential(credential) {
+    this.installationTokens.delete(credential._id.toString());
+    await credential.deleteOne();
+  }
+
+  // Access token for a stored credential; app installation tokens are cached until near expiry
+  async tokenFor(credentialId) {
+    const key = credentialId.toString();
+    const cached = this.installationTokens.get(key);
+    if (cached && cached.expiresAt.getTime() - Date.now() > INSTALLATION_TOKEN_MARGIN_MS) {
+      return cached.token;
+    }
+
+    const credential = await GitHubCredential.findById(credentialId).select(SECRET_FIELDS);
+    if (!credential) {
+      throw new Error('GitHub credential not found');
+    }
+
+    if (!credential.lastUsedAt || Date.now() - credential.lastUsedAt.getTime() > LAST_USED_GRANULARITY_MS) {
+      await GitHubCredential.updateOne({ _id: credential._id }, { lastUsedAt: new Date() });
+    }
+
+    if (credential.type === 'token') {
+      return open(credential.encryptedToken);
+    }
+
+    const installationToken = await this.requestInstallationToken(
+      credential.app.appId,
+      credential.app.installationId,
+      open(credential.app.encryptedPrivateKey)
+    );
+    this.installationTokens.set(key, installationToken);
+    return installationToken.token;
+  }
+
+  // Token for a connected repository: its own credential, else the server's
+  async tokenForRepository(repository) {
+    return repository.credential
+      ? this.tokenFor(repository.credential)
+      : process.env.GITHUB_TOKEN;
+  }
+
+  async clientFor(repository) {
+    return this.createClient(await this.tokenForRepository(repository));
+  }
+}
+
+module.exports = new GitHubCredentialService();
@@ -0,0 +1,279 @@
+const crypto = require('crypto');
+const Workspace = require('../models/Workspace');
+const GitHubWebhookDelivery = require('../models/GitHubWebhookDelivery');
+const GitHubActivity = require('../models/GitHubActivity');
+const {
+  formatIssue,
+  formatPullRequest,
+  formatPushCommit,
+  formatRelease
+} = require('../utils/githubFormatters');
+
+const SUPPORTED_EVENTS = ['push', 'pull_request', 'issues', 'release'];
+const MAX_TITLE_LENGTH = 300;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Webhooks only come from github.com; a GitLab or local repository with the
+// same owner/repo must not pick up its events
+const connectedGitHubRepository = (workspace, fullName) => workspace.repositories.find(repository =>
+  (repository.provider || 'github') === 'github' &&
+  `${repository.owner}/${repository.repo}`.toLowerCase() === fullName.toLowerCase()
+);
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// Actions that don't read as a verb on their own ("al synchronize pull request")
+const ACTION_VERBS = {
+  synchronize: 'pushed to',
+  review_requested: 'requested review on',
+  review_request_removed: 'removed the review request on',
+  ready_for_review: 'marked ready for review',
+  converted_to_draft: 'converted to draft'
+};
+
+const verbFor = (action) => ACTION_VERBS[action] || action.replace(/_/g, ' ');
+
+// What an event means for a workspace: the activity feed entry, and how the
+// GitHub tab's lists change. `update` is { list, items } to add or replace
+// items, or { list, removed } with ids to drop; null when no list changes.
+const describeEvent = (event, payload) => {
+  const { action, sender, repository } = payload;
+  const actor = sender?.login || 'Someone';
+
+  switch (event) {
+    case 'push': {
+      const ref = payload.ref || '';
+      const isTag = ref.startsWith('refs/tags/');
+      const name = ref.replace(/^refs\/(heads|tags)\//, '');
+      const commits = payload.commits || [];
+
+      let title;
+      if (payload.deleted) {
+        title = `${actor} deleted ${isTag ? 'tag' : 'branch'} ${name}`;
+      } else if (isTag) {
+        title = `${actor} pushed tag ${name}`;
+      } else {
+        title = `${actor} pushed ${plural(commits.length, 'commit')} to ${name}`;
+      }
+
+      // The commits list follows the default branch
+      const onDefaultBranch = !isTag && name === repository.default_branch;
+      return {
+        title,
+        url: payload.compare,
+        occurredAt: payload.head_commit?.timestamp,
+        update: onDefaultBranch && commits.length
+          ? { list: 'commits', items: commits.map(formatPushCommit).reverse() }
+          : null
+      };
+    }
+
+    case 'pull_request': {
+      const pr = payload.pull_request;
+      const verb = action === 'closed' && pr.merged_at ? 'merged' : verbFor(action);
+      return {
+        title: `${actor} ${verb} pull request #${pr.number}: ${pr.title}`,
+        url: pr.html_url,
+        occurredAt: pr.updated_at,
+        update: { list: 'pullRequests', items: [formatPullRequest(pr)] }
+      };
+    }
+
+    case 'issues': {
+      const { issue } = payload;
+      // The issues list only holds open issues
+      const gone = ['closed', 'deleted', 'transferred'].includes(action);
+      return {
+        title: `${actor} ${verbFor(action)} issue #${issue.number}: ${issue.title}`,
+        url: issue.html_url,
+        occurredAt: issue.updated_at,
+        update: gone
+          ? { list: 'issues', removed: [issue.id] }
+          : { list: 'issues', items: [formatIssue(issue)] }
+      };
+    }
+
+    case 'release': {
+      const { release } = payload;
+      const gone = ['deleted', 'unpublished'].includes(action);
+      return {
+        title: `${actor} ${action} release ${release.name || release.tag_name}`,
+        url: release.html_url,
+        occurredAt: release.published_at || release.created_at,
+        update: gone
+          ? { list: 'releases', removed: [release.id] }
+          : { list: 'releases', items: [formatRelease(release)] }
+      };
+    }
+
+    default:
+      throw new Error(`Unsupported GitHub event: ${event}`);
+  }
+};
+
+class GitHubWebhookService {
+  supports(event) {
+    return SUPPORTED_EVENTS.includes(event);
+  }
+
+  // Check X-Hub-Signature-256 ("sha256=<hex>") against the raw request body
+  verifySignature(rawBody, signature) {
+    const secret = process.env.GITHUB_WEBHOOK_SECRET;
+    if (!secret || !signature) {
+      return false;
+    }
+
+    const expected = Buffer.from(
+      `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`
+    );
+    const received = Buffer.from(signature);
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  // Store a delivery. Redeliveries from GitHub reuse the delivery id and
+  // overwrite the stored copy.
+  async receive({ deliveryId, event, payload }) {
+    return GitHubWebhookDelivery.findOneAndUpdate(
+      { deliveryId },
+      {
+        $set: {
+          event,
+          action: payload.action,
+          repositoryFullName: payload.repository.full_name.toLowerCase(),
+          payload,
+          status: 'received',
+          error: null
+        }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  // Live workspaces that connect a repository ("owner/repo")
+  async matchingWorkspaces(fullName) {
+    const [, repo] = fullName.split('/');
+    const repoPattern = new RegExp(`^${escapeRegExp(repo)}$`, 'i');
+
+    const workspaces = await Workspace.find({
+      deletedAt: null,
+      $or: [
+        { 'repositories.repo': repoPattern },
+        { 'githubRepository.repo': repoPattern }
+      ]
+    });
+
+    return workspaces.filter(workspace => connectedGitHubRepository(workspace, fullName));
+  }
+
+  // Record a delivery as activity in every workspace connecting its
+  // repository (or only in `workspace`, for replays) and push it to the
+  // workspace rooms. Returns the activities written.
+  async process(delivery, io, { workspace } = {}) {
+    try {
+      const workspaces = workspace
+        ? [workspace]
+        : await this.matchingWorkspaces(delivery.repositoryFullName);
+      const { title, url, occurredAt, update } = describeEvent(delivery.event, delivery.payload);
+      const sender = delivery.payload.sender;
+
+      const activities = [];
+      for (const target of workspaces) {
+        const repository = connectedGitHubRepository(target, delivery.repositoryFullName);
+        if (!repository) continue;
+
+        const repositoryRef = {
+          id: repository._id,
+          label: repository.label,
+          fullName: `${repository.owner}/${repository.repo}`
+        };
+
+        const activity = await GitHubActivity.findOneAndUpdate(
+          { workspace: target._id, delivery: delivery._id },
+          {
+            $set: {
+              repository: repositoryRef,
+              event: delivery.event,
+              action: delivery.action,
+              title: title.slice(0, MAX_TITLE_LENGTH),
+              url,
+              actor: sender ? { login: sender.login, avatar: sender.avatar_url } : undefined,
+              occurredAt: occurredAt || delivery.createdAt
+            }
+          },
+          { upsert: true, new: true, setDefaultsOnInsert: true, runValidators: true }
+        );
+        activities.push(activity);
+
+        if (io) {
+          io.to(`workspace-${target._id}`).emit('github-event', {
+            workspaceId: target._id.toString(),
+            activity,
+            update: update && {
+              ...update,
+              ...(update.items && {
+                items: update.items.map(item => ({ ...item, repository: repositoryRef }))
+              })
+            }
+          });
+        }
+      }
+
+      const workspaceIds = activities.map(activity => activity.workspace);
+      if (workspace) {
+        delivery.workspaces.addToSet(...workspaceIds);
+      } else {
+        delivery.workspaces = workspaceIds;
+      }
+      delivery.status = delivery.workspaces.length ? 'processed' : 'unmatched';
+      delivery.error = null;
+      delivery.processedAt = new Date();
+      await delivery.save();
+
+      return activities;
+    } catch (error) {
+      delivery.status = 'failed';
+      delivery.error = error.message;
+      await delivery.save();
+      throw error;
+    }
+  }
+
+  async recentActivity(workspaceId, limit) {
+    return GitHubActivity.find({ workspace: workspaceId })
+      .sort({ occurredAt: -1 })
+      .limit(limit);
+  }
+
+  // Stored deliveries for the workspace's repositories, without payloads
+  async listDeliveries(workspace, limit) {
+    const fullNames = workspace.repositories.map(repository =>
+      `${repository.owner}/${repository.repo}`.toLowerCase()
+    );
+
+    return GitHubWebhookDelivery.find({ repositoryFullName: { $in: fullNames } })
+      .select('-payload')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+  }
+
+  // Process a stored delivery again for one workspace.
+  // Returns { activity, delivery } or { error }.
+  async replay(workspace, deliveryId, io) {
+    const delivery = await GitHubWebhookDelivery.findOne({ deliveryId });
+    if (!delivery || !connectedGitHubRepository(workspace, delivery.repositoryFullName)) {
+      return { error: 'Webhook delivery not found for this workspace' };
+    }
+
+    const [activity] = await this.process(delivery, io, { workspace });
+
+    delivery.replayCount += 1;
+    delivery.lastReplayedAt = new Date();
+    await delivery.save();
+
+    return { activity, delivery };
+  }
+}
+
+module.exports = new GitHubWebhookService();
@@ -0,0 +1,246 @@
+const path = require('path').posix;
+const { builtinModules } = require('module');
+const { SOURCE_EXTENSIONS, isSourceFile, readSources, byName } = require('../utils/sourceFiles');
+
+// Sources fetched per analysis
+const MAX_SOURCE_FILES = 250;
+// Past this many modules the graph is drawn between folders instead of files
+const MAX_FILE_NODES = 60;
+const MAX_FOLDER_NODES = 40;
+const MAX_EXTERNAL_PACKAGES = 15;
+
+const BUILTINS = new Set(builtinModules);
+const PACKAGE_NAME = /^(@[a-z0-9-~][a-z0-9-._~]*\/)?[a-z0-9-~][a-z0-9-._~]*$/;
+
+// import x from 'a' / import 'a' / export { x } from 'a' / require('a') / import('a')
+const IMPORT_PATTERNS = [
+  /\bimport\s+(?:type\s+)?(?:[\w*\s{},$]+?\s+from\s+)?['"]([^'"\n]+)['"]/g,
+  /\bexport\s+(?:type\s+)?(?:\*(?:\s+as\s+\w+)?|\{[^}]*\})\s+from\s+['"]([^'"\n]+)['"]/g,
+  /\brequire\s*\(\s*['"]([^'"\n]+)['"]\s*\)/g,
+  /\bimport\s*\(\s*['"]([^'"\n]+)['"]\s*\)/g
+];
+
+// Comments would otherwise yield imports from commented-out code. Strings are
+// skipped over so "http://..." isn't taken for a line comment.
+const stripComments = (source) =>
+  source.replace(/("(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'|`(?:\\.|[^`\\])*`)|\/\*[\s\S]*?\*\/|\/\/[^\n]*/g,
+    (match, string) => string || '');
+
+// Mermaid labels go in double quotes; a quote inside one needs an entity
+const label = (text) => `"${text.replace(/"/g, '#quot;')}"`;
+
+// Builds a module dependency graph of a repository's JavaScript/TypeScript
+// sources from their import and require statements, and draws it as Mermaid.
+// Everything is sorted, so the same tree always gives the same diagram.
+class ImportGraphService {
+  parseImports(source) {
+    const code = stripComments(source);
+    const specifiers = new Set();
+
+    for (const pattern of IMPORT_PATTERNS) {
+      for (const match of code.matchAll(pattern)) {
+        specifiers.add(match[1].trim());
+      }
+    }
+
+    return [...specifiers].sort(byName);
+  }
+
+  // A relative specifier resolved to a file in the tree, trying the
+  // extensions and index files Node and bundlers would
+  resolveRelative(fromPath, specifier, fileSet) {
+    const base = path.normalize(path.join(path.dirname(fromPath), specifier));
+    if (base.startsWith('..')) return null;
+
+    const candidates = [
+      base,
+      ...SOURCE_EXTENSIONS.map(extension => base + extension),
+      ...SOURCE_EXTENSIONS.map(extension => `${base}/index${extension}`)
+    ];
+    // TypeScript sources import each other by their compiled .js names
+    if (/\.[mc]?jsx?$/.test(base)) {
+      const stem = base.replace(/\.[mc]?jsx?$/, '');
+      candidates.push(`${stem}.ts`, `${stem}.tsx`);
+    }
+
+    return candidates.find(candidate => fileSet.has(candidate)) || null;
+  }
+
+  // "lodash/fp" -> "lodash", "@scope/pkg/sub" -> "@scope/pkg"; null for
+  // builtins and anything that isn't a package name (path aliases and such)
+  packageName(specifier) {
+    if (specifier.startsWith('node:')) return null;
+
+    const parts = specifier.split('/');
+    const name = specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+    if (BUILTINS.has(name) || !PACKAGE_NAME.test(name)) return null;
+    return name;
+  }
+
+  // files: the repository tree ({ path }); readFile(path) resolves to source text
+  async build(files, readFile) {
+    const allPaths = files.map(file => file.path).sort(byName);
+    const fileSet = new Set(allPaths);
+    const sourcePaths = allPaths.filter(isSourceFile);
+    const modules = sourcePaths.slice(0, MAX_SOURCE_FILES);
+    const sources = await readSources(modules, readFile);
+
+    const moduleSet = new Set(modules);
+    const edges = new Set();
+    const externals = new Map();
+    const externalEdges = new Set();
+    let unresolved = 0;
+
+    for (const modulePath of modules) {
+      for (const specifier of this.parseImports(sources.get(modulePath))) {
+        if (specifier.startsWith('.') || specifier.startsWith('/')) {
+          const target = this.resolveRelative(modulePath, specifier.replace(/^\/+/, ''), fileSet);
+          if (!target) {
+            unresolved++;
+          } else if (moduleSet.has(target) && target !== modulePath) {
+            edges.add(`${modulePath}\n${target}`);
+          }
+          // Anything else resolved to a stylesheet, image or JSON file
+          continue;
+        }
+
+        const name = this.packageName(specifier);
+        if (name) {
+          externals.set(name, (externals.get(name) || 0) + 1);
+          externalEdges.add(`${modulePath}\n${name}`);
+        } else if (!specifier.startsWith('node:') && !BUILTINS.has(specifier.split('/')[0])) {
+          unresolved++;
+        }
+      }
+    }
+
+    const split = (edge) => edge.split('\n');
+    return {
+      modules,
+      edges: [...edges].map(split),
+      externals,
+      externalEdges: [...externalEdges].map(split),
+      packageRoots: allPaths
+        .filter(filePath => path.basename(filePath) === 'package.json')
+        .map(filePath => path.dirname(filePath)),
+      unresolved,
+      truncated: sourcePaths.length > modules.length
+    };
+  }
+
+  // Directory a module is drawn in when the graph is collapsed to folders.
+  // Deep trees are cut to `depth` levels.
+  folderOf(modulePath, depth) {
+    const directory = path.dirname(modulePath);
+    if (directory === '.') return '.';
+    return directory.split('/').slice(0, depth).join('/');
+  }
+
+  // Nodes are files, grouped in subgraphs by directory; or, for big graphs,
+  // folders grouped by package (the nearest directory with a package.json)
+  toMermaid(graph) {
+    if (!graph.modules.length) {
+      return {
+        mermaidCode: `flowchart LR\n    empty[${label('No JavaScript or TypeScript modules found')}]`,
+        nodes: 0,
+        connections: 0,
+        level: 'files'
+      };
+    }
+
+    let level = 'files';
+    let nodeOf = (modulePath) => modulePath;
+    let groupOf = (node) => (path.dirname(node) === '.' ? '(root)' : path.dirname(node));
+    let nameOf = (node) => path.basename(node);
+
+    if (graph.modules.length > MAX_FILE_NODES) {
+      level = 'folders';
+      // The deepest folder level that still fits
+      let depth = Math.max(...graph.modules.map(modulePath => modulePath.split('/').length - 1), 1);
+      while (depth > 1 && new Set(graph.modules.map(modulePath => this.folderOf(modulePath, depth))).size > MAX_FOLDER_NODES) {
+        depth--;
+      }
+
+      const roots = [...graph.packageRoots].filter(root => root !== '.').sort((a, b) => b.length - a.length || byName(a, b));
+      nodeOf = (modulePath) => this.folderOf(modulePath, depth);
+      groupOf = (node) => roots.find(root => node === root || node.startsWith(`${root}/`)) || '(root package)';
+      nameOf = (node) => (node === '.' ? '(root)' : `${node}/`);
+    }
+
+    const nodes = [...new Set(graph.modules.map(nodeOf))].sort(byName);
+    const ids = new Map(nodes.map((node, index) => [node, `m${index}`]));
+
+    // Edge weights count the file-level imports a folder edge stands for
+    const weights = new Map();
+    for (const [from, to] of graph.edges) {
+      const key = `${nodeOf(from)}\n${nodeOf(to)}`;
+      if (nodeOf(from) !== nodeOf(to)) {
+        weights.set(key, (weights.get(key) || 0) + 1);
+      }
+    }
+
+    const externals = [...graph.externals.entries()]
+      .sort(([a, countA], [b, countB]) => countB - countA || byName(a, b))
+      .slice(0, MAX_EXTERNAL_PACKAGES)
+      .map(([name]) => name)
+      .sort(byName);
+    const externalIds = new Map(externals.map((name, index) => [name, `x${index}`]));
+    const externalLinks = new Set();
+    for (const [from, name] of graph.externalEdges) {
+      if (externalIds.has(name)) {
+        externalLinks.add(`${nodeOf(from)}\n${name}`);
+      }
+    }
+
+    const lines = ['flowchart LR'];
+
+    const groups = new Map();
+    for (const node of nodes) {
+      const group = groupOf(node);
+      if (!groups.has(group)) groups.set(group, []);
+      groups.get(group).push(node);
+    }
+    [...groups.keys()].sort(byName).forEach((group, index) => {
+      lines.push(`    subgraph g${index}[${label(group)}]`);
+      for (const node of groups.get(group)) {
+        lines.push(`        ${ids.get(node)}[${label(nameOf(node))}]`);
+      }
+      lines.push('    end');
+    });
+
+    if (externals.length) {
+      lines.push(`    subgraph packages[${label('External packages')}]`);
+      for (const name of externals) {
+        lines.push(`        ${externalIds.get(name)}([${label(name)}])`);
+      }
+      lines.push('    end');
+    }
+
+    const internalEdges = [...weights.entries()].sort(([a], [b]) => byName(a, b));
+    for (const [key, weight] of internalEdges) {
+      const [from, to] = key.split('\n');
+      const arrow = level === 'folders' && weight > 1 ? `-->|${weight}|` : '-->';
+      lines.push(`    ${ids.get(from)} ${arrow} ${ids.get(to)}`);
+    }
+
+    const packageEdges = [...externalLinks].sort(byName);
+    for (const key of packageEdges) {
+      const [from, name] = key.split('\n');
+      lines.push(`    ${ids.get(from)} -.-> ${externalIds.get(name)}`);
+    }
+
+    if (externals.length) {
+      lines.push('    classDef external fill:#fff3e0,stroke:#fb8c00');
+      lines.push(`    class ${[...externalIds.values()].join(',')} external`);
+    }
+
+    return {
+      mermaidCode: lines.join('\n'),
+      nodes: nodes.length + externals.length,
+      connections: internalEdges.length + packageEdges.length,
+      level
+    };
+  }
+}
+
+module.exports = new ImportGraphService();
@@ -0,0 +1,181 @@
+const Invite = require('../models/Invite');
+const User = require('../models/User');
+const mailService = require('./mailService');
+const { findMembership } = require('../utils/permissions');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The Invite model's own email rule, so an address that passes can be saved
+const isValidEmail = (email) => !new Invite({ email }).validateSync(['email']);
+
+// Reasons checkRecipient can reject an address, with user-facing text
+const RECIPIENT_PROBLEMS = {
+  invalid_email: 'Invalid email address',
+  self: 'You cannot invite yourself',
+  already_member: 'Already a member',
+  pending_invite: 'Invitation already pending'
+};
+
+const parseDays = (value, fallback) => {
+  const days = parseInt(value, 10);
+  return Number.isNaN(days) ? fallback : Math.max(days, 0);
+};
+
+class InvitationService {
+  constructor() {
+    // 0 disables expiry / reminders respectively
+    this.expiryDays = parseDays(process.env.INVITE_EXPIRY_DAYS, 14);
+    this.reminderAfterDays = parseDays(process.env.INVITE_REMINDER_AFTER_DAYS, 3);
+    this.maxReminders = parseDays(process.env.INVITE_MAX_REMINDERS, 2);
+  }
+
+  describeProblem(problem) {
+    return RECIPIENT_PROBLEMS[problem];
+  }
+
+  expiryDate() {
+    return this.expiryDays ? new Date(Date.now() + this.expiryDays * DAY_MS) : null;
+  }
+
+  // Why an address can't be invited to the workspace (a RECIPIENT_PROBLEMS
+  // key), or null if it can. `email` must already be trimmed and lowercased.
+  async checkRecipient(workspace, email, requesterEmail) {
+    if (!isValidEmail(email)) {
+      return 'invalid_email';
+    }
+
+    if (email === requesterEmail.toLowerCase()) {
+      return 'self';
+    }
+
+    const existingUser = await User.findOne({ email });
+    if (existingUser && findMembership(workspace, existingUser._id)) {
+      return 'already_member';
+    }
+
+    const pendingInvite = await Invite.findOne({ workspace: workspace._id, email, status: 'pending' });
+    if (pendingInvite && !pendingInvite.isExpired()) {
+      return 'pending_invite';
+    }
+
+    return null;
+  }
+
+  // Create pending invites for recipients that passed checkRecipient; each is
+  // an email or { email, name, role }. One that can't be saved doesn't stop the
+  // others. Returns { invites, failed: [{ email, message }] }.
+  async createInvites(workspaceId, recipients, invitedBy) {
+    const expiresAt = this.expiryDate();
+    const invites = [];
+    const failed = [];
+
+    for (const recipient of recipients) {
+      const { email, name, role } = typeof recipient === 'string' ? { email: recipient } : recipient;
+      const invite = new Invite({ workspace: workspaceId, email, name, role, invitedBy, status: 'pending', expiresAt });
+
+      try {
+        await invite.validate();
+        // Old declined, expired or accepted-then-removed invites would clash with the unique index
+        await Invite.deleteMany({ workspace: workspaceId, email: invite.email });
+        invites.push(await invite.save());
+      } catch (error) {
+        const [firstError] = Object.values(error.errors || {});
+        failed.push({ email, message: firstError?.message || error.message });
+      }
+    }
+
+    return { invites, failed };
+  }
+
+  // Email one invitation and record when it went out
+  async send(invite, { reminder = false } = {}) {
+    await invite.populate([
+      { path: 'workspace', select: 'name description' },
+      { path: 'invitedBy', select: 'name email' }
+    ]);
+
+    await mailService.sendWorkspaceInvitationEmail(invite, {
+      workspace: invite.workspace,
+      inviter: invite.invitedBy,
+      reminder
+    });
+
+    const update = { lastSentAt: new Date() };
+    if (reminder) {
+      update.$inc = { reminderCount: 1 };
+    }
+    await Invite.updateOne({ _id: invite._id }, update);
+  }
+
+  // Email a batch of invitations; a failed delivery doesn't stop the others
+  async sendAll(invites, options) {
+    const results = await Promise.allSettled(invites.map(invite => this.send(invite, options)));
+
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        console.error(`Failed to email invite ${invites[index]._id}:`, result.reason.message);
+      }
+    });
+
+    return results.filter(result => result.status === 'fulfilled').length;
+  }
+
+  // Start the clock again on a pending invite and email it once more
+  async resend(invite) {
+    invite.expiresAt = this.expiryDate();
+    invite.reminderCount = 0;
+    await invite.save();
+    await this.send(invite);
+    return invite;
+  }
+
+  // Mark every pending invite past its expiry date as expired
+  async expireStale() {
+    const result = await Invite.updateMany(
+      { status: 'pending', expiresAt: { $ne: null, $lte: new Date() } },
+      { status: 'expired' }
+    );
+    return result.modifiedCount;
+  }
+
+  // Remind invitees who haven't responded for reminderAfterDays
+  async sendReminders() {
+    if (!this.reminderAfterDays || !this.maxReminders) {
+      return 0;
+    }
+
+    const now = new Date();
+    const cutoff = new Date(now.getTime() - this.reminderAfterDays * DAY_MS);
+    const invites = await Invite.find({
+      status: 'pending',
+      reminderCount: { $lt: this.maxReminders },
+      $and: [
+        { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+        { $or: [{ lastSentAt: { $lte: cutoff } }, { lastSentAt: null, createdAt: { $lte: cutoff } }] }
+      ]
+    });
+
+    // Don't nag about workspaces that can no longer be joined
+    await Promise.all(invites.map(invite =>
+      invite.populate('workspace', 'name description archivedAt deletedAt')
+    ));
+    const open = invites.filter(
+      invite => invite.workspace && !invite.workspace.archivedAt && !invite.workspace.deletedAt
+    );
+
+    return this.sendAll(open, { reminder: true });
+  }
+
+  async runMaintenance() {
+    const expired = await this.expireStale();
+    const reminded = await this.sendReminders();
+
+    if (expired || reminded) {
+      console.log(`Invites: ${expired} expired, ${reminded} reminder(s) sent`);
+    }
+
+    return { expired, reminded };
+  }
+}
+
+module.exports = new InvitationService();
\ No newline at end of file
@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const InviteLink = require('../models/InviteLink');
+const Workspace = require('../models/Workspace');
+
+const TOKEN_PREFIX = 'ehl_';
+
+class InviteLinkService {
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  // Create a link; the plaintext token is returned only here
+  async createLink(workspaceId, userId, { role, expiresInDays, maxUses, allowedDomain }) {
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const link = await InviteLink.create({
+      workspace: workspaceId,
+      createdBy: userId,
+      tokenHash: this.hashToken(token),
+      tokenPrefix: token.slice(0, TOKEN_PREFIX.length + 6),
+      role,
+      expiresAt: expiresInDays
+        ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+        : null,
+      maxUses: maxUses || null,
+      allowedDomain: allowedDomain || null
+    });
+
+    return { token, link };
+  }
+
+  async findByToken(token) {
+    if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) {
+      return null;
+    }
+    return InviteLink.findOne({ tokenHash: this.hashToken(token) });
+  }
+
+  async listLinks(workspaceId) {
+    return InviteLink.find({ workspace: workspaceId, revokedAt: null })
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 });
+  }
+
+  async revokeLink(workspaceId, linkId) {
+    return InviteLink.findOneAndUpdate(
+      { _id: linkId, workspace: workspaceId, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+  }
+
+  emailMatchesDomain(email, domain) {
+    return !domain || email.toLowerCase().endsWith(`@${domain}`);
+  }
+
+  // Claim one use of the link and add the user to its workspace.
+  // The use count is checked and bumped in a single update so concurrent
+  // joins can't go past maxUses. Returns false if the link ran out meanwhile.
+  async redeem(link, userId) {
+    const now = new Date();
+    const claimed = await InviteLink.findOneAndUpdate(
+      {
+        _id: link._id,
+        revokedAt: null,
+        $and: [
+          { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+          { $or: [{ maxUses: null }, { $expr: { $lt: ['$useCount', '$maxUses'] } }] }
+        ]
+      },
+      {
+        $inc: { useCount: 1 },
+        $push: { usedBy: { user: userId, joinedAt: now } }
+      },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return false;
+    }
+
+    const result = await Workspace.updateOne(
+      { _id: link.workspace, 'members.user': { $ne: userId } },
+      { $push: { members: { user: userId, role: link.role, joinedAt: now } } }
+    );
+
+    // Joined some other way in the meantime: give the use back
+    if (result.modifiedCount === 0) {
+      await InviteLink.updateOne(
+        { _id: link._id },
+        { $inc: { useCount: -1 }, $pull: { usedBy: { user: userId } } }
+      );
+    }
+
+    return true;
+  }
+}
+
+module.exports = new InviteLinkService();
\ No newline at end of file
@@ -0,0 +1,98 @@
+const AuthThrottle = require('../models/AuthThrottle');
+
+const MAX_LOCK_MINUTES = 24 * 60;
+const MAX_DELAY_SECONDS = 30;
+const IDLE_RESET_HOURS = 24;
+
+// How many failures are free, when to lock, and for how long (doubles per repeat lock)
+const POLICIES = {
+  account: { freeAttempts: 3, lockThreshold: 10, lockMinutes: 15 },
+  ip: { freeAttempts: 10, lockThreshold: 50, lockMinutes: 15 },
+  signup: { freeAttempts: 5, lockThreshold: 20, lockMinutes: 60 }
+};
+
+class LoginThrottleService {
+  accountKey(scope, email) {
+    return `${scope}:account:${String(email || '').trim().toLowerCase()}`;
+  }
+
+  ipKey(scope, ip) {
+    return `${scope}:ip:${ip || 'unknown'}`;
+  }
+
+  // Seconds until every given key accepts another attempt (0 = allowed)
+  async getRetryAfter(keys) {
+    const now = Date.now();
+    const records = await AuthThrottle.find({ key: { $in: keys } });
+
+    const waitUntil = records.reduce((latest, record) => {
+      const candidates = [record.lockedUntil, record.nextAttemptAt]
+        .filter(Boolean)
+        .map(date => date.getTime());
+      return Math.max(latest, ...candidates);
+    }, now);
+
+    return Math.max(0, Math.ceil((waitUntil - now) / 1000));
+  }
+
+  // Count a failure against one key; returns the lock expiry if this failure
+  // locked it. One update pipeline does the count, delay and lock transition,
+  // so concurrent failures can't overwrite each other.
+  async recordFailure(key, policyName) {
+    const policy = POLICIES[policyName];
+    const now = new Date();
+    const lockCount = { $ifNull: ['$lockCount', 0] };
+    const lockExpired = { $and: [{ $gt: ['$lockedUntil', null] }, { $lte: ['$lockedUntil', now] }] };
+    const locking = { $gte: ['$failures', policy.lockThreshold] };
+    const lockMinutes = { $min: [{ $multiply: [policy.lockMinutes, { $pow: [2, '$lockCount'] }] }, MAX_LOCK_MINUTES] };
+    const delaySeconds = { $min: [{ $pow: [2, { $subtract: ['$failures', policy.freeAttempts + 1] }] }, MAX_DELAY_SECONDS] };
+
+    const record = await AuthThrottle.findOneAndUpdate(
+      { key },
+      [
+        {
+          $set: {
+            // A lock that has run out starts a fresh count
+            failures: { $cond: [lockExpired, 1, { $add: [{ $ifNull: ['$failures', 0] }, 1] }] },
+            lockedUntil: { $cond: [lockExpired, '$$REMOVE', '$lockedUntil'] },
+            lockCount,
+            lastFailureAt: now,
+            expiresAt: new Date(now.getTime() + IDLE_RESET_HOURS * 60 * 60 * 1000)
+          }
+        },
+        {
+          $set: {
+            lockedUntil: {
+              $cond: [locking, { $add: [now, { $multiply: [lockMinutes, 60 * 1000] }] }, '$lockedUntil']
+            },
+            lockCount: { $cond: [locking, { $add: ['$lockCount', 1] }, '$lockCount'] },
+            failures: { $cond: [locking, 0, '$failures'] },
+            nextAttemptAt: {
+              $cond: [
+                locking,
+                '$$REMOVE',
+                {
+                  $cond: [
+                    { $gt: ['$failures', policy.freeAttempts] },
+                    { $add: [now, { $multiply: [delaySeconds, 1000] }] },
+                    '$nextAttemptAt'
+                  ]
+                }
+              ]
+            }
+          }
+        }
+      ],
+      { upsert: true, new: true }
+    );
+
+    // Failures only drop to 0 when this update locked the key
+    return record.failures === 0 ? record.lockedUntil : null;
+  }
+
+  async clear(key) {
+    await AuthThrottle.deleteOne({ key });
+  }
+}
+
+module.exports = new LoginThrottleService();
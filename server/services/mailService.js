@@ -0,0 +1,165 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Delivers through any SMTP server via nodemailer
+class SmtpTransport {
+  constructor() {
+    const nodemailer = require('nodemailer');
+    this.transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { id: info.messageId };
+  }
+}
+
+// Writes each message as a JSON file, for local development
+class FileTransport {
+  constructor() {
+    this.outboxDir = path.resolve(process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'outbox'));
+  }
+
+  async send(message) {
+    await fs.mkdir(this.outboxDir, { recursive: true });
+
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const filePath = path.join(this.outboxDir, `${id}.json`);
+    await fs.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+
+    console.log(`📧 Mail to ${message.to} written to ${filePath}`);
+    return { id, filePath };
+  }
+}
+
+// Prints messages to the server log
+class ConsoleTransport {
+  async send(message) {
+    console.log('📧 Outgoing mail:', {
+      to: message.to,
+      subject: message.subject,
+      text: message.text
+    });
+    return { id: `console-${Date.now()}` };
+  }
+}
+
+const escapeHtml = (value = '') =>
+  String(value).replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  }[char]));
+
+const transports = {
+  smtp: SmtpTransport,
+  file: FileTransport,
+  console: ConsoleTransport
+};
+
+class MailService {
+  constructor() {
+    const transportName = (process.env.MAIL_TRANSPORT || 'console').toLowerCase();
+    const Transport = transports[transportName];
+
+    if (!Transport) {
+      console.warn(`⚠️ Unknown MAIL_TRANSPORT "${transportName}", falling back to console`);
+    }
+
+    this.transportName = Transport ? transportName : 'console';
+    this.transport = new (Transport || ConsoleTransport)();
+    this.from = process.env.MAIL_FROM || 'EchoHub <no-reply@echohub.local>';
+    this.clientUrl = process.env.CLIENT_URL || 'http://localhost:5173';
+  }
+
+  async sendMail({ to, subject, text, html }) {
+    try {
+      return await this.transport.send({ from: this.from, to, subject, text, html });
+    } catch (error) {
+      console.error(`Mail delivery error (${this.transportName}):`, error.message);
+      throw new Error('Failed to send email');
+    }
+  }
+
+  buildLink(pathname, token) {
+    return `${this.clientUrl}${pathname}?token=${encodeURIComponent(token)}`;
+  }
+
+  async sendVerificationEmail(user, token) {
+    const link = this.buildLink('/verify-email', token);
+
+    return this.sendMail({
+      to: user.email,
+      subject: 'Verify your email address',
+      text: `Hi ${user.name},\n\nPlease confirm your email address by opening the link below:\n\n${link}\n\nIf you did not create an account, you can ignore this email.`,
+      html: `<p>Hi ${escapeHtml(user.name)},</p><p>Please confirm your email address by clicking the link below:</p><p><a href="${link}">Verify email</a></p><p>If you did not create an account, you can ignore this email.</p>`
+    });
+  }
+
+  async sendPasswordResetEmail(user, token) {
+    const link = this.buildLink('/reset-password', token);
+
+    return this.sendMail({
+      to: user.email,
+      subject: 'Reset your password',
+      text: `Hi ${user.name},\n\nSomeone requested a password reset for your account. Open the link below to choose a new password:\n\n${link}\n\nThe link expires soon. If you did not request this, you can ignore this email.`,
+      html: `<p>Hi ${escapeHtml(user.name)},</p><p>Someone requested a password reset for your account. Click the link below to choose a new password:</p><p><a href="${link}">Reset password</a></p><p>The link expires soon. If you did not request this, you can ignore this email.</p>`
+    });
+  }
+
+  async sendAccountLockedEmail(user, token, lockedUntil) {
+    const link = this.buildLink('/unlock-account', token);
+    const until = lockedUntil.toUTCString();
+
+    return this.sendMail({
+      to: user.email,
+      subject: 'Your account has been temporarily locked',
+      text: `Hi ${user.name},\n\nWe locked your account until ${until} after too many failed sign-in attempts.\n\nIf this was you, you can unlock it right away:\n\n${link}\n\nIf it wasn't you, consider resetting your password.`,
+      html: `<p>Hi ${escapeHtml(user.name)},</p><p>We locked your account until ${until} after too many failed sign-in attempts.</p><p>If this was you, you can unlock it right away:</p><p><a href="${link}">Unlock account</a></p><p>If it wasn't you, consider resetting your password.</p>`
+    });
+  }
+
+  // Sent instead of an error when someone signs up with an existing address
+  async sendExistingAccountEmail(user) {
+    const link = `${this.clientUrl}/forgot-password`;
+
+    return this.sendMail({
+      to: user.email,
+      subject: 'Sign-up attempt with your email address',
+      text: `Hi ${user.name},\n\nSomeone tried to create a new account with this email address, but you already have one. If you forgot your password, reset it here:\n\n${link}\n\nIf this wasn't you, you can ignore this email.`,
+      html: `<p>Hi ${escapeHtml(user.name)},</p><p>Someone tried to create a new account with this email address, but you already have one. If you forgot your password, reset it here:</p><p><a href="${link}">Reset password</a></p><p>If this wasn't you, you can ignore this email.</p>`
+    });
+  }
+
+  // Workspace invitation, or a reminder about one still pending
+  async sendWorkspaceInvitationEmail(invite, { workspace, inviter, reminder = false }) {
+    const acceptLink = `${this.clientUrl}/invites/${invite._id}/accept`;
+    const declineLink = `${this.clientUrl}/invites/${invite._id}/decline`;
+    const expiry = invite.expiresAt
+      ? `This invitation expires on ${invite.expiresAt.toUTCString()}.`
+      : '';
+    const subject = reminder
+      ? `Reminder: ${inviter.name} invited you to ${workspace.name}`
+      : `${inviter.name} invited you to ${workspace.name}`;
+    const intro = reminder
+      ? `${inviter.name} (${inviter.email}) invited you to join the "${workspace.name}" workspace on EchoHub and the invitation is still waiting for you.`
+      : `${inviter.name} (${inviter.email}) invited you to join the "${workspace.name}" workspace on EchoHub.`;
+    const description = workspace.description ? `\n\n${workspace.description}` : '';
+    const greeting = invite.name ? `Hi ${invite.name},` : 'Hi,';
+    const roleNote = invite.role === 'Admin' ? ' You will join as an Admin.' : '';
+
+    return this.sendMail({
+      to: invite.email,
+      subject,
+      text: `${greeting}\n\n${intro}${roleNote}${description}\n\nAccept the invitation:\n${acceptLink}\n\nDecline the invitation:\n${declineLink}\n\nSign in or create an account with ${invite.email} to respond. ${expiry}`.trim(),
+      html: `<p>${escapeHtml(greeting)}</p><p>${escapeHtml(intro + roleNote)}</p>${workspace.description ? `<blockquote>${escapeHtml(workspace.description)}</blockquote>` : ''}<p><a href="${acceptLink}">Accept invitation</a> &middot; <a href="${declineLink}">Decline</a></p><p>Sign in or create an account with ${escapeHtml(invite.email)} to respond. ${expiry}</p>`
+    });
+  }
+}
+
+module.exports = new MailService();
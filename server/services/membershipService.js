@@ -0,0 +1,65 @@
+const Task = require('../models/Task');
+const TimelineEvent = require('../models/TimelineEvent');
+const OnboardingPath = require('../models/OnboardingPath');
+const { findMembership } = require('../utils/permissions');
+
+const OPEN_TASK_STATUSES = ['pending', 'in_progress'];
+
+class MembershipService {
+  // Remove a member and hand their open work to someone who is staying.
+  // Open tasks go to `reassignTo` (defaults to the workspace owner); completed
+  // tasks are kept as history.
+  async removeMember(workspace, userId, { reassignTo } = {}) {
+    const membership = findMembership(workspace, userId);
+    if (!membership) {
+      throw new Error('User is not a member of this workspace');
+    }
+
+    const successor = reassignTo || workspace.creator;
+    if (successor.toString() === userId.toString() || !findMembership(workspace, successor)) {
+      throw new Error('Open tasks must be reassigned to another member of this workspace');
+    }
+
+    workspace.members.pull(membership._id);
+    await workspace.save();
+
+    const [tasks, timeline, onboarding] = await Promise.all([
+      Task.updateMany(
+        { workspace: workspace._id, assignedTo: userId, status: { $in: OPEN_TASK_STATUSES } },
+        { assignedTo: successor }
+      ),
+      TimelineEvent.updateMany(
+        { workspace: workspace._id, assignedTo: userId },
+        { $pull: { assignedTo: userId } }
+      ),
+      OnboardingPath.deleteMany({ workspace: workspace._id, user: userId })
+    ]);
+
+    return {
+      reassignedTasks: tasks.modifiedCount,
+      updatedTimelineEvents: timeline.modifiedCount,
+      removedOnboardingPaths: onboarding.deletedCount
+    };
+  }
+
+  // Make another member the owner; the previous owner stays on as an Admin
+  async transferOwnership(workspace, newOwnerId) {
+    const newOwner = findMembership(workspace, newOwnerId);
+    if (!newOwner) {
+      throw new Error('User is not a member of this workspace');
+    }
+
+    const previousOwner = findMembership(workspace, workspace.creator);
+    if (previousOwner) {
+      previousOwner.role = 'Admin';
+    }
+
+    newOwner.role = 'Creator';
+    workspace.creator = newOwner.user;
+    await workspace.save();
+
+    return newOwner;
+  }
+}
+
+module.exports = new MembershipService();
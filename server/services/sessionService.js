@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+class SessionService {
+  constructor() {
+    // Access tokens are short-lived; the refresh token keeps the device signed in
+    this.accessTokenExpire = process.env.ACCESS_TOKEN_EXPIRE || '15m';
+    this.refreshTokenDays = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 30;
+  }
+
+  hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  generateAccessToken(userId, sessionId) {
+    return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+      expiresIn: this.accessTokenExpire,
+    });
+  }
+
+  // Refresh tokens are "<sessionId>.<secret>" so the session can be looked up
+  // without storing the secret itself
+  buildRefreshToken(sessionId, secret) {
+    return `${sessionId}.${secret}`;
+  }
+
+  parseRefreshToken(refreshToken) {
+    if (typeof refreshToken !== 'string') return null;
+
+    const [sessionId, secret] = refreshToken.split('.');
+    if (!sessionId || !secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+      return null;
+    }
+
+    return { sessionId, secret };
+  }
+
+  getClientInfo(req) {
+    return {
+      userAgent: (req.get('User-Agent') || 'Unknown device').slice(0, 500),
+      ipAddress: req.ip
+    };
+  }
+
+  // Create a new device session and return its token pair
+  async createSession(user, req) {
+    const secret = crypto.randomBytes(48).toString('hex');
+    const session = await Session.create({
+      user: user._id,
+      refreshTokenHash: this.hashSecret(secret),
+      ...this.getClientInfo(req),
+      expiresAt: new Date(Date.now() + this.refreshTokenDays * 24 * 60 * 60 * 1000)
+    });
+
+    return {
+      session,
+      token: this.generateAccessToken(user._id, session._id),
+      refreshToken: this.buildRefreshToken(session._id, secret)
+    };
+  }
+
+  // Exchange a refresh token for a new token pair, rotating the secret.
+  // Presenting an already-rotated secret revokes the session, since it means
+  // the token was copied.
+  async rotateSession(refreshToken, req) {
+    const parsed = this.parseRefreshToken(refreshToken);
+    if (!parsed) return null;
+
+    const session = await Session.findById(parsed.sessionId);
+    if (!session || !session.isActive()) return null;
+
+    if (session.refreshTokenHash !== this.hashSecret(parsed.secret)) {
+      session.revokedAt = new Date();
+      session.revokedReason = 'reuse-detected';
+      await session.save();
+      console.warn(`Refresh token reuse detected for session ${session._id}, session revoked`);
+      return null;
+    }
+
+    const secret = crypto.randomBytes(48).toString('hex');
+    session.refreshTokenHash = this.hashSecret(secret);
+    session.lastUsedAt = new Date();
+    Object.assign(session, this.getClientInfo(req));
+    await session.save();
+
+    return {
+      session,
+      token: this.generateAccessToken(session.user, session._id),
+      refreshToken: this.buildRefreshToken(session._id, secret)
+    };
+  }
+
+  // Verify an access token and return its user and session, or throw.
+  // Shared by the REST middleware and the Socket.io handshake.
+  async authenticateAccessToken(token) {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (!decoded.sid) {
+      throw new Error('Token has no session');
+    }
+
+    const session = await Session.findById(decoded.sid);
+    if (!session || !session.isActive() || session.user.toString() !== decoded.id) {
+      throw new Error('Session has been revoked');
+    }
+
+    const user = await User.findById(decoded.id);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    return { user, session };
+  }
+
+  async listSessions(userId) {
+    return Session.find({
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+  }
+
+  async revokeSession(userId, sessionId, reason = 'revoked') {
+    return Session.findOneAndUpdate(
+      { _id: sessionId, user: userId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason },
+      { new: true }
+    );
+  }
+
+  // Revoke every active session of a user, optionally keeping one
+  async revokeAllSessions(userId, exceptSessionId = null) {
+    const filter = { user: userId, revokedAt: null };
+    if (exceptSessionId) {
+      filter._id = { $ne: exceptSessionId };
+    }
+
+    const result = await Session.updateMany(filter, {
+      revokedAt: new Date(),
+      revokedReason: 'revoked-all'
+    });
+
+    return result.modifiedCount;
+  }
+}
+
+module.exports = new SessionService();
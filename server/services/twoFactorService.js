@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const { generateSecret, verifyTotp, buildOtpauthUrl } = require('../utils/totp');
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+class TwoFactorService {
+  constructor() {
+    this.issuer = process.env.TOTP_ISSUER || 'EchoHub';
+    this.recoveryCodeCount = 10;
+  }
+
+  hashRecoveryCode(code) {
+    return crypto
+      .createHash('sha256')
+      .update(code.replace(/[\s-]/g, '').toLowerCase())
+      .digest('hex');
+  }
+
+  generateRecoveryCodes() {
+    return Array.from({ length: this.recoveryCodeCount }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+  }
+
+  // Load the user together with the fields hidden by default
+  async loadUser(userId) {
+    return User.findById(userId).select(SECRET_FIELDS);
+  }
+
+  // Start enrollment: store a pending secret and return its provisioning data
+  async beginEnrollment(userId) {
+    const user = await this.loadUser(userId);
+    if (user.twoFactor?.enabled) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+
+    const secret = generateSecret();
+    const otpauthUrl = buildOtpauthUrl(secret, user.email, this.issuer);
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    return {
+      secret,
+      otpauthUrl,
+      qrCode: await QRCode.toDataURL(otpauthUrl)
+    };
+  }
+
+  // Finish enrollment with a first code; returns the plaintext recovery codes
+  async confirmEnrollment(userId, code) {
+    const user = await this.loadUser(userId);
+    if (!user.twoFactor?.pendingSecret) {
+      throw new Error('Two-factor setup has not been started');
+    }
+
+    const step = verifyTotp(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      return null;
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = recoveryCodes.map(recoveryCode => this.hashRecoveryCode(recoveryCode));
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    return recoveryCodes;
+  }
+
+  // Check a TOTP code or a recovery code for a user with 2FA enabled.
+  // Recovery codes are consumed; TOTP codes can't be reused.
+  async verifyChallenge(userId, { code, recoveryCode }) {
+    const user = await this.loadUser(userId);
+    if (!user || !user.twoFactor?.enabled) {
+      return null;
+    }
+
+    if (recoveryCode) {
+      const hash = this.hashRecoveryCode(recoveryCode);
+      const index = user.twoFactor.recoveryCodes.indexOf(hash);
+      if (index === -1) return null;
+
+      user.twoFactor.recoveryCodes.splice(index, 1);
+      await user.save();
+      return user;
+    }
+
+    const step = verifyTotp(user.twoFactor.secret, code);
+    if (step === null || (user.twoFactor.lastUsedStep && step <= user.twoFactor.lastUsedStep)) {
+      return null;
+    }
+
+    user.twoFactor.lastUsedStep = step;
+    await user.save();
+    return user;
+  }
+
+  async disable(userId) {
+    await User.updateOne(
+      { _id: userId },
+      {
+        $set: { 'twoFactor.enabled': false },
+        $unset: {
+          'twoFactor.secret': 1,
+          'twoFactor.pendingSecret': 1,
+          'twoFactor.recoveryCodes': 1,
+          'twoFactor.lastUsedStep': 1,
+          'twoFactor.enabledAt': 1
+        }
+      }
+    );
+  }
+
+  async regenerateRecoveryCodes(userId) {
+    const recoveryCodes = this.generateRecoveryCodes();
+    await User.updateOne(
+      { _id: userId },
+      { 'twoFactor.recoveryCodes': recoveryCodes.map(code => this.hashRecoveryCode(code)) }
+    );
+    return recoveryCodes;
+  }
+
+  async remainingRecoveryCodes(userId) {
+    const user = await this.loadUser(userId);
+    return user.twoFactor?.recoveryCodes?.length || 0;
+  }
+}
+
+module.exports = new TwoFactorService();
@@ -0,0 +1,369 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const Workspace = require('../models/Workspace');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const TimelineEvent = require('../models/TimelineEvent');
+const Message = require('../models/Message');
+const Meeting = require('../models/Meeting');
+const MeetingCaption = require('../models/MeetingCaption');
+const OnboardingPath = require('../models/OnboardingPath');
+const invitationService = require('./invitationService');
+const { filterAccessibleRepositories } = require('./gitProviders');
+const workspaceLifecycleService = require('./workspaceLifecycleService');
+
+const BUNDLE_FORMAT = 'echohub-workspace';
+const BUNDLE_VERSION = 1;
+
+const COLLECTIONS = ['tasks', 'timelineEvents', 'messages', 'meetings', 'meetingCaptions', 'onboardingPaths'];
+
+const idOf = (value) => (value ? value.toString() : null);
+
+// Drop Mongo internals that mean nothing in another database
+const clean = ({ __v, ...doc }) => doc;
+
+// Older bundles carry a single githubRepository instead of a list
+const bundledRepositories = (workspace) => {
+  if (Array.isArray(workspace.repositories)) {
+    return workspace.repositories.map(({ label, provider, baseUrl, owner, repo }) => ({ label: label || repo, provider, baseUrl, owner, repo }));
+  }
+  const { owner, repo } = workspace.githubRepository || {};
+  return owner && repo ? [{ label: repo, owner, repo }] : [];
+};
+
+// User ids referenced by each kind of document
+const USER_REFS = {
+  tasks: doc => [doc.assignedBy, doc.assignedTo],
+  timelineEvents: doc => [doc.createdBy, ...(doc.assignedTo || [])],
+  messages: doc => [doc.sender],
+  meetings: doc => [
+    doc.organizer,
+    ...(doc.attendees || []).map(attendee => attendee.user),
+    ...(doc.missedByMembers || []).map(missed => missed.user)
+  ],
+  meetingCaptions: doc => [doc.userId],
+  onboardingPaths: doc => [doc.user]
+};
+
+class WorkspaceBundleService {
+  // Everything that belongs to the workspace, with the users it references
+  // listed once so an import can match them by email
+  async exportWorkspace(workspace) {
+    const workspaceId = workspace._id;
+    const [tasks, timelineEvents, messages, meetings, onboardingPaths] = await Promise.all([
+      Task.find({ workspace: workspaceId }).lean(),
+      TimelineEvent.find({ workspace: workspaceId }).lean(),
+      Message.find({ workspace: workspaceId }).sort({ createdAt: 1 }).lean(),
+      Meeting.find({ workspace: workspaceId }).lean(),
+      OnboardingPath.find({ workspace: workspaceId }).lean()
+    ]);
+    const meetingCaptions = await MeetingCaption.find({ meeting: { $in: meetings.map(m => m._id) } })
+      .sort({ timestamp: 1 })
+      .lean();
+
+    const collections = { tasks, timelineEvents, messages, meetings, meetingCaptions, onboardingPaths };
+
+    const userIds = new Set([
+      idOf(workspace.creator),
+      ...workspace.members.map(member => idOf(member.user))
+    ]);
+    for (const name of COLLECTIONS) {
+      collections[name].forEach(doc => USER_REFS[name](doc).forEach(id => id && userIds.add(idOf(id))));
+    }
+    const users = await User.find({ _id: { $in: [...userIds] } }).select('name email').lean();
+
+    return {
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      exportedAt: new Date(),
+      workspace: {
+        _id: workspace._id,
+        name: workspace.name,
+        description: workspace.description,
+        creator: workspace.creator,
+        members: workspace.members.map(member => ({
+          user: member.user,
+          role: member.role,
+          joinedAt: member.joinedAt
+        })),
+        repositories: workspace.repositories.map(({ label, provider, baseUrl, owner, repo }) => ({ label, provider, baseUrl, owner, repo })),
+        createdAt: workspace.createdAt
+      },
+      users: users.map(user => ({ _id: user._id, name: user.name, email: user.email })),
+      ...Object.fromEntries(COLLECTIONS.map(name => [name, collections[name].map(clean)]))
+    };
+  }
+
+  // Structural problems that make a bundle unusable
+  validate(bundle) {
+    const errors = [];
+
+    if (!bundle || typeof bundle !== 'object') {
+      return ['Bundle must be a JSON object'];
+    }
+    if (bundle.format !== BUNDLE_FORMAT) {
+      errors.push(`Not a workspace bundle (expected format "${BUNDLE_FORMAT}")`);
+    }
+    if (bundle.version !== BUNDLE_VERSION) {
+      errors.push(`Unsupported bundle version ${bundle.version} (this server reads version ${BUNDLE_VERSION})`);
+    }
+    if (!bundle.workspace?.name || !Array.isArray(bundle.workspace.members)) {
+      errors.push('Bundle is missing the workspace or its members');
+    }
+    if (!Array.isArray(bundle.users) || bundle.users.some(user => !user?._id || !user.email)) {
+      errors.push('Bundle users must each have an _id and an email');
+    }
+    for (const name of COLLECTIONS) {
+      if (bundle[name] !== undefined && !Array.isArray(bundle[name])) {
+        errors.push(`"${name}" must be an array`);
+      }
+    }
+
+    return errors;
+  }
+
+  // Work out how the bundle maps onto this environment without writing anything
+  async planImport(bundle, importer, { name } = {}) {
+    const importerId = idOf(importer._id);
+    const workspaceName = (name || bundle.workspace.name).trim();
+    const conflicts = [];
+    const collections = Object.fromEntries(COLLECTIONS.map(key => [key, bundle[key] || []]));
+
+    // Nobody is added or speaks for anyone by import. Content is attributed
+    // to the importer, with the original author's name kept as text; the
+    // bundle's members are invited, and join only if they accept.
+    const importerEmail = importer.email.toLowerCase();
+    const bundleUsers = new Map(bundle.users.map(user => [idOf(user._id), user]));
+    const isImporter = (id) => bundleUsers.get(idOf(id))?.email.toLowerCase() === importerEmail;
+    const mapUser = (id) => (id ? importerId : id);
+    // The original author's name, unless that was the importer
+    const authorName = (id) => (id && !isImporter(id) ? bundleUsers.get(idOf(id))?.name || 'Unknown user' : undefined);
+
+    const otherAuthors = new Set();
+    for (const key of COLLECTIONS) {
+      collections[key].forEach(doc => USER_REFS[key](doc).forEach(id => {
+        if (id && !isImporter(id)) otherAuthors.add(idOf(id));
+      }));
+    }
+    if (otherAuthors.size) {
+      conflicts.push({
+        type: 'attribution',
+        message: `Content by ${otherAuthors.size} other user(s) is attributed to you, with their names kept as text`
+      });
+    }
+
+    const members = [{ user: importerId, role: 'Creator', joinedAt: new Date() }];
+    const invites = [];
+    for (const member of bundle.workspace.members) {
+      const user = bundleUsers.get(idOf(member.user));
+      const email = user?.email.toLowerCase();
+      if (!email || email === importerEmail || invites.some(invite => invite.email === email)) continue;
+      invites.push({ email, name: user.name, role: member.role === 'Creator' ? 'Admin' : member.role });
+    }
+
+    // Blocking: the importer already has a workspace with this name
+    const nameTaken = await Workspace.exists({
+      name: workspaceName,
+      'members.user': importer._id,
+      deletedAt: null
+    });
+    if (nameTaken) {
+      conflicts.push({
+        type: 'workspace-name',
+        blocking: true,
+        message: `You already have a workspace named "${workspaceName}"; choose another name`
+      });
+    }
+
+    // Repositories are checked as if connected by hand: the copy has none of
+    // the source workspace's credentials, so private ones can't come along
+    const repositoryAccess = await filterAccessibleRepositories(bundledRepositories(bundle.workspace));
+    repositoryAccess.skipped.forEach(repository => conflicts.push({
+      type: 'repository',
+      message: `${repository.owner}/${repository.repo} is not connected: ${repository.reason}`
+    }));
+
+    // Meeting ids are unique across the whole database
+    const meetingIds = collections.meetings.map(meeting => meeting.meetingId).filter(Boolean);
+    const takenMeetingIds = new Set(
+      await Meeting.find({ meetingId: { $in: meetingIds } }).distinct('meetingId')
+    );
+    takenMeetingIds.forEach(meetingId => conflicts.push({
+      type: 'meeting-id',
+      meetingId,
+      message: `Meeting ${meetingId} already exists here and gets a new id`
+    }));
+
+    // References to documents that aren't in the bundle are dropped
+    const eventIds = new Set(collections.timelineEvents.map(event => idOf(event._id)));
+    const danglingDependencies = collections.timelineEvents
+      .flatMap(event => event.dependencies || [])
+      .filter(id => !eventIds.has(idOf(id))).length;
+    if (danglingDependencies) {
+      conflicts.push({
+        type: 'dangling-reference',
+        message: `${danglingDependencies} timeline dependency link(s) point outside the bundle and are dropped`
+      });
+    }
+
+    const meetingDocIds = new Set(collections.meetings.map(meeting => idOf(meeting._id)));
+    const orphanCaptions = collections.meetingCaptions.filter(caption => !meetingDocIds.has(idOf(caption.meeting)));
+    if (orphanCaptions.length) {
+      conflicts.push({
+        type: 'dangling-reference',
+        message: `${orphanCaptions.length} caption(s) belong to meetings outside the bundle and are skipped`
+      });
+    }
+
+    // An onboarding path is personal; it can't be handed to someone else
+    const orphanPaths = collections.onboardingPaths.filter(path => !isImporter(path.user));
+    if (orphanPaths.length) {
+      conflicts.push({
+        type: 'personal-data',
+        message: `${orphanPaths.length} onboarding path(s) belong to other users and are skipped`
+      });
+    }
+
+    return {
+      workspaceName,
+      members,
+      invites,
+      repositories: repositoryAccess.accessible,
+      mapUser,
+      authorName,
+      isImporter,
+      takenMeetingIds,
+      eventIds,
+      skipped: { meetingCaptions: orphanCaptions, onboardingPaths: orphanPaths },
+      collections,
+      conflicts
+    };
+  }
+
+  summarize(plan) {
+    const counts = Object.fromEntries(COLLECTIONS.map(name => [
+      name,
+      plan.collections[name].length - (plan.skipped[name]?.length || 0)
+    ]));
+
+    return {
+      workspace: { name: plan.workspaceName },
+      members: plan.members.length,
+      invites: plan.invites.map(invite => invite.email),
+      counts,
+      conflicts: plan.conflicts,
+      blocked: plan.conflicts.some(conflict => conflict.blocking)
+    };
+  }
+
+  // Copy a bundle into a new workspace owned by the importer. With dryRun
+  // only the report is produced. Returns { report, workspace? }.
+  async importWorkspace(bundle, importer, { name, dryRun = false } = {}) {
+    const plan = await this.planImport(bundle, importer, { name });
+    const report = this.summarize(plan);
+
+    if (dryRun || report.blocked) {
+      return { report };
+    }
+
+    // Fresh ids for everything, so a bundle can be imported more than once
+    const idMap = new Map();
+    const newId = (oldId) => {
+      const key = idOf(oldId);
+      if (!idMap.has(key)) idMap.set(key, new mongoose.Types.ObjectId());
+      return idMap.get(key);
+    };
+
+    const { collections, mapUser, authorName, isImporter } = plan;
+    const workspaceId = newId(bundle.workspace._id);
+    const skippedCaptions = new Set(plan.skipped.meetingCaptions);
+    const skippedPaths = new Set(plan.skipped.onboardingPaths);
+
+    const workspace = new Workspace({
+      _id: workspaceId,
+      name: plan.workspaceName,
+      description: bundle.workspace.description,
+      creator: importer._id,
+      members: plan.members,
+      repositories: plan.repositories.map(repository => ({
+        ...repository,
+        connectedAt: new Date(),
+        connectedBy: importer._id
+      }))
+    });
+
+    try {
+      await workspace.save();
+
+      await Promise.all([
+        Task.insertMany(collections.tasks.map(({ _id, ...task }) => ({
+          ...task,
+          _id: newId(_id),
+          workspace: workspaceId,
+          assignedBy: mapUser(task.assignedBy),
+          assignedTo: mapUser(task.assignedTo),
+          importedAuthor: authorName(task.assignedBy)
+        }))),
+        TimelineEvent.insertMany(collections.timelineEvents.map(({ _id, ...event }) => ({
+          ...event,
+          _id: newId(_id),
+          workspace: workspaceId,
+          createdBy: mapUser(event.createdBy),
+          importedAuthor: authorName(event.createdBy),
+          assignedTo: event.assignedTo?.length ? [importer._id] : [],
+          dependencies: (event.dependencies || [])
+            .filter(id => plan.eventIds.has(idOf(id)))
+            .map(newId)
+        }))),
+        Message.insertMany(collections.messages.map(({ _id, ...message }) => ({
+          ...message,
+          _id: newId(_id),
+          workspace: workspaceId,
+          sender: mapUser(message.sender),
+          importedAuthor: authorName(message.sender)
+        }))),
+        Meeting.insertMany(collections.meetings.map(({ _id, ...meeting }) => ({
+          ...meeting,
+          _id: newId(_id),
+          workspace: workspaceId,
+          meetingId: plan.takenMeetingIds.has(meeting.meetingId) ? uuidv4() : meeting.meetingId,
+          organizer: mapUser(meeting.organizer),
+          importedAuthor: authorName(meeting.organizer),
+          // Attendees stay as email addresses until they join this workspace
+          attendees: (meeting.attendees || []).map(({ _id: attendeeId, user, ...attendee }) => attendee),
+          missedByMembers: []
+        }))),
+        MeetingCaption.insertMany(collections.meetingCaptions
+          .filter(caption => !skippedCaptions.has(caption))
+          .map(({ _id, ...caption }) => ({
+            ...caption,
+            _id: newId(_id),
+            meeting: newId(caption.meeting),
+            // The speaker's name is already kept as text
+            userId: isImporter(caption.userId) ? importer._id : undefined
+          }))),
+        OnboardingPath.insertMany(collections.onboardingPaths
+          .filter(path => !skippedPaths.has(path))
+          .map(({ _id, ...path }) => ({
+            ...path,
+            _id: newId(_id),
+            workspace: workspaceId,
+            user: mapUser(path.user)
+          })))
+      ]);
+    } catch (error) {
+      // Leave nothing half-imported behind
+      await workspaceLifecycleService.purge(workspaceId).catch(() => {});
+      throw error;
+    }
+
+    // The bundle's members are invited rather than added; an address that
+    // can't be invited is reported, and the import stands
+    const { invites: createdInvites, failed } = await invitationService.createInvites(workspaceId, plan.invites, importer._id);
+    await invitationService.sendAll(createdInvites);
+
+    return { report: { ...report, invitesFailed: failed }, workspace };
+  }
+}
+
+module.exports = new WorkspaceBundleService();
\ No newline at end of file
@@ -0,0 +1,110 @@
+const Workspace = require('../models/Workspace');
+const Invite = require('../models/Invite');
+const InviteLink = require('../models/InviteLink');
+const Message = require('../models/Message');
+const Task = require('../models/Task');
+const TimelineEvent = require('../models/TimelineEvent');
+const Meeting = require('../models/Meeting');
+const MeetingCaption = require('../models/MeetingCaption');
+const OnboardingPath = require('../models/OnboardingPath');
+const GitHubCredential = require('../models/GitHubCredential');
+const GitHubActivity = require('../models/GitHubActivity');
+const ArchitectureDiagram = require('../models/ArchitectureDiagram');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class WorkspaceLifecycleService {
+  constructor() {
+    // 0 purges as soon as deletion is requested
+    const graceDays = parseInt(process.env.WORKSPACE_DELETE_GRACE_DAYS, 10);
+    this.graceDays = Number.isNaN(graceDays) ? 7 : Math.max(graceDays, 0);
+  }
+
+  async archive(workspace, userId) {
+    workspace.archivedAt = new Date();
+    workspace.archivedBy = userId;
+    await workspace.save();
+    return workspace;
+  }
+
+  async unarchive(workspace) {
+    workspace.archivedAt = null;
+    workspace.archivedBy = undefined;
+    await workspace.save();
+    return workspace;
+  }
+
+  // Hide the workspace now and purge it once the grace period is over
+  async scheduleDeletion(workspace, userId) {
+    if (this.graceDays === 0) {
+      await this.purge(workspace._id);
+      return { purged: true, purgeAt: null };
+    }
+
+    const now = new Date();
+    workspace.deletedAt = now;
+    workspace.deletedBy = userId;
+    workspace.purgeAt = new Date(now.getTime() + this.graceDays * DAY_MS);
+    await workspace.save();
+
+    return { purged: false, purgeAt: workspace.purgeAt };
+  }
+
+  async restore(workspace) {
+    workspace.deletedAt = null;
+    workspace.deletedBy = undefined;
+    workspace.purgeAt = null;
+    await workspace.save();
+    return workspace;
+  }
+
+  // Permanently remove a workspace and everything that belongs to it
+  async purge(workspaceId) {
+    const meetingIds = await Meeting.find({ workspace: workspaceId }).distinct('_id');
+
+    const [messages, tasks, timelineEvents, meetings, captions, invites, inviteLinks, onboardingPaths] = await Promise.all([
+      Message.deleteMany({ workspace: workspaceId }),
+      Task.deleteMany({ workspace: workspaceId }),
+      TimelineEvent.deleteMany({ workspace: workspaceId }),
+      Meeting.deleteMany({ workspace: workspaceId }),
+      MeetingCaption.deleteMany({ meeting: { $in: meetingIds } }),
+      Invite.deleteMany({ workspace: workspaceId }),
+      InviteLink.deleteMany({ workspace: workspaceId }),
+      OnboardingPath.deleteMany({ workspace: workspaceId }),
+      GitHubCredential.deleteMany({ workspace: workspaceId }),
+      GitHubActivity.deleteMany({ workspace: workspaceId }),
+      ArchitectureDiagram.deleteMany({ workspace: workspaceId })
+    ]);
+
+    await Workspace.deleteOne({ _id: workspaceId });
+
+    return {
+      messages: messages.deletedCount,
+      tasks: tasks.deletedCount,
+      timelineEvents: timelineEvents.deletedCount,
+      meetings: meetings.deletedCount,
+      meetingCaptions: captions.deletedCount,
+      invites: invites.deletedCount,
+      inviteLinks: inviteLinks.deletedCount,
+      onboardingPaths: onboardingPaths.deletedCount
+    };
+  }
+
+  // Purge every workspace whose grace period has run out
+  async purgeExpired() {
+    const expired = await Workspace.find({ purgeAt: { $ne: null, $lte: new Date() } }).select('_id name');
+
+    for (const workspace of expired) {
+      try {
+        const removed = await this.purge(workspace._id);
+        console.log(`Purged workspace ${workspace.name} (${workspace._id})`, removed);
+      } catch (error) {
+        console.error(`Failed to purge workspace ${workspace._id}:`, error);
+      }
+    }
+
+    return expired.length;
+  }
+}
+
+module.exports = new WorkspaceLifecycleService();
@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+const WorkspaceTemplate = require('../models/WorkspaceTemplate');
+const TimelineEvent = require('../models/TimelineEvent');
+const Task = require('../models/Task');
+const { filterAccessibleRepositories } = require('./gitProviders');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysBetween = (from, to) => Math.round((to.getTime() - from.getTime()) / DAY_MS);
+
+class WorkspaceTemplateService {
+  // Capture a workspace's structure (not its people or history): the timeline
+  // skeleton, the distinct tasks and the onboarding checklist. Dates become
+  // offsets from the earliest one, the template's day 0.
+  async buildFromWorkspace(workspace) {
+    const [events, tasks] = await Promise.all([
+      TimelineEvent.find({ workspace: workspace._id }).sort({ date: 1 }).lean(),
+      Task.find({ workspace: workspace._id }).sort({ createdAt: 1 }).lean()
+    ]);
+
+    const dates = [
+      ...events.map(event => event.date),
+      ...tasks.map(task => task.dueDate).filter(Boolean)
+    ];
+    const anchor = dates.length
+      ? new Date(Math.min(...dates.map(date => date.getTime())))
+      : workspace.createdAt;
+
+    const positions = new Map(events.map((event, index) => [event._id.toString(), index]));
+
+    // The same task is often handed to several people; keep one of each
+    const seenTasks = new Set();
+    const distinctTasks = tasks.filter(task => {
+      const key = `${task.title}\n${task.description}`;
+      if (seenTasks.has(key)) return false;
+      seenTasks.add(key);
+      return true;
+    });
+
+    return {
+      timeline: events.map(event => ({
+        title: event.title,
+        description: event.description,
+        type: event.type,
+        priority: event.priority,
+        tags: event.tags,
+        offsetDays: daysBetween(anchor, event.date),
+        dependsOn: (event.dependencies || [])
+          .map(id => positions.get(id.toString()))
+          .filter(position => position !== undefined)
+      })),
+      tasks: distinctTasks.map(task => ({
+        title: task.title,
+        description: task.description,
+        priority: task.priority,
+        estimatedTime: task.estimatedTime,
+        aiGuidanceEnabled: task.aiGuidanceEnabled,
+        dueOffsetDays: task.dueDate ? daysBetween(anchor, task.dueDate) : null
+      })),
+      onboardingChecklist: workspace.onboardingChecklist || [],
+      settings: {
+        workspaceDescription: workspace.description,
+        repositories: workspace.repositories.map(({ label, provider, baseUrl, owner, repo }) => ({ label, provider, baseUrl, owner, repo }))
+      }
+    };
+  }
+
+  async createTemplate(workspace, userId, { name, description, onboardingChecklist }) {
+    const content = await this.buildFromWorkspace(workspace);
+
+    return WorkspaceTemplate.create({
+      ...content,
+      name,
+      description,
+      createdBy: userId,
+      sourceWorkspace: workspace._id,
+      onboardingChecklist: onboardingChecklist || content.onboardingChecklist
+    });
+  }
+
+  async listTemplates(userId) {
+    return WorkspaceTemplate.find({ createdBy: userId }).sort({ createdAt: -1 });
+  }
+
+  async findTemplate(userId, templateId) {
+    return WorkspaceTemplate.findOne({ _id: templateId, createdBy: userId });
+  }
+
+  // Fill a freshly created workspace from template content, with day 0 on startDate.
+  // Tasks go to the workspace owner until they're handed out.
+  async applyTemplate(content, workspace, userId, startDate) {
+    const dateFor = (offsetDays) => new Date(startDate.getTime() + offsetDays * DAY_MS);
+
+    workspace.onboardingChecklist = content.onboardingChecklist || [];
+    if (!workspace.description && content.settings?.workspaceDescription) {
+      workspace.description = content.settings.workspaceDescription;
+    }
+    // Checked as if connected by hand; private repositories need a credential,
+    // which a template doesn't carry
+    const repositories = await filterAccessibleRepositories(
+      (content.settings?.repositories || []).map(({ label, provider, baseUrl, owner, repo }) => ({ label, provider, baseUrl, owner, repo }))
+    );
+    workspace.repositories = repositories.accessible.map(repository => ({
+      ...repository,
+      connectedAt: new Date(),
+      connectedBy: userId
+    }));
+    await workspace.save();
+
+    // Ids up front so dependencies can point at events created in the same batch
+    const eventIds = content.timeline.map(() => new mongoose.Types.ObjectId());
+
+    const [events, tasks] = await Promise.all([
+      TimelineEvent.insertMany(content.timeline.map((event, index) => ({
+        _id: eventIds[index],
+        workspace: workspace._id,
+        title: event.title,
+        description: event.description,
+        type: event.type,
+        priority: event.priority,
+        tags: event.tags,
+        status: 'planned',
+        date: dateFor(event.offsetDays),
+        createdBy: userId,
+        dependencies: (event.dependsOn || [])
+          .filter(position => eventIds[position])
+          .map(position => eventIds[position])
+      }))),
+      Task.insertMany(content.tasks.map(task => ({
+        workspace: workspace._id,
+        title: task.title,
+        description: task.description,
+        priority: task.priority,
+        estimatedTime: task.estimatedTime,
+        aiGuidanceEnabled: task.aiGuidanceEnabled,
+        dueDate: task.dueOffsetDays === null || task.dueOffsetDays === undefined
+          ? null
+          : dateFor(task.dueOffsetDays),
+        assignedBy: userId,
+        assignedTo: userId
+      })))
+    ]);
+
+    return {
+      timelineEvents: events.length,
+      tasks: tasks.length,
+      onboardingChecklist: workspace.onboardingChecklist.length,
+      repositoriesSkipped: repositories.skipped.map(({ owner, repo, reason }) => ({ repository: `${owner}/${repo}`, reason }))
+    };
+  }
+}
+
+module.exports = new WorkspaceTemplateService();
\ No newline at end of file
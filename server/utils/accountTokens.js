@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const RESET_TOKEN_EXPIRE = process.env.RESET_TOKEN_EXPIRE || '1h';
+const VERIFY_TOKEN_EXPIRE = process.env.VERIFY_TOKEN_EXPIRE || '2d';
+const TWO_FACTOR_CHALLENGE_EXPIRE = '5m';
+const UNLOCK_TOKEN_EXPIRE = '1d';
+
+// Fingerprint of the current password hash: once the password changes,
+// every reset token issued before it stops verifying (single use)
+const passwordFingerprint = (user) =>
+  crypto.createHash('sha256').update(user.password).digest('hex').slice(0, 16);
+
+const signPurposeToken = (payload, expiresIn) =>
+  jwt.sign(payload, process.env.JWT_SECRET, { expiresIn });
+
+const verifyPurposeToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const createPasswordResetToken = (user) =>
+  signPurposeToken(
+    { id: user._id, purpose: 'password-reset', pwd: passwordFingerprint(user) },
+    RESET_TOKEN_EXPIRE
+  );
+
+// Returns the decoded payload; the caller must check it with isResetTokenCurrent
+const verifyPasswordResetToken = (token) => verifyPurposeToken(token, 'password-reset');
+
+const isResetTokenCurrent = (decoded, user) => decoded.pwd === passwordFingerprint(user);
+
+const createEmailVerificationToken = (user) =>
+  signPurposeToken(
+    { id: user._id, purpose: 'email-verification', email: user.email },
+    VERIFY_TOKEN_EXPIRE
+  );
+
+const verifyEmailVerificationToken = (token) => verifyPurposeToken(token, 'email-verification');
+
+// Issued after a correct password when 2FA is on; exchanged for a session
+// together with a TOTP or recovery code
+const createTwoFactorChallengeToken = (user) =>
+  signPurposeToken({ id: user._id, purpose: 'two-factor-challenge' }, TWO_FACTOR_CHALLENGE_EXPIRE);
+
+const verifyTwoFactorChallengeToken = (token) => verifyPurposeToken(token, 'two-factor-challenge');
+
+const createAccountUnlockToken = (user) =>
+  signPurposeToken({ id: user._id, purpose: 'account-unlock', email: user.email }, UNLOCK_TOKEN_EXPIRE);
+
+const verifyAccountUnlockToken = (token) => verifyPurposeToken(token, 'account-unlock');
+
+module.exports = {
+  createPasswordResetToken,
+  verifyPasswordResetToken,
+  isResetTokenCurrent,
+  createEmailVerificationToken,
+  verifyEmailVerificationToken,
+  createTwoFactorChallengeToken,
+  verifyTwoFactorChallengeToken,
+  createAccountUnlockToken,
+  verifyAccountUnlockToken
+};
@@ -0,0 +1,262 @@
+// Reading dependency manifests and lockfiles: package.json with
+// package-lock.json or yarn.lock, requirements*.txt and go.mod
+
+const path = require('path').posix;
+
+const MANIFESTS = {
+  'package.json': { ecosystem: 'npm', role: 'manifest' },
+  'package-lock.json': { ecosystem: 'npm', role: 'lockfile' },
+  'npm-shrinkwrap.json': { ecosystem: 'npm', role: 'lockfile' },
+  'yarn.lock': { ecosystem: 'npm', role: 'lockfile' },
+  'go.mod': { ecosystem: 'go', role: 'manifest' }
+};
+const REQUIREMENTS_FILE = /^requirements[\w.-]*\.txt$/;
+
+// package.json sections, in the order a name listed in several wins
+const NPM_SCOPES = [
+  ['dependencies', 'runtime'],
+  ['optionalDependencies', 'optional'],
+  ['peerDependencies', 'peer'],
+  ['devDependencies', 'dev']
+];
+
+// What a repository file is to the dependency report, or null
+const manifestKind = (filePath) => {
+  const name = path.basename(filePath);
+  if (MANIFESTS[name]) return MANIFESTS[name];
+  if (REQUIREMENTS_FILE.test(name)) return { ecosystem: 'pypi', role: 'manifest' };
+  return null;
+};
+
+// PEP 503: names differing only in case and runs of -, _ and . are the same
+const normalizePythonName = (name) => name.toLowerCase().replace(/[-_.]+/g, '-');
+
+// Lockfiles record licenses as SPDX strings, or (in old packages) objects
+const licenseName = (license) => {
+  if (!license) return null;
+  if (typeof license === 'string') return license;
+  if (Array.isArray(license)) return license.map(licenseName).filter(Boolean).join(' OR ') || null;
+  return license.type || null;
+};
+
+// An exact version requested rather than a range, e.g. "1.2.3" or "v1.2.3"
+const exactVersion = (requested) => (/^v?\d+\.\d+\.\d+([-+][\w.-]+)?$/.test(requested || '') ? requested.replace(/^v/, '') : null);
+
+const parsePackageJson = (text) => {
+  const manifest = JSON.parse(text);
+  const seen = new Map();
+
+  for (const [section, scope] of NPM_SCOPES) {
+    const entries = manifest[section];
+    if (!entries || typeof entries !== 'object') continue;
+
+    for (const [name, requested] of Object.entries(entries)) {
+      if (!seen.has(name)) {
+        seen.set(name, { name, requested: String(requested), scope });
+      }
+    }
+  }
+
+  return { name: manifest.name || null, dependencies: [...seen.values()] };
+};
+
+// Every installed package of a package-lock.json: lockfileVersion 2 and 3
+// list them flat under "packages", version 1 as a nested "dependencies" tree
+const parsePackageLock = (text) => {
+  const lock = JSON.parse(text);
+  const installed = [];
+
+  if (lock.packages) {
+    for (const [location, entry] of Object.entries(lock.packages)) {
+      // "" is the project itself; links point at workspace packages
+      if (!location || entry.link || !location.includes('node_modules/')) continue;
+
+      installed.push({
+        name: entry.name || location.slice(location.lastIndexOf('node_modules/') + 'node_modules/'.length),
+        version: entry.version || null,
+        license: licenseName(entry.license),
+        // Top-level node_modules/<name>, which is what the project resolves
+        topLevel: location.startsWith('node_modules/') && location.lastIndexOf('node_modules/') === 0
+      });
+    }
+    return installed;
+  }
+
+  const walk = (dependencies, topLevel) => {
+    for (const [name, entry] of Object.entries(dependencies || {})) {
+      installed.push({ name, version: entry.version || null, license: null, topLevel });
+      walk(entry.dependencies, false);
+    }
+  };
+  walk(lock.dependencies, true);
+  return installed;
+};
+
+// Package name of a yarn.lock entry key: "name@range", "@scope/name@range"
+// or, with Yarn 2+, "name@npm:range"
+const yarnEntryName = (key) => {
+  const at = key.indexOf('@', 1);
+  return at > 0 ? key.slice(0, at) : key;
+};
+
+// yarn.lock, classic (v1) or Yarn 2+ (YAML). Resolves each "name@range" an
+// entry covers to the version installed for it.
+const parseYarnLock = (text) => {
+  const installed = [];
+  const resolved = new Map();
+  let keys = null;
+
+  for (const line of text.split(/\r?\n/)) {
+    if (!line.trim() || line.trimStart().startsWith('#')) continue;
+
+    if (!/^\s/.test(line)) {
+      keys = line.replace(/:$/, '')
+        .split(',')
+        .map(key => key.trim().replace(/^"|"$/g, ''))
+        // Yarn 2+ lists the project's own workspaces too
+        .filter(key => key && key !== '__metadata' && !key.includes('@workspace:'));
+      if (!keys.length) keys = null;
+      continue;
+    }
+
+    const version = keys && line.match(/^\s{2}version:?\s+"?([^"\s]+)"?/);
+    if (version) {
+      const name = yarnEntryName(keys[0]);
+      installed.push({ name, version: version[1], license: null });
+      for (const key of keys) {
+        resolved.set(key.replace('@npm:', '@'), version[1]);
+      }
+      keys = null;
+    }
+  }
+
+  return { installed, resolved };
+};
+
+// requirements.txt. Files compiled by pip-compile say what pulled each package
+// in ("# via ..."); a package some requirement file (-r) asks for is direct and
+// the rest transitive. Without those notes, every entry is direct.
+const parseRequirements = (text) => {
+  const dependencies = [];
+  let annotated = false;
+  let current = null;
+  let inVia = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+
+    if (line.startsWith('#')) {
+      const via = line.match(/^#\s+via\b\s*(.*)$/);
+      if (via) {
+        annotated = true;
+        inVia = !via[1];
+        if (current && via[1]) current.via.push(...via[1].split(',').map(source => source.trim()));
+      } else if (inVia && current && /^#\s+\S/.test(line)) {
+        // One source per line after a bare "# via"
+        current.via.push(line.replace(/^#\s+/, ''));
+      }
+      continue;
+    }
+
+    inVia = false;
+    const requirement = line.replace(/\s+#.*$/, '').replace(/\\$/, '').trim();
+    // Options (-r, -e, --hash ...), URLs and paths have no name to look up.
+    // The "# via" notes of a requirement come after its --hash lines.
+    if (!requirement || requirement.startsWith('-') || /^[\w+]+:\/\//.test(requirement) || /^[./]/.test(requirement)) {
+      continue;
+    }
+
+    const match = requirement.match(/^([A-Za-z0-9][A-Za-z0-9._-]*)\s*(\[[^\]]*\])?\s*([^;@]*)/);
+    if (!match) continue;
+
+    const specifier = match[3].trim();
+    const pinned = specifier.match(/^===?\s*([^,\s]+)$/);
+    current = {
+      name: normalizePythonName(match[1]),
+      requested: specifier || '*',
+      version: pinned ? pinned[1] : null,
+      via: []
+    };
+    dependencies.push(current);
+  }
+
+  return dependencies.map(({ via, ...dependency }) => ({
+    ...dependency,
+    direct: !annotated || !via.length || via.some(source => source.startsWith('-r'))
+  }));
+};
+
+// go.mod requirements; "// indirect" marks modules only needed by others
+const parseGoMod = (text) => {
+  const dependencies = [];
+  let moduleName = null;
+  let inRequire = false;
+
+  const addRequirement = (line) => {
+    const match = line.match(/^(\S+)\s+(v\S+)(\s*\/\/\s*indirect)?/);
+    if (match) {
+      dependencies.push({ name: match[1], version: match[2], direct: !match[3] });
+    }
+  };
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+
+    if (inRequire) {
+      if (line === ')') inRequire = false;
+      else addRequirement(line);
+      continue;
+    }
+
+    const moduleMatch = line.match(/^module\s+(\S+)/);
+    if (moduleMatch) {
+      moduleName = moduleMatch[1].replace(/^"|"$/g, '');
+    } else if (/^require\s*\($/.test(line)) {
+      inRequire = true;
+    } else if (line.startsWith('require ')) {
+      addRequirement(line.slice('require '.length).trim());
+    }
+  }
+
+  return { name: moduleName, dependencies };
+};
+
+// Major, minor and patch of a version, ignoring a leading "v" and anything
+// after the release numbers; null when there are none
+const parseVersion = (version) => {
+  const match = String(version || '').match(/^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?(.*)$/);
+  if (!match) return null;
+  return {
+    release: [match[1], match[2], match[3]].map(part => parseInt(part || '0', 10)),
+    prerelease: /^(-|a|b|rc|\.dev)/i.test(match[4])
+  };
+};
+
+// How far an installed version is behind the latest one: 'major', 'minor',
+// 'patch', 'current' or 'unknown'
+const versionDrift = (installed, latest) => {
+  const current = parseVersion(installed);
+  const newest = parseVersion(latest);
+  if (!current || !newest) return 'unknown';
+
+  const levels = ['major', 'minor', 'patch'];
+  for (let i = 0; i < levels.length; i++) {
+    if (current.release[i] < newest.release[i]) return levels[i];
+    if (current.release[i] > newest.release[i]) return 'current';
+  }
+  // Same release numbers: a prerelease of the latest version is behind it
+  return current.prerelease && !newest.prerelease ? 'patch' : 'current';
+};
+
+module.exports = {
+  manifestKind,
+  normalizePythonName,
+  licenseName,
+  exactVersion,
+  parsePackageJson,
+  parsePackageLock,
+  parseYarnLock,
+  parseRequirements,
+  parseGoMod,
+  versionDrift
+};
@@ -0,0 +1,170 @@
+// Shape GitHub API objects the way the GitHub tab expects them. Webhook
+// payloads embed the same objects, so live events reuse these too.
+
+const formatUser = (user) => ({
+  login: user.login,
+  avatar: user.avatar_url,
+  url: user.html_url
+});
+
+const formatLabels = (labels) => labels.map(label => ({
+  name: label.name,
+  color: label.color
+}));
+
+const formatAssignees = (assignees) => assignees.map(assignee => ({
+  login: assignee.login,
+  avatar: assignee.avatar_url
+}));
+
+// Repository metadata in the provider-neutral shape every git provider returns
+const formatRepository = (repoData) => ({
+  id: repoData.id,
+  name: repoData.name,
+  fullName: repoData.full_name,
+  description: repoData.description,
+  private: repoData.private,
+  url: repoData.html_url,
+  cloneUrl: repoData.clone_url,
+  defaultBranch: repoData.default_branch,
+  language: repoData.language,
+  stars: repoData.stargazers_count,
+  forks: repoData.forks_count,
+  watchers: repoData.watchers_count,
+  openIssues: repoData.open_issues_count,
+  size: repoData.size,
+  createdAt: repoData.created_at,
+  updatedAt: repoData.updated_at,
+  pushedAt: repoData.pushed_at,
+  owner: {
+    login: repoData.owner.login,
+    avatar: repoData.owner.avatar_url,
+    url: repoData.owner.html_url,
+    type: repoData.owner.type
+  },
+  topics: repoData.topics,
+  license: repoData.license ? {
+    name: repoData.license.name,
+    spdxId: repoData.license.spdx_id
+  } : null
+});
+
+const formatIssue = (issue) => ({
+  id: issue.id,
+  number: issue.number,
+  title: issue.title,
+  body: issue.body,
+  state: issue.state,
+  author: formatUser(issue.user),
+  createdAt: issue.created_at,
+  updatedAt: issue.updated_at,
+  url: issue.html_url,
+  labels: formatLabels(issue.labels),
+  assignees: formatAssignees(issue.assignees),
+  comments: issue.comments
+});
+
+const formatPullRequest = (pr) => ({
+  id: pr.id,
+  number: pr.number,
+  title: pr.title,
+  body: pr.body,
+  state: pr.state,
+  merged: pr.merged_at !== null,
+  draft: pr.draft,
+  author: formatUser(pr.user),
+  createdAt: pr.created_at,
+  updatedAt: pr.updated_at,
+  mergedAt: pr.merged_at,
+  url: pr.html_url,
+  head: {
+    ref: pr.head.ref,
+    sha: pr.head.sha
+  },
+  base: {
+    ref: pr.base.ref,
+    sha: pr.base.sha
+  },
+  labels: formatLabels(pr.labels),
+  assignees: formatAssignees(pr.assignees),
+  reviewers: formatAssignees(pr.requested_reviewers)
+});
+
+const formatCommit = (commit) => ({
+  sha: commit.sha,
+  shortSha: commit.sha.substring(0, 7),
+  message: commit.commit.message,
+  author: {
+    name: commit.commit.author.name,
+    email: commit.commit.author.email,
+    date: commit.commit.author.date,
+    avatar: commit.author?.avatar_url,
+    login: commit.author?.login,
+    url: commit.author?.html_url
+  },
+  committer: {
+    name: commit.commit.committer.name,
+    email: commit.commit.committer.email,
+    date: commit.commit.committer.date
+  },
+  url: commit.html_url,
+  stats: commit.stats,
+  files: commit.files?.map(file => ({
+    filename: file.filename,
+    status: file.status,
+    additions: file.additions,
+    deletions: file.deletions,
+    changes: file.changes
+  }))
+});
+
+// Commits in a push event payload are abbreviated and carry no GitHub user
+// objects, only the author's username
+const formatPushCommit = (commit) => ({
+  sha: commit.id,
+  shortSha: commit.id.substring(0, 7),
+  message: commit.message,
+  author: {
+    name: commit.author.name,
+    email: commit.author.email,
+    date: commit.timestamp,
+    login: commit.author.username,
+    url: commit.author.username ? `https://github.com/${commit.author.username}` : undefined
+  },
+  committer: {
+    name: commit.committer.name,
+    email: commit.committer.email,
+    date: commit.timestamp
+  },
+  url: commit.url
+});
+
+const formatRelease = (release) => ({
+  id: release.id,
+  tagName: release.tag_name,
+  name: release.name,
+  body: release.body,
+  draft: release.draft,
+  prerelease: release.prerelease,
+  author: formatUser(release.author),
+  createdAt: release.created_at,
+  publishedAt: release.published_at,
+  url: release.html_url,
+  tarballUrl: release.tarball_url,
+  zipballUrl: release.zipball_url,
+  assets: release.assets.map(asset => ({
+    name: asset.name,
+    size: asset.size,
+    downloadCount: asset.download_count,
+    url: asset.browser_download_url
+  }))
+});
+
+module.exports = {
+  formatRepository,
+  formatIssue,
+  formatPullRequest,
+  formatCommit,
+  formatPushCommit,
+  formatRelease
+};
@@ -0,0 +1,336 @@
+// The structure of a Mermaid diagram (nodes and edges) for comparing two
+// versions of it. Flowcharts, ER, class and sequence diagrams are understood;
+// other diagram types parse to an empty, unsupported structure.
+
+// Opening shape delimiters, longest first, and what closes each
+const SHAPES = [
+  ['(((', ')))'], ['([', '])'], ['[[', ']]'], ['[(', ')]'], ['((', '))'], ['{{', '}}'],
+  ['[/', '/]'], ['[\\', '\\]'], ['[', ']'], ['(', ')'], ['{', '}'], ['>', ']']
+];
+const FLOWCHART_ID = /[A-Za-z0-9_]+(?:-[A-Za-z0-9_]+)*/y;
+// `-- text -->`, `-. text .->`, `== text ==>`, then plain arrows with an optional |label|
+const FLOWCHART_TEXT_ARROW = /\s*(--|-\.|==)\s+([^|]+?)\s+(-->|\.->|==>|---|\.-|===)\s*/y;
+const FLOWCHART_ARROW = /\s*(<?(?:-{2,}|={2,}|-\.+-)[->ox]?|~~~)\s*(?:\|([^|]*)\|)?\s*/y;
+const FLOWCHART_SKIP = /^(classDef|class|style|linkStyle|click|direction|%%)\b/;
+
+const ER_RELATIONSHIP = /^([\w-]+)\s+(\S*(?:--|\.\.)\S*)\s+([\w-]+)\s*:\s*(.*)$/;
+const CLASS_RELATIONSHIP = /^([\w~<>-]+)\s+(?:"[^"]*"\s+)?(<\|--|--\|>|\*--|--\*|o--|--o|<--|-->|<\.\.|\.\.>|<\|\.\.|\.\.\|>|--|\.\.)\s+(?:"[^"]*"\s+)?([\w~<>-]+)(?:\s*:\s*(.*))?$/;
+const SEQUENCE_MESSAGE = /^([^\s:+-][^:]*?)\s*(-{1,2}>>|-{1,2}>|-{1,2}x|-{1,2}\))\s*[+-]?\s*([^:]+?)\s*:\s*(.*)$/;
+
+const unquote = (text) => text.trim().replace(/^"(.*)"$/, '$1').replace(/#quot;/g, '"');
+
+const emptyStructure = (kind) => ({ kind, supported: kind !== 'other', nodes: new Map(), edges: [] });
+
+const kindOf = (firstLine) => {
+  if (/^(flowchart|graph)\b/.test(firstLine)) return 'flowchart';
+  if (/^erDiagram\b/.test(firstLine)) return 'er';
+  if (/^classDiagram\b/.test(firstLine)) return 'class';
+  if (/^sequenceDiagram\b/.test(firstLine)) return 'sequence';
+  return 'other';
+};
+
+const addNode = (structure, id, { label, group, detail } = {}) => {
+  const node = structure.nodes.get(id) || { id, label: null, group: null, detail: '' };
+  if (label && !node.label) node.label = label;
+  if (group && !node.group) node.group = group;
+  if (detail) node.detail = node.detail ? `${node.detail}\n${detail}` : detail;
+  structure.nodes.set(id, node);
+  return node;
+};
+
+// ---- Flowcharts ------------------------------------------------------------
+
+// A node reference at `index`: its id and, when declared there, its label
+const readFlowchartNode = (line, index) => {
+  FLOWCHART_ID.lastIndex = index;
+  const match = FLOWCHART_ID.exec(line);
+  if (!match) return null;
+
+  let i = index + match[0].length;
+  let label = null;
+  const shape = SHAPES.find(([open]) => line.startsWith(open, i));
+  if (shape) {
+    const [open, close] = shape;
+    let start = i + open.length;
+    let end;
+    if (line[start] === '"') {
+      const quoteEnd = line.indexOf('"', start + 1);
+      end = quoteEnd === -1 ? line.length : line.indexOf(close, quoteEnd);
+    } else {
+      end = line.indexOf(close, start);
+    }
+    if (end === -1) end = line.length;
+    label = unquote(line.slice(start, end));
+    i = end + close.length;
+  }
+
+  const className = /:::[\w-]+/y;
+  className.lastIndex = i;
+  if (className.exec(line)) i = className.lastIndex;
+
+  return { id: match[0], label, end: i };
+};
+
+// `A & B` - the nodes on one side of an arrow
+const readFlowchartGroup = (line, index) => {
+  const nodes = [];
+  let i = index;
+
+  while (i < line.length) {
+    const node = readFlowchartNode(line, i);
+    if (!node) break;
+    nodes.push(node);
+    i = node.end;
+    const ampersand = /\s*&\s*/y;
+    ampersand.lastIndex = i;
+    if (!ampersand.exec(line)) break;
+    i = ampersand.lastIndex;
+  }
+  return { nodes, end: i };
+};
+
+const parseFlowchart = (lines) => {
+  const structure = emptyStructure('flowchart');
+  const groups = [];
+  // Mermaid numbers links in the order they appear, for linkStyle
+  let linkIndex = 0;
+
+  for (const line of lines) {
+    const subgraph = /^subgraph\s+(.*)$/.exec(line);
+    if (subgraph) {
+      const title = /^[\w-]+\s*\[(.*)\]$/.exec(subgraph[1]);
+      groups.push(unquote(title ? title[1] : subgraph[1]));
+      continue;
+    }
+    if (line === 'end') {
+      groups.pop();
+      continue;
+    }
+    if (FLOWCHART_SKIP.test(line)) continue;
+
+    const group = groups[groups.length - 1] || null;
+    let { nodes: from, end: i } = readFlowchartGroup(line, 0);
+    from.forEach(node => addNode(structure, node.id, { label: node.label, group }));
+
+    while (from.length && i < line.length) {
+      let label = '';
+      FLOWCHART_TEXT_ARROW.lastIndex = i;
+      FLOWCHART_ARROW.lastIndex = i;
+      const textArrow = FLOWCHART_TEXT_ARROW.exec(line);
+      const arrow = textArrow ? null : FLOWCHART_ARROW.exec(line);
+      if (textArrow) {
+        label = textArrow[2];
+        i = FLOWCHART_TEXT_ARROW.lastIndex;
+      } else if (arrow) {
+        label = arrow[2] || '';
+        i = FLOWCHART_ARROW.lastIndex;
+      } else {
+        break;
+      }
+
+      const next = readFlowchartGroup(line, i);
+      if (!next.nodes.length) break;
+      next.nodes.forEach(node => addNode(structure, node.id, { label: node.label, group }));
+      for (const source of from) {
+        for (const target of next.nodes) {
+          structure.edges.push({ from: source.id, to: target.id, label: unquote(label), index: linkIndex++ });
+        }
+      }
+      from = next.nodes;
+      i = next.end;
+    }
+  }
+
+  return structure;
+};
+
+// ---- ER, class and sequence diagrams ----------------------------------------
+
+const parseEntityDiagram = (lines) => {
+  const structure = emptyStructure('er');
+  let current = null;
+
+  for (const line of lines) {
+    if (current) {
+      if (line === '}') current = null;
+      else addNode(structure, current, { detail: line });
+      continue;
+    }
+    const block = /^([\w-]+)\s*(?:\[[^\]]*\])?\s*\{$/.exec(line);
+    if (block) {
+      current = block[1];
+      addNode(structure, current);
+      continue;
+    }
+    const relationship = ER_RELATIONSHIP.exec(line);
+    if (relationship) {
+      const [, from, cardinality, to, label] = relationship;
+      addNode(structure, from);
+      addNode(structure, to);
+      structure.edges.push({ from, to, label: `${unquote(label)} ${cardinality}` });
+    } else if (/^[\w-]+$/.test(line)) {
+      addNode(structure, line);
+    }
+  }
+
+  return structure;
+};
+
+const parseClassDiagram = (lines) => {
+  const structure = emptyStructure('class');
+  let current = null;
+
+  for (const line of lines) {
+    if (current) {
+      if (line === '}') current = null;
+      else addNode(structure, current, { detail: line });
+      continue;
+    }
+    const declaration = /^class\s+([\w~<>-]+)(?:\s*\["?([^\]"]*)"?\])?\s*(\{)?/.exec(line);
+    if (declaration) {
+      addNode(structure, declaration[1], { label: declaration[2] });
+      if (declaration[3]) current = declaration[1];
+      continue;
+    }
+    const relationship = CLASS_RELATIONSHIP.exec(line);
+    if (relationship) {
+      const [, from, arrow, to, label = ''] = relationship;
+      addNode(structure, from);
+      addNode(structure, to);
+      structure.edges.push({ from, to, label: `${arrow} ${label}`.trim() });
+      continue;
+    }
+    const member = /^([\w~<>-]+)\s*:\s*(.+)$/.exec(line);
+    if (member) addNode(structure, member[1], { detail: member[2] });
+  }
+
+  return structure;
+};
+
+const parseSequenceDiagram = (lines) => {
+  const structure = emptyStructure('sequence');
+
+  for (const line of lines) {
+    const participant = /^(participant|actor)\s+(.+?)(?:\s+as\s+(.+))?$/.exec(line);
+    if (participant) {
+      addNode(structure, participant[2], { label: participant[3] });
+      continue;
+    }
+    const message = SEQUENCE_MESSAGE.exec(line);
+    if (message) {
+      const [, from, , to, text] = message;
+      addNode(structure, from.trim());
+      addNode(structure, to.trim());
+      structure.edges.push({ from: from.trim(), to: to.trim(), label: text.trim() });
+    }
+  }
+
+  return structure;
+};
+
+const parseMermaid = (code = '') => {
+  const lines = code.split('\n')
+    .map(line => line.trim().replace(/;$/, ''))
+    .filter(line => line && !line.startsWith('%%'));
+  if (!lines.length) return emptyStructure('other');
+
+  const kind = kindOf(lines[0]);
+  const body = lines.slice(1);
+  if (kind === 'flowchart') return parseFlowchart(body);
+  if (kind === 'er') return parseEntityDiagram(body);
+  if (kind === 'class') return parseClassDiagram(body);
+  if (kind === 'sequence') return parseSequenceDiagram(body);
+  return emptyStructure(kind);
+};
+
+// ---- Diffing ---------------------------------------------------------------
+
+// Generated ids (A, B, m0...) shift between versions, so nodes are matched by
+// what they show: their label within their subgraph
+const nodeKey = (node) => `${node.group ? `${node.group}/` : ''}${node.label || node.id}`;
+
+const keyed = (structure) => {
+  const nodes = new Map();
+  const keyOfId = new Map();
+  for (const node of structure.nodes.values()) {
+    const key = nodeKey(node);
+    keyOfId.set(node.id, key);
+    if (!nodes.has(key)) nodes.set(key, node);
+  }
+
+  const edges = new Map();
+  for (const edge of structure.edges) {
+    const from = keyOfId.get(edge.from);
+    const to = keyOfId.get(edge.to);
+    const key = `${from}\n${to}\n${edge.label}`;
+    if (!edges.has(key)) edges.set(key, { ...edge, fromKey: from, toKey: to, indexes: [] });
+    if (edge.index !== undefined) edges.get(key).indexes.push(edge.index);
+  }
+
+  return { nodes, edges };
+};
+
+const describeNode = (node) => ({ id: node.id, label: node.label || node.id, group: node.group });
+const describeEdge = (edge, nodes) => ({
+  from: nodes.get(edge.fromKey)?.label || edge.from,
+  to: nodes.get(edge.toKey)?.label || edge.to,
+  label: edge.label
+});
+
+const byKey = ([a], [b]) => (a < b ? -1 : a > b ? 1 : 0);
+
+// What changed from base to head: nodes and edges added and removed, and
+// nodes whose contents (ER attributes, class members) changed
+const diffMermaid = (baseCode, headCode) => {
+  const baseStructure = parseMermaid(baseCode);
+  const headStructure = parseMermaid(headCode);
+  const base = keyed(baseStructure);
+  const head = keyed(headStructure);
+
+  const only = (from, other) => [...from.entries()].filter(([key]) => !other.has(key)).sort(byKey);
+  const addedNodes = only(head.nodes, base.nodes);
+  const removedNodes = only(base.nodes, head.nodes);
+  const changedNodes = [...head.nodes.entries()]
+    .filter(([key, node]) => base.nodes.has(key) && base.nodes.get(key).detail !== node.detail)
+    .sort(byKey);
+  const addedEdges = only(head.edges, base.edges);
+  const removedEdges = only(base.edges, head.edges);
+
+  return {
+    supported: baseStructure.supported && headStructure.supported,
+    nodes: {
+      added: addedNodes.map(([, node]) => describeNode(node)),
+      removed: removedNodes.map(([, node]) => describeNode(node)),
+      changed: changedNodes.map(([, node]) => describeNode(node))
+    },
+    edges: {
+      added: addedEdges.map(([, edge]) => describeEdge(edge, head.nodes)),
+      removed: removedEdges.map(([, edge]) => describeEdge(edge, base.nodes))
+    },
+    // Flowcharts can be restyled to show the changes in place
+    highlighted: baseStructure.kind === 'flowchart' && headStructure.kind === 'flowchart'
+      ? {
+        base: highlight(baseCode, removedNodes, removedEdges, '#fee2e2', '#dc2626'),
+        head: highlight(headCode, [...addedNodes, ...changedNodes], addedEdges, '#dcfce7', '#16a34a')
+      }
+      : null
+  };
+};
+
+const highlight = (code, nodes, edges, fill, stroke) => {
+  const lines = [code];
+  if (nodes.length) {
+    lines.push(`    classDef diffChanged fill:${fill},stroke:${stroke},stroke-width:2px`);
+    lines.push(`    class ${nodes.map(([, node]) => node.id).join(',')} diffChanged`);
+  }
+  const indexes = edges.flatMap(([, edge]) => edge.indexes);
+  if (indexes.length) {
+    lines.push(`    linkStyle ${indexes.join(',')} stroke:${stroke},stroke-width:3px`);
+  }
+  return lines.join('\n');
+};
+
+module.exports = {
+  parseMermaid,
+  diffMermaid
+};
@@ -18,6 +18,7 @@ const normalizeArtifacts = (githubPRs = [], notionDocs = [], workspaceId) => {
       workspaceId,
       metadata: {
         number: pr.number,
+        repository: pr.repository,
         branch: {
           head: pr.head.ref,
           base: pr.base.ref
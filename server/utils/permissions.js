@@ -0,0 +1,67 @@
+// Workspace roles, highest first
+const ROLES = ['Creator', 'Admin', 'Member'];
+
+const ALL_ROLES = ROLES;
+const MANAGERS = ['Creator', 'Admin'];
+
+// What each workspace action requires; `label` completes "You do not have permission to ..."
+const PERMISSIONS = {
+  'workspace:view': { roles: ALL_ROLES, label: 'view this workspace' },
+
+  'members:invite': { roles: MANAGERS, label: 'invite new members' },
+  'members:change-role': { roles: ['Creator'], label: 'change member roles' },
+  'members:remove': { roles: MANAGERS, label: 'remove members' },
+  'workspace:transfer': { roles: ['Creator'], label: 'transfer ownership of this workspace' },
+  'workspace:archive': { roles: ['Creator'], label: 'archive this workspace' },
+  'workspace:delete': { roles: ['Creator'], label: 'delete this workspace' },
+  'workspace:export': { roles: ['Creator'], label: 'export this workspace' },
+  'workspace:template': { roles: ['Creator'], label: 'save this workspace as a template' },
+  'invites:view': { roles: MANAGERS, label: 'view workspace invitations' },
+  'invites:cancel': { roles: MANAGERS, label: 'cancel invitations' },
+
+  'tasks:assign': { roles: MANAGERS, label: 'assign tasks' },
+  'tasks:view-all': { roles: MANAGERS, label: 'view tasks assigned to others' },
+  'tasks:update-any': { roles: MANAGERS, label: 'update tasks assigned to others' },
+
+  'repo:connect': { roles: MANAGERS, label: 'connect or disconnect repositories' },
+  'diagrams:pin': { roles: MANAGERS, label: 'pin architecture diagrams' },
+  'diagrams:edit': { roles: ALL_ROLES, label: 'edit diagrams' },
+
+  'timeline:edit': { roles: ALL_ROLES, label: 'edit the timeline' },
+  'timeline:delete-event': { roles: MANAGERS, label: 'delete timeline events' },
+
+  'meetings:create': { roles: ALL_ROLES, label: 'schedule meetings' },
+  'meetings:manage': { roles: MANAGERS, label: 'manage meetings organized by others' },
+
+  'docs:create': { roles: ALL_ROLES, label: 'create documents' }
+};
+
+const can = (role, action) => {
+  const permission = PERMISSIONS[action];
+  if (!permission) {
+    throw new Error(`Unknown workspace permission: ${action}`);
+  }
+  return permission.roles.includes(role);
+};
+
+// Every action the role may perform, for the client to toggle UI with
+const permissionsFor = (role) => Object.keys(PERMISSIONS).filter(action => PERMISSIONS[action].roles.includes(role));
+
+// Whether one role sits strictly above another (Creator > Admin > Member)
+const outranks = (role, otherRole) => ROLES.indexOf(role) < ROLES.indexOf(otherRole);
+
+const deniedMessage = (action) => `You do not have permission to ${PERMISSIONS[action].label}`;
+
+const findMembership = (workspace, userId) => workspace.members.find(
+  member => (member.user._id || member.user).toString() === userId.toString()
+);
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  can,
+  permissionsFor,
+  outranks,
+  deniedMessage,
+  findMembership
+};
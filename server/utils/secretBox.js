@@ -0,0 +1,41 @@
+const crypto = require('crypto');
+
+// Authenticated encryption (AES-256-GCM) for secrets stored in the database.
+// The key comes from CREDENTIALS_ENCRYPTION_KEY; any string works, it is
+// stretched to 32 bytes. Sealed values look like "v1:<iv>:<tag>:<ciphertext>".
+const VERSION = 'v1';
+
+const getKey = () => {
+  const secret = process.env.CREDENTIALS_ENCRYPTION_KEY;
+  if (!secret) {
+    throw new Error('CREDENTIALS_ENCRYPTION_KEY is not configured');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+const seal = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return [VERSION, iv, cipher.getAuthTag(), ciphertext]
+    .map(part => (Buffer.isBuffer(part) ? part.toString('base64') : part))
+    .join(':');
+};
+
+const open = (sealed) => {
+  const [version, iv, tag, ciphertext] = String(sealed).split(':');
+  if (version !== VERSION || !iv || !tag || ciphertext === undefined) {
+    throw new Error('Unrecognized encrypted value');
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+};
+
+module.exports = { seal, open };
@@ -0,0 +1,54 @@
+// Picking and reading repository sources for the static analyzers behind
+// architecture diagrams and the dependency report
+
+const SOURCE_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx'];
+const IGNORED_DIRECTORIES = /(^|\/)(node_modules|dist|build|coverage|vendor|\.next|\.git)\//;
+const FETCH_CONCURRENCY = 8;
+const MAX_SOURCE_BYTES = 512 * 1024;
+
+const extensionOf = (filePath) => {
+  const name = filePath.split('/').pop();
+  const dot = name.lastIndexOf('.');
+  return dot > 0 ? name.slice(dot) : '';
+};
+
+const isIgnoredPath = (filePath) => IGNORED_DIRECTORIES.test(filePath);
+
+// JavaScript/TypeScript written by hand: no declarations, bundles or dependencies
+const isSourceFile = (filePath) =>
+  SOURCE_EXTENSIONS.includes(extensionOf(filePath)) &&
+  !filePath.endsWith('.d.ts') &&
+  !filePath.endsWith('.min.js') &&
+  !isIgnoredPath(filePath);
+
+// Fetch sources a few at a time into a path -> text map. Unreadable and
+// oversized files map to '' so they count as empty rather than failing the run.
+const readSources = async (paths, readFile, { maxBytes = MAX_SOURCE_BYTES } = {}) => {
+  const sources = new Map();
+  let next = 0;
+
+  const worker = async () => {
+    while (next < paths.length) {
+      const filePath = paths[next++];
+      try {
+        const source = await readFile(filePath);
+        sources.set(filePath, source && source.length <= maxBytes ? source : '');
+      } catch (error) {
+        sources.set(filePath, '');
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: FETCH_CONCURRENCY }, worker));
+  return sources;
+};
+
+const byName = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+module.exports = {
+  SOURCE_EXTENSIONS,
+  isIgnoredPath,
+  isSourceFile,
+  readSources,
+  byName
+};
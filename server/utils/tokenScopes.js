@@ -0,0 +1,56 @@
+// Scopes for personal access tokens. Each API area has a read scope (GET)
+// and a write scope (everything else); write implies read.
+const RESOURCES = [
+  'workspaces',
+  'templates',
+  'diagrams',
+  'invites',
+  'tasks',
+  'timeline',
+  'chat',
+  'github',
+  'notion',
+  'meet',
+  'onboarding'
+];
+
+// Areas where every request, whatever its method, needs one scope
+const SINGLE_SCOPE_RESOURCES = {
+  search: 'search:read',
+  ai: 'ai:use'
+};
+
+const SCOPES = [
+  ...RESOURCES.flatMap(resource => [`${resource}:read`, `${resource}:write`]),
+  ...Object.values(SINGLE_SCOPE_RESOURCES)
+];
+
+// Scope needed for a request, from its router mount path (e.g. "/api/tasks").
+// Returns null for areas tokens may never use (auth, token management).
+const getRequiredScope = (baseUrl, method) => {
+  const resource = (baseUrl || '').replace(/^\/api\//, '').split('/')[0];
+
+  if (SINGLE_SCOPE_RESOURCES[resource]) {
+    return SINGLE_SCOPE_RESOURCES[resource];
+  }
+
+  if (!RESOURCES.includes(resource)) {
+    return null;
+  }
+
+  return ['GET', 'HEAD', 'OPTIONS'].includes(method) ? `${resource}:read` : `${resource}:write`;
+};
+
+const hasScope = (grantedScopes, requiredScope) => {
+  if (grantedScopes.includes(requiredScope)) return true;
+
+  // write implies read
+  const [resource, action] = requiredScope.split(':');
+  return action === 'read' && grantedScopes.includes(`${resource}:write`);
+};
+
+module.exports = {
+  SCOPES,
+  getRequiredScope,
+  hasScope
+};